@@ -0,0 +1,143 @@
+const FlightEventBus = require('../../src/events/FlightEventBus')
+const { FLIGHT_EVENTS } = require('../../src/events/FlightEventBus')
+const registerAuditLogSubscriber = require('../../src/events/auditLogSubscriber')
+const Flight = require('../../src/models/Flight')
+
+describe('FlightEventBus', () => {
+  let eventBus
+  let mockLogger
+
+  const flight = {
+    _id: '64b000000000000000000001',
+    flightNumber: 'GA402',
+    airline: { code: 'GA' },
+    route: { origin: { airport: 'CGK' }, destination: { airport: 'DPS' } },
+    status: { current: 'Boarding' },
+    schedule: { departure: { scheduled: new Date('2025-07-10T08:00:00Z') } }
+  }
+
+  const statusChanged = { previousStatus: 'Scheduled', status: 'Boarding' }
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn()
+    }
+    eventBus = new FlightEventBus(mockLogger)
+  })
+
+  it('should deliver typed events to subscribers', async () => {
+    const handler = jest.fn()
+    eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, handler, 'test')
+
+    const event = await eventBus.publish(FLIGHT_EVENTS.STATUS_CHANGED, { flight, actor: 'ops', data: statusChanged })
+    await eventBus.drain()
+
+    expect(handler).toHaveBeenCalledWith(event)
+    expect(event).toMatchObject({
+      type: FLIGHT_EVENTS.STATUS_CHANGED,
+      flightNumber: 'GA402',
+      actor: 'ops',
+      data: statusChanged
+    })
+    expect(event.id).toEqual(expect.any(String))
+  })
+
+  it('should reject unknown event types and incomplete payloads', async () => {
+    await expect(eventBus.publish('flight.teleported', { flight, data: {} }))
+      .rejects.toThrow(/Unknown flight event type/)
+
+    await expect(eventBus.publish(FLIGHT_EVENTS.DELAYED, { flight, data: { delayMinutes: 30 } }))
+      .rejects.toThrow(/missing: previousDelayMinutes/)
+
+    expect(() => eventBus.subscribe('flight.teleported', jest.fn())).toThrow(/Unknown flight event type/)
+  })
+
+  it('should isolate failing subscribers', async () => {
+    const healthy = jest.fn()
+    eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, () => { throw new Error('boom') }, 'broken')
+    eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, healthy, 'healthy')
+
+    await expect(eventBus.publish(FLIGHT_EVENTS.STATUS_CHANGED, { flight, data: statusChanged }))
+      .resolves.toBeDefined()
+    await eventBus.drain()
+
+    expect(healthy).toHaveBeenCalled()
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Flight event subscriber failed',
+      expect.objectContaining({ subscriber: 'broken', error: 'boom' })
+    )
+  })
+
+  it('should stop delivering after unsubscribe', async () => {
+    const handler = jest.fn()
+    const unsubscribe = eventBus.subscribe([FLIGHT_EVENTS.STATUS_CHANGED, FLIGHT_EVENTS.CANCELLED], handler)
+
+    unsubscribe()
+    await eventBus.publish(FLIGHT_EVENTS.STATUS_CHANGED, { flight, data: statusChanged })
+    await eventBus.drain()
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it('should return before slow subscribers finish', async () => {
+    let finish
+    const handler = jest.fn(() => new Promise(resolve => { finish = resolve }))
+    eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, handler, 'slow')
+
+    await eventBus.publish(FLIGHT_EVENTS.STATUS_CHANGED, { flight, data: statusChanged })
+    expect(handler).not.toHaveBeenCalled()
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(handler).toHaveBeenCalled()
+    expect(eventBus.pending.size).toBe(1)
+
+    finish()
+    await eventBus.drain()
+    expect(eventBus.pending.size).toBe(0)
+  })
+
+  it('should hand subscribers a snapshot of the flight as published', async () => {
+    const handler = jest.fn()
+    eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, handler, 'test')
+    const document = new Flight({ ...flight, _id: undefined })
+
+    await eventBus.publish(FLIGHT_EVENTS.STATUS_CHANGED, { flight: document, data: statusChanged })
+    document.status.current = 'Departed'
+    await eventBus.drain()
+
+    const delivered = handler.mock.calls[0][0].flight
+    expect(delivered).not.toBeInstanceOf(Flight)
+    expect(delivered._id).toEqual(document._id)
+    expect(delivered.status.current).toBe('Boarding')
+  })
+
+  it('should serialize events without the flight document', async () => {
+    const event = await eventBus.publish(FLIGHT_EVENTS.CANCELLED, { flight, data: { previousStatus: 'Scheduled' } })
+
+    const serialized = FlightEventBus.serialize(event)
+
+    expect(serialized.flight).toEqual(expect.objectContaining({
+      flightNumber: 'GA402',
+      airline: 'GA',
+      origin: 'CGK',
+      destination: 'DPS'
+    }))
+    expect(serialized.flight).not.toHaveProperty('_id')
+  })
+
+  it('should write every event to the audit log', async () => {
+    registerAuditLogSubscriber(eventBus, mockLogger)
+
+    await eventBus.publish(FLIGHT_EVENTS.STATUS_CHANGED, { flight, actor: 'ops', data: statusChanged })
+    await eventBus.drain()
+
+    expect(mockLogger.info).toHaveBeenCalledWith('Flight event', expect.objectContaining({
+      audit: true,
+      eventType: FLIGHT_EVENTS.STATUS_CHANGED,
+      flightNumber: 'GA402',
+      actor: 'ops'
+    }))
+  })
+})
@@ -0,0 +1,99 @@
+const FlightEventBus = require('../../src/events/FlightEventBus')
+const { FLIGHT_EVENTS } = require('../../src/events/FlightEventBus')
+const {
+  roomsForFlight,
+  registerSocketBroadcaster
+} = require('../../src/events/socketBroadcaster')
+
+describe('Socket broadcaster', () => {
+  let eventBus
+  let io
+  let emit
+  let mockLogger
+
+  const flight = {
+    _id: '64b000000000000000000001',
+    flightNumber: 'GA402',
+    airline: { code: 'GA' },
+    route: {
+      origin: { airport: 'CGK', gate: 'A1', terminal: '3' },
+      destination: { airport: 'DPS' }
+    },
+    status: { current: 'Delayed' },
+    schedule: { departure: { scheduled: new Date('2025-07-10T08:00:00Z') }, arrival: {} },
+    delay: { minutes: 40 }
+  }
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+    emit = jest.fn()
+    io = { to: jest.fn(() => ({ emit })) }
+    eventBus = new FlightEventBus(mockLogger)
+  })
+
+  it('should derive flight, airport board and airline rooms', () => {
+    expect(roomsForFlight(flight)).toEqual([
+      'flight-GA402',
+      'airport-CGK',
+      'airport-CGK-departures',
+      'airport-DPS',
+      'airport-DPS-arrivals',
+      'airline-GA'
+    ])
+  })
+
+  it('should add the arrivals board of the diversion airport', () => {
+    const diverted = { ...flight, diversion: { airport: 'SUB' } }
+
+    expect(roomsForFlight(diverted)).toEqual(expect.arrayContaining([
+      'airport-DPS-arrivals',
+      'airport-SUB',
+      'airport-SUB-arrivals'
+    ]))
+  })
+
+  it('should add a room for each codeshare flight number', () => {
+    const codeshare = {
+      ...flight,
+      codeshare: { partners: [{ airline: 'KL', flightNumber: 'KL3902' }, { airline: 'DL', flightNumber: 'DL7012' }] }
+    }
+
+    expect(roomsForFlight(codeshare).slice(0, 3)).toEqual(['flight-GA402', 'flight-KL3902', 'flight-DL7012'])
+  })
+
+  it('should broadcast every event type to all matching rooms at once', async () => {
+    registerSocketBroadcaster(eventBus, io, mockLogger)
+
+    await eventBus.publish(FLIGHT_EVENTS.DELAYED, {
+      flight,
+      data: { delayMinutes: 40, previousDelayMinutes: 0 }
+    })
+    await eventBus.drain()
+
+    expect(io.to).toHaveBeenCalledWith(roomsForFlight(flight))
+    expect(emit).toHaveBeenCalledWith(
+      FLIGHT_EVENTS.DELAYED,
+      expect.objectContaining({
+        type: FLIGHT_EVENTS.DELAYED,
+        flightNumber: 'GA402',
+        data: { delayMinutes: 40, previousDelayMinutes: 0 },
+        flight: expect.objectContaining({ origin: 'CGK', departureGate: 'A1', delayMinutes: 40 })
+      })
+    )
+  })
+
+  it('should stop broadcasting once unregistered', async () => {
+    const unregister = registerSocketBroadcaster(eventBus, io, mockLogger)
+    unregister()
+
+    await eventBus.publish(FLIGHT_EVENTS.CREATED, { flight, data: { status: 'Scheduled' } })
+    await eventBus.drain()
+
+    expect(emit).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,318 @@
+const EventEmitter = require('events')
+const FlightEventBus = require('../../src/events/FlightEventBus')
+const { FLIGHT_EVENTS } = require('../../src/events/FlightEventBus')
+const { NOTIFICATION_EVENTS } = require('../../src/services/NotificationService')
+const { FlightAuthenticationError, FlightNotFoundError } = require('../../src/errors/FlightErrors')
+const {
+  extractSocketToken,
+  registerPublicNamespace,
+  registerOpsNamespace,
+  registerOpsBroadcaster
+} = require('../../src/events/socketNamespaces')
+
+const createNamespace = () => {
+  const namespace = new EventEmitter()
+  namespace.middleware = []
+  namespace.use = (fn) => namespace.middleware.push(fn)
+  return namespace
+}
+
+const createSocket = (handshake = {}) => {
+  const socket = new EventEmitter()
+  socket.id = 'socket-1'
+  socket.rooms = new Set([socket.id])
+  socket.data = {}
+  socket.handshake = { address: '127.0.0.1', headers: {}, ...handshake }
+  socket.join = (room) => socket.rooms.add(room)
+  socket.leave = (room) => socket.rooms.delete(room)
+  socket.disconnect = jest.fn()
+  socket.send = jest.fn()
+
+  // Events emitted to the client are recorded instead of dispatched locally
+  socket.emit = (event, ...args) => socket.send(event, ...args)
+  socket.receive = (event, ...args) => Promise.all(socket.listeners(event).map(listener => listener(...args)))
+
+  return socket
+}
+
+describe('Socket.IO namespaces', () => {
+  let mockLogger
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+  })
+
+  describe('Public namespace', () => {
+    let socket
+
+    const connect = (options = {}) => {
+      const namespace = createNamespace()
+      registerPublicNamespace(namespace, {
+        maxRoomsPerSocket: 3,
+        joinRateLimit: { windowMs: 60000, maxJoins: 10 },
+        ...options
+      }, mockLogger)
+
+      socket = createSocket()
+      namespace.emit('connection', socket)
+    }
+
+    beforeEach(() => connect())
+
+    it('should join valid flight, airport and airline rooms and acknowledge them', async () => {
+      const ack = jest.fn()
+
+      await socket.receive('subscribe-flight', 'ga402', ack)
+      await socket.receive('subscribe-airport', { airport: 'cgk', board: 'departures' })
+      await socket.receive('subscribe-airline', 'GA')
+
+      expect(ack).toHaveBeenCalledWith({ success: true, room: 'flight-GA402' })
+      expect([...socket.rooms]).toEqual(['socket-1', 'flight-GA402', 'airport-CGK-departures', 'airline-GA'])
+    })
+
+    it('should reject invalid payloads with a subscription-error', async () => {
+      const ack = jest.fn()
+
+      await socket.receive('subscribe-airport', { airport: 'CGK', board: 'cargo' }, ack)
+      await socket.receive('subscribe-flight', { $ne: null })
+
+      expect(socket.rooms.size).toBe(1)
+      expect(ack).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        code: 'FLIGHT_VALIDATION_ERROR',
+        field: 'board'
+      }))
+      expect(socket.send).toHaveBeenCalledWith('subscription-error', expect.objectContaining({
+        event: 'subscribe-flight',
+        code: 'FLIGHT_VALIDATION_ERROR'
+      }))
+    })
+
+    it('should cap the number of rooms per connection', async () => {
+      const ack = jest.fn()
+
+      for (const flight of ['GA402', 'GA403', 'GA404']) {
+        await socket.receive('subscribe-flight', flight)
+      }
+      await socket.receive('subscribe-flight', 'GA405', ack)
+
+      expect(socket.rooms.has('flight-GA405')).toBe(false)
+      expect(ack).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        code: 'FLIGHT_RATE_LIMIT_ERROR'
+      }))
+    })
+
+    it('should not count rejoining a room against the cap', async () => {
+      const ack = jest.fn()
+
+      for (const flight of ['GA402', 'GA403', 'GA404']) {
+        await socket.receive('subscribe-flight', flight)
+      }
+      await socket.receive('subscribe-flight', 'GA402', ack)
+
+      expect(ack).toHaveBeenCalledWith({ success: true, room: 'flight-GA402' })
+    })
+
+    it('should rate limit joins within the window', async () => {
+      connect({ maxRoomsPerSocket: 50, joinRateLimit: { windowMs: 60000, maxJoins: 2 } })
+      const ack = jest.fn()
+
+      await socket.receive('subscribe-flight', 'GA402')
+      await socket.receive('unsubscribe-flight', 'GA402')
+      await socket.receive('subscribe-flight', 'GA403')
+      await socket.receive('subscribe-flight', 'GA402', ack)
+
+      const reply = ack.mock.calls[0][0]
+      expect(reply).toMatchObject({ success: false, code: 'FLIGHT_RATE_LIMIT_ERROR' })
+      expect(reply.retryAfter).toBeGreaterThan(0)
+    })
+
+    it('should leave rooms on unsubscribe', async () => {
+      await socket.receive('subscribe-airport', 'CGK')
+      await socket.receive('unsubscribe-airport', 'CGK')
+
+      expect(socket.rooms.has('airport-CGK')).toBe(false)
+    })
+
+    describe('replay with sinceSeq', () => {
+      const event = (seq, type = FLIGHT_EVENTS.GATE_CHANGED) => ({ seq, type, flightNumber: 'GA402' })
+      let replayEvents
+
+      beforeEach(() => {
+        replayEvents = jest.fn()
+        connect({ replayEvents })
+      })
+
+      it('should replay missed events before joining the live room', async () => {
+        const ack = jest.fn()
+        replayEvents.mockImplementationOnce(async () => {
+          expect(socket.rooms.has('flight-GA402')).toBe(false)
+          return { events: [event(4), event(5, FLIGHT_EVENTS.DELAYED)], latestSeq: 5, complete: true, hasMore: false }
+        })
+        replayEvents.mockResolvedValueOnce({ events: [event(6)], latestSeq: 6, complete: true, hasMore: false })
+
+        await socket.receive('subscribe-flight', { flightNumber: 'ga402', sinceSeq: 3 }, ack)
+
+        expect(replayEvents).toHaveBeenNthCalledWith(1, 'GA402', 3, null)
+        expect(replayEvents).toHaveBeenNthCalledWith(2, 'GA402', 5, null)
+        expect(socket.send.mock.calls.map(([name, payload]) => [name, payload.seq, payload.replayed])).toEqual([
+          [FLIGHT_EVENTS.GATE_CHANGED, 4, true],
+          [FLIGHT_EVENTS.DELAYED, 5, true],
+          [FLIGHT_EVENTS.GATE_CHANGED, 6, true],
+          ['replay-complete', undefined, 3]
+        ])
+        expect(socket.rooms.has('flight-GA402')).toBe(true)
+        expect(ack).toHaveBeenCalledWith({
+          success: true,
+          room: 'flight-GA402',
+          replay: { flightNumber: 'GA402', sinceSeq: 3, latestSeq: 6, replayed: 3, complete: true }
+        })
+      })
+
+      it('should report incomplete replays so the client reloads the flight', async () => {
+        replayEvents.mockResolvedValue({ events: [event(9)], latestSeq: 9, complete: false, hasMore: false })
+
+        await socket.receive('subscribe-flight', { flightNumber: 'GA402', sinceSeq: 2 })
+
+        expect(socket.send).toHaveBeenCalledWith('replay-complete', expect.objectContaining({ complete: false }))
+      })
+
+      it('should replay the instance of the requested date', async () => {
+        replayEvents.mockResolvedValue({ events: [], latestSeq: 2, complete: true, hasMore: false })
+
+        await socket.receive('subscribe-flight', { flightNumber: 'GA402', sinceSeq: 2, date: '2026-10-19' })
+
+        expect(replayEvents).toHaveBeenCalledWith('GA402', 2, '2026-10-19')
+      })
+
+      it('should reject a malformed replay date without joining', async () => {
+        const ack = jest.fn()
+
+        await socket.receive('subscribe-flight', { flightNumber: 'GA402', sinceSeq: 2, date: '19/10/2026' }, ack)
+
+        expect(replayEvents).not.toHaveBeenCalled()
+        expect(socket.rooms.has('flight-GA402')).toBe(false)
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: false, field: 'date' }))
+      })
+
+      it('should reject an invalid sinceSeq without joining', async () => {
+        const ack = jest.fn()
+
+        await socket.receive('subscribe-flight', { flightNumber: 'GA402', sinceSeq: -1 }, ack)
+
+        expect(replayEvents).not.toHaveBeenCalled()
+        expect(socket.rooms.has('flight-GA402')).toBe(false)
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: false, field: 'sinceSeq' }))
+      })
+
+      it('should not join when the flight cannot be replayed', async () => {
+        replayEvents.mockRejectedValue(new FlightNotFoundError('GA402'))
+
+        await socket.receive('subscribe-flight', { flightNumber: 'GA402', sinceSeq: 0 })
+
+        expect(socket.rooms.has('flight-GA402')).toBe(false)
+        expect(socket.send).toHaveBeenCalledWith('subscription-error', expect.objectContaining({
+          code: 'FLIGHT_NOT_FOUND'
+        }))
+      })
+    })
+  })
+
+  describe('Ops namespace', () => {
+    let namespace
+    let authService
+    let admin
+
+    const runMiddleware = async (socket) => {
+      const next = jest.fn()
+      await namespace.middleware[0](socket, next)
+      return next
+    }
+
+    beforeEach(() => {
+      namespace = createNamespace()
+      admin = { _id: 'admin-1', username: 'ops-lead', role: 'operator' }
+      authService = { authenticate: jest.fn() }
+      registerOpsNamespace(namespace, authService, mockLogger)
+    })
+
+    it('should read the token from handshake auth or the Authorization header', () => {
+      expect(extractSocketToken({ auth: { token: 'abc' }, headers: {} })).toBe('abc')
+      expect(extractSocketToken({ auth: {}, headers: { authorization: 'Bearer xyz' } })).toBe('xyz')
+      expect(extractSocketToken({ auth: {}, headers: {} })).toBeNull()
+    })
+
+    it('should reject connections without a token', async () => {
+      const next = await runMiddleware(createSocket({ auth: {} }))
+
+      const error = next.mock.calls[0][0]
+      expect(error.message).toBe('Authentication token is required')
+      expect(error.data).toEqual({ code: 'FLIGHT_AUTHENTICATION_ERROR', reason: 'MISSING_TOKEN' })
+      expect(authService.authenticate).not.toHaveBeenCalled()
+    })
+
+    it('should reject tokens the auth service does not accept', async () => {
+      authService.authenticate.mockRejectedValue(
+        new FlightAuthenticationError('Invalid or expired access token', 'INVALID_TOKEN')
+      )
+
+      const next = await runMiddleware(createSocket({ auth: { token: 'bad' } }))
+
+      expect(next.mock.calls[0][0].data.reason).toBe('INVALID_TOKEN')
+    })
+
+    it('should attach the admin and disconnect when the token expires', async () => {
+      jest.useFakeTimers()
+      try {
+        authService.authenticate.mockResolvedValue({
+          admin,
+          payload: { exp: Math.floor(Date.now() / 1000) + 60 }
+        })
+        const socket = createSocket({ auth: { token: 'good' } })
+
+        const next = await runMiddleware(socket)
+        expect(next).toHaveBeenCalledWith()
+        expect(socket.data.admin).toEqual({ id: 'admin-1', username: 'ops-lead', role: 'operator' })
+
+        namespace.emit('connection', socket)
+        jest.advanceTimersByTime(61 * 1000)
+
+        expect(socket.send).toHaveBeenCalledWith('session-expired', expect.any(Object))
+        expect(socket.disconnect).toHaveBeenCalledWith(true)
+      } finally {
+        jest.useRealTimers()
+      }
+    })
+  })
+
+  describe('Ops broadcaster', () => {
+    it('should forward flight events and notification failures to ops clients', async () => {
+      const eventBus = new FlightEventBus(mockLogger)
+      const notificationService = new EventEmitter()
+      const namespace = { emit: jest.fn() }
+
+      const unregister = registerOpsBroadcaster(namespace, { eventBus, notificationService })
+
+      await eventBus.publish(FLIGHT_EVENTS.CANCELLED, {
+        flight: { flightNumber: 'GA402', route: { origin: { airport: 'CGK' }, destination: { airport: 'DPS' } } },
+        actor: 'ops-lead',
+        data: { previousStatus: 'Scheduled' }
+      })
+      await eventBus.drain()
+      notificationService.emit(NOTIFICATION_EVENTS.DELIVERY_FAILED, { notificationId: 'n1', willRetry: true })
+
+      expect(namespace.emit).toHaveBeenCalledWith(FLIGHT_EVENTS.CANCELLED, expect.objectContaining({ actor: 'ops-lead' }))
+      expect(namespace.emit).toHaveBeenCalledWith(NOTIFICATION_EVENTS.DELIVERY_FAILED, { notificationId: 'n1', willRetry: true })
+
+      unregister()
+      notificationService.emit(NOTIFICATION_EVENTS.DELIVERY_FAILED, { notificationId: 'n2' })
+      expect(namespace.emit).toHaveBeenCalledTimes(2)
+    })
+  })
+})
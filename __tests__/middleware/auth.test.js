@@ -0,0 +1,151 @@
+const {
+  FlightAuthenticationError,
+  FlightAuthorizationError
+} = require('../../src/errors/FlightErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  }
+}))
+
+describe('Auth Middleware', () => {
+  let authService
+  let protect, requirePermission, requirePermissionIf, requireRole
+
+  const buildAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => permissions.includes(permission) || role === 'admin'
+  })
+
+  const buildRequest = (headers = {}, extra = {}) => ({
+    get: (name) => headers[name],
+    body: {},
+    ...extra
+  })
+
+  beforeAll(() => {
+    authService = require('../../src/services').authService
+    ;({ protect, requirePermission, requirePermissionIf, requireRole } = require('../../src/middleware/auth'))
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('protect', () => {
+    it('should attach the authenticated admin to the request', async () => {
+      const admin = buildAdmin('operator', ['read'])
+      authService.authenticate.mockResolvedValue({ admin, payload: { sid: 'session-1' } })
+
+      const req = buildRequest({ Authorization: 'Bearer token-123' })
+      const next = jest.fn()
+
+      await protect(req, {}, next)
+
+      expect(authService.authenticate).toHaveBeenCalledWith('token-123')
+      expect(req.admin).toBe(admin)
+      expect(req.auth).toEqual({ sid: 'session-1' })
+      expect(next).toHaveBeenCalledWith()
+    })
+
+    it('should reject requests without a bearer token', async () => {
+      const next = jest.fn()
+
+      await protect(buildRequest({ Authorization: 'Basic abc' }), {}, next)
+
+      expect(next).toHaveBeenCalledWith(expect.any(FlightAuthenticationError))
+      expect(authService.authenticate).not.toHaveBeenCalled()
+    })
+
+    it('should forward token verification failures', async () => {
+      authService.authenticate.mockRejectedValue(
+        new FlightAuthenticationError('Session has been revoked', 'SESSION_REVOKED')
+      )
+      const next = jest.fn()
+
+      await protect(buildRequest({ Authorization: 'Bearer revoked' }), {}, next)
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ reason: 'SESSION_REVOKED' }))
+    })
+  })
+
+  describe('requirePermission', () => {
+    it('should allow admins with every permission implicitly', () => {
+      const next = jest.fn()
+
+      requirePermission('manage_flights', 'send_notifications')(
+        buildRequest({}, { admin: buildAdmin('admin') }),
+        {},
+        next
+      )
+
+      expect(next).toHaveBeenCalledWith()
+    })
+
+    it('should populate requiredRole and userRole on denial', () => {
+      const next = jest.fn()
+
+      requirePermission('send_notifications')(
+        buildRequest({}, { admin: buildAdmin('operator', ['read', 'write']) }),
+        {},
+        next
+      )
+
+      const error = next.mock.calls[0][0]
+      expect(error).toBeInstanceOf(FlightAuthorizationError)
+      expect(error.statusCode).toBe(403)
+      expect(error.requiredRole).toBe('send_notifications')
+      expect(error.userRole).toBe('operator')
+      expect(error.details.missingPermissions).toEqual(['send_notifications'])
+    })
+
+    it('should require authentication first', () => {
+      const next = jest.fn()
+
+      requirePermission('read')(buildRequest(), {}, next)
+
+      expect(next).toHaveBeenCalledWith(expect.any(FlightAuthenticationError))
+    })
+  })
+
+  describe('requirePermissionIf', () => {
+    let cancelOnly
+
+    beforeAll(() => {
+      cancelOnly = requirePermissionIf(req => req.body.status === 'Cancelled', 'manage_flights')
+    })
+
+    it('should skip the check when the condition does not match', () => {
+      const next = jest.fn()
+      const req = buildRequest({}, { admin: buildAdmin('operator', ['write']), body: { status: 'Boarding' } })
+
+      cancelOnly(req, {}, next)
+
+      expect(next).toHaveBeenCalledWith()
+    })
+
+    it('should enforce the permission when the condition matches', () => {
+      const next = jest.fn()
+      const req = buildRequest({}, { admin: buildAdmin('operator', ['write']), body: { status: 'Cancelled' } })
+
+      cancelOnly(req, {}, next)
+
+      expect(next).toHaveBeenCalledWith(expect.any(FlightAuthorizationError))
+    })
+  })
+
+  describe('requireRole', () => {
+    it('should reject roles outside the allowed list', () => {
+      const next = jest.fn()
+
+      requireRole('admin')(buildRequest({}, { admin: buildAdmin('moderator') }), {}, next)
+
+      const error = next.mock.calls[0][0]
+      expect(error.requiredRole).toBe('admin')
+      expect(error.userRole).toBe('moderator')
+    })
+  })
+})
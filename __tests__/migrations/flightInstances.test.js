@@ -0,0 +1,107 @@
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const Flight = require('../../src/models/Flight')
+const Subscription = require('../../src/models/Subscription')
+const migrateFlightInstances = require('../../src/migrations/flightInstances')
+
+describe('Flight instance migration', () => {
+  let mongoServer
+  let mockLogger
+
+  // Shaped like documents written before flight instances existed
+  const legacyFlight = (flightNumber, scheduled) => ({
+    flightNumber,
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    aircraft: { type: 'Boeing 737-800' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia' },
+      destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia' },
+      timezone: { origin: 'Asia/Jakarta' }
+    },
+    schedule: {
+      departure: { scheduled: new Date(scheduled) },
+      arrival: { scheduled: new Date(new Date(scheduled).getTime() + 2 * 60 * 60 * 1000) }
+    },
+    status: { current: 'Scheduled' },
+    isActive: true
+  })
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await mongoose.connection.db.dropDatabase()
+    await Flight.collection.createIndex({ flightNumber: 1 }, { unique: true })
+    await Flight.collection.insertMany([
+      legacyFlight('GA402', '2026-10-18T20:00:00Z'),
+      legacyFlight('GA404', '2026-10-19T03:00:00Z')
+    ])
+    await Subscription.collection.insertOne({
+      email: 'passenger@example.com',
+      flightNumber: 'GA402',
+      flightDate: new Date('2026-10-19T00:00:00Z'),
+      flight: null
+    })
+
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn()
+    }
+  })
+
+  it('should replace the unique flightNumber index with the instance index', async () => {
+    const result = await migrateFlightInstances({ logger: mockLogger })
+
+    expect(result.droppedIndexes).toEqual(['flightNumber_1'])
+
+    const indexes = await Flight.collection.indexes()
+    expect(indexes.find(index => index.name === 'flightNumber_1').unique).toBeUndefined()
+    expect(indexes.find(index => index.name === 'flightNumber_1_flightDate_1_operationalSuffix_1').unique).toBe(true)
+  })
+
+  it('should backfill flightDate from the local departure date', async () => {
+    const result = await migrateFlightInstances({ logger: mockLogger })
+
+    expect(result.flightsUpdated).toBe(2)
+
+    const flight = await Flight.findOne({ flightNumber: 'GA402' }).lean()
+    expect(flight.flightDate).toBe('2026-10-19')
+    expect(flight.operationalSuffix).toBe('')
+  })
+
+  it('should link subscriptions to the instance of their date', async () => {
+    const result = await migrateFlightInstances({ logger: mockLogger })
+
+    expect(result.subscriptionsLinked).toBe(1)
+
+    const [flight, subscription] = await Promise.all([
+      Flight.findOne({ flightNumber: 'GA402' }).lean(),
+      Subscription.findOne({ flightNumber: 'GA402' }).lean()
+    ])
+    expect(subscription.flight).toEqual(flight._id)
+  })
+
+  it('should be safe to run again', async () => {
+    await migrateFlightInstances({ logger: mockLogger })
+
+    const result = await migrateFlightInstances({ logger: mockLogger })
+
+    expect(result).toEqual({ droppedIndexes: [], flightsUpdated: 0, subscriptionsLinked: 0 })
+  })
+
+  it('should allow a second instance of a flight number afterwards', async () => {
+    await migrateFlightInstances({ logger: mockLogger })
+
+    const flight = await Flight.create(legacyFlight('GA402', '2026-10-20T01:00:00Z'))
+
+    expect(flight.flightDate).toBe('2026-10-20')
+  })
+})
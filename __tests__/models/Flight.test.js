@@ -246,6 +246,19 @@ describe('Flight Model', () => {
       
       expect(flight.estimatedDuration).toBe(195) // 3h 15m = 195 minutes
     })
+
+    it('should calculate taxi times from wheels-off and wheels-on', () => {
+      expect(flight.taxiOutDuration).toBeNull()
+
+      flight.schedule.departure.actual = new Date('2025-07-10T08:05:00Z')
+      flight.schedule.departure.wheelsOff = new Date('2025-07-10T08:22:00Z')
+      flight.schedule.arrival.wheelsOn = new Date('2025-07-10T10:52:00Z')
+      flight.schedule.arrival.actual = new Date('2025-07-10T11:00:00Z')
+
+      expect(flight.taxiOutDuration).toBe(17)
+      expect(flight.taxiInDuration).toBe(8)
+      expect(flight.actualDuration).toBe(175)
+    })
   })
 
   describe('Instance Methods', () => {
@@ -318,6 +331,15 @@ describe('Flight Model', () => {
         expect(flight.schedule.arrival.actual).toBeInstanceOf(Date)
       })
 
+      it('should record the delay with the history entry', async () => {
+        await flight.addDelay(20, '64')
+        await flight.updateStatus(FLIGHT_STATUSES.DELAYED, null, 'Ops', {}, { delay: { minutes: 35 } })
+
+        expect(flight.status.history[0].delay.minutes).toBe(35)
+        expect(flight.status.history[0].delay.reason).toBe(DELAY_REASONS.CREW)
+        expect(flight.status.history[0].delay.segments[0].code).toBe('64')
+      })
+
       it('should reject invalid status', async () => {
         await expect(flight.updateStatus('INVALID_STATUS')).rejects.toThrow(/Invalid status/)
       })
@@ -353,6 +375,21 @@ describe('Flight Model', () => {
         expect(flight.schedule.departure.estimated.getTime()).toBe(originalDeparture.getTime() + (45 * 60000))
         expect(flight.schedule.arrival.estimated.getTime()).toBe(originalArrival.getTime() + (45 * 60000))
       })
+
+      it('should keep a breakdown of IATA coded delays', async () => {
+        await flight.addDelay(15, '41', 'Hydraulic leak', 'Maintenance')
+        await flight.addDelay(30, '93A', 'Late inbound aircraft')
+        await flight.addDelay(10, 'WO')
+
+        expect(flight.delay.minutes).toBe(55)
+        expect(flight.delay.reason).toBe(DELAY_REASONS.AIRCRAFT)
+        expect(flight.delay.segments.map(({ code, subCode, minutes, reason }) => ({ code, subCode, minutes, reason }))).toEqual([
+          { code: '41', subCode: null, minutes: 15, reason: DELAY_REASONS.TECHNICAL },
+          { code: '93', subCode: 'A', minutes: 30, reason: DELAY_REASONS.AIRCRAFT },
+          { code: '71', subCode: null, minutes: 10, reason: DELAY_REASONS.WEATHER }
+        ])
+        expect(flight.delay.segments[0].recordedBy).toBe('Maintenance')
+      })
     })
   })
 
@@ -464,11 +501,116 @@ describe('Flight Model', () => {
     })
   })
 
+  describe('Flight Instances', () => {
+    const instanceData = (scheduled, overrides = {}) => ({
+      flightNumber: 'GA402',
+      airline: { code: 'GA', name: 'Garuda Indonesia' },
+      aircraft: { type: 'Boeing 737-800' },
+      route: {
+        origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia' },
+        destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia' },
+        timezone: { origin: 'Asia/Jakarta', destination: 'Asia/Makassar' }
+      },
+      schedule: {
+        departure: { scheduled: new Date(scheduled) },
+        arrival: { scheduled: new Date(new Date(scheduled).getTime() + 2 * 60 * 60 * 1000) }
+      },
+      ...overrides
+    })
+
+    beforeEach(async () => {
+      await Flight.syncIndexes()
+    })
+
+    it('should derive flightDate from the local departure date at the origin', async () => {
+      // 20:00 UTC on the 18th is 03:00 on the 19th in Jakarta
+      const flight = await Flight.create(instanceData('2026-10-18T20:00:00Z'))
+
+      expect(flight.flightDate).toBe('2026-10-19')
+      expect(flight.operationalSuffix).toBe('')
+    })
+
+    it('should allow the same flight number on different dates', async () => {
+      await Flight.create(instanceData('2026-10-19T01:00:00Z'))
+      await Flight.create(instanceData('2026-10-20T01:00:00Z'))
+
+      expect(await Flight.countDocuments({ flightNumber: 'GA402' })).toBe(2)
+    })
+
+    it('should allow a second operation on the same date with a suffix', async () => {
+      await Flight.create(instanceData('2026-10-19T01:00:00Z'))
+      const rerun = await Flight.create(instanceData('2026-10-19T09:00:00Z', { operationalSuffix: 'D' }))
+
+      expect(rerun.operationalSuffix).toBe('D')
+    })
+
+    it('should reject a duplicate instance', async () => {
+      await Flight.create(instanceData('2026-10-19T01:00:00Z'))
+
+      await expect(Flight.create(instanceData('2026-10-19T05:00:00Z'))).rejects.toMatchObject({ code: 11000 })
+    })
+
+    describe('findInstance()', () => {
+      beforeEach(async () => {
+        await Flight.create(instanceData('2026-10-18T01:00:00Z'))
+        await Flight.create(instanceData('2026-10-19T01:00:00Z'))
+        await Flight.create(instanceData('2026-10-20T01:00:00Z'))
+      })
+
+      it('should find the instance of a given date', async () => {
+        const flight = await Flight.findInstance('ga402', { date: '2026-10-20' })
+
+        expect(flight.flightDate).toBe('2026-10-20')
+      })
+
+      it('should return null when nothing operates on that date', async () => {
+        await expect(Flight.findInstance('GA402', { date: '2026-10-25' })).resolves.toBeNull()
+      })
+
+      it('should pick the instance closest to now without a date', async () => {
+        const flight = await Flight.findInstance('GA402', { now: new Date('2026-10-19T06:00:00Z') })
+
+        expect(flight.flightDate).toBe('2026-10-19')
+      })
+
+      it('should resolve a codeshare number to the operating flight', async () => {
+        await Flight.updateMany({}, { 'codeshare.partners': [{ airline: 'KL', flightNumber: 'KL3902' }] })
+
+        const flight = await Flight.findInstance('kl3902', { date: '2026-10-19' })
+
+        expect(flight.flightNumber).toBe('GA402')
+        expect(flight.flightDate).toBe('2026-10-19')
+        expect(Flight.flightNumbersFor(flight)).toEqual(['GA402', 'KL3902'])
+      })
+
+      it('should prefer a flight operating under the number over a codeshare', async () => {
+        await Flight.updateMany({}, { 'codeshare.partners': [{ airline: 'KL', flightNumber: 'KL3902' }] })
+        await Flight.create(instanceData('2026-10-19T08:00:00Z', {
+          flightNumber: 'KL3902',
+          airline: { code: 'KL', name: 'KLM' }
+        }))
+
+        const flight = await Flight.findInstance('KL3902', { date: '2026-10-19' })
+
+        expect(flight.flightNumber).toBe('KL3902')
+      })
+    })
+
+    it('should format dates in the given time zone', () => {
+      expect(Flight.toFlightDate(new Date('2026-10-18T20:00:00Z'), 'Asia/Jakarta')).toBe('2026-10-19')
+      expect(Flight.toFlightDate(new Date('2026-10-18T20:00:00Z'))).toBe('2026-10-18')
+      expect(Flight.toFlightDate(new Date('2026-10-18T20:00:00Z'), 'Not/AZone')).toBe('2026-10-18')
+      expect(Flight.toFlightDate('not a date')).toBeNull()
+    })
+  })
+
   describe('Indexes', () => {
     it('should have proper indexes for performance', async () => {
       const indexes = await Flight.collection.getIndexes()
       
       expect(indexes).toHaveProperty('flightNumber_1')
+      expect(indexes).toHaveProperty('flightNumber_1_flightDate_1_operationalSuffix_1')
+      expect(indexes).toHaveProperty('codeshare.partners.flightNumber_1')
       expect(indexes).toHaveProperty('airline.code_1')
       expect(indexes).toHaveProperty('route.origin.airport_1_route.destination.airport_1')
       expect(indexes).toHaveProperty('schedule.departure.scheduled_1')
@@ -0,0 +1,131 @@
+const ScheduleTemplate = require('../../src/models/ScheduleTemplate')
+const { seasonPeriod, dayOfWeek } = require('../../src/models/ScheduleTemplate')
+const { fromLocalTime } = require('../../src/models/Flight')
+
+describe('ScheduleTemplate Model', () => {
+  const buildTemplate = (overrides = {}) => new ScheduleTemplate({
+    flightNumber: 'GA402',
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', terminal: '3', timezone: 'Asia/Jakarta' },
+      destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia', timezone: 'Asia/Makassar' }
+    },
+    daysOfWeek: [1, 3, 5],
+    season: 'W26',
+    departureTime: '07:30',
+    arrivalTime: '10:25',
+    aircraftType: 'Boeing 737-800',
+    ...overrides
+  })
+
+  describe('IATA seasons', () => {
+    it('should run summer from the last Sunday of March to the Saturday before the last Sunday of October', () => {
+      expect(seasonPeriod('S26')).toEqual({ from: '2026-03-29', to: '2026-10-24' })
+    })
+
+    it('should run winter into the following year', () => {
+      expect(seasonPeriod('W26')).toEqual({ from: '2026-10-25', to: '2027-03-27' })
+    })
+
+    it('should reject unknown season codes', () => {
+      expect(seasonPeriod('X26')).toBeNull()
+      expect(seasonPeriod(undefined)).toBeNull()
+    })
+
+    it('should number days of week the IATA way', () => {
+      expect(dayOfWeek('2026-10-19')).toBe(1)
+      expect(dayOfWeek('2026-10-25')).toBe(7)
+    })
+  })
+
+  describe('Validation', () => {
+    it('should accept a valid template', async () => {
+      await expect(buildTemplate().validate()).resolves.toBeUndefined()
+    })
+
+    it.each([
+      ['days outside 1-7', { daysOfWeek: [0, 3] }, 'daysOfWeek'],
+      ['repeated days', { daysOfWeek: [3, 3] }, 'daysOfWeek'],
+      ['no days', { daysOfWeek: [] }, 'daysOfWeek'],
+      ['a malformed local time', { departureTime: '7:30' }, 'departureTime'],
+      ['an unknown time zone', { route: { origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Nowhere' }, destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia', timezone: 'Asia/Makassar' } } }, 'route.origin.timezone'],
+      ['a period outside the season', { validFrom: '2027-04-01' }, 'validFrom'],
+      ['validTo before validFrom', { validFrom: '2026-12-01', validTo: '2026-11-01' }, 'validTo']
+    ])('should reject %s', async (_, overrides, path) => {
+      const error = await buildTemplate(overrides).validate().catch(validationError => validationError)
+
+      expect(error.errors).toHaveProperty([path])
+    })
+  })
+
+  describe('operatesOn()', () => {
+    it('should operate on listed days inside the season', () => {
+      const template = buildTemplate()
+
+      expect(template.operatesOn('2026-10-26')).toBe(true) // Monday
+      expect(template.operatesOn('2026-10-27')).toBe(false) // Tuesday
+      expect(template.operatesOn('2026-10-19')).toBe(false) // Monday, summer season
+    })
+
+    it('should respect a narrower validity period', () => {
+      const template = buildTemplate({ validFrom: '2026-11-01', validTo: '2026-11-30' })
+
+      expect(template.period).toEqual({ from: '2026-11-01', to: '2026-11-30' })
+      expect(template.operatesOn('2026-10-26')).toBe(false)
+      expect(template.operatesOn('2026-11-02')).toBe(true)
+    })
+  })
+
+  describe('buildInstance()', () => {
+    it('should convert local airport times to instants', () => {
+      const instance = buildTemplate().buildInstance('2026-10-26')
+
+      expect(instance).toMatchObject({
+        flightNumber: 'GA402',
+        flightDate: '2026-10-26',
+        operationalSuffix: '',
+        aircraft: { type: 'Boeing 737-800' },
+        route: { timezone: { origin: 'Asia/Jakarta', destination: 'Asia/Makassar' } }
+      })
+      expect(instance.schedule.departure.scheduled.toISOString()).toBe('2026-10-26T00:30:00.000Z')
+      expect(instance.schedule.arrival.scheduled.toISOString()).toBe('2026-10-26T02:25:00.000Z')
+    })
+
+    it('should place the arrival arrivalDayOffset days later', () => {
+      const instance = buildTemplate({ departureTime: '23:50', arrivalTime: '02:45', arrivalDayOffset: 1 })
+        .buildInstance('2026-10-26')
+
+      expect(instance.schedule.arrival.scheduled.toISOString()).toBe('2026-10-26T18:45:00.000Z')
+    })
+
+    it('should follow daylight saving changes at the origin', () => {
+      const template = buildTemplate({
+        route: {
+          origin: { airport: 'LHR', city: 'London', country: 'United Kingdom', timezone: 'Europe/London' },
+          destination: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Jakarta' }
+        },
+        daysOfWeek: [1, 2, 3, 4, 5, 6, 7],
+        season: 'S26',
+        departureTime: '21:00',
+        arrivalTime: '17:00',
+        arrivalDayOffset: 1
+      })
+
+      expect(template.buildInstance('2026-03-28').schedule.departure.scheduled.toISOString()).toBe('2026-03-28T21:00:00.000Z')
+      expect(template.buildInstance('2026-03-29').schedule.departure.scheduled.toISOString()).toBe('2026-03-29T20:00:00.000Z')
+    })
+  })
+
+  it('should overlap only when periods and days intersect', () => {
+    const mondays = buildTemplate({ daysOfWeek: [1] })
+
+    expect(mondays.overlaps(buildTemplate({ daysOfWeek: [1, 2] }))).toBe(true)
+    expect(mondays.overlaps(buildTemplate({ daysOfWeek: [2] }))).toBe(false)
+    expect(mondays.overlaps(buildTemplate({ daysOfWeek: [1], season: 'S26' }))).toBe(false)
+  })
+
+  it('should convert wall-clock times in a zone to instants', () => {
+    expect(fromLocalTime('2026-10-19', '07:30', 'Asia/Jakarta').toISOString()).toBe('2026-10-19T00:30:00.000Z')
+    expect(fromLocalTime('2026-10-19', '07:30', 'Not/AZone').toISOString()).toBe('2026-10-19T07:30:00.000Z')
+  })
+})
@@ -0,0 +1,38 @@
+const StatusTransitionPolicy = require('../../src/models/StatusTransitionPolicy')
+const { DEFAULT_STATUS_TRANSITIONS } = require('../../src/models/StatusTransitionPolicy')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+
+describe('StatusTransitionPolicy Model', () => {
+  const buildPolicy = (transitions) => new StatusTransitionPolicy({ airline: 'ga', transitions })
+
+  it('should replace only the statuses the policy lists', () => {
+    const policy = buildPolicy({
+      [FLIGHT_STATUSES.BOARDING]: [FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.CANCELLED]
+    })
+
+    const transitions = policy.effectiveTransitions()
+
+    expect(policy.airline).toBe('GA')
+    expect(transitions[FLIGHT_STATUSES.BOARDING]).toEqual([FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.CANCELLED])
+    expect(transitions[FLIGHT_STATUSES.DEPARTED]).toEqual(DEFAULT_STATUS_TRANSITIONS[FLIGHT_STATUSES.DEPARTED])
+  })
+
+  it('should not share arrays with the defaults', () => {
+    const transitions = buildPolicy({}).effectiveTransitions()
+    transitions[FLIGHT_STATUSES.SCHEDULED].push(FLIGHT_STATUSES.ARRIVED)
+
+    expect(DEFAULT_STATUS_TRANSITIONS[FLIGHT_STATUSES.SCHEDULED]).not.toContain(FLIGHT_STATUSES.ARRIVED)
+  })
+
+  it('should reject unknown statuses and transitions to the same status', () => {
+    expect(buildPolicy({ Landed: [FLIGHT_STATUSES.ARRIVED] }).validateSync().errors.transitions).toBeDefined()
+    expect(buildPolicy({ [FLIGHT_STATUSES.DELAYED]: ['Landed'] }).validateSync().errors.transitions).toBeDefined()
+    expect(buildPolicy({ [FLIGHT_STATUSES.DELAYED]: [FLIGHT_STATUSES.DELAYED] }).validateSync().errors.transitions).toBeDefined()
+  })
+
+  it('should accept a return to gate', () => {
+    const policy = buildPolicy({ [FLIGHT_STATUSES.DEPARTED]: [FLIGHT_STATUSES.IN_AIR, FLIGHT_STATUSES.DIVERTED, FLIGHT_STATUSES.SCHEDULED] })
+
+    expect(policy.validateSync()).toBeUndefined()
+  })
+})
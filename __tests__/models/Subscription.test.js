@@ -591,6 +591,21 @@ describe('Subscription Model', () => {
       })
     })
 
+    describe('findActiveByFlightInstance()', () => {
+      it('should only return verified, active subscriptions for the flight', async () => {
+        const flight = {
+          _id: new mongoose.Types.ObjectId(),
+          flightNumber: 'AA100',
+          flightDate: '2025-07-10'
+        }
+
+        const subscriptions = await Subscription.findActiveByFlightInstance(flight)
+
+        expect(subscriptions.map(sub => sub.email)).toEqual(['user1@example.com'])
+        expect(subscriptions[0].status).toBe(SUBSCRIPTION_STATUS.ACTIVE)
+      })
+    })
+
     describe('findByEmail()', () => {
       it('should find active subscriptions by email', async () => {
         const subscriptions = await Subscription.findByEmail('user1@example.com')
@@ -641,6 +656,21 @@ describe('Subscription Model', () => {
         
         expect(subscriptions.every(sub => sub.verification.isVerified === true)).toBe(true)
       })
+
+      it('should include subscriptions for every number of a codeshare flight', async () => {
+        await Subscription.insertMany([{
+          email: 'codeshare@example.com',
+          flightNumber: 'BA1511',
+          flightDate: new Date('2025-07-10'),
+          verification: { isVerified: true },
+          status: SUBSCRIPTION_STATUS.ACTIVE,
+          gdprCompliance: { consentGiven: true, dataProcessingConsent: true }
+        }])
+
+        const subscriptions = await Subscription.findForNotification(['AA100', 'BA1511'], new Date('2025-07-10'), NOTIFICATION_TYPES.DELAYS)
+
+        expect(subscriptions.map(sub => sub.flightNumber).sort()).toEqual(['AA100', 'BA1511'])
+      })
     })
   })
 
@@ -681,7 +711,8 @@ describe('Subscription Model', () => {
 
     it('should have correct default advance notification times', () => {
       expect(subscription.notificationPreferences.boarding_calls.advanceMinutes).toBe(30)
-      expect(subscription.notificationPreferences.departure_alerts.advanceMinutes).toBe(60)
+      // Departure reminders fall back to the passenger profile / NOTIFICATION_ADVANCE_TIME
+      expect(subscription.notificationPreferences.departure_alerts.advanceMinutes).toBeUndefined()
     })
   })
 
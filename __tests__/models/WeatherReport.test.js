@@ -0,0 +1,40 @@
+const WeatherReport = require('../../src/models/WeatherReport')
+
+describe('WeatherReport Model', () => {
+  const observation = {
+    type: 'METAR',
+    issuedAt: new Date('2026-10-26T00:30:00Z'),
+    raw: 'METAR WIII 260030Z 27005KT 9999 FEW020 30/24 Q1009'
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should validate station and airport codes', () => {
+    expect(new WeatherReport({ station: 'wiii', airport: 'cgk', observation }).validateSync()).toBeUndefined()
+    expect(new WeatherReport({ station: 'WII' }).validateSync().errors.station).toBeDefined()
+    expect(new WeatherReport({ station: 'WIII', airport: 'WIII' }).validateSync().errors.airport).toBeDefined()
+  })
+
+  it('should only replace an older report of the same kind', async () => {
+    jest.spyOn(WeatherReport, 'findOneAndUpdate').mockResolvedValue({ station: 'WIII' })
+
+    await WeatherReport.recordLatest('WIII', 'CGK', 'observation', observation)
+
+    expect(WeatherReport.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        station: 'WIII',
+        $or: [{ observation: null }, { 'observation.issuedAt': { $lt: observation.issuedAt } }]
+      },
+      { $set: { observation, airport: 'CGK' } },
+      expect.objectContaining({ upsert: true })
+    )
+  })
+
+  it('should resolve to null when a newer report is stored', async () => {
+    jest.spyOn(WeatherReport, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+
+    expect(await WeatherReport.recordLatest('WIII', null, 'forecast', observation)).toBeNull()
+  })
+})
@@ -0,0 +1,59 @@
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const FileWeatherProvider = require('../../src/providers/FileWeatherProvider')
+const { createWeatherProvider, HttpWeatherProvider } = require('../../src/providers')
+const { FlightExternalAPIError } = require('../../src/errors/FlightErrors')
+
+describe('FileWeatherProvider', () => {
+  let directory
+  let file
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'weather-feed-'))
+    file = path.join(directory, 'metar.txt')
+  })
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  it('should read the feed on every fetch', async () => {
+    const provider = new FileWeatherProvider({ file })
+
+    await fs.writeFile(file, 'WIII 260030Z 27005KT 9999 FEW020 30/24 Q1009=')
+    expect(await provider.fetchReports(['WIII'])).toBe('WIII 260030Z 27005KT 9999 FEW020 30/24 Q1009=')
+
+    await fs.writeFile(file, 'WIII 260100Z 28006KT 9999 SCT020 30/24 Q1009=')
+    expect(await provider.fetchReports(['WIII'])).toContain('260100Z')
+  })
+
+  it('should report a missing feed as a provider error', async () => {
+    const error = await new FileWeatherProvider({ file }).fetchReports([]).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(FlightExternalAPIError)
+    expect(error.details.file).toBe(file)
+  })
+
+  describe('createWeatherProvider', () => {
+    const config = (weather) => ({ apis: { weather } })
+
+    it('should prefer the file feed when one is configured', () => {
+      const provider = createWeatherProvider(config({ url: 'https://aviationweather.gov/api/data', feedFile: file }))
+
+      expect(provider).toBeInstanceOf(FileWeatherProvider)
+      expect(provider.options.file).toBe(file)
+    })
+
+    it('should use the HTTP provider when a URL is configured', () => {
+      const provider = createWeatherProvider(config({ url: 'https://aviationweather.gov/api/data', retryAttempts: 5 }))
+
+      expect(provider).toBeInstanceOf(HttpWeatherProvider)
+      expect(provider.options).toMatchObject({ url: 'https://aviationweather.gov/api/data', retryAttempts: 5 })
+    })
+
+    it('should return null when no provider is configured', () => {
+      expect(createWeatherProvider(config({}))).toBeNull()
+    })
+  })
+})
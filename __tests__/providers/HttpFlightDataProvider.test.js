@@ -0,0 +1,142 @@
+const http = require('http')
+const HttpFlightDataProvider = require('../../src/providers/HttpFlightDataProvider')
+const { FlightExternalAPIError } = require('../../src/errors/FlightErrors')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+
+describe('HttpFlightDataProvider', () => {
+  let server
+  let baseUrl
+  let responses
+  let requests
+  let mockLogger
+
+  const window = {
+    from: new Date('2026-10-26T00:00:00Z'),
+    to: new Date('2026-10-26T12:00:00Z')
+  }
+
+  const flight = {
+    flightNumber: 'ga402',
+    flightDate: '2026-10-26',
+    status: FLIGHT_STATUSES.DELAYED,
+    departure: { scheduled: '2026-10-26T00:30:00Z', estimated: '2026-10-26T01:10:00Z', gate: 'D4' },
+    arrival: { scheduled: '2026-10-26T02:25:00Z' },
+    delay: { minutes: 40 }
+  }
+
+  const createProvider = (options = {}) => new HttpFlightDataProvider({
+    url: baseUrl,
+    key: 'secret',
+    retryAttempts: 2,
+    retryDelayMs: 1,
+    timeout: 200,
+    ...options
+  }, mockLogger)
+
+  beforeAll((done) => {
+    server = http.createServer((request, response) => {
+      requests.push(request)
+      const next = responses.shift() || { status: 200, body: [] }
+      if (next.hang) return
+
+      response.writeHead(next.status, { 'Content-Type': 'application/json' })
+      response.end(typeof next.body === 'string' ? next.body : JSON.stringify(next.body))
+    })
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`
+      done()
+    })
+  })
+
+  afterAll((done) => {
+    server.closeAllConnections()
+    server.close(done)
+  })
+
+  beforeEach(() => {
+    responses = []
+    requests = []
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+  })
+
+  it('should request the window and normalize the flights', async () => {
+    responses.push({ status: 200, body: { flights: [flight] } })
+
+    const flights = await createProvider().fetchFlights({ ...window, airlines: ['GA', 'QZ'] })
+
+    const url = new URL(requests[0].url, baseUrl)
+    expect(url.pathname).toBe('/v1/flights')
+    expect(url.searchParams.get('from')).toBe('2026-10-26T00:00:00.000Z')
+    expect(url.searchParams.get('airline')).toBe('GA,QZ')
+    expect(requests[0].headers['x-api-key']).toBe('secret')
+    expect(flights).toHaveLength(1)
+    expect(flights[0]).toMatchObject({
+      flightNumber: 'GA402',
+      status: FLIGHT_STATUSES.DELAYED,
+      departure: { estimated: new Date('2026-10-26T01:10:00Z'), gate: 'D4', actual: null },
+      delay: { minutes: 40, reason: null }
+    })
+  })
+
+  it('should skip unusable records', async () => {
+    responses.push({ status: 200, body: [flight, { ...flight, status: 'Teleported' }, { flightNumber: 'GA1' }] })
+
+    const flights = await createProvider().fetchFlights(window)
+
+    expect(flights).toHaveLength(1)
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unusable provider flight', expect.objectContaining({
+      invalid: ['status']
+    }))
+  })
+
+  it('should retry server errors with backoff', async () => {
+    responses.push({ status: 503, body: {} }, { status: 500, body: {} }, { status: 200, body: [flight] })
+
+    const flights = await createProvider().fetchFlights(window)
+
+    expect(requests).toHaveLength(3)
+    expect(flights).toHaveLength(1)
+    expect(mockLogger.warn).toHaveBeenCalledWith('Retrying flight data provider request', expect.objectContaining({
+      attempt: 2,
+      delayMs: 2
+    }))
+  })
+
+  it('should give up after the retry attempts', async () => {
+    responses.push({ status: 429, body: {} }, { status: 429, body: {} }, { status: 429, body: {} })
+
+    const error = await createProvider().fetchFlights(window).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(FlightExternalAPIError)
+    expect(error.apiStatus).toBe(429)
+    expect(error.details.attempts).toBe(3)
+    expect(requests).toHaveLength(3)
+  })
+
+  it('should not retry client errors', async () => {
+    responses.push({ status: 401, body: {} })
+
+    await expect(createProvider().fetchFlights(window)).rejects.toThrow('Flight data provider request failed: HTTP 401')
+    expect(requests).toHaveLength(1)
+  })
+
+  it('should time out and retry hanging requests', async () => {
+    responses.push({ hang: true }, { status: 200, body: [] })
+
+    const flights = await createProvider({ timeout: 50 }).fetchFlights(window)
+
+    expect(flights).toEqual([])
+    expect(requests).toHaveLength(2)
+  })
+
+  it('should reject a response without a flight list', async () => {
+    responses.push({ status: 200, body: { data: [] } })
+
+    await expect(createProvider().fetchFlights(window)).rejects.toThrow('Flight data provider returned no flight list')
+  })
+})
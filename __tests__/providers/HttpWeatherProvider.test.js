@@ -0,0 +1,90 @@
+const http = require('http')
+const HttpWeatherProvider = require('../../src/providers/HttpWeatherProvider')
+const { FlightExternalAPIError } = require('../../src/errors/FlightErrors')
+
+describe('HttpWeatherProvider', () => {
+  let server
+  let baseUrl
+  let responses
+  let requests
+  let mockLogger
+
+  const metar = 'METAR WIII 260030Z 27005KT 9999 FEW020 30/24 Q1009'
+  const taf = 'TAF WIII 260500Z 2606/2712 09010KT 9999 SCT020'
+
+  const createProvider = (options = {}) => new HttpWeatherProvider({
+    url: baseUrl,
+    key: 'secret',
+    retryAttempts: 2,
+    retryDelayMs: 1,
+    timeout: 200,
+    ...options
+  }, mockLogger)
+
+  beforeAll((done) => {
+    server = http.createServer((request, response) => {
+      requests.push(request)
+      const next = responses.shift() || { status: 200, body: '' }
+
+      response.writeHead(next.status, { 'Content-Type': 'text/plain' })
+      response.end(next.body)
+    })
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/data`
+      done()
+    })
+  })
+
+  afterAll((done) => {
+    server.closeAllConnections()
+    server.close(done)
+  })
+
+  beforeEach(() => {
+    responses = []
+    requests = []
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+  })
+
+  it('should request the METARs and TAFs of the stations as raw text', async () => {
+    responses.push({ status: 200, body: metar }, { status: 200, body: taf })
+
+    const text = await createProvider().fetchReports(['WIII', 'WADD'])
+
+    const urls = requests.map(request => new URL(request.url, baseUrl))
+    expect(urls.map(url => url.pathname)).toEqual(['/api/data/metar', '/api/data/taf'])
+    expect(urls[0].searchParams.get('ids')).toBe('WIII,WADD')
+    expect(urls[0].searchParams.get('format')).toBe('raw')
+    expect(requests[0].headers['x-api-key']).toBe('secret')
+    expect(text).toBe(`${metar}\n${taf}`)
+  })
+
+  it('should not call the API without stations', async () => {
+    expect(await createProvider().fetchReports([])).toBe('')
+    expect(requests).toHaveLength(0)
+  })
+
+  it('should retry server errors with backoff', async () => {
+    responses.push({ status: 502, body: '' }, { status: 200, body: metar })
+
+    const text = await createProvider({ resources: ['metar'] }).fetchReports(['WIII'])
+
+    expect(text).toBe(metar)
+    expect(mockLogger.warn).toHaveBeenCalledWith('Retrying weather provider request', expect.objectContaining({ attempt: 1 }))
+  })
+
+  it('should not retry client errors', async () => {
+    responses.push({ status: 403, body: 'Forbidden' })
+
+    const error = await createProvider().fetchReports(['WIII']).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(FlightExternalAPIError)
+    expect(error.message).toBe('Weather provider request failed: HTTP 403')
+    expect(requests).toHaveLength(1)
+  })
+})
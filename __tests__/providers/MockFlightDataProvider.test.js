@@ -0,0 +1,108 @@
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const MockFlightDataProvider = require('../../src/providers/MockFlightDataProvider')
+const { createFlightDataProvider, HttpFlightDataProvider } = require('../../src/providers')
+const { FlightExternalAPIError } = require('../../src/errors/FlightErrors')
+
+describe('MockFlightDataProvider', () => {
+  let directory
+  let file
+  let mockLogger
+
+  const baseTime = new Date('2026-10-26T10:00:00Z')
+  const window = {
+    from: new Date('2026-10-26T06:00:00Z'),
+    to: new Date('2026-10-26T22:00:00Z')
+  }
+
+  const writeFlights = (flights) => fs.writeFile(file, JSON.stringify({ flights }))
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-flights-'))
+    file = path.join(directory, 'flights.json')
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+  })
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  it('should resolve relative times from the base time', async () => {
+    await writeFlights([{
+      flightNumber: 'GA402',
+      departure: { scheduled: '+1h30m', actual: '-15m' },
+      arrival: { scheduled: '+3h' }
+    }])
+    const provider = new MockFlightDataProvider({ file, baseTime }, mockLogger)
+
+    const [flight] = await provider.fetchFlights(window)
+
+    expect(flight.departure.scheduled).toEqual(new Date('2026-10-26T11:30:00Z'))
+    expect(flight.departure.actual).toEqual(new Date('2026-10-26T09:45:00Z'))
+    expect(flight.arrival.scheduled).toEqual(new Date('2026-10-26T13:00:00Z'))
+  })
+
+  it('should filter by airline and departure window', async () => {
+    await writeFlights([
+      { flightNumber: 'GA402', departure: { scheduled: '+1h' } },
+      { flightNumber: 'QZ7510', departure: { scheduled: '+1h' } },
+      { flightNumber: 'GA404', departure: { scheduled: '2026-10-27T08:00:00Z' } }
+    ])
+    const provider = new MockFlightDataProvider({ file, baseTime }, mockLogger)
+
+    const flights = await provider.fetchFlights({ ...window, airlines: ['GA'] })
+
+    expect(flights.map(flight => flight.flightNumber)).toEqual(['GA402'])
+  })
+
+  it('should re-read the file on every fetch', async () => {
+    const provider = new MockFlightDataProvider({ file, baseTime }, mockLogger)
+    await writeFlights([{ flightNumber: 'GA402', status: 'Scheduled', departure: { scheduled: '+1h' } }])
+    await provider.fetchFlights(window)
+
+    await writeFlights([{ flightNumber: 'GA402', status: 'Boarding', departure: { scheduled: '+1h' } }])
+    const [flight] = await provider.fetchFlights(window)
+
+    expect(flight.status).toBe('Boarding')
+  })
+
+  it('should report a missing or invalid file as an external API error', async () => {
+    const provider = new MockFlightDataProvider({ file, baseTime }, mockLogger)
+
+    await expect(provider.fetchFlights(window)).rejects.toThrow(FlightExternalAPIError)
+
+    await fs.writeFile(file, '{ not json')
+    await expect(provider.fetchFlights(window)).rejects.toThrow('Cannot read mock flight data')
+  })
+
+  describe('createFlightDataProvider', () => {
+    const config = (flight, useMock = false) => ({
+      apis: { flight },
+      development: { useMocks: { flightAPI: useMock } }
+    })
+
+    it('should prefer the mock provider when mocks are enabled', () => {
+      const provider = createFlightDataProvider(config({ url: 'https://api.example.com', mockFile: file }, true), mockLogger)
+
+      expect(provider).toBeInstanceOf(MockFlightDataProvider)
+      expect(provider.options.file).toBe(file)
+    })
+
+    it('should use the HTTP provider when a URL is configured', () => {
+      const provider = createFlightDataProvider(config({ url: 'https://api.example.com', key: 'secret', retryAttempts: 5 }), mockLogger)
+
+      expect(provider).toBeInstanceOf(HttpFlightDataProvider)
+      expect(provider.options).toMatchObject({ url: 'https://api.example.com', key: 'secret', retryAttempts: 5 })
+    })
+
+    it('should return null when no provider is configured', () => {
+      expect(createFlightDataProvider(config({}), mockLogger)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,155 @@
+const request = require('supertest')
+const { FlightValidationError } = require('../../src/errors/FlightErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  performanceService: {
+    getOnTimePerformance: jest.fn()
+  }
+}))
+
+describe('Analytics API', () => {
+  let app
+  let performanceService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const metrics = {
+    flights: 10,
+    departed: 9,
+    arrived: 8,
+    cancelled: 1,
+    diverted: 1,
+    d0Rate: 0.556,
+    d15Rate: 0.889,
+    a15Rate: 0.75,
+    averageDepartureDelayMinutes: 10,
+    averageArrivalDelayMinutes: 15,
+    cancellationRate: 0.1,
+    diversionRate: 0.1
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    performanceService = require('../../src/services').performanceService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', ['read']),
+      payload: { id: 'operator-1', sid: 'session-1' }
+    })
+  })
+
+  it('should return on-time performance per route', async () => {
+    performanceService.getOnTimePerformance.mockResolvedValue({
+      from: '2026-10-01',
+      to: '2026-10-31',
+      groupBy: 'route',
+      interval: 'week',
+      totals: metrics,
+      rows: [{ route: 'CGK-DPS', period: '2026-09-28', ...metrics }],
+      totalCount: 1
+    })
+
+    const response = await request(app)
+      .get('/api/analytics/on-time/routes?from=2026-10-01&to=2026-10-31&interval=week&airline=ga')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(performanceService.getOnTimePerformance).toHaveBeenCalledWith({
+      groupBy: 'route',
+      interval: 'week',
+      from: '2026-10-01',
+      to: '2026-10-31',
+      airline: 'GA',
+      origin: undefined,
+      destination: undefined
+    })
+    expect(response.headers['x-total-count']).toBe('1')
+    expect(response.body.data.rows[0].d15Rate).toBe(0.889)
+  })
+
+  it('should export the rows as CSV', async () => {
+    performanceService.getOnTimePerformance.mockResolvedValue({
+      from: '2026-10-01',
+      to: '2026-10-31',
+      groupBy: 'delayReason',
+      interval: 'total',
+      totals: metrics,
+      rows: [{ delayReason: 'Air Traffic Control', ...metrics }],
+      totalCount: 1
+    })
+
+    const response = await request(app)
+      .get('/api/analytics/on-time/delay-reasons?format=csv')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(performanceService.getOnTimePerformance).toHaveBeenCalledWith(expect.objectContaining({
+      groupBy: 'delayReason',
+      from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      to: new Date().toISOString().slice(0, 10)
+    }))
+    expect(response.headers['content-type']).toMatch(/^text\/csv/)
+    expect(response.headers['content-disposition']).toBe('attachment; filename="on-time-delay-reasons-2026-10-01-2026-10-31.csv"')
+    expect(response.text.split('\r\n')).toEqual([
+      'delayReason,flights,departed,arrived,cancelled,diverted,d0_rate,d15_rate,a15_rate,avg_departure_delay_minutes,avg_arrival_delay_minutes,cancellation_rate,diversion_rate',
+      'Air Traffic Control,10,9,8,1,1,0.556,0.889,0.75,10,15,0.1,0.1',
+      ''
+    ])
+  })
+
+  it('should reject unknown reports and malformed filters', async () => {
+    await request(app)
+      .get('/api/analytics/on-time/aircraft')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+
+    await request(app)
+      .get('/api/analytics/on-time/airlines?interval=month&format=xml')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+
+    expect(performanceService.getOnTimePerformance).not.toHaveBeenCalled()
+  })
+
+  it('should map service validation errors to 400', async () => {
+    performanceService.getOnTimePerformance.mockRejectedValue(
+      new FlightValidationError('Date range cannot exceed 366 days', 'to', '2027-10-31')
+    )
+
+    await request(app)
+      .get('/api/analytics/on-time/origins?from=2026-01-01&to=2027-10-31')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+  })
+
+  it('should require authentication and read permission', async () => {
+    await request(app)
+      .get('/api/analytics/on-time/airlines')
+      .expect(401)
+
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', []),
+      payload: { id: 'operator-2', sid: 'session-2' }
+    })
+
+    await request(app)
+      .get('/api/analytics/on-time/airlines')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(403)
+  })
+})
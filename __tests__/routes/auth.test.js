@@ -0,0 +1,169 @@
+const request = require('supertest')
+const { FlightAuthenticationError } = require('../../src/errors/FlightErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    login: jest.fn(),
+    refresh: jest.fn(),
+    logout: jest.fn(),
+    verifyAccessToken: jest.fn()
+  },
+  flightService: {},
+  notificationService: {}
+}))
+
+describe('Auth API', () => {
+  let app
+  let authService
+
+  const tokenPair = {
+    accessToken: 'access-token',
+    refreshToken: 'refresh-token',
+    tokenType: 'Bearer',
+    expiresIn: '7d',
+    refreshExpiresIn: '30d',
+    sessionId: 'session-1',
+    refreshTokenId: 'internal-jti',
+    admin: { username: 'opsadmin', role: 'operator' }
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('POST /api/auth/login', () => {
+    it('should return a token pair without internal identifiers', async () => {
+      authService.login.mockResolvedValue(tokenPair)
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'opsadmin', password: 'secret-password' })
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.accessToken).toBe('access-token')
+      expect(response.body.data.refreshToken).toBe('refresh-token')
+      expect(response.body.data).not.toHaveProperty('refreshTokenId')
+      expect(authService.login).toHaveBeenCalledWith(
+        'opsadmin',
+        'secret-password',
+        expect.objectContaining({ ip: expect.any(String) })
+      )
+    })
+
+    it('should require an identifier', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ password: 'secret-password' })
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(authService.login).not.toHaveBeenCalled()
+    })
+
+    it('should map authentication failures to 401', async () => {
+      authService.login.mockRejectedValue(
+        new FlightAuthenticationError('Invalid credentials', 'INVALID_CREDENTIALS')
+      )
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ops@edifly.co.id', password: 'wrong' })
+        .expect(401)
+
+      expect(response.body.code).toBe('FLIGHT_AUTHENTICATION_ERROR')
+      expect(response.body.details.reason).toBe('INVALID_CREDENTIALS')
+    })
+  })
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate tokens', async () => {
+      authService.refresh.mockResolvedValue({ ...tokenPair, refreshToken: 'rotated-token' })
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-token' })
+        .expect(200)
+
+      expect(response.body.data.refreshToken).toBe('rotated-token')
+    })
+
+    it('should require a refresh token', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400)
+    })
+
+    it('should report a reused refresh token', async () => {
+      authService.refresh.mockRejectedValue(
+        new FlightAuthenticationError('Refresh token has already been used; session revoked', 'REFRESH_TOKEN_REUSE')
+      )
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-token' })
+        .expect(401)
+
+      expect(response.body.code).toBe('FLIGHT_AUTHENTICATION_ERROR')
+      expect(response.body.details.reason).toBe('REFRESH_TOKEN_REUSE')
+    })
+  })
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the session identified by the refresh token', async () => {
+      authService.logout.mockResolvedValue({ revokedTokens: 1, allSessions: false })
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: 'refresh-token' })
+        .expect(200)
+
+      expect(authService.logout).toHaveBeenCalledWith(
+        expect.objectContaining({ refreshToken: 'refresh-token' })
+      )
+    })
+
+    it('should fall back to the bearer access token session', async () => {
+      authService.verifyAccessToken.mockResolvedValue({ id: 'admin-1', sid: 'session-1' })
+      authService.logout.mockResolvedValue({ revokedTokens: 1, allSessions: false })
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', 'Bearer access-token')
+        .send({})
+        .expect(200)
+
+      expect(authService.logout).toHaveBeenCalledWith(
+        expect.objectContaining({ sessionId: 'session-1', adminId: 'admin-1' })
+      )
+    })
+
+    it('should tell an expired access token from a revoked session', async () => {
+      authService.verifyAccessToken
+        .mockRejectedValueOnce(new FlightAuthenticationError('Access token expired', 'TOKEN_EXPIRED'))
+        .mockRejectedValueOnce(new FlightAuthenticationError('Session has been revoked', 'SESSION_REVOKED'))
+
+      const expired = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', 'Bearer access-token')
+        .send({})
+        .expect(401)
+
+      const revoked = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', 'Bearer access-token')
+        .send({})
+        .expect(401)
+
+      expect(expired.body.details.reason).toBe('TOKEN_EXPIRED')
+      expect(revoked.body.details.reason).toBe('SESSION_REVOKED')
+      expect(authService.logout).not.toHaveBeenCalled()
+    })
+  })
+})
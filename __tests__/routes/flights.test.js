@@ -0,0 +1,502 @@
+const request = require('supertest')
+const {
+  FlightNotFoundError,
+  FlightStatusError,
+  FlightConflictError
+} = require('../../src/errors/FlightErrors')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {
+    getFlights: jest.fn(),
+    getUpcomingFlights: jest.fn(),
+    searchFlights: jest.fn(),
+    getFlightByNumber: jest.fn(),
+    getFlightHistory: jest.fn(),
+    createFlight: jest.fn(),
+    updateFlightStatus: jest.fn(),
+    divertFlight: jest.fn(),
+    createDiversionContinuation: jest.fn()
+  },
+  notificationService: {}
+}))
+
+describe('Flights API', () => {
+  let app
+  let flightService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const formattedFlight = {
+    id: '64b000000000000000000001',
+    flightNumber: 'GA402',
+    flightDate: '2026-10-19',
+    operationalSuffix: '',
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    route: { routeString: 'CGK-DPS' },
+    status: { current: FLIGHT_STATUSES.SCHEDULED, history: [] }
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    flightService = require('../../src/services').flightService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('admin'),
+      payload: { id: 'admin-1', sid: 'session-1' }
+    })
+  })
+
+  describe('GET /api/flights', () => {
+    it('should return flights in the standard envelope', async () => {
+      flightService.getFlights.mockResolvedValue({
+        flights: [formattedFlight],
+        pagination: { page: 1, limit: 20, totalCount: 1, totalPages: 1 },
+        appliedFilters: {}
+      })
+
+      const response = await request(app)
+        .get('/api/flights')
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.flights).toHaveLength(1)
+      expect(response.body).toHaveProperty('timestamp')
+      expect(response.body).toHaveProperty('requestId')
+      expect(response.headers['x-total-count']).toBe('1')
+    })
+
+    it('should map query parameters to buildFlightQuery filters', async () => {
+      flightService.getFlights.mockResolvedValue({
+        flights: [],
+        pagination: { totalCount: 0 },
+        appliedFilters: {}
+      })
+
+      await request(app)
+        .get('/api/flights')
+        .query({
+          airline: 'ga',
+          origin: 'cgk',
+          status: 'Delayed,Boarding',
+          from: '2025-07-10T00:00:00Z',
+          page: '2',
+          limit: '10'
+        })
+        .expect(200)
+
+      expect(flightService.getFlights).toHaveBeenCalledWith(
+        expect.objectContaining({
+          airline: 'GA',
+          origin: 'CGK',
+          status: [FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING],
+          departureDateRange: { start: '2025-07-10T00:00:00Z' }
+        }),
+        expect.objectContaining({ page: 2, limit: 10 })
+      )
+    })
+
+    it('should reject invalid query parameters', async () => {
+      const response = await request(app)
+        .get('/api/flights')
+        .query({ status: 'Teleported', limit: '1000' })
+        .expect(400)
+
+      expect(response.body.success).toBe(false)
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(flightService.getFlights).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('GET /api/flights/:flightNumber', () => {
+    it('should return a single flight', async () => {
+      flightService.getFlightByNumber.mockResolvedValue(formattedFlight)
+
+      const response = await request(app)
+        .get('/api/flights/GA402')
+        .expect(200)
+
+      expect(response.body.data.flightNumber).toBe('GA402')
+      expect(flightService.getFlightByNumber).toHaveBeenCalledWith('GA402', false, { date: null, suffix: null })
+    })
+
+    it('should pass the requested instance date and suffix', async () => {
+      flightService.getFlightByNumber.mockResolvedValue(formattedFlight)
+
+      await request(app)
+        .get('/api/flights/GA402')
+        .query({ date: '2026-10-19', suffix: 'a' })
+        .expect(200)
+
+      expect(flightService.getFlightByNumber).toHaveBeenCalledWith('GA402', false, { date: '2026-10-19', suffix: 'A' })
+    })
+
+    it('should reject a malformed instance date', async () => {
+      await request(app)
+        .get('/api/flights/GA402')
+        .query({ date: '2026-02-30' })
+        .expect(400)
+
+      expect(flightService.getFlightByNumber).not.toHaveBeenCalled()
+    })
+
+    it('should map FlightNotFoundError to 404', async () => {
+      flightService.getFlightByNumber.mockRejectedValue(new FlightNotFoundError('GA999'))
+
+      const response = await request(app)
+        .get('/api/flights/GA999')
+        .expect(404)
+
+      expect(response.body).toMatchObject({
+        success: false,
+        error: 'Flight GA999 not found',
+        code: 'FLIGHT_NOT_FOUND'
+      })
+      expect(response.body).toHaveProperty('requestId')
+    })
+  })
+
+  describe('Collection routes', () => {
+    it('should not treat /upcoming as a flight number', async () => {
+      flightService.getUpcomingFlights.mockResolvedValue({ flights: [], count: 0 })
+
+      await request(app)
+        .get('/api/flights/upcoming')
+        .query({ hours: '6' })
+        .expect(200)
+
+      expect(flightService.getUpcomingFlights).toHaveBeenCalledWith(6, {})
+      expect(flightService.getFlightByNumber).not.toHaveBeenCalled()
+    })
+
+    it('should escape free text before searching', async () => {
+      flightService.searchFlights.mockResolvedValue({ flights: [], count: 0 })
+
+      await request(app)
+        .get('/api/flights/search')
+        .query({ q: 'GA(4', from: 'cgk' })
+        .expect(200)
+
+      expect(flightService.searchFlights).toHaveBeenCalledWith(
+        expect.objectContaining({
+          searchText: 'GA\\(4',
+          route: { from: 'CGK', to: undefined }
+        })
+      )
+    })
+
+    it('should return flight history', async () => {
+      flightService.getFlightHistory.mockResolvedValue({ flightNumber: 'GA402', history: [] })
+
+      const response = await request(app)
+        .get('/api/flights/GA402/history')
+        .expect(200)
+
+      expect(response.body.data.flightNumber).toBe('GA402')
+    })
+  })
+
+  describe('Mutations', () => {
+    it('should create a flight and return 201', async () => {
+      flightService.createFlight.mockResolvedValue(formattedFlight)
+
+      const response = await request(app)
+        .post('/api/flights')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          flightNumber: 'GA402',
+          airline: { code: 'GA', name: 'Garuda Indonesia' },
+          aircraft: { type: 'Boeing 737-800' },
+          route: { origin: { airport: 'CGK' }, destination: { airport: 'DPS' } },
+          schedule: {
+            departure: { scheduled: '2025-07-10T08:00:00Z' },
+            arrival: { scheduled: '2025-07-10T10:00:00Z' }
+          }
+        })
+        .expect(201)
+
+      expect(response.body.data.flightNumber).toBe('GA402')
+      expect(response.headers.location).toBe('/api/flights/GA402?date=2026-10-19')
+      expect(flightService.createFlight).toHaveBeenCalledWith(expect.any(Object), 'admin-user')
+    })
+
+    it('should map FlightConflictError to 409', async () => {
+      flightService.createFlight.mockRejectedValue(
+        new FlightConflictError('Flight GA402 already exists', 'DUPLICATE_FLIGHT_NUMBER')
+      )
+
+      const response = await request(app)
+        .post('/api/flights')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          flightNumber: 'GA402',
+          airline: {},
+          aircraft: {},
+          route: {},
+          schedule: {}
+        })
+        .expect(409)
+
+      expect(response.body.code).toBe('FLIGHT_CONFLICT_ERROR')
+    })
+
+    it('should map FlightStatusError to 400', async () => {
+      flightService.updateFlightStatus.mockRejectedValue(
+        new FlightStatusError('Invalid status transition from Arrived to Boarding', 'Arrived', 'Boarding')
+      )
+
+      const response = await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ status: FLIGHT_STATUSES.BOARDING })
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_STATUS_ERROR')
+    })
+
+    it('should pass IATA delay segments through to the service', async () => {
+      flightService.updateFlightStatus.mockResolvedValue(formattedFlight)
+
+      await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          status: FLIGHT_STATUSES.DELAYED,
+          delay: { segments: [{ code: '93', subCode: 'a', minutes: '25' }, { code: 'TD', minutes: 10 }] }
+        })
+        .expect(200)
+
+      expect(flightService.updateFlightStatus.mock.calls[0][1].delay.segments).toEqual([
+        { code: '93', subCode: 'A', minutes: 25 },
+        { code: 'TD', minutes: 10 }
+      ])
+    })
+
+    it('should reject unknown IATA delay codes', async () => {
+      const response = await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ delay: { segments: [{ code: '08', minutes: 10 }] } })
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Diversions', () => {
+    it('should divert a flight to the given airport', async () => {
+      flightService.divertFlight.mockResolvedValue({
+        ...formattedFlight,
+        status: { current: FLIGHT_STATUSES.DIVERTED, history: [] }
+      })
+
+      await request(app)
+        .post('/api/flights/GA402/divert?date=2026-10-19')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ airport: 'sub', reason: 'Volcanic ash at Denpasar', estimatedArrival: '2026-10-19T03:10:00Z' })
+        .expect(200)
+
+      expect(flightService.divertFlight).toHaveBeenCalledWith(
+        'GA402',
+        expect.objectContaining({ airport: 'SUB', reason: 'Volcanic ash at Denpasar' }),
+        'admin-user',
+        { date: '2026-10-19', suffix: null }
+      )
+    })
+
+    it('should reject a diversion without a valid airport', async () => {
+      await request(app)
+        .post('/api/flights/GA402/divert')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ airport: 'SURABAYA' })
+        .expect(400)
+
+      expect(flightService.divertFlight).not.toHaveBeenCalled()
+    })
+
+    it('should require manage_flights to divert a flight', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+
+      await request(app)
+        .post('/api/flights/GA402/divert')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ airport: 'SUB' })
+        .expect(403)
+
+      expect(flightService.divertFlight).not.toHaveBeenCalled()
+    })
+
+    it('should create the continuation leg and return 201', async () => {
+      flightService.createDiversionContinuation.mockResolvedValue({ ...formattedFlight, operationalSuffix: 'D' })
+
+      const response = await request(app)
+        .post('/api/flights/GA402/continuation?date=2026-10-19')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ departure: '2026-10-19T06:00:00Z', arrival: '2026-10-19T07:05:00Z' })
+        .expect(201)
+
+      expect(response.headers.location).toBe('/api/flights/GA402?date=2026-10-19&suffix=D')
+      expect(flightService.createDiversionContinuation).toHaveBeenCalledWith(
+        'GA402',
+        expect.objectContaining({ departure: '2026-10-19T06:00:00Z' }),
+        'admin-user',
+        { date: '2026-10-19', suffix: null }
+      )
+    })
+
+    it('should map a flight that was not diverted to 409', async () => {
+      flightService.createDiversionContinuation.mockRejectedValue(
+        new FlightConflictError('Flight GA402 on 2026-10-19 has not been diverted', 'NOT_DIVERTED')
+      )
+
+      await request(app)
+        .post('/api/flights/GA402/continuation')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ departure: '2026-10-19T06:00:00Z', arrival: '2026-10-19T07:05:00Z' })
+        .expect(409)
+    })
+  })
+
+  describe('Authorization', () => {
+    it('should reject mutations without a bearer token', async () => {
+      const response = await request(app)
+        .put('/api/flights/GA402/status')
+        .send({ status: FLIGHT_STATUSES.BOARDING })
+        .expect(401)
+
+      expect(response.body.code).toBe('FLIGHT_AUTHENTICATION_ERROR')
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should let operators with write permission update status', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+      flightService.updateFlightStatus.mockResolvedValue(formattedFlight)
+
+      await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ status: FLIGHT_STATUSES.BOARDING })
+        .expect(200)
+
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith(
+        'GA402',
+        expect.objectContaining({ status: FLIGHT_STATUSES.BOARDING }),
+        'operator-user',
+        { date: null, suffix: null }
+      )
+    })
+
+    it('should stop operators from cancelling flights without manage_flights', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+
+      const response = await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ status: FLIGHT_STATUSES.CANCELLED })
+        .expect(403)
+
+      expect(response.body.code).toBe('FLIGHT_AUTHORIZATION_ERROR')
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should require override_status to force a transition', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+
+      await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ status: FLIGHT_STATUSES.SCHEDULED, force: true, reason: 'Return to gate' })
+        .expect(403)
+
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it.each([1, '1', 'true'])('should not accept force %p in place of a boolean', async (force) => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+
+      const response = await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ status: FLIGHT_STATUSES.SCHEDULED, force, reason: 'Return to gate' })
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should force a transition with a reason', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('supervisor', ['read', 'write', 'override_status']),
+        payload: {}
+      })
+      flightService.updateFlightStatus.mockResolvedValue(formattedFlight)
+
+      await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer supervisor-token')
+        .send({ status: FLIGHT_STATUSES.SCHEDULED, force: true, reason: 'Return to gate' })
+        .expect(200)
+
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith(
+        'GA402',
+        expect.objectContaining({ status: FLIGHT_STATUSES.SCHEDULED, force: true, reason: 'Return to gate' }),
+        'supervisor-user',
+        { date: null, suffix: null }
+      )
+    })
+
+    it('should reject a forced transition without a reason', async () => {
+      await request(app)
+        .put('/api/flights/GA402/status')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ status: FLIGHT_STATUSES.SCHEDULED, force: true })
+        .expect(400)
+
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should require manage_flights to create flights', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('moderator', ['read', 'write']),
+        payload: {}
+      })
+
+      await request(app)
+        .post('/api/flights')
+        .set('Authorization', 'Bearer moderator-token')
+        .send({})
+        .expect(403)
+
+      expect(flightService.createFlight).not.toHaveBeenCalled()
+    })
+  })
+})
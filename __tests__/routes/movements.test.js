@@ -0,0 +1,139 @@
+const request = require('supertest')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  scheduleTemplateService: {},
+  movementMessageService: {
+    ingest: jest.fn(),
+    getRejectedMessages: jest.fn()
+  }
+}))
+
+describe('Movements API', () => {
+  let app
+  let movementMessageService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const message = 'MVT\nGA402/26.PKGQE.CGK\nAD0042/0051'
+
+  const result = {
+    received: 1,
+    accepted: [{ type: 'MVT', flightNumber: 'GA402', flightDate: '2026-10-26', status: 'In-Air' }],
+    rejected: []
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    movementMessageService = require('../../src/services').movementMessageService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', ['read', 'write']),
+      payload: { id: 'operator-1', sid: 'session-1' }
+    })
+  })
+
+  describe('POST /api/movements', () => {
+    it('should accept messages as plain text', async () => {
+      movementMessageService.ingest.mockResolvedValue(result)
+
+      const response = await request(app)
+        .post('/api/movements')
+        .set('Authorization', 'Bearer operator-token')
+        .set('Content-Type', 'text/plain')
+        .send(message)
+        .expect(200)
+
+      expect(response.body.data).toEqual(result)
+      expect(movementMessageService.ingest).toHaveBeenCalledWith(message, {
+        source: 'http',
+        receivedBy: 'operator-user'
+      })
+    })
+
+    it('should accept messages in a JSON body', async () => {
+      movementMessageService.ingest.mockResolvedValue(result)
+
+      await request(app)
+        .post('/api/movements')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ message })
+        .expect(200)
+
+      expect(movementMessageService.ingest).toHaveBeenCalledWith(message, expect.any(Object))
+    })
+
+    it('should reject an empty body', async () => {
+      await request(app)
+        .post('/api/movements')
+        .set('Authorization', 'Bearer operator-token')
+        .send({})
+        .expect(400)
+
+      expect(movementMessageService.ingest).not.toHaveBeenCalled()
+    })
+
+    it('should require write', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('viewer', ['read']),
+        payload: {}
+      })
+
+      await request(app)
+        .post('/api/movements')
+        .set('Authorization', 'Bearer viewer-token')
+        .send({ message })
+        .expect(403)
+    })
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/movements')
+        .send({ message })
+        .expect(401)
+    })
+  })
+
+  describe('GET /api/movements/rejected', () => {
+    it('should list rejected messages with the requested filters', async () => {
+      movementMessageService.getRejectedMessages.mockResolvedValue({
+        messages: [{ id: 'm1', flightNumber: 'GA404', code: 'FLIGHT_NOT_FOUND' }],
+        totalCount: 1
+      })
+
+      const response = await request(app)
+        .get('/api/movements/rejected?source=file&flightNumber=ga404&limit=10')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(200)
+
+      expect(response.headers['x-total-count']).toBe('1')
+      expect(movementMessageService.getRejectedMessages).toHaveBeenCalledWith({
+        source: 'file',
+        flightNumber: 'GA404',
+        since: undefined,
+        limit: 10
+      })
+    })
+
+    it('should reject an unknown source', async () => {
+      await request(app)
+        .get('/api/movements/rejected?source=telex')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(400)
+    })
+  })
+})
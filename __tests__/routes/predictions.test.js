@@ -0,0 +1,104 @@
+const request = require('supertest')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  etaPredictionService: {
+    getAccuracy: jest.fn()
+  }
+}))
+
+describe('Predictions API', () => {
+  let app
+  let etaPredictionService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const accuracy = {
+    from: '2026-10-01',
+    to: '2026-10-31',
+    overall: { count: 2, meanErrorMinutes: 1.5, meanAbsoluteErrorMinutes: 4.5, medianAbsoluteErrorMinutes: 5, withinBandRate: 1 },
+    byBasis: {},
+    routes: []
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    etaPredictionService = require('../../src/services').etaPredictionService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('admin'),
+      payload: { id: 'admin-1', sid: 'session-1' }
+    })
+  })
+
+  it('should return the prediction accuracy for the requested flights', async () => {
+    etaPredictionService.getAccuracy.mockResolvedValue(accuracy)
+
+    const response = await request(app)
+      .get('/api/predictions/accuracy?from=2026-10-01&to=2026-10-31&airline=ga&origin=cgk')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(etaPredictionService.getAccuracy).toHaveBeenCalledWith({
+      from: '2026-10-01',
+      to: '2026-10-31',
+      airline: 'GA',
+      origin: 'CGK',
+      destination: undefined
+    })
+    expect(response.body.data.overall.count).toBe(2)
+  })
+
+  it('should default to the last 30 days', async () => {
+    etaPredictionService.getAccuracy.mockResolvedValue(accuracy)
+
+    await request(app)
+      .get('/api/predictions/accuracy')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(etaPredictionService.getAccuracy).toHaveBeenCalledWith(expect.objectContaining({
+      from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      to: new Date().toISOString().slice(0, 10)
+    }))
+  })
+
+  it('should reject malformed filters', async () => {
+    await request(app)
+      .get('/api/predictions/accuracy?from=01-10-2026&destination=DENPASAR')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+
+    expect(etaPredictionService.getAccuracy).not.toHaveBeenCalled()
+  })
+
+  it('should be limited to admins', async () => {
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', ['read', 'write', 'manage_flights']),
+      payload: { id: 'operator-1', sid: 'session-1' }
+    })
+
+    await request(app)
+      .get('/api/predictions/accuracy')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(403)
+
+    await request(app)
+      .get('/api/predictions/accuracy')
+      .expect(401)
+  })
+})
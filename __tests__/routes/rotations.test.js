@@ -0,0 +1,101 @@
+const request = require('supertest')
+const { FlightValidationError } = require('../../src/errors/FlightErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  rotationService: {
+    getRotation: jest.fn()
+  }
+}))
+
+describe('Rotations API', () => {
+  let app
+  let rotationService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const rotation = {
+    registration: 'PK-GPZ',
+    date: '2026-10-26',
+    aircraftType: 'A330-300',
+    legs: [{ flightNumber: 'GA402', turnaround: null }],
+    totalCount: 1
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    rotationService = require('../../src/services').rotationService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', ['read']),
+      payload: { id: 'operator-1', sid: 'session-1' }
+    })
+  })
+
+  it('should return the rotation of an aircraft on a date', async () => {
+    rotationService.getRotation.mockResolvedValue(rotation)
+
+    const response = await request(app)
+      .get('/api/rotations/pk-gpz?date=2026-10-26')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(rotationService.getRotation).toHaveBeenCalledWith('PK-GPZ', '2026-10-26')
+    expect(response.headers['x-total-count']).toBe('1')
+    expect(response.body.data.legs).toHaveLength(1)
+  })
+
+  it('should default to the current UTC date', async () => {
+    rotationService.getRotation.mockResolvedValue(rotation)
+
+    await request(app)
+      .get('/api/rotations/PK-GPZ')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(rotationService.getRotation).toHaveBeenCalledWith('PK-GPZ', new Date().toISOString().slice(0, 10))
+  })
+
+  it('should reject malformed registrations and dates', async () => {
+    await request(app)
+      .get('/api/rotations/PKGPZ')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+
+    await request(app)
+      .get('/api/rotations/PK-GPZ?date=26-10-2026')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+
+    expect(rotationService.getRotation).not.toHaveBeenCalled()
+  })
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/rotations/PK-GPZ')
+      .expect(401)
+  })
+
+  it('should map service validation errors to 400', async () => {
+    rotationService.getRotation.mockRejectedValue(new FlightValidationError('Flight date must be formatted as YYYY-MM-DD', 'date'))
+
+    await request(app)
+      .get('/api/rotations/PK-GPZ')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(400)
+  })
+})
@@ -0,0 +1,302 @@
+const request = require('supertest')
+const { FlightConflictError } = require('../../src/errors/FlightErrors')
+const { ScheduleTemplateNotFoundError } = require('../../src/errors/ScheduleTemplateErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  scheduleTemplateService: {
+    getTemplates: jest.fn(),
+    getTemplate: jest.fn(),
+    createTemplate: jest.fn(),
+    updateTemplate: jest.fn(),
+    deactivateTemplate: jest.fn(),
+    generateAll: jest.fn()
+  },
+  ssimImportService: {
+    importSchedule: jest.fn()
+  }
+}))
+
+describe('Schedules API', () => {
+  let app
+  let scheduleTemplateService
+  let ssimImportService
+  let authService
+
+  const templateId = '64b000000000000000000020'
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const validBody = {
+    flightNumber: 'ga402',
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Jakarta' },
+      destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia', timezone: 'Asia/Makassar' }
+    },
+    daysOfWeek: [1, 3, 5],
+    season: 'w26',
+    departureTime: '07:30',
+    arrivalTime: '10:25',
+    aircraftType: 'Boeing 737-800'
+  }
+
+  const formattedTemplate = {
+    id: templateId,
+    flightNumber: 'GA402',
+    season: 'W26',
+    daysOfWeek: [1, 3, 5],
+    period: { from: '2026-10-25', to: '2027-03-27' }
+  }
+
+  const generation = { created: 6, updated: 0, cancelled: 0, unchanged: 0, failed: 0, conflicts: [] }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    scheduleTemplateService = require('../../src/services').scheduleTemplateService
+    ssimImportService = require('../../src/services').ssimImportService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('admin'),
+      payload: { id: 'admin-1', sid: 'session-1' }
+    })
+  })
+
+  describe('GET /api/schedules', () => {
+    it('should list templates with the requested filters', async () => {
+      scheduleTemplateService.getTemplates.mockResolvedValue({ templates: [formattedTemplate], totalCount: 1 })
+
+      const response = await request(app)
+        .get('/api/schedules')
+        .set('Authorization', 'Bearer admin-token')
+        .query({ flightNumber: 'ga402', season: 'w26', active: 'true' })
+        .expect(200)
+
+      expect(response.body.data.templates).toHaveLength(1)
+      expect(response.headers['x-total-count']).toBe('1')
+      expect(scheduleTemplateService.getTemplates).toHaveBeenCalledWith({
+        flightNumber: 'GA402',
+        season: 'W26',
+        isActive: true
+      })
+    })
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/schedules')
+        .expect(401)
+
+      expect(scheduleTemplateService.getTemplates).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('GET /api/schedules/:id', () => {
+    it('should return 404 for an unknown template', async () => {
+      scheduleTemplateService.getTemplate.mockRejectedValue(new ScheduleTemplateNotFoundError(`Schedule template ${templateId} not found`))
+
+      const response = await request(app)
+        .get(`/api/schedules/${templateId}`)
+        .set('Authorization', 'Bearer admin-token')
+        .expect(404)
+
+      expect(response.body.code).toBe('SCHEDULE_TEMPLATE_NOT_FOUND')
+    })
+
+    it('should reject a malformed id', async () => {
+      await request(app)
+        .get('/api/schedules/not-an-id')
+        .set('Authorization', 'Bearer admin-token')
+        .expect(400)
+
+      expect(scheduleTemplateService.getTemplate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('POST /api/schedules', () => {
+    it('should create a template and report the generated instances', async () => {
+      scheduleTemplateService.createTemplate.mockResolvedValue({ template: formattedTemplate, generation })
+
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', 'Bearer admin-token')
+        .send(validBody)
+        .expect(201)
+
+      expect(response.headers.location).toBe(`/api/schedules/${templateId}`)
+      expect(response.body.data.generation.created).toBe(6)
+      expect(scheduleTemplateService.createTemplate).toHaveBeenCalledWith(
+        expect.objectContaining({ flightNumber: 'GA402', season: 'W26', daysOfWeek: [1, 3, 5] }),
+        'admin-user'
+      )
+    })
+
+    it.each([
+      ['an unknown day of week', { daysOfWeek: [0, 8] }],
+      ['a malformed season', { season: 'Winter 2026' }],
+      ['a malformed local time', { departureTime: '7:30am' }]
+    ])('should reject %s', async (_, overrides) => {
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ ...validBody, ...overrides })
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(scheduleTemplateService.createTemplate).not.toHaveBeenCalled()
+    })
+
+    it('should return 409 when the template overlaps another', async () => {
+      scheduleTemplateService.createTemplate.mockRejectedValue(
+        new FlightConflictError('Schedule template overlaps template x for GA402', 'OVERLAPPING_TEMPLATE')
+      )
+
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', 'Bearer admin-token')
+        .send(validBody)
+        .expect(409)
+
+      expect(response.body.code).toBe('FLIGHT_CONFLICT_ERROR')
+    })
+
+    it('should require manage_flights', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+
+      await request(app)
+        .post('/api/schedules')
+        .set('Authorization', 'Bearer operator-token')
+        .send(validBody)
+        .expect(403)
+
+      expect(scheduleTemplateService.createTemplate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('PUT /api/schedules/:id', () => {
+    it('should accept partial changes', async () => {
+      scheduleTemplateService.updateTemplate.mockResolvedValue({ template: formattedTemplate, generation })
+
+      await request(app)
+        .put(`/api/schedules/${templateId}`)
+        .set('Authorization', 'Bearer admin-token')
+        .send({ departureTime: '08:05' })
+        .expect(200)
+
+      expect(scheduleTemplateService.updateTemplate).toHaveBeenCalledWith(templateId, { departureTime: '08:05' }, 'admin-user')
+    })
+  })
+
+  describe('DELETE /api/schedules/:id', () => {
+    it('should deactivate the template', async () => {
+      scheduleTemplateService.deactivateTemplate.mockResolvedValue({ template: formattedTemplate, generation })
+
+      await request(app)
+        .delete(`/api/schedules/${templateId}`)
+        .set('Authorization', 'Bearer admin-token')
+        .expect(200)
+
+      expect(scheduleTemplateService.deactivateTemplate).toHaveBeenCalledWith(templateId, 'admin-user')
+    })
+  })
+
+  describe('POST /api/schedules/generate', () => {
+    it('should run generation with the requested horizon', async () => {
+      scheduleTemplateService.generateAll.mockResolvedValue({ templates: 1, ...generation })
+
+      await request(app)
+        .post('/api/schedules/generate')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ horizonDays: 30 })
+        .expect(200)
+
+      expect(scheduleTemplateService.generateAll).toHaveBeenCalledWith({ actor: 'admin-user', horizonDays: 30 })
+    })
+  })
+
+  describe('POST /api/schedules/import', () => {
+    const report = {
+      dryRun: true,
+      target: 'templates',
+      summary: { legs: 1, adds: 1, changes: 0, cancellations: 0, unchanged: 0, rejected: 0 },
+      adds: [{ line: 2, flightNumber: 'GA402' }],
+      changes: [],
+      cancellations: [],
+      rejected: []
+    }
+
+    it('should return the dry-run report by default', async () => {
+      ssimImportService.importSchedule.mockResolvedValue(report)
+
+      const response = await request(app)
+        .post('/api/schedules/import')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ content: '2LGA ...' })
+        .expect(200)
+
+      expect(response.body.data).toEqual(report)
+      expect(ssimImportService.importSchedule).toHaveBeenCalledWith('2LGA ...', {
+        target: undefined,
+        dryRun: undefined,
+        stations: undefined,
+        actor: 'admin-user'
+      })
+    })
+
+    it('should pass the target, dryRun and stations through', async () => {
+      ssimImportService.importSchedule.mockResolvedValue({ ...report, dryRun: false, target: 'flights' })
+      const stations = { CGK: { city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Jakarta' } }
+
+      await request(app)
+        .post('/api/schedules/import')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ content: '2LGA ...', target: 'flights', dryRun: false, stations })
+        .expect(200)
+
+      expect(ssimImportService.importSchedule).toHaveBeenCalledWith('2LGA ...', {
+        target: 'flights',
+        dryRun: false,
+        stations,
+        actor: 'admin-user'
+      })
+    })
+
+    it('should reject a missing file and an unknown target', async () => {
+      await request(app)
+        .post('/api/schedules/import')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ target: 'airports' })
+        .expect(400)
+
+      expect(ssimImportService.importSchedule).not.toHaveBeenCalled()
+    })
+
+    it('should require manage_flights', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('operator', ['read', 'write']),
+        payload: {}
+      })
+
+      await request(app)
+        .post('/api/schedules/import')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ content: '2LGA ...' })
+        .expect(403)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+const request = require('supertest')
+const { StatusPolicyNotFoundError } = require('../../src/errors/StatusPolicyErrors')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  statusPolicyService: {
+    getPolicies: jest.fn(),
+    getPolicy: jest.fn(),
+    setPolicy: jest.fn(),
+    deletePolicy: jest.fn()
+  }
+}))
+
+describe('Status Policies API', () => {
+  let app
+  let statusPolicyService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const returnToGate = {
+    [FLIGHT_STATUSES.DEPARTED]: [FLIGHT_STATUSES.IN_AIR, FLIGHT_STATUSES.DIVERTED, FLIGHT_STATUSES.SCHEDULED]
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    statusPolicyService = require('../../src/services').statusPolicyService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('admin'),
+      payload: { id: 'admin-1', sid: 'session-1' }
+    })
+  })
+
+  it('should list the defaults and airline policies', async () => {
+    statusPolicyService.getPolicies.mockResolvedValue({ defaults: {}, policies: [], totalCount: 0 })
+
+    const response = await request(app)
+      .get('/api/status-policies')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(200)
+
+    expect(response.headers['x-total-count']).toBe('0')
+    expect(response.body.data.policies).toEqual([])
+  })
+
+  it('should save an airline policy', async () => {
+    statusPolicyService.setPolicy.mockResolvedValue({ airline: 'GA', overrides: returnToGate })
+
+    await request(app)
+      .put('/api/status-policies/ga')
+      .set('Authorization', 'Bearer valid-token')
+      .send({ transitions: returnToGate, description: 'Return to gate' })
+      .expect(200)
+
+    expect(statusPolicyService.setPolicy).toHaveBeenCalledWith(
+      'GA',
+      { transitions: returnToGate, description: 'Return to gate' },
+      'admin-user'
+    )
+  })
+
+  it('should reject transitions to unknown statuses', async () => {
+    const response = await request(app)
+      .put('/api/status-policies/GA')
+      .set('Authorization', 'Bearer valid-token')
+      .send({ transitions: { [FLIGHT_STATUSES.DEPARTED]: ['Landed'] } })
+      .expect(400)
+
+    expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+    expect(statusPolicyService.setPolicy).not.toHaveBeenCalled()
+  })
+
+  it('should require manage_flights to change a policy', async () => {
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', ['read', 'write']),
+      payload: {}
+    })
+
+    await request(app)
+      .put('/api/status-policies/GA')
+      .set('Authorization', 'Bearer operator-token')
+      .send({ transitions: returnToGate })
+      .expect(403)
+
+    expect(statusPolicyService.setPolicy).not.toHaveBeenCalled()
+  })
+
+  it('should map a missing policy to 404', async () => {
+    statusPolicyService.deletePolicy.mockRejectedValue(new StatusPolicyNotFoundError('No status transition policy for GA'))
+
+    const response = await request(app)
+      .delete('/api/status-policies/GA')
+      .set('Authorization', 'Bearer valid-token')
+      .expect(404)
+
+    expect(response.body.code).toBe('STATUS_POLICY_NOT_FOUND')
+  })
+})
@@ -0,0 +1,236 @@
+const request = require('supertest')
+const {
+  SubscriptionNotFoundError,
+  SubscriptionTokenError,
+  SubscriptionStateError
+} = require('../../src/errors/SubscriptionErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {},
+  flightService: {},
+  notificationService: {},
+  subscriptionService: {
+    createSubscription: jest.fn(),
+    verifySubscription: jest.fn(),
+    unsubscribe: jest.fn(),
+    getByManagementToken: jest.fn(),
+    updatePreferences: jest.fn(),
+    reactivate: jest.fn()
+  }
+}))
+
+describe('Subscriptions API', () => {
+  let app
+  let subscriptionService
+
+  const token = 'a'.repeat(64)
+
+  const formattedSubscription = {
+    id: '64b000000000000000000010',
+    email: 'passenger@example.com',
+    flightNumber: 'GA402',
+    status: 'pending',
+    isVerified: false,
+    isUnsubscribed: false
+  }
+
+  const validBody = {
+    email: 'Passenger@Example.com',
+    flightNumber: 'ga402',
+    flightDate: '2030-07-10',
+    gdprCompliance: {
+      consentGiven: true,
+      dataProcessingConsent: true
+    }
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    subscriptionService = require('../../src/services').subscriptionService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('POST /api/subscriptions', () => {
+    it('should create a pending subscription and return 201', async () => {
+      subscriptionService.createSubscription.mockResolvedValue({
+        subscription: formattedSubscription,
+        created: true,
+        verificationSent: true
+      })
+
+      const response = await request(app)
+        .post('/api/subscriptions')
+        .send(validBody)
+        .expect(201)
+
+      expect(response.body.data.verificationSent).toBe(true)
+      expect(subscriptionService.createSubscription).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'passenger@example.com', flightNumber: 'GA402' }),
+        expect.objectContaining({ ip: '127.0.0.1' })
+      )
+    })
+
+    it('should return 200 when the verification email is resent', async () => {
+      subscriptionService.createSubscription.mockResolvedValue({
+        subscription: formattedSubscription,
+        created: false,
+        verificationSent: true
+      })
+
+      await request(app)
+        .post('/api/subscriptions')
+        .send(validBody)
+        .expect(200)
+    })
+
+    it('should require explicit GDPR consent', async () => {
+      const response = await request(app)
+        .post('/api/subscriptions')
+        .send({ ...validBody, gdprCompliance: { consentGiven: 'yes', dataProcessingConsent: true } })
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(response.body.details.errors[0].field).toBe('gdprCompliance.consentGiven')
+      expect(subscriptionService.createSubscription).not.toHaveBeenCalled()
+    })
+
+    it('should reject unknown notification types and methods', async () => {
+      await request(app)
+        .post('/api/subscriptions')
+        .send({
+          ...validBody,
+          notificationPreferences: { teleports: { enabled: true }, delays: { methods: ['pigeon'] } }
+        })
+        .expect(400)
+
+      expect(subscriptionService.createSubscription).not.toHaveBeenCalled()
+    })
+
+    it('should map SubscriptionStateError to 409', async () => {
+      subscriptionService.createSubscription.mockRejectedValue(
+        new SubscriptionStateError('You are already subscribed to this flight', 'active')
+      )
+
+      const response = await request(app)
+        .post('/api/subscriptions')
+        .send(validBody)
+        .expect(409)
+
+      expect(response.body.code).toBe('SUBSCRIPTION_STATE_ERROR')
+    })
+  })
+
+  describe('GET /api/subscriptions/verify/:token', () => {
+    it('should verify the subscription', async () => {
+      subscriptionService.verifySubscription.mockResolvedValue({ ...formattedSubscription, status: 'active', isVerified: true })
+
+      const response = await request(app)
+        .get(`/api/subscriptions/verify/${token}`)
+        .expect(200)
+
+      expect(response.body.data.isVerified).toBe(true)
+      expect(subscriptionService.verifySubscription).toHaveBeenCalledWith(token)
+    })
+
+    it('should reject malformed tokens without hitting the service', async () => {
+      await request(app)
+        .get('/api/subscriptions/verify/not-a-token')
+        .expect(400)
+
+      expect(subscriptionService.verifySubscription).not.toHaveBeenCalled()
+    })
+
+    it('should surface expired tokens', async () => {
+      subscriptionService.verifySubscription.mockRejectedValue(
+        new SubscriptionTokenError('Verification link has expired', 'TOKEN_EXPIRED')
+      )
+
+      const response = await request(app)
+        .get(`/api/subscriptions/verify/${token}`)
+        .expect(400)
+
+      expect(response.body.code).toBe('SUBSCRIPTION_TOKEN_ERROR')
+    })
+  })
+
+  describe('Unsubscribe', () => {
+    it('should only preview the subscription when the email link is fetched', async () => {
+      subscriptionService.getByManagementToken.mockResolvedValue(formattedSubscription)
+
+      const response = await request(app)
+        .get(`/api/subscriptions/unsubscribe/${token}`)
+        .expect(200)
+
+      expect(subscriptionService.getByManagementToken).toHaveBeenCalledWith(token)
+      expect(subscriptionService.unsubscribe).not.toHaveBeenCalled()
+      expect(response.body.data.alreadyUnsubscribed).toBe(false)
+    })
+
+    it('should unsubscribe on POST', async () => {
+      subscriptionService.unsubscribe.mockResolvedValue({ subscription: formattedSubscription, alreadyUnsubscribed: false })
+
+      await request(app)
+        .post(`/api/subscriptions/unsubscribe/${token}`)
+        .send({ feedback: 'Too many emails' })
+        .expect(200)
+
+      expect(subscriptionService.unsubscribe).toHaveBeenCalledWith(token, { reason: 'user_request', feedback: 'Too many emails' })
+    })
+
+    it('should accept RFC 8058 one-click POST bodies', async () => {
+      subscriptionService.unsubscribe.mockResolvedValue({ subscription: formattedSubscription, alreadyUnsubscribed: true })
+
+      const response = await request(app)
+        .post(`/api/subscriptions/unsubscribe/${token}`)
+        .type('form')
+        .send('List-Unsubscribe=One-Click')
+        .expect(200)
+
+      expect(response.body.data.alreadyUnsubscribed).toBe(true)
+    })
+
+    it('should return 404 for unknown links', async () => {
+      subscriptionService.unsubscribe.mockRejectedValue(new SubscriptionNotFoundError('No subscription matches this link'))
+
+      const response = await request(app)
+        .post(`/api/subscriptions/unsubscribe/${token}`)
+        .expect(404)
+
+      expect(response.body.code).toBe('SUBSCRIPTION_NOT_FOUND')
+    })
+  })
+
+  describe('Preferences and reactivation', () => {
+    it('should update preferences', async () => {
+      subscriptionService.updatePreferences.mockResolvedValue(formattedSubscription)
+
+      await request(app)
+        .put(`/api/subscriptions/preferences/${token}`)
+        .send({
+          notificationPreferences: { delays: { enabled: true, minDelayMinutes: '30', methods: ['email'] } },
+          passengerInfo: { language: 'id' }
+        })
+        .expect(200)
+
+      expect(subscriptionService.updatePreferences).toHaveBeenCalledWith(
+        token,
+        expect.objectContaining({
+          notificationPreferences: { delays: { enabled: true, minDelayMinutes: 30, methods: ['email'] } }
+        })
+      )
+    })
+
+    it('should reactivate an unsubscribed subscription', async () => {
+      subscriptionService.reactivate.mockResolvedValue({ ...formattedSubscription, status: 'active' })
+
+      const response = await request(app)
+        .post(`/api/subscriptions/reactivate/${token}`)
+        .expect(200)
+
+      expect(response.body.data.status).toBe('active')
+    })
+  })
+})
@@ -0,0 +1,152 @@
+const request = require('supertest')
+const { WeatherReportNotFoundError } = require('../../src/errors/WeatherErrors')
+
+jest.mock('../../src/services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  },
+  flightService: {},
+  notificationService: {},
+  scheduleTemplateService: {},
+  weatherService: {
+    ingest: jest.fn(),
+    getLatestReports: jest.fn(),
+    getLatestReport: jest.fn()
+  }
+}))
+
+describe('Weather API', () => {
+  let app
+  let weatherService
+  let authService
+
+  const mockAdmin = (role, permissions = []) => ({
+    username: `${role}-user`,
+    role,
+    permissions,
+    hasPermission: (permission) => role === 'admin' || permissions.includes(permission)
+  })
+
+  const reports = 'METAR WIII 260030Z 27005KT 9999 -RA FEW020CB 30/24 Q1009 NOSIG='
+
+  const latest = {
+    station: 'WIII',
+    airport: 'CGK',
+    observation: { type: 'METAR', condition: 'Light Rain', visibility: 10000 },
+    forecast: null
+  }
+
+  beforeAll(() => {
+    app = require('../../src/app')
+    weatherService = require('../../src/services').weatherService
+    authService = require('../../src/services').authService
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    authService.authenticate.mockResolvedValue({
+      admin: mockAdmin('operator', ['read', 'write']),
+      payload: { id: 'operator-1', sid: 'session-1' }
+    })
+  })
+
+  describe('POST /api/weather', () => {
+    it('should accept reports as plain text', async () => {
+      const result = { received: 1, accepted: [{ station: 'WIII', airport: 'CGK', flightsUpdated: 4 }], skipped: [], rejected: [] }
+      weatherService.ingest.mockResolvedValue(result)
+
+      const response = await request(app)
+        .post('/api/weather')
+        .set('Authorization', 'Bearer operator-token')
+        .set('Content-Type', 'text/plain')
+        .send(reports)
+        .expect(200)
+
+      expect(response.body.data).toEqual(result)
+      expect(weatherService.ingest).toHaveBeenCalledWith(reports, {
+        source: 'http',
+        receivedBy: 'operator-user'
+      })
+    })
+
+    it('should reject an empty body', async () => {
+      await request(app)
+        .post('/api/weather')
+        .set('Authorization', 'Bearer operator-token')
+        .send({ reports: ' ' })
+        .expect(400)
+
+      expect(weatherService.ingest).not.toHaveBeenCalled()
+    })
+
+    it('should require write', async () => {
+      authService.authenticate.mockResolvedValue({
+        admin: mockAdmin('viewer', ['read']),
+        payload: {}
+      })
+
+      await request(app)
+        .post('/api/weather')
+        .set('Authorization', 'Bearer viewer-token')
+        .send({ reports })
+        .expect(403)
+    })
+  })
+
+  describe('GET /api/weather', () => {
+    it('should list the latest reports of the requested airports', async () => {
+      weatherService.getLatestReports.mockResolvedValue({ reports: [latest], totalCount: 1 })
+
+      const response = await request(app)
+        .get('/api/weather?airports=cgk,DPS')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(200)
+
+      expect(response.headers['x-total-count']).toBe('1')
+      expect(response.body.data.reports).toEqual([latest])
+      expect(weatherService.getLatestReports).toHaveBeenCalledWith({ airports: ['cgk', 'DPS'] })
+    })
+
+    it('should reject malformed airport codes', async () => {
+      await request(app)
+        .get('/api/weather?airports=CGK,JAKARTA')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(400)
+    })
+  })
+
+  describe('GET /api/weather/:code', () => {
+    it('should return the latest report of an airport or station', async () => {
+      weatherService.getLatestReport.mockResolvedValue(latest)
+
+      const response = await request(app)
+        .get('/api/weather/wiii')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(200)
+
+      expect(response.body.data).toEqual(latest)
+      expect(weatherService.getLatestReport).toHaveBeenCalledWith('WIII')
+    })
+
+    it('should return 404 when the airport has no report', async () => {
+      weatherService.getLatestReport.mockRejectedValue(new WeatherReportNotFoundError('No weather report for SUB'))
+
+      const response = await request(app)
+        .get('/api/weather/SUB')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(404)
+
+      expect(response.body.code).toBe('WEATHER_REPORT_NOT_FOUND')
+    })
+
+    it('should reject codes that are neither IATA nor ICAO', async () => {
+      const response = await request(app)
+        .get('/api/weather/JAKARTA')
+        .set('Authorization', 'Bearer operator-token')
+        .expect(400)
+
+      expect(response.body.code).toBe('FLIGHT_VALIDATION_ERROR')
+      expect(weatherService.getLatestReport).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose')
+const jwt = require('jsonwebtoken')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const AuthService = require('../../src/services/AuthService')
+const Admin = require('../../src/models/Admin')
+const RefreshToken = require('../../src/models/RefreshToken')
+const { REVOCATION_REASONS } = require('../../src/models/RefreshToken')
+const { config } = require('../../src/config/config')
+const { FlightAuthenticationError } = require('../../src/errors/FlightErrors')
+
+describe('AuthService', () => {
+  let mongoServer
+  let authService
+  let mockLogger
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    const mongoUri = mongoServer.getUri()
+    await mongoose.connect(mongoUri)
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Admin.deleteMany({})
+    await RefreshToken.deleteMany({})
+
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn()
+    }
+
+    authService = new AuthService(mockLogger)
+
+    await Admin.create({
+      username: 'opsadmin',
+      email: 'ops@edifly.co.id',
+      password: 'correct-horse-battery',
+      firstName: 'Ops',
+      lastName: 'Admin',
+      role: 'operator',
+      permissions: ['read']
+    })
+  })
+
+  describe('login()', () => {
+    it('should issue an access and refresh token pair', async () => {
+      const result = await authService.login('ops@edifly.co.id', 'correct-horse-battery')
+
+      expect(result.accessToken).toBeDefined()
+      expect(result.refreshToken).toBeDefined()
+      expect(result.tokenType).toBe('Bearer')
+      expect(result.admin.username).toBe('opsadmin')
+
+      const payload = jwt.verify(result.accessToken, config.jwt.secret, {
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience
+      })
+      expect(payload.sid).toBe(result.sessionId)
+      expect(payload.role).toBe('operator')
+    })
+
+    it('should accept the username as identifier and update lastLogin', async () => {
+      await authService.login('opsadmin', 'correct-horse-battery')
+
+      const admin = await Admin.findOne({ username: 'opsadmin' })
+      expect(admin.lastLogin).toBeInstanceOf(Date)
+    })
+
+    it('should keep the stored password hash intact after login', async () => {
+      await authService.login('opsadmin', 'correct-horse-battery')
+
+      await expect(authService.login('opsadmin', 'correct-horse-battery')).resolves.toBeDefined()
+    })
+
+    it('should reject invalid credentials', async () => {
+      await expect(authService.login('opsadmin', 'wrong-password'))
+        .rejects.toThrow(FlightAuthenticationError)
+    })
+
+    it('should reject disabled accounts', async () => {
+      await Admin.updateOne({ username: 'opsadmin' }, { isActive: false })
+
+      await expect(authService.login('opsadmin', 'correct-horse-battery'))
+        .rejects.toMatchObject({ reason: 'ACCOUNT_DISABLED' })
+    })
+  })
+
+  describe('refresh()', () => {
+    it('should rotate the refresh token within the same session', async () => {
+      const loginResult = await authService.login('opsadmin', 'correct-horse-battery')
+      const refreshed = await authService.refresh(loginResult.refreshToken)
+
+      expect(refreshed.refreshToken).not.toBe(loginResult.refreshToken)
+      expect(refreshed.sessionId).toBe(loginResult.sessionId)
+
+      const oldPayload = jwt.decode(loginResult.refreshToken)
+      const oldToken = await RefreshToken.findOne({ jti: oldPayload.jti })
+      expect(oldToken.revokedReason).toBe(REVOCATION_REASONS.ROTATED)
+      expect(oldToken.replacedBy).toBe(jwt.decode(refreshed.refreshToken).jti)
+    })
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const loginResult = await authService.login('opsadmin', 'correct-horse-battery')
+      const refreshed = await authService.refresh(loginResult.refreshToken)
+
+      await expect(authService.refresh(loginResult.refreshToken))
+        .rejects.toMatchObject({ reason: 'REFRESH_TOKEN_REUSE' })
+
+      await expect(authService.refresh(refreshed.refreshToken))
+        .rejects.toThrow(FlightAuthenticationError)
+
+      expect(await RefreshToken.isFamilyActive(loginResult.sessionId)).toBe(false)
+    })
+
+    it('should reject tokens signed with the access secret', async () => {
+      const loginResult = await authService.login('opsadmin', 'correct-horse-battery')
+
+      await expect(authService.refresh(loginResult.accessToken))
+        .rejects.toMatchObject({ reason: 'INVALID_REFRESH_TOKEN' })
+    })
+  })
+
+  describe('logout()', () => {
+    it('should revoke the session server-side', async () => {
+      const loginResult = await authService.login('opsadmin', 'correct-horse-battery')
+
+      await authService.verifyAccessToken(loginResult.accessToken)
+      const result = await authService.logout({ refreshToken: loginResult.refreshToken })
+
+      expect(result.revokedTokens).toBe(1)
+      await expect(authService.verifyAccessToken(loginResult.accessToken))
+        .rejects.toMatchObject({ reason: 'SESSION_REVOKED' })
+      await expect(authService.refresh(loginResult.refreshToken))
+        .rejects.toThrow(FlightAuthenticationError)
+    })
+
+    it('should revoke every session when allSessions is set', async () => {
+      const first = await authService.login('opsadmin', 'correct-horse-battery')
+      const second = await authService.login('opsadmin', 'correct-horse-battery')
+
+      await authService.logout({ refreshToken: first.refreshToken, allSessions: true })
+
+      expect(await RefreshToken.isFamilyActive(first.sessionId)).toBe(false)
+      expect(await RefreshToken.isFamilyActive(second.sessionId)).toBe(false)
+    })
+  })
+})
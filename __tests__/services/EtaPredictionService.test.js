@@ -0,0 +1,245 @@
+const mongoose = require('mongoose')
+const EtaPredictionService = require('../../src/services/EtaPredictionService')
+const FlightService = require('../../src/services/FlightService')
+const Flight = require('../../src/models/Flight')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+const { FLIGHT_EVENTS } = require('../../src/events/FlightEventBus')
+const { FlightValidationError, FlightDatabaseError } = require('../../src/errors/FlightErrors')
+
+describe('EtaPredictionService', () => {
+  let service
+  let flightService
+  let mockLogger
+  let flight
+  let samples
+
+  const minutes = (count) => count * 60 * 1000
+
+  const buildFlight = (airline, departure, overrides = {}) => new Flight({
+    flightNumber: `${airline}402`,
+    flightDate: departure.slice(0, 10),
+    airline: { code: airline, name: airline },
+    aircraft: { type: 'A330-300' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', country: 'ID' },
+      destination: { airport: 'DPS', city: 'Denpasar', country: 'ID' },
+      timezone: { origin: 'Asia/Jakarta' }
+    },
+    schedule: {
+      departure: { scheduled: new Date(departure) },
+      arrival: { scheduled: new Date(new Date(departure).getTime() + minutes(115)) }
+    },
+    ...overrides
+  })
+
+  // Completed flight off-block five minutes late, taking `block` minutes gate to gate
+  const completed = (airline, day, block, { taxiOut = 15, taxiIn = 5 } = {}) => {
+    const sample = buildFlight(airline, `2026-10-${day}T00:30:00Z`, { status: { current: FLIGHT_STATUSES.ARRIVED } })
+    const offBlock = new Date(sample.schedule.departure.scheduled.getTime() + minutes(5))
+    const onBlock = new Date(offBlock.getTime() + minutes(block))
+
+    sample.schedule.departure.actual = offBlock
+    sample.schedule.departure.wheelsOff = new Date(offBlock.getTime() + minutes(taxiOut))
+    sample.schedule.arrival.actual = onBlock
+    sample.schedule.arrival.wheelsOn = new Date(onBlock.getTime() - minutes(taxiIn))
+    return sample
+  }
+
+  const findChain = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockResolvedValue(result)
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    flight = buildFlight('GA', '2026-10-26T00:30:00Z', { status: { current: FLIGHT_STATUSES.DEPARTED } })
+    flight.schedule.departure.actual = new Date('2026-10-26T00:40:00Z')
+    samples = [100, 105, 110, 115, 120].map((block, index) => completed('GA', 10 + index, block))
+
+    flightService = new FlightService(mockLogger)
+    jest.spyOn(flightService, 'updateFlightStatus').mockResolvedValue({})
+    jest.spyOn(Flight, 'find').mockImplementation(() => findChain(samples))
+    jest.spyOn(Flight, 'updateOne').mockResolvedValue({ modifiedCount: 1 })
+
+    service = new EtaPredictionService(mockLogger, flightService, { minSamples: 5, confidencePercent: 80 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('predictArrival()', () => {
+    it('should predict the arrival from the block times of the same airline and hour', async () => {
+      const prediction = await service.predictArrival(flight)
+
+      expect(prediction).toMatchObject({
+        estimated: new Date('2026-10-26T02:30:00Z'),
+        earliest: new Date('2026-10-26T02:22:00Z'),
+        latest: new Date('2026-10-26T02:38:00Z'),
+        confidence: 80,
+        anchor: 'off-block',
+        anchorTime: new Date('2026-10-26T00:40:00Z'),
+        basis: 'route-airline-hour',
+        sampleSize: 5,
+        blockMinutes: 110,
+        taxiOutMinutes: 15,
+        taxiInMinutes: 5
+      })
+      expect(Flight.find).toHaveBeenCalledWith(expect.objectContaining({
+        'route.origin.airport': 'CGK',
+        'route.destination.airport': 'DPS',
+        'status.current': FLIGHT_STATUSES.ARRIVED
+      }))
+      expect(Flight.updateOne).toHaveBeenCalledWith({ _id: flight._id }, { etaPrediction: prediction })
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith('GA402', {
+        reason: 'Arrival predicted from 5 completed flights (route-airline-hour)',
+        schedule: { arrival: { estimated: new Date('2026-10-26T02:30:00Z') } }
+      }, 'EtaPrediction', { date: '2026-10-26', suffix: '' })
+    })
+
+    it('should count from wheels-off once the flight is airborne', async () => {
+      flight.status.current = FLIGHT_STATUSES.IN_AIR
+      flight.schedule.departure.wheelsOff = new Date('2026-10-26T00:50:00Z')
+
+      const prediction = await service.predictArrival(flight)
+
+      expect(prediction).toMatchObject({
+        anchor: 'wheels-off',
+        estimated: new Date('2026-10-26T02:25:00Z'),
+        blockMinutes: 110
+      })
+    })
+
+    it('should widen the samples to the whole route when the airline has too few', async () => {
+      samples = [
+        completed('GA', 10, 100),
+        completed('GA', 11, 104),
+        ...[90, 95, 98, 130].map((block, index) => completed('QZ', 12 + index, block))
+      ]
+
+      const prediction = await service.predictArrival(flight)
+
+      expect(prediction).toMatchObject({ basis: 'route', sampleSize: 6, estimated: new Date('2026-10-26T02:19:00Z') })
+    })
+
+    it('should not predict without enough completed flights', async () => {
+      samples = samples.slice(0, 4)
+
+      expect(await service.predictArrival(flight)).toBeNull()
+      expect(Flight.updateOne).not.toHaveBeenCalled()
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should skip flights that are not under way or already predicted', async () => {
+      flight.status.current = FLIGHT_STATUSES.BOARDING
+      expect(await service.predictArrival(flight)).toBeNull()
+
+      flight.status.current = FLIGHT_STATUSES.DEPARTED
+      flight.etaPrediction = await service.predictArrival(flight)
+      expect(await service.predictArrival(flight)).toBeNull()
+
+      expect(Flight.updateOne).toHaveBeenCalledTimes(1)
+    })
+
+    it('should cache the samples of a route', async () => {
+      await service.predictArrival(flight)
+      await service.predictArrival(buildFlight('GA', '2026-10-27T00:30:00Z', {
+        status: { current: FLIGHT_STATUSES.DEPARTED },
+        schedule: {
+          departure: { scheduled: new Date('2026-10-27T00:30:00Z'), actual: new Date('2026-10-27T00:35:00Z') },
+          arrival: { scheduled: new Date('2026-10-27T02:25:00Z') }
+        }
+      }))
+
+      expect(Flight.find).toHaveBeenCalledTimes(1)
+    })
+
+    it('should wrap database failures', async () => {
+      Flight.find.mockImplementation(() => ({
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockRejectedValue(new Error('connection lost'))
+      }))
+
+      await expect(service.predictArrival(flight)).rejects.toThrow(FlightDatabaseError)
+    })
+  })
+
+  describe('handleScheduleChange()', () => {
+    const times = (estimated) => ({ scheduled: null, estimated, actual: null })
+
+    it('should keep an arrival estimate reported with the departure', async () => {
+      const prediction = await service.handleScheduleChange({
+        type: FLIGHT_EVENTS.SCHEDULE_CHANGED,
+        flight,
+        actor: 'ops',
+        data: { arrival: { previous: times(null), current: times(new Date('2026-10-26T02:40:00Z')) } }
+      })
+
+      expect(prediction.estimated).toEqual(new Date('2026-10-26T02:30:00Z'))
+      expect(Flight.updateOne).toHaveBeenCalled()
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should ignore the updates it made itself', async () => {
+      expect(await service.handleScheduleChange({ flight, actor: 'EtaPrediction', data: {} })).toBeNull()
+      expect(Flight.find).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getAccuracy()', () => {
+    const predicted = (airline, origin, destination, basis, estimated, earliest, latest, actual) => ({
+      _id: new mongoose.Types.ObjectId(),
+      airline: { code: airline },
+      route: { origin: { airport: origin }, destination: { airport: destination } },
+      schedule: { arrival: { actual: new Date(actual) } },
+      etaPrediction: { basis, estimated: new Date(estimated), earliest: new Date(earliest), latest: new Date(latest) }
+    })
+
+    it('should summarise predicted against actual arrivals', async () => {
+      const lean = jest.fn().mockResolvedValue([
+        predicted('GA', 'CGK', 'DPS', 'route-airline-hour', '2026-10-26T02:30:00Z', '2026-10-26T02:20:00Z', '2026-10-26T02:40:00Z', '2026-10-26T02:36:00Z'),
+        predicted('GA', 'CGK', 'DPS', 'route-airline-hour', '2026-10-27T02:30:00Z', '2026-10-27T02:25:00Z', '2026-10-27T02:40:00Z', '2026-10-27T02:20:00Z'),
+        predicted('QZ', 'CGK', 'SUB', 'route', '2026-10-26T10:00:00Z', '2026-10-26T09:50:00Z', '2026-10-26T10:10:00Z', '2026-10-26T10:02:00Z')
+      ])
+      Flight.find.mockReturnValue({ select: jest.fn().mockReturnValue({ lean }) })
+
+      const accuracy = await service.getAccuracy({ from: '2026-10-01', to: '2026-10-31', origin: 'cgk' })
+
+      expect(Flight.find).toHaveBeenCalledWith(expect.objectContaining({
+        flightDate: { $gte: '2026-10-01', $lte: '2026-10-31' },
+        'route.origin.airport': 'CGK'
+      }))
+      expect(accuracy.overall).toEqual({
+        count: 3,
+        meanErrorMinutes: -0.7,
+        meanAbsoluteErrorMinutes: 6,
+        medianAbsoluteErrorMinutes: 6,
+        withinBandRate: 0.667
+      })
+      expect(accuracy.byBasis.route).toMatchObject({ count: 1, meanErrorMinutes: 2 })
+      expect(accuracy.routes[0]).toEqual({
+        origin: 'CGK',
+        destination: 'DPS',
+        airline: 'GA',
+        count: 2,
+        meanErrorMinutes: -2,
+        meanAbsoluteErrorMinutes: 8,
+        medianAbsoluteErrorMinutes: 8,
+        withinBandRate: 0.5
+      })
+    })
+
+    it('should reject malformed or reversed dates', async () => {
+      await expect(service.getAccuracy({ from: '01-10-2026', to: '2026-10-31' })).rejects.toThrow(FlightValidationError)
+      await expect(service.getAccuracy({ from: '2026-10-31', to: '2026-10-01' })).rejects.toThrow(FlightValidationError)
+    })
+  })
+})
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose')
+const FlightDataPollerService = require('../../src/services/FlightDataPollerService')
+const FlightService = require('../../src/services/FlightService')
+const Flight = require('../../src/models/Flight')
+const { FLIGHT_STATUSES, DELAY_REASONS } = require('../../src/models/Flight')
+const { FlightExternalAPIError, FlightDatabaseError } = require('../../src/errors/FlightErrors')
+
+describe('FlightDataPollerService', () => {
+  let poller
+  let flightService
+  let provider
+  let mockLogger
+  let flight
+
+  const now = new Date('2026-10-26T00:00:00Z')
+
+  const buildFlight = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    flightNumber: 'GA402',
+    flightDate: '2026-10-26',
+    operationalSuffix: '',
+    route: {
+      origin: { airport: 'CGK', terminal: '3', gate: 'D4' },
+      destination: { airport: 'DPS', terminal: 'D', gate: null }
+    },
+    schedule: {
+      departure: { scheduled: new Date('2026-10-26T00:30:00Z') },
+      arrival: { scheduled: new Date('2026-10-26T02:25:00Z') }
+    },
+    status: { current: FLIGHT_STATUSES.SCHEDULED },
+    delay: { minutes: 0 },
+    ...overrides
+  })
+
+  const buildRecord = (overrides = {}) => ({
+    flightNumber: 'GA402',
+    flightDate: '2026-10-26',
+    operationalSuffix: '',
+    status: null,
+    departure: { scheduled: null, estimated: null, actual: null, terminal: null, gate: null },
+    arrival: { scheduled: null, estimated: null, actual: null, terminal: null, gate: null },
+    delay: { minutes: null, reason: null, description: null },
+    ...overrides
+  })
+
+  // Data passed to each updateFlightStatus call
+  const updates = () => flightService.updateFlightStatus.mock.calls.map(([, data]) => data)
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    flight = buildFlight()
+    provider = { name: 'mock', fetchFlights: jest.fn().mockResolvedValue([]) }
+
+    flightService = new FlightService(mockLogger)
+    jest.spyOn(flightService, 'updateFlightStatus').mockResolvedValue({})
+    jest.spyOn(Flight, 'findInstance').mockImplementation(async () => flight)
+    jest.spyOn(Flight, 'findOne').mockImplementation(async () => flight)
+
+    poller = new FlightDataPollerService(mockLogger, flightService, provider, {
+      windowHours: 12,
+      lookbackHours: 6,
+      airlines: ['GA']
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should fetch the configured window', async () => {
+    await poller.poll({ now })
+
+    expect(provider.fetchFlights).toHaveBeenCalledWith({
+      from: new Date('2026-10-25T18:00:00Z'),
+      to: new Date('2026-10-26T12:00:00Z'),
+      airlines: ['GA']
+    })
+  })
+
+  it('should apply changed times, gates and delay as one update', async () => {
+    provider.fetchFlights.mockResolvedValue([buildRecord({
+      status: FLIGHT_STATUSES.DELAYED,
+      departure: { scheduled: null, estimated: new Date('2026-10-26T01:10:00Z'), actual: null, terminal: null, gate: 'D6' },
+      delay: { minutes: 40, reason: DELAY_REASONS.ATC, description: null }
+    })])
+
+    const summary = await poller.poll({ now })
+
+    expect(summary).toMatchObject({ provider: 'mock', fetched: 1, updated: 1, unchanged: 0 })
+    expect(Flight.findInstance).toHaveBeenCalledWith('GA402', { date: '2026-10-26', suffix: '' })
+    expect(flightService.updateFlightStatus).toHaveBeenCalledWith('GA402', {
+      status: FLIGHT_STATUSES.DELAYED,
+      schedule: { departure: { estimated: new Date('2026-10-26T01:10:00Z') } },
+      gate: { departure: { gate: 'D6', terminal: '3' } },
+      delay: { minutes: 40, reason: DELAY_REASONS.ATC },
+      reason: 'Flight data provider (mock)'
+    }, 'FlightDataProvider:mock', { date: '2026-10-26', suffix: '' })
+  })
+
+  it('should walk through the statuses the provider skipped', async () => {
+    provider.fetchFlights.mockResolvedValue([buildRecord({
+      status: FLIGHT_STATUSES.IN_AIR,
+      departure: { scheduled: null, estimated: null, actual: new Date('2026-10-26T00:41:00Z'), terminal: null, gate: null }
+    })])
+
+    await poller.poll({ now })
+
+    expect(updates().map(data => data.status)).toEqual([
+      FLIGHT_STATUSES.BOARDING,
+      FLIGHT_STATUSES.DEPARTED,
+      FLIGHT_STATUSES.IN_AIR
+    ])
+    expect(updates()[2].schedule).toEqual({ departure: { actual: new Date('2026-10-26T00:41:00Z') } })
+  })
+
+  it('should not stamp or announce statuses a landed flight skipped', async () => {
+    provider.fetchFlights.mockResolvedValue([buildRecord({
+      status: FLIGHT_STATUSES.ARRIVED,
+      arrival: { scheduled: null, estimated: null, actual: new Date('2026-10-26T02:31:00Z'), terminal: null, gate: null }
+    })])
+
+    await poller.poll({ now })
+
+    const calls = flightService.updateFlightStatus.mock.calls
+    expect(calls.map(([, data, , , options]) => [data.status, options])).toEqual([
+      [FLIGHT_STATUSES.BOARDING, { intermediate: true }],
+      [FLIGHT_STATUSES.DEPARTED, { intermediate: true }],
+      [FLIGHT_STATUSES.IN_AIR, { intermediate: true }],
+      [FLIGHT_STATUSES.ARRIVED, undefined]
+    ])
+    expect(updates()[3].schedule).toEqual({ arrival: { actual: new Date('2026-10-26T02:31:00Z') } })
+  })
+
+  it('should pass the diversion airport and ETA when the provider reports a diversion', async () => {
+    flight = buildFlight({ status: { current: FLIGHT_STATUSES.IN_AIR } })
+    provider.fetchFlights.mockResolvedValue([buildRecord({
+      status: FLIGHT_STATUSES.DIVERTED,
+      arrival: { scheduled: null, estimated: new Date('2026-10-26T03:05:00Z'), actual: null, terminal: null, gate: null },
+      diversion: { airport: 'SUB', city: 'Surabaya', country: 'Indonesia' }
+    })])
+
+    await poller.poll({ now })
+
+    expect(updates()).toHaveLength(1)
+    expect(updates()[0]).toMatchObject({
+      status: FLIGHT_STATUSES.DIVERTED,
+      diversion: {
+        airport: 'SUB',
+        city: 'Surabaya',
+        country: 'Indonesia',
+        estimatedArrival: new Date('2026-10-26T03:05:00Z')
+      }
+    })
+  })
+
+  it('should leave flights that already match the provider alone', async () => {
+    flight = buildFlight({ status: { current: FLIGHT_STATUSES.DEPARTED } })
+    provider.fetchFlights.mockResolvedValue([buildRecord({
+      status: FLIGHT_STATUSES.BOARDING,
+      departure: { scheduled: null, estimated: null, actual: null, terminal: '3', gate: 'D4' },
+      delay: { minutes: 0, reason: null, description: null }
+    })])
+
+    const summary = await poller.poll({ now })
+
+    expect(summary).toMatchObject({ updated: 0, unchanged: 1 })
+    expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+  })
+
+  it('should match records without a flight date by scheduled departure', async () => {
+    const scheduled = new Date('2026-10-26T00:30:00Z')
+    provider.fetchFlights.mockResolvedValue([buildRecord({
+      flightDate: null,
+      departure: { scheduled, estimated: null, actual: null, terminal: null, gate: null }
+    })])
+
+    await poller.poll({ now })
+
+    expect(Flight.findOne).toHaveBeenCalledWith({
+      flightNumber: 'GA402',
+      operationalSuffix: '',
+      isActive: true,
+      'schedule.departure.scheduled': scheduled
+    })
+  })
+
+  it('should count unmatched and failed records and carry on', async () => {
+    Flight.findInstance
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(buildFlight({ status: { current: FLIGHT_STATUSES.CANCELLED } }))
+    provider.fetchFlights.mockResolvedValue([
+      buildRecord({ flightNumber: 'GA999' }),
+      buildRecord({ status: FLIGHT_STATUSES.DEPARTED }),
+      buildRecord({ status: FLIGHT_STATUSES.BOARDING })
+    ])
+
+    const summary = await poller.poll({ now })
+
+    expect(summary).toMatchObject({ fetched: 3, updated: 1, unmatched: 1, failed: 1 })
+    expect(summary.errors).toEqual([{
+      flightNumber: 'GA402',
+      flightDate: '2026-10-26',
+      code: 'FLIGHT_STATUS_ERROR',
+      message: 'Cannot move flight from Cancelled to Departed'
+    }])
+  })
+
+  it('should rethrow provider errors', async () => {
+    provider.fetchFlights.mockRejectedValue(new FlightExternalAPIError('Flight data provider request failed: HTTP 503', 'http', 503))
+
+    await expect(poller.poll({ now })).rejects.toThrow(FlightExternalAPIError)
+  })
+
+  it('should throw a database error when the flight lookup fails', async () => {
+    Flight.findInstance.mockRejectedValue(new Error('connection lost'))
+    provider.fetchFlights.mockResolvedValue([buildRecord()])
+
+    await expect(poller.poll({ now })).rejects.toThrow(FlightDatabaseError)
+  })
+})
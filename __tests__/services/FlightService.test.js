@@ -2,7 +2,13 @@ const mongoose = require('mongoose')
 const { MongoMemoryServer } = require('mongodb-memory-server')
 const FlightService = require('../../src/services/FlightService')
 const NotificationService = require('../../src/services/NotificationService')
+const StatusPolicyService = require('../../src/services/StatusPolicyService')
+const FlightEventBus = require('../../src/events/FlightEventBus')
+const { FLIGHT_EVENTS } = require('../../src/events/FlightEventBus')
+const registerEventLogSubscriber = require('../../src/events/eventLogSubscriber')
 const Flight = require('../../src/models/Flight')
+const FlightEvent = require('../../src/models/FlightEvent')
+const StatusTransitionPolicy = require('../../src/models/StatusTransitionPolicy')
 const { FLIGHT_STATUSES, DELAY_REASONS } = require('../../src/models/Flight')
 const {
   FlightNotFoundError,
@@ -16,6 +22,7 @@ describe('FlightService', () => {
   let mongoServer
   let flightService
   let notificationService
+  let eventBus
   let mockLogger
 
   beforeAll(async () => {
@@ -38,8 +45,14 @@ describe('FlightService', () => {
       warn: jest.fn()
     }
     
+    eventBus = new FlightEventBus(mockLogger)
     notificationService = new NotificationService(mockLogger)
-    flightService = new FlightService(mockLogger, notificationService)
+    notificationService.registerEventHandlers(eventBus)
+    flightService = new FlightService(mockLogger, eventBus)
+  })
+
+  afterEach(async () => {
+    await eventBus.drain()
   })
 
   const validFlightData = {
@@ -84,6 +97,14 @@ describe('FlightService', () => {
     }
   }
 
+  const nextDayFlightData = {
+    ...validFlightData,
+    schedule: {
+      departure: { scheduled: new Date('2025-07-11T08:00:00Z') },
+      arrival: { scheduled: new Date('2025-07-11T11:00:00Z') }
+    }
+  }
+
   describe('Validation Methods', () => {
     describe('isValidIATACode()', () => {
       it('should validate airport codes correctly', () => {
@@ -249,6 +270,15 @@ describe('FlightService', () => {
           .rejects.toThrow(FlightConflictError)
       })
 
+      it('should create the same flight number on another date', async () => {
+        await flightService.createFlight(validFlightData)
+
+        const nextDay = await flightService.createFlight(nextDayFlightData)
+
+        expect(nextDay.flightNumber).toBe('AA123')
+        expect(nextDay.flightDate).toBe('2025-07-11')
+      })
+
       it('should throw validation error for invalid data', async () => {
         const invalidData = { ...validFlightData, flightNumber: 'INVALID' }
         
@@ -291,6 +321,28 @@ describe('FlightService', () => {
           .rejects.toThrow(FlightNotFoundError)
       })
 
+      it('should retrieve the instance of a given date', async () => {
+        await flightService.createFlight(nextDayFlightData)
+
+        const result = await flightService.getFlightByNumber('AA123', false, { date: '2025-07-11' })
+
+        expect(result.flightDate).toBe('2025-07-11')
+      })
+
+      it('should throw not found error when the flight does not operate on that date', async () => {
+        await expect(flightService.getFlightByNumber('AA123', false, { date: '2025-07-12' }))
+          .rejects.toThrow(FlightNotFoundError)
+      })
+
+      it('should resolve a codeshare number to the operating flight', async () => {
+        await Flight.updateMany({}, { 'codeshare.partners': [{ airline: 'BA', flightNumber: 'BA1511' }] })
+
+        const result = await flightService.getFlightByNumber('BA1511')
+
+        expect(result.flightNumber).toBe('AA123')
+        expect(result.codeshares).toEqual([{ airline: 'BA', flightNumber: 'BA1511' }])
+      })
+
       it('should throw validation error for invalid flight number format', async () => {
         await expect(flightService.getFlightByNumber('INVALID'))
           .rejects.toThrow(FlightValidationError)
@@ -458,6 +510,47 @@ describe('FlightService', () => {
         expect(result.delay.description).toBe('Severe thunderstorms')
       })
 
+      it('should record IATA delay segments with the status change', async () => {
+        const result = await flightService.updateFlightStatus('AA123', {
+          status: FLIGHT_STATUSES.DELAYED,
+          delay: {
+            segments: [
+              { code: '41', subCode: 'D', minutes: 15, description: 'Hydraulic leak' },
+              { code: 'RA', minutes: 40 }
+            ]
+          }
+        }, 'Ops')
+
+        expect(result.delay).toMatchObject({ minutes: 55, reason: DELAY_REASONS.AIRCRAFT })
+        expect(result.delay.segments).toEqual([
+          expect.objectContaining({
+            code: '41',
+            subCode: 'D',
+            codeDescription: 'Aircraft defects',
+            minutes: 15,
+            reason: DELAY_REASONS.TECHNICAL,
+            description: 'Hydraulic leak',
+            recordedBy: 'Ops'
+          }),
+          expect.objectContaining({ code: '93', subCode: null, minutes: 40, reason: DELAY_REASONS.AIRCRAFT })
+        ])
+
+        const history = await flightService.getFlightHistory('AA123', { includeStatusHistory: true })
+        const entry = history.history[0].statusHistory[0]
+        expect(entry.delay.minutes).toBe(55)
+        expect(entry.delay.segments.map(segment => segment.code)).toEqual(['41', '93'])
+      })
+
+      it('should reject unknown delay codes before changing the flight', async () => {
+        await expect(flightService.updateFlightStatus('AA123', {
+          status: FLIGHT_STATUSES.DELAYED,
+          delay: { segments: [{ code: '08', minutes: 10 }] }
+        })).rejects.toThrow(FlightValidationError)
+
+        const stored = await Flight.findOne({ flightNumber: 'AA123' })
+        expect(stored.status.current).toBe(FLIGHT_STATUSES.SCHEDULED)
+      })
+
       it('should throw error for invalid status transition', async () => {
         const updateData = {
           status: FLIGHT_STATUSES.ARRIVED // Can't go directly from SCHEDULED to ARRIVED
@@ -598,6 +691,15 @@ describe('FlightService', () => {
         expect(result.flights[0].aircraft.type).toBe('Airbus A320')
       })
 
+      it('should find flights by codeshare number', async () => {
+        await Flight.updateOne({ flightNumber: 'UA200' }, { 'codeshare.partners': [{ airline: 'LH', flightNumber: 'LH9050' }] })
+
+        const result = await flightService.searchFlights({ searchText: 'LH9050' })
+
+        expect(result.flights).toHaveLength(1)
+        expect(result.flights[0].flightNumber).toBe('UA200')
+      })
+
       it('should limit search results', async () => {
         const result = await flightService.searchFlights({
           searchText: 'Airlines',
@@ -678,6 +780,15 @@ describe('FlightService', () => {
         expect(formatted.operational).toHaveProperty('isInternational', false)
       })
 
+      it('should include the weather observed at each end', async () => {
+        const flightDoc = await Flight.findOne({ flightNumber: 'AA123' })
+        expect(flightService.formatFlightData(flightDoc).weather).toEqual({ origin: null, destination: null })
+
+        flightDoc.weather.origin = { condition: 'Mist', visibility: 3000, station: 'KJFK', observedAt: new Date('2026-10-26T00:51:00Z') }
+
+        expect(flightService.formatFlightData(flightDoc).weather.origin).toMatchObject({ condition: 'Mist', visibility: 3000, station: 'KJFK' })
+      })
+
       it('should handle null flight data', () => {
         const result = flightService.formatFlightData(null)
         expect(result).toBeNull()
@@ -783,47 +894,495 @@ describe('FlightService', () => {
     })
   })
 
-  describe('Integration with NotificationService', () => {
-    beforeEach(async () => {
-      notificationService.enable()
-      jest.spyOn(notificationService, 'notifyFlightStatusChange')
+  describe('Flight domain events', () => {
+    let published
+
+    beforeEach(() => {
+      published = []
+      eventBus.subscribe(Object.values(FLIGHT_EVENTS), (event) => published.push(event), 'test')
     })
 
-    it('should trigger notifications on status change', async () => {
-      const flight = await flightService.createFlight(validFlightData)
-      
-      const updateData = {
-        status: FLIGHT_STATUSES.BOARDING
-      }
+    it('should publish status_changed with the previous status', async () => {
+      await flightService.createFlight(validFlightData)
 
-      await flightService.updateFlightStatus('AA123', updateData)
-      
-      expect(notificationService.notifyFlightStatusChange).toHaveBeenCalledWith(
-        expect.any(Object),
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING }, 'ops-user')
+      await eventBus.drain()
+
+      const event = published.find(e => e.type === FLIGHT_EVENTS.STATUS_CHANGED)
+      expect(event).toMatchObject({
+        flightNumber: 'AA123',
+        actor: 'ops-user',
+        data: { previousStatus: FLIGHT_STATUSES.SCHEDULED, status: FLIGHT_STATUSES.BOARDING }
+      })
+    })
+
+    it('should publish cancelled alongside status_changed', async () => {
+      await flightService.createFlight(validFlightData)
+      await eventBus.drain()
+      published = []
+
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.CANCELLED, reason: 'Crew shortage' })
+      await eventBus.drain()
+
+      expect(published.map(e => e.type)).toEqual([FLIGHT_EVENTS.STATUS_CHANGED, FLIGHT_EVENTS.CANCELLED])
+      expect(published[1].data.reason).toBe('Crew shortage')
+    })
+
+    it('should publish gate changes without a status change', async () => {
+      await flightService.createFlight(validFlightData)
+      await eventBus.drain()
+      published = []
+
+      await flightService.updateFlightStatus('AA123', { gate: { departure: { gate: 'C9', terminal: '4' } } })
+      await eventBus.drain()
+
+      expect(published).toHaveLength(1)
+      expect(published[0].type).toBe(FLIGHT_EVENTS.GATE_CHANGED)
+      expect(published[0].data.departure.current).toEqual({ gate: 'C9', terminal: '4' })
+    })
+
+    it('should publish delayed when the delay grows', async () => {
+      await flightService.createFlight(validFlightData)
+
+      await flightService.updateFlightStatus('AA123', { delay: { minutes: 45, reason: DELAY_REASONS.WEATHER } })
+      await eventBus.drain()
+
+      const event = published.find(e => e.type === FLIGHT_EVENTS.DELAYED)
+      expect(event.data).toMatchObject({ delayMinutes: 45, previousDelayMinutes: 0 })
+    })
+
+    it('should neither stamp times nor publish events for intermediate statuses', async () => {
+      await flightService.createFlight(validFlightData)
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING })
+      await eventBus.drain()
+      published = []
+
+      const result = await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DEPARTED }, 'MVT', {}, { intermediate: true })
+      await eventBus.drain()
+
+      expect(result.status.current).toBe(FLIGHT_STATUSES.DEPARTED)
+      expect(result.schedule.departure.actual).toBeFalsy()
+      expect(published).toEqual([])
+    })
+
+    it('should publish created when a flight is added', async () => {
+      await flightService.createFlight(validFlightData, 'ops-user')
+      await eventBus.drain()
+
+      expect(published).toHaveLength(1)
+      expect(published[0]).toMatchObject({ type: FLIGHT_EVENTS.CREATED, actor: 'ops-user' })
+    })
+
+    it('should publish schedule changes', async () => {
+      await flightService.createFlight(validFlightData)
+      await eventBus.drain()
+      published = []
+      const estimated = new Date(validFlightData.schedule.departure.scheduled.getTime() + 30 * 60000)
+
+      await flightService.updateFlightStatus('AA123', { schedule: { departure: { estimated } } })
+      await eventBus.drain()
+
+      const event = published.find(e => e.type === FLIGHT_EVENTS.SCHEDULE_CHANGED)
+      expect(event.data.departure.current.estimated).toEqual(estimated)
+    })
+
+    it('should deliver status changes to NotificationService', async () => {
+      jest.spyOn(notificationService, 'notifyStatusChange').mockResolvedValue({ success: true })
+      await flightService.createFlight(validFlightData)
+
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING })
+      await eventBus.drain()
+
+      expect(notificationService.notifyStatusChange).toHaveBeenCalledWith(
+        expect.objectContaining({ flightNumber: 'AA123' }),
         FLIGHT_STATUSES.SCHEDULED,
-        FLIGHT_STATUSES.BOARDING,
         'System'
       )
     })
 
-    it('should handle notification service failures gracefully', async () => {
-      jest.spyOn(notificationService, 'notifyFlightStatusChange')
+    it('should not fail the update when a subscriber throws', async () => {
+      jest.spyOn(notificationService, 'notifyStatusChange')
         .mockRejectedValue(new Error('Notification failed'))
-      
-      const flight = await flightService.createFlight(validFlightData)
-      const updateData = { status: FLIGHT_STATUSES.BOARDING }
+      await flightService.createFlight(validFlightData)
 
-      // Should not throw error even if notification fails
-      await expect(flightService.updateFlightStatus('AA123', updateData))
+      await expect(flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING }))
         .resolves.toBeDefined()
-      
-      expect(mockLogger.warn).toHaveBeenCalledWith(
-        'Failed to send flight status notification',
+      await eventBus.drain()
+
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Flight event subscriber failed',
         expect.objectContaining({
+          subscriber: 'notification-service',
           flightNumber: 'AA123',
           error: 'Notification failed'
         })
       )
     })
   })
-})
\ No newline at end of file
+
+  describe('Diversions', () => {
+    const diversion = {
+      airport: 'LAS',
+      city: 'Las Vegas',
+      country: 'United States',
+      reason: 'Fog at Los Angeles',
+      estimatedArrival: new Date('2025-07-10T10:40:00Z')
+    }
+
+    beforeEach(async () => {
+      await flightService.createFlight(validFlightData)
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING })
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DEPARTED })
+    })
+
+    it('should record the diversion airport and keep the planned destination', async () => {
+      const result = await flightService.divertFlight('AA123', diversion, 'OpsUser')
+
+      expect(result.status.current).toBe(FLIGHT_STATUSES.DIVERTED)
+      expect(result.route.destination).toMatchObject({ airport: 'LAX', city: 'Los Angeles', terminal: '2', gate: 'B5' })
+      expect(result.schedule.arrival.estimated).toEqual(diversion.estimatedArrival)
+      expect(result.diversion).toMatchObject({
+        airport: 'LAS',
+        city: 'Las Vegas',
+        country: 'United States',
+        reason: 'Fog at Los Angeles',
+        estimatedArrival: diversion.estimatedArrival,
+        continuation: null
+      })
+    })
+
+    it('should still find a diverted flight by its planned destination', async () => {
+      await flightService.divertFlight('AA123', diversion)
+
+      const result = await flightService.getFlights({ destination: 'LAX' })
+
+      expect(result.flights.map(flight => flight.flightNumber)).toEqual(['AA123'])
+    })
+
+    it('should publish the diversion airport with the diverted event', async () => {
+      const published = []
+      eventBus.subscribe(FLIGHT_EVENTS.DIVERTED, (event) => published.push(event), 'test')
+
+      await flightService.divertFlight('AA123', diversion)
+      await eventBus.drain()
+
+      expect(published).toHaveLength(1)
+      expect(published[0].data).toMatchObject({ airport: 'LAS', plannedDestination: 'LAX', reason: 'Fog at Los Angeles' })
+    })
+
+    it('should look up the city of an airport another flight serves', async () => {
+      const result = await flightService.divertFlight('AA123', { airport: 'JFK' })
+
+      expect(result.diversion).toMatchObject({ airport: 'JFK', city: 'New York', country: 'United States' })
+    })
+
+    it('should reject a diversion without a usable airport', async () => {
+      await expect(flightService.divertFlight('AA123', { airport: 'LAX' }))
+        .rejects.toThrow(FlightValidationError)
+      await expect(flightService.divertFlight('AA123', { airport: 'ZZZ' }))
+        .rejects.toThrow(FlightValidationError)
+      await expect(flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DIVERTED }))
+        .rejects.toThrow(FlightValidationError)
+
+      const flight = await flightService.getFlightByNumber('AA123')
+      expect(flight.status.current).toBe(FLIGHT_STATUSES.DEPARTED)
+      expect(flight.route.destination.airport).toBe('LAX')
+    })
+
+    it('should create a continuation leg to the planned destination', async () => {
+      await flightService.divertFlight('AA123', diversion)
+
+      const continuation = await flightService.createDiversionContinuation('AA123', {
+        departure: '2025-07-10T13:00:00Z',
+        arrival: '2025-07-10T14:10:00Z'
+      }, 'OpsUser')
+
+      expect(continuation.operationalSuffix).toBe('D')
+      expect(continuation.route.origin.airport).toBe('LAS')
+      expect(continuation.route.destination.airport).toBe('LAX')
+
+      const original = await Flight.findInstance('AA123', { date: '2025-07-10' })
+      expect(String(original.diversion.continuation)).toBe(String(continuation.id))
+
+      const leg = await Flight.findById(continuation.id)
+      expect(String(leg.continuationOf)).toBe(String(original._id))
+    })
+
+    it('should refuse a continuation for a flight that was not diverted or already has one', async () => {
+      const data = { departure: '2025-07-10T13:00:00Z', arrival: '2025-07-10T14:10:00Z' }
+
+      await expect(flightService.createDiversionContinuation('AA123', data))
+        .rejects.toThrow(FlightConflictError)
+
+      await flightService.divertFlight('AA123', diversion)
+      await flightService.createDiversionContinuation('AA123', data)
+
+      await expect(flightService.createDiversionContinuation('AA123', data))
+        .rejects.toThrow(FlightConflictError)
+    })
+  })
+
+  describe('Rebooking options', () => {
+    const alternative = (flightNumber, departure, overrides = {}) => ({
+      ...validFlightData,
+      flightNumber,
+      aircraft: { ...validFlightData.aircraft, capacity: { economy: 144, business: 16, total: 160 } },
+      schedule: {
+        departure: { scheduled: new Date(departure) },
+        arrival: { scheduled: new Date(new Date(departure).getTime() + 3 * 60 * 60 * 1000) }
+      },
+      ...overrides
+    })
+
+    const otherAirline = { code: 'DL', name: 'Delta Air Lines', icao: 'DAL' }
+
+    beforeEach(async () => {
+      await flightService.createFlight(validFlightData)
+      await flightService.createFlight(alternative('DL456', '2025-07-10T12:00:00Z', { airline: otherAirline }))
+      await flightService.createFlight(alternative('AA789', '2025-07-10T18:00:00Z'))
+      await flightService.createFlight(alternative('AA321', '2025-07-11T09:00:00Z', { aircraft: validFlightData.aircraft }))
+      await flightService.createFlight(alternative('AA555', '2025-07-13T09:00:00Z'))
+    })
+
+    it('should suggest same-route flights in the window, same airline first', async () => {
+      const flight = await Flight.findInstance('AA123', { date: '2025-07-10' })
+
+      const options = await flightService.findRebookingOptions(flight, { now: new Date('2025-07-10T06:00:00Z') })
+
+      expect(options.map(option => option.flightNumber)).toEqual(['AA789', 'AA321', 'DL456'])
+      expect(options[0]).toMatchObject({
+        route: { origin: 'JFK', destination: 'LAX' },
+        status: FLIGHT_STATUSES.SCHEDULED,
+        seatCapacity: { total: 160, economy: 144, business: 16, first: null }
+      })
+      expect(options[1].seatCapacity).toBeNull()
+    })
+
+    it('should skip flights that cannot take passengers any more', async () => {
+      await flightService.updateFlightStatus('AA789', { status: FLIGHT_STATUSES.CANCELLED })
+      const flight = await Flight.findInstance('AA123', { date: '2025-07-10' })
+
+      const options = await flightService.findRebookingOptions(flight, { now: new Date('2025-07-10T06:00:00Z'), limit: 5 })
+
+      expect(options.map(option => option.flightNumber)).toEqual(['AA321', 'DL456'])
+    })
+
+    it('should return the options with a cancellation and its events', async () => {
+      const departure = new Date(Date.now() + 2 * 60 * 60 * 1000)
+      await flightService.createFlight(alternative('AA900', departure))
+      await flightService.createFlight(alternative('AA901', departure.getTime() + 4 * 60 * 60 * 1000))
+
+      const published = []
+      eventBus.subscribe(FLIGHT_EVENTS.CANCELLED, (event) => published.push(event), 'test')
+
+      const result = await flightService.updateFlightStatus('AA900', { status: FLIGHT_STATUSES.CANCELLED, reason: 'Crew shortage' })
+      await eventBus.drain()
+
+      expect(result.rebookingOptions.map(option => option.flightNumber)).toEqual(['AA901'])
+      expect(published[0].data.rebookingOptions).toEqual(result.rebookingOptions)
+
+      const fetched = await flightService.getFlightByNumber('AA900')
+      expect(fetched.rebookingOptions.map(option => option.flightNumber)).toEqual(['AA901'])
+    })
+
+    it('should not look up options for flights that still operate', async () => {
+      const result = await flightService.getFlightByNumber('AA123')
+
+      expect(result.rebookingOptions).toBeUndefined()
+    })
+  })
+
+  describe('Status transition policies', () => {
+    let statusPolicyService
+
+    beforeEach(async () => {
+      await StatusTransitionPolicy.deleteMany({})
+      statusPolicyService = new StatusPolicyService(mockLogger)
+      flightService = new FlightService(mockLogger, eventBus, {}, statusPolicyService)
+
+      await flightService.createFlight(validFlightData)
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING })
+    })
+
+    it('should apply the transitions of the airline policy', async () => {
+      await expect(flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DELAYED }))
+        .rejects.toThrow(FlightStatusError)
+
+      await statusPolicyService.setPolicy('AA', {
+        transitions: {
+          [FLIGHT_STATUSES.BOARDING]: [FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.CANCELLED]
+        }
+      }, 'OpsAdmin')
+
+      const result = await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DELAYED, reason: 'Boarding interrupted' })
+
+      expect(result.status.current).toBe(FLIGHT_STATUSES.DELAYED)
+    })
+
+    it('should require a reason for a forced transition', async () => {
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DEPARTED })
+
+      await expect(flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.SCHEDULED, force: true }))
+        .rejects.toThrow(FlightValidationError)
+    })
+
+    it('should only treat force: true as a forced transition', async () => {
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DEPARTED })
+
+      await expect(flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.SCHEDULED, force: 'true', reason: 'Returned to gate' }))
+        .rejects.toThrow(FlightStatusError)
+    })
+
+    it('should record and publish a forced transition', async () => {
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DEPARTED })
+
+      const published = []
+      eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, (event) => published.push(event), 'test')
+
+      const result = await flightService.updateFlightStatus('AA123', {
+        status: FLIGHT_STATUSES.SCHEDULED,
+        force: true,
+        reason: 'Returned to gate'
+      }, 'Supervisor')
+      await eventBus.drain()
+
+      expect(result.status.current).toBe(FLIGHT_STATUSES.SCHEDULED)
+      expect(result.schedule.departure.actual).toBeFalsy()
+
+      const flight = await Flight.findInstance('AA123', { date: '2025-07-10' })
+      const entry = flight.status.history[flight.status.history.length - 1]
+      expect(entry).toMatchObject({ status: FLIGHT_STATUSES.SCHEDULED, forced: true, updatedBy: 'Supervisor' })
+      expect(entry.reason).toContain('Returned to gate')
+
+      expect(published[0].data).toMatchObject({ previousStatus: FLIGHT_STATUSES.DEPARTED, forced: true })
+      expect(mockLogger.warn).toHaveBeenCalledWith('Forced status transition', expect.objectContaining({
+        audit: true,
+        reason: 'Returned to gate',
+        updatedBy: 'Supervisor'
+      }))
+    })
+  })
+
+  describe('runStatusCheck()', () => {
+    const departingAt = (offsetMinutes) => {
+      const departure = new Date(Date.now() + offsetMinutes * 60 * 1000)
+      return {
+        ...validFlightData,
+        schedule: {
+          departure: { scheduled: departure },
+          arrival: { scheduled: new Date(departure.getTime() + 3 * 60 * 60 * 1000) }
+        }
+      }
+    }
+
+    it('should flag scheduled flights past departure as Delayed', async () => {
+      await Flight.create(departingAt(-30))
+      const published = []
+      eventBus.subscribe(FLIGHT_EVENTS.STATUS_CHANGED, (event) => published.push(event), 'test')
+
+      const stats = await flightService.runStatusCheck()
+      await eventBus.drain()
+
+      const flight = await Flight.findOne({ flightNumber: 'AA123' })
+      expect(stats).toMatchObject({ checked: 1, markedDelayed: 1 })
+      expect(flight.status.current).toBe(FLIGHT_STATUSES.DELAYED)
+      expect(flight.delay.minutes).toBeGreaterThanOrEqual(29)
+      expect(published[0]).toMatchObject({ actor: 'Scheduler', data: { status: FLIGHT_STATUSES.DELAYED } })
+    })
+
+    it('should recalculate the delay of flights already delayed', async () => {
+      await Flight.create({ ...departingAt(-45), status: { current: FLIGHT_STATUSES.DELAYED } })
+
+      const stats = await flightService.runStatusCheck()
+
+      const flight = await Flight.findOne({ flightNumber: 'AA123' })
+      expect(stats.delayUpdated).toBe(1)
+      expect(flight.delay.minutes).toBeGreaterThanOrEqual(44)
+    })
+
+    it('should leave flights that have not reached departure untouched', async () => {
+      await Flight.create(departingAt(120))
+
+      const stats = await flightService.runStatusCheck()
+
+      expect(stats).toMatchObject({ checked: 1, markedDelayed: 0, delayUpdated: 0 })
+    })
+
+    it('should ignore flights outside the window', async () => {
+      await Flight.create(departingAt(-3 * 24 * 60))
+
+      const stats = await flightService.runStatusCheck({ windowHours: 24 })
+
+      expect(stats.checked).toBe(0)
+    })
+  })
+
+  describe('Flight event replay', () => {
+    beforeEach(async () => {
+      await FlightEvent.deleteMany({})
+      registerEventLogSubscriber(eventBus, { ttlMs: 60 * 60 * 1000 })
+      await flightService.createFlight(validFlightData)
+    })
+
+    it('should give every event of a flight a monotonic sequence id', async () => {
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.CANCELLED, reason: 'Crew shortage' })
+
+      // Cancelling may also publish a delay update after these three
+      const logged = await FlightEvent.find({ flightNumber: 'AA123' }).sort({ seq: 1 })
+      expect(logged.slice(0, 3).map(e => [e.seq, e.type])).toEqual([
+        [1, FLIGHT_EVENTS.CREATED],
+        [2, FLIGHT_EVENTS.STATUS_CHANGED],
+        [3, FLIGHT_EVENTS.CANCELLED]
+      ])
+
+      const flight = await Flight.findOne({ flightNumber: 'AA123' })
+      expect(flight.eventSequence).toBe(logged.length)
+      expect(flight.status.history[flight.status.history.length - 1].seq).toBe(2)
+    })
+
+    it('should return the events after sinceSeq from the event log', async () => {
+      await flightService.updateFlightStatus('AA123', { gate: { departure: { gate: 'C9', terminal: '4' } } })
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING })
+
+      const result = await flightService.getFlightEventsSince('AA123', 1)
+
+      expect(result.complete).toBe(true)
+      expect(result.events[result.events.length - 1].seq).toBe(result.latestSeq)
+      expect(result.events.slice(0, 2).map(e => e.type)).toEqual([FLIGHT_EVENTS.GATE_CHANGED, FLIGHT_EVENTS.STATUS_CHANGED])
+    })
+
+    it('should rebuild status changes from history once the log has expired', async () => {
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING }, 'ops-user')
+      await flightService.updateFlightStatus('AA123', { gate: { departure: { gate: 'C9', terminal: '4' } } })
+      await FlightEvent.deleteMany({})
+
+      const result = await flightService.getFlightEventsSince('AA123', 0)
+
+      expect(result.events).toHaveLength(1)
+      expect(result.events[0]).toMatchObject({
+        seq: 2,
+        type: FLIGHT_EVENTS.STATUS_CHANGED,
+        actor: 'ops-user',
+        source: 'history',
+        data: { previousStatus: FLIGHT_STATUSES.SCHEDULED, status: FLIGHT_STATUSES.BOARDING }
+      })
+      expect(result.complete).toBe(false)
+    })
+
+    it('should page long replays', async () => {
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.BOARDING })
+      await flightService.updateFlightStatus('AA123', { status: FLIGHT_STATUSES.DEPARTED })
+
+      const result = await flightService.getFlightEventsSince('AA123', 0, 2)
+
+      expect(result.events.map(e => e.seq)).toEqual([1, 2])
+      expect(result.hasMore).toBe(true)
+      expect(result.complete).toBe(true)
+    })
+
+    it('should throw FlightNotFoundError for unknown flights', async () => {
+      await expect(flightService.getFlightEventsSince('ZZ999', 0))
+        .rejects.toThrow(FlightNotFoundError)
+    })
+  })
+})
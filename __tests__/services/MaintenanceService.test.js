@@ -0,0 +1,88 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const MaintenanceService = require('../../src/services/MaintenanceService')
+const { FlightOperationError } = require('../../src/errors/FlightErrors')
+
+describe('MaintenanceService', () => {
+  let logDir
+  let mockLogger
+
+  const createService = (options = {}) => new MaintenanceService(mockLogger, {
+    logging: { filePath: logDir, maxFiles: 2 },
+    backup: { command: null, timeoutMs: 5000 },
+    ...options
+  })
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fsns-logs-'))
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+  })
+
+  afterEach(() => {
+    fs.rmSync(logDir, { recursive: true, force: true })
+  })
+
+  describe('rotateLogs()', () => {
+    it('should archive and truncate non-empty log files', async () => {
+      fs.writeFileSync(path.join(logDir, 'combined.log'), 'line 1\n')
+      fs.writeFileSync(path.join(logDir, 'error.log'), '')
+
+      const result = await createService().rotateLogs(new Date('2026-10-19T01:00:00Z'))
+
+      expect(result.rotated).toEqual(['combined.log'])
+      expect(fs.readFileSync(path.join(logDir, 'combined.log'), 'utf8')).toBe('')
+      expect(fs.readFileSync(path.join(logDir, 'combined.log.2026-10-19T01-00-00-000Z'), 'utf8')).toBe('line 1\n')
+    })
+
+    it('should keep only the newest maxFiles archives', async () => {
+      const service = createService()
+      const logFile = path.join(logDir, 'combined.log')
+
+      for (const day of ['17', '18', '19']) {
+        fs.writeFileSync(logFile, `day ${day}\n`)
+        await service.rotateLogs(new Date(`2026-10-${day}T01:00:00Z`))
+      }
+
+      const archives = fs.readdirSync(logDir).filter(name => name.startsWith('combined.log.')).sort()
+      expect(archives).toEqual([
+        'combined.log.2026-10-18T01-00-00-000Z',
+        'combined.log.2026-10-19T01-00-00-000Z'
+      ])
+    })
+
+    it('should do nothing when the log directory does not exist', async () => {
+      const service = createService({ logging: { filePath: path.join(logDir, 'missing'), maxFiles: 2 } })
+
+      await expect(service.rotateLogs()).resolves.toEqual({ rotated: [], removed: [] })
+    })
+  })
+
+  describe('runDatabaseBackup()', () => {
+    it('should skip when no backup command is configured', async () => {
+      const result = await createService().runDatabaseBackup()
+
+      expect(result.skipped).toBe(true)
+      expect(mockLogger.warn).toHaveBeenCalled()
+    })
+
+    it('should run the configured command', async () => {
+      const service = createService({ backup: { command: 'echo backup written', timeoutMs: 5000 } })
+
+      const result = await service.runDatabaseBackup()
+
+      expect(result).toMatchObject({ skipped: false, output: 'backup written' })
+    })
+
+    it('should throw FlightOperationError when the command fails', async () => {
+      const service = createService({ backup: { command: 'exit 3', timeoutMs: 5000 } })
+
+      await expect(service.runDatabaseBackup()).rejects.toThrow(FlightOperationError)
+    })
+  })
+})
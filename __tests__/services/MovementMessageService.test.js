@@ -0,0 +1,329 @@
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const mongoose = require('mongoose')
+const MovementMessageService = require('../../src/services/MovementMessageService')
+const FlightService = require('../../src/services/FlightService')
+const Flight = require('../../src/models/Flight')
+const RejectedMovementMessage = require('../../src/models/RejectedMovementMessage')
+const { FLIGHT_STATUSES, DELAY_REASONS } = require('../../src/models/Flight')
+const { FlightDatabaseError } = require('../../src/errors/FlightErrors')
+
+describe('MovementMessageService', () => {
+  let service
+  let flightService
+  let mockLogger
+  let flight
+
+  const now = new Date('2026-10-26T00:20:00Z')
+
+  const buildFlight = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    flightNumber: 'GA402',
+    flightDate: '2026-10-26',
+    operationalSuffix: '',
+    route: {
+      origin: { airport: 'CGK' },
+      destination: { airport: 'DPS' }
+    },
+    schedule: {
+      departure: { scheduled: new Date('2026-10-26T00:30:00Z') },
+      arrival: { scheduled: new Date('2026-10-26T02:25:00Z') }
+    },
+    status: { current: FLIGHT_STATUSES.SCHEDULED },
+    ...overrides
+  })
+
+  const mvt = (...lines) => ['MVT', ...lines].join('\n')
+
+  // Data passed to each updateFlightStatus call
+  const updates = () => flightService.updateFlightStatus.mock.calls.map(([, data]) => data)
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    flight = buildFlight()
+
+    flightService = new FlightService(mockLogger)
+    jest.spyOn(flightService, 'updateFlightStatus').mockImplementation(async (flightNumber, data, updatedBy, instance) => ({
+      flightNumber,
+      flightDate: instance.date,
+      operationalSuffix: instance.suffix,
+      status: { current: data.status || flight.status.current },
+      schedule: data.schedule,
+      delay: data.delay
+    }))
+
+    jest.spyOn(Flight, 'findOne').mockImplementation(async () => flight)
+    jest.spyOn(RejectedMovementMessage, 'create').mockImplementation(async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      receivedAt: now,
+      ...data
+    }))
+
+    service = new MovementMessageService(mockLogger, flightService)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('ingest()', () => {
+    it('should apply a departure through the statuses in between', async () => {
+      const result = await service.ingest(mvt(
+        'GA402/26.PKGQE.CGK',
+        'AD0042/0051 EA0240 DPS',
+        'DL93/0012'
+      ), { receivedBy: 'ops', now })
+
+      expect(Flight.findOne).toHaveBeenCalledWith({
+        flightNumber: 'GA402',
+        operationalSuffix: '',
+        isActive: true,
+        'schedule.departure.scheduled': {
+          $gte: new Date('2026-10-26T00:00:00Z'),
+          $lt: new Date('2026-10-27T00:00:00Z')
+        }
+      })
+      expect(updates().map(data => data.status)).toEqual([
+        FLIGHT_STATUSES.BOARDING,
+        FLIGHT_STATUSES.DEPARTED,
+        FLIGHT_STATUSES.IN_AIR
+      ])
+      expect(updates()[2]).toEqual({
+        status: FLIGHT_STATUSES.IN_AIR,
+        reason: 'MVT AD/EA CGK',
+        metadata: { source: 'MVT', station: 'CGK', registration: 'PKGQE' },
+        schedule: {
+          departure: { actual: new Date('2026-10-26T00:42:00Z'), wheelsOff: new Date('2026-10-26T00:51:00Z') },
+          arrival: { estimated: new Date('2026-10-26T02:40:00Z') }
+        },
+        delay: {
+          minutes: 12,
+          reason: DELAY_REASONS.AIRCRAFT,
+          description: 'IATA delay 93 (12 min)',
+          segments: [{ code: '93', minutes: 12 }]
+        }
+      })
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith('GA402', expect.any(Object), 'ops', {
+        date: '2026-10-26',
+        suffix: ''
+      })
+      expect(result).toMatchObject({ received: 1, rejected: [] })
+      expect(result.accepted[0]).toMatchObject({ type: 'MVT', flightNumber: 'GA402', status: FLIGHT_STATUSES.IN_AIR })
+    })
+
+    it('should mark the arrival with the on-block time', async () => {
+      flight = buildFlight({ status: { current: FLIGHT_STATUSES.IN_AIR } })
+
+      await service.ingest(mvt('GA402/26.PKGQE.DPS', 'AA0231/0238'), { now })
+
+      expect(updates()).toEqual([expect.objectContaining({
+        status: FLIGHT_STATUSES.ARRIVED,
+        schedule: { arrival: { actual: new Date('2026-10-26T02:38:00Z'), wheelsOn: new Date('2026-10-26T02:31:00Z') } }
+      })])
+    })
+
+    it('should pass skipped statuses through quietly when only the arrival is reported', async () => {
+      await service.ingest(mvt('GA402/26.PKGQE.DPS', 'AA0231/0238'), { now })
+
+      const calls = flightService.updateFlightStatus.mock.calls
+      expect(calls.map(([, data, , , options]) => [data.status, options])).toEqual([
+        [FLIGHT_STATUSES.BOARDING, { intermediate: true }],
+        [FLIGHT_STATUSES.DEPARTED, { intermediate: true }],
+        [FLIGHT_STATUSES.IN_AIR, { intermediate: true }],
+        [FLIGHT_STATUSES.ARRIVED, undefined]
+      ])
+      expect(updates().every(data => !data.schedule?.departure)).toBe(true)
+    })
+
+    it('should expect the arrival of a diverted flight at the diversion airport', async () => {
+      flight = buildFlight({
+        status: { current: FLIGHT_STATUSES.DIVERTED },
+        diversion: { airport: 'SUB', divertedAt: new Date('2026-10-26T01:50:00Z') }
+      })
+
+      const result = await service.ingest(mvt('GA402/26.PKGQE.SUB', 'AA0231/0238'), { now })
+
+      expect(result.rejected).toEqual([])
+      expect(updates()).toEqual([expect.objectContaining({ status: FLIGHT_STATUSES.ARRIVED })])
+    })
+
+    it('should delay the flight on an estimated departure and move the arrival estimate with it', async () => {
+      await service.ingest(mvt('GA402/26.PKGQE.CGK', 'ED0115'), { now })
+
+      expect(updates()).toEqual([expect.objectContaining({
+        status: FLIGHT_STATUSES.DELAYED,
+        schedule: {
+          departure: { estimated: new Date('2026-10-26T01:15:00Z') },
+          arrival: { estimated: new Date('2026-10-26T03:10:00Z') }
+        },
+        delay: { minutes: 45 }
+      })])
+    })
+
+    it('should delay the flight until the next information time', async () => {
+      await service.ingest(mvt('GA402/26.PKGQE.CGK', 'NI0130', 'DL41'), { now })
+
+      expect(updates()).toEqual([expect.objectContaining({
+        status: FLIGHT_STATUSES.DELAYED,
+        delay: { reason: DELAY_REASONS.TECHNICAL, description: 'IATA delay 41' }
+      })])
+    })
+
+    it('should place times after midnight on the next day', async () => {
+      flight = buildFlight({
+        flightDate: '2026-10-26',
+        schedule: {
+          departure: { scheduled: new Date('2026-10-25T23:50:00Z') },
+          arrival: { scheduled: new Date('2026-10-26T01:45:00Z') }
+        },
+        status: { current: FLIGHT_STATUSES.BOARDING }
+      })
+
+      await service.ingest(mvt('GA402/25.PKGQE.CGK', 'AD0010'), { now })
+
+      expect(updates()[0]).toMatchObject({
+        status: FLIGHT_STATUSES.DEPARTED,
+        schedule: { departure: { actual: new Date('2026-10-26T00:10:00Z') } },
+        delay: { minutes: 20 }
+      })
+    })
+
+    it('should update times without moving a flight back', async () => {
+      flight = buildFlight({ status: { current: FLIGHT_STATUSES.IN_AIR } })
+
+      await service.ingest(mvt('GA402/26.PKGQE.CGK', 'AD0042'), { now })
+
+      expect(updates()).toHaveLength(1)
+      expect(updates()[0].status).toBeUndefined()
+      expect(updates()[0].schedule.departure.actual).toEqual(new Date('2026-10-26T00:42:00Z'))
+    })
+
+    it('should store rejected messages with their reason and apply the rest', async () => {
+      Flight.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(buildFlight({ status: { current: FLIGHT_STATUSES.CANCELLED } }))
+
+      const result = await service.ingest([
+        mvt('GA404/26.PKGQF.CGK', 'AD0042'),
+        mvt('GA402/26.PKGQE.CGK', 'AD0042'),
+        mvt('GA402/26.PKGQE.SUB', 'AD0042'),
+        mvt('GA402/26.PKGQE.CGK', 'AD99'),
+        mvt('GA402/26.PKGQE.CGK', 'AD0042')
+      ].join('\n'), { source: 'file', fileName: 'batch.txt', receivedBy: 'MVT drop directory', now })
+
+      expect(result.received).toBe(5)
+      expect(result.accepted).toHaveLength(1)
+      expect(result.rejected.map(({ code, reason }) => ({ code, reason }))).toEqual([
+        { code: 'FLIGHT_NOT_FOUND', reason: 'Flight GA404 not found' },
+        { code: 'FLIGHT_STATUS_ERROR', reason: 'Cannot move flight from Cancelled to Departed' },
+        { code: 'STATION_MISMATCH', reason: "Movement reported at SUB but the flight's origin is CGK" },
+        { code: 'PARSE_ERROR', reason: "Cannot read line 'AD99'" }
+      ])
+      expect(RejectedMovementMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+        raw: 'MVT\nGA404/26.PKGQF.CGK\nAD0042',
+        type: 'MVT',
+        flightNumber: 'GA404',
+        source: 'file',
+        fileName: 'batch.txt',
+        receivedBy: 'MVT drop directory'
+      }))
+      expect(mockLogger.warn).toHaveBeenCalledWith('Movement message rejected', expect.any(Object))
+    })
+
+    it('should reject text without any message', async () => {
+      const result = await service.ingest('GA402 DEPARTED 0042', { now })
+
+      expect(result.rejected).toEqual([expect.objectContaining({
+        code: 'PARSE_ERROR',
+        reason: 'No MVT or MVA message found',
+        raw: 'GA402 DEPARTED 0042'
+      })])
+    })
+
+    it('should throw a database error when the flight lookup fails', async () => {
+      Flight.findOne.mockRejectedValue(new Error('connection lost'))
+
+      await expect(service.ingest(mvt('GA402/26.PKGQE.CGK', 'AD0042'), { now }))
+        .rejects.toThrow(FlightDatabaseError)
+    })
+  })
+
+  describe('resolveDay()', () => {
+    it('should take the closest month for the day of the message', () => {
+      expect(service.resolveDay(31, new Date('2026-11-01T01:00:00Z'))).toEqual(new Date('2026-10-31T00:00:00Z'))
+      expect(service.resolveDay(1, new Date('2026-10-31T22:00:00Z'))).toEqual(new Date('2026-11-01T00:00:00Z'))
+    })
+  })
+
+  describe('processDropDirectory()', () => {
+    let directory
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mvt-'))
+    })
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true })
+    })
+
+    it('should ingest each file and file it under processed or rejected', async () => {
+      await fs.writeFile(path.join(directory, 'ga402.txt'), mvt('GA402/26.PKGQE.CGK', 'AD0042'))
+      await fs.writeFile(path.join(directory, 'garbled.txt'), 'NOT A MOVEMENT')
+      await fs.writeFile(path.join(directory, '.partial'), 'MVT')
+
+      const stats = await service.processDropDirectory(directory)
+
+      expect(stats).toEqual({ files: 2, accepted: 1, rejected: 1 })
+      expect(await fs.readdir(directory)).toEqual(expect.arrayContaining(['.partial', 'processed', 'rejected', 'processing']))
+      expect(await fs.readdir(path.join(directory, 'processed'))).toEqual([expect.stringMatching(/-ga402\.txt$/)])
+      expect(await fs.readdir(path.join(directory, 'rejected'))).toEqual([expect.stringMatching(/-garbled\.txt$/)])
+      expect(await fs.readdir(path.join(directory, 'processing'))).toEqual([])
+      expect(RejectedMovementMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'file',
+        fileName: 'garbled.txt'
+      }))
+    })
+
+    it('should put a file back when it cannot be ingested', async () => {
+      Flight.findOne.mockRejectedValue(new Error('connection lost'))
+      await fs.writeFile(path.join(directory, 'ga402.txt'), mvt('GA402/26.PKGQE.CGK', 'AD0042'))
+
+      await expect(service.processDropDirectory(directory)).rejects.toThrow(FlightDatabaseError)
+
+      expect(await fs.readdir(directory)).toContain('ga402.txt')
+      expect(service.scanning).toBe(false)
+    })
+
+    it('should pick up files a crashed scan left in processing', async () => {
+      await fs.mkdir(path.join(directory, 'processing'))
+      await fs.writeFile(path.join(directory, 'processing', 'ga402.txt'), mvt('GA402/26.PKGQE.CGK', 'AD0042'))
+      service.options.claimTimeoutMs = 0
+
+      const stats = await service.processDropDirectory(directory)
+
+      expect(stats).toEqual({ files: 1, accepted: 1, rejected: 0 })
+      expect(await fs.readdir(path.join(directory, 'processing'))).toEqual([])
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Movement drop directory files recovered from processing',
+        { directory, files: ['ga402.txt'] }
+      )
+    })
+
+    it('should leave recent claims to the scan that made them', async () => {
+      await fs.mkdir(path.join(directory, 'processing'))
+      await fs.writeFile(path.join(directory, 'processing', 'ga402.txt'), 'MVT')
+
+      const recovered = await service.recoverClaimedFiles(directory)
+
+      expect(recovered).toEqual([])
+      expect(await fs.readdir(path.join(directory, 'processing'))).toEqual(['ga402.txt'])
+    })
+  })
+})
@@ -1,7 +1,10 @@
 const mongoose = require('mongoose')
 const { MongoMemoryServer } = require('mongodb-memory-server')
 const NotificationService = require('../../src/services/NotificationService')
+const { NOTIFICATION_EVENTS } = require('../../src/services/NotificationService')
 const Subscription = require('../../src/models/Subscription')
+const Notification = require('../../src/models/Notification')
+const { NOTIFICATION_STATUSES } = require('../../src/models/Notification')
 const { SUBSCRIPTION_STATUS, NOTIFICATION_TYPES, NOTIFICATION_METHODS } = require('../../src/models/Subscription')
 const { FLIGHT_STATUSES } = require('../../src/models/Flight')
 
@@ -30,6 +33,7 @@ describe('NotificationService', () => {
 
   beforeEach(async () => {
     await Subscription.deleteMany({})
+    await Notification.deleteMany({})
     
     mockLogger = {
       info: jest.fn(),
@@ -223,6 +227,24 @@ describe('NotificationService', () => {
         expect(result.notificationsSent).toBe(0)
       })
 
+      it('should not send status emails to unverified subscriptions', async () => {
+        await Subscription.deleteMany({})
+        await Subscription.create({
+          ...validSubscription,
+          status: SUBSCRIPTION_STATUS.PENDING,
+          verification: { isVerified: false, verificationToken: 'pending-token-123' }
+        })
+        const sendSpy = jest.spyOn(notificationService, 'sendStatusChangeEmail')
+
+        const result = await notificationService.notifyStatusChange(
+          validFlightData,
+          FLIGHT_STATUSES.SCHEDULED
+        )
+
+        expect(result.notificationsSent).toBe(0)
+        expect(sendSpy).not.toHaveBeenCalled()
+      })
+
       it('should apply rate limiting correctly', async () => {
         // Set rate limit to 1 per hour
         notificationService.config.rateLimit.maxPerHour = 1
@@ -263,6 +285,40 @@ describe('NotificationService', () => {
       })
     })
 
+    describe('notifyPredictedDelay()', () => {
+      const inbound = { flightNumber: 'AA122' }
+
+      it('should warn subscribers once the predicted delay reaches their threshold', async () => {
+        const result = await notificationService.notifyPredictedDelay(validFlightData, {
+          inbound,
+          delayMinutes: 20,
+          previousDelayMinutes: 0
+        })
+
+        expect(result.notificationsSent).toBe(1)
+
+        const notification = await Notification.findOne({ type: 'flight_delay' })
+        expect(notification.payload.subject).toContain('may depart about 20 minutes late')
+        expect(notification.payload.text).toContain('arriving late from its previous flight')
+      })
+
+      it('should not repeat the warning or send it below the threshold', async () => {
+        const below = await notificationService.notifyPredictedDelay(validFlightData, {
+          inbound,
+          delayMinutes: 10,
+          previousDelayMinutes: 0
+        })
+        const repeated = await notificationService.notifyPredictedDelay(validFlightData, {
+          inbound,
+          delayMinutes: 40,
+          previousDelayMinutes: 20
+        })
+
+        expect(below.notificationsSent).toBe(0)
+        expect(repeated.notificationsSent).toBe(0)
+      })
+    })
+
     describe('sendStatusChangeEmail()', () => {
       let subscription
 
@@ -310,7 +366,7 @@ describe('NotificationService', () => {
         )
       })
 
-      it('should implement retry logic for failed emails', async () => {
+      it('should keep failed emails in the outbox for a later retry', async () => {
         notificationService.config.mode = 'sendgrid'
         sgMail.send
           .mockRejectedValueOnce(new Error('Temporary failure'))
@@ -322,9 +378,20 @@ describe('NotificationService', () => {
           FLIGHT_STATUSES.SCHEDULED
         )
 
-        expect(result.success).toBe(true)
-        expect(result.retryAttempt).toBe(1)
+        expect(result.success).toBe(false)
+        expect(result.willRetry).toBe(true)
+
+        const queued = await Notification.findById(result.notificationId)
+        expect(queued.status).toBe(NOTIFICATION_STATUSES.PENDING)
+        expect(queued.retryCount).toBe(1)
+        expect(queued.scheduledAt.getTime()).toBeGreaterThan(Date.now())
+
+        await Notification.updateOne({ _id: queued._id }, { scheduledAt: new Date() })
+        const stats = await notificationService.processOutbox()
+
+        expect(stats.sent).toBe(1)
         expect(sgMail.send).toHaveBeenCalledTimes(2)
+        expect((await Notification.findById(queued._id)).status).toBe(NOTIFICATION_STATUSES.SENT)
       })
 
       it('should fail after exhausting retry attempts', async () => {
@@ -338,7 +405,14 @@ describe('NotificationService', () => {
           FLIGHT_STATUSES.SCHEDULED
         )
 
-        expect(result.success).toBe(false)
+        for (let i = 0; i < 2; i++) {
+          await Notification.updateOne({ _id: result.notificationId }, { scheduledAt: new Date() })
+          await notificationService.processOutbox()
+        }
+
+        const notification = await Notification.findById(result.notificationId)
+        expect(notification.status).toBe(NOTIFICATION_STATUSES.FAILED)
+        expect(notification.lastError).toBe('Persistent failure')
         expect(sgMail.send).toHaveBeenCalledTimes(3) // Initial + 2 retries
       })
     })
@@ -469,6 +543,99 @@ describe('NotificationService', () => {
       })
     })
 
+    describe('codeshare bookings', () => {
+      it('should show the flight number the passenger subscribed with', () => {
+        const codeshareSubscription = { ...validSubscription, flightNumber: 'BA1511', unsubscribe: { token: 'unsubscribe-token' } }
+
+        const result = notificationService.generateEmailContent(
+          codeshareSubscription,
+          validFlightData,
+          FLIGHT_STATUSES.SCHEDULED
+        )
+
+        expect(result.subject).toContain('Flight BA1511')
+        expect(result.text).toContain('- Flight: BA1511 (operated by American Airlines as AA123)')
+        expect(result.text).toContain('notifications for flight BA1511.')
+        expect(result.html).toContain('BA1511 (operated by American Airlines as AA123)')
+      })
+
+      it('should use the booked number in departure reminders', () => {
+        const codeshareSubscription = { ...validSubscription, flightNumber: 'BA1511', unsubscribe: { token: 'unsubscribe-token' } }
+
+        const result = notificationService.generateDepartureReminderContent(codeshareSubscription, validFlightData, 60)
+
+        expect(result.subject).toContain('Flight BA1511 departs in 1 hour')
+        expect(result.text).toContain('- Flight: BA1511 (operated by American Airlines as AA123)')
+      })
+    })
+
+    describe('diversions', () => {
+      const divertedFlight = {
+        ...validFlightData,
+        status: { current: FLIGHT_STATUSES.DIVERTED },
+        diversion: {
+          airport: 'LAS',
+          city: 'Las Vegas',
+          country: 'United States',
+          reason: 'Fog at Los Angeles',
+          divertedAt: new Date('2025-07-10T09:30:00Z'),
+          estimatedArrival: new Date('2025-07-10T10:40:00Z')
+        }
+      }
+
+      it('should use the diversion template for diverted flights', () => {
+        const subscription = { ...validSubscription, unsubscribe: { token: 'unsubscribe-token' } }
+
+        const result = notificationService.generateEmailContent(subscription, divertedFlight, FLIGHT_STATUSES.IN_AIR)
+
+        expect(result.subject).toBe('🔄 Flight AA123 diverted to Las Vegas (LAS)')
+        expect(result.text).toContain('- Planned destination: Los Angeles (LAX)')
+        expect(result.text).toContain('- Diverted to: Las Vegas (LAS)')
+        expect(result.text).toContain('- Reason: Fog at Los Angeles')
+        expect(result.text).toContain('- Expected arrival: Thursday, July 10')
+        expect(result.html).toContain('onward travel to Los Angeles (LAX)')
+      })
+
+      it('should record diversion notices with their own type', () => {
+        expect(notificationService.getNotificationType(FLIGHT_STATUSES.DIVERTED)).toBe('flight_diversion')
+      })
+    })
+
+    describe('rebooking suggestions', () => {
+      const cancelledFlight = {
+        ...validFlightData,
+        status: { current: FLIGHT_STATUSES.CANCELLED }
+      }
+
+      const rebookingOptions = [{
+        flightNumber: 'AA789',
+        airline: { code: 'AA', name: 'American Airlines' },
+        departure: new Date('2025-07-10T18:00:00Z'),
+        arrival: new Date('2025-07-10T21:00:00Z'),
+        seatCapacity: { total: 160, economy: 144, business: 16, first: null }
+      }]
+
+      it('should list alternative flights in cancellation emails', () => {
+        const subscription = { ...validSubscription, unsubscribe: { token: 'unsubscribe-token' } }
+
+        const result = notificationService.generateEmailContent(subscription, cancelledFlight, FLIGHT_STATUSES.SCHEDULED, rebookingOptions)
+
+        expect(result.text).toContain('ALTERNATIVE FLIGHTS')
+        expect(result.text).toContain('- AA789 (American Airlines) departs Thursday, July 10 at 06:00 PM, arrives 09:00 PM - 160 seats')
+        expect(result.html).toContain('Alternative Flights')
+        expect(result.html).toContain('AA789 (American Airlines)')
+      })
+
+      it('should leave the section out when there are no alternatives', () => {
+        const subscription = { ...validSubscription, unsubscribe: { token: 'unsubscribe-token' } }
+
+        const result = notificationService.generateEmailContent(subscription, cancelledFlight, FLIGHT_STATUSES.SCHEDULED)
+
+        expect(result.text).not.toContain('ALTERNATIVE FLIGHTS')
+        expect(result.html).not.toContain('Alternative Flights')
+      })
+    })
+
     describe('generateStatusSpecificContent()', () => {
       it('should generate boarding-specific content', () => {
         const result = notificationService.generateStatusSpecificContent(
@@ -620,6 +787,110 @@ describe('NotificationService', () => {
     })
   })
 
+  describe('Notification Outbox', () => {
+    const outboxEntry = (overrides = {}) => ({
+      type: 'flight_update',
+      flight: validFlightData._id,
+      channel: 'email',
+      recipient: 'passenger@example.com',
+      title: 'AA123 update',
+      message: 'AA123: Scheduled → Boarding',
+      payload: { to: 'passenger@example.com', subject: 'AA123 update', text: 'Boarding' },
+      ...overrides
+    })
+
+    it('should persist every email before sending it', async () => {
+      const result = await notificationService.dispatchEmail(
+        { to: 'passenger@example.com', subject: 'Hello', text: 'Body' },
+        { type: 'flight_update', flight: validFlightData._id }
+      )
+
+      const stored = await Notification.findById(result.notificationId)
+      expect(result.success).toBe(true)
+      expect(stored.status).toBe(NOTIFICATION_STATUSES.SENT)
+      expect(stored.providerMessageId).toBe(result.messageId)
+      expect(stored.lock).toBeUndefined()
+    })
+
+    it('should only deliver entries that are due', async () => {
+      await Notification.create(outboxEntry({ scheduledAt: new Date(Date.now() + 60000) }))
+      await Notification.create(outboxEntry())
+
+      const stats = await notificationService.processOutbox()
+
+      expect(stats.processed).toBe(1)
+      expect(await Notification.countDocuments({ status: NOTIFICATION_STATUSES.PENDING })).toBe(1)
+    })
+
+    it('should let only one worker claim an entry', async () => {
+      const entry = await Notification.create(outboxEntry())
+
+      const [first, second] = await Promise.all([
+        Notification.claimNext('worker-a', 60000, { _id: entry._id }),
+        Notification.claimNext('worker-b', 60000, { _id: entry._id })
+      ])
+
+      expect([first, second].filter(Boolean)).toHaveLength(1)
+    })
+
+    it('should reclaim entries whose lease expired after a crash', async () => {
+      const entry = await Notification.create(outboxEntry({
+        status: NOTIFICATION_STATUSES.PROCESSING,
+        lock: { owner: 'crashed-worker', expiresAt: new Date(Date.now() - 1000) }
+      }))
+
+      const stats = await notificationService.processOutbox()
+
+      expect(stats.sent).toBe(1)
+      expect((await Notification.findById(entry._id)).status).toBe(NOTIFICATION_STATUSES.SENT)
+    })
+
+    it('should announce delivery failures for the ops namespace', async () => {
+      const failures = []
+      notificationService.on(NOTIFICATION_EVENTS.DELIVERY_FAILED, (failure) => failures.push(failure))
+      jest.spyOn(notificationService, 'sendEmail').mockRejectedValue(new Error('SMTP timeout'))
+      const entry = await Notification.create(outboxEntry())
+
+      await notificationService.processOutbox()
+
+      expect(failures).toHaveLength(1)
+      expect(failures[0]).toMatchObject({
+        notificationId: entry._id,
+        recipient: 'passenger@example.com',
+        attempt: 1,
+        willRetry: true,
+        error: 'SMTP timeout'
+      })
+    })
+
+    it('should only clean up finished notifications past the retention period', async () => {
+      const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000)
+      await Notification.collection.insertMany([
+        { ...outboxEntry(), status: NOTIFICATION_STATUSES.SENT, updatedAt: old },
+        { ...outboxEntry(), status: NOTIFICATION_STATUSES.PENDING, updatedAt: old },
+        { ...outboxEntry(), status: NOTIFICATION_STATUSES.FAILED, updatedAt: new Date() }
+      ])
+
+      const result = await notificationService.cleanupNotifications(30)
+
+      expect(result.deletedCount).toBe(1)
+      expect(await Notification.countDocuments()).toBe(2)
+    })
+
+    it('should back off exponentially between attempts', async () => {
+      const entry = await Notification.create(outboxEntry({ maxAttempts: 5 }))
+
+      await entry.markAsFailed('email', 'first', { baseDelayMs: 1000 })
+      const firstDelay = entry.scheduledAt.getTime() - Date.now()
+      await entry.markAsFailed('email', 'second', { baseDelayMs: 1000 })
+      const secondDelay = entry.scheduledAt.getTime() - Date.now()
+
+      expect(firstDelay).toBeLessThanOrEqual(1000)
+      expect(secondDelay).toBeGreaterThan(1000)
+      expect(secondDelay).toBeLessThanOrEqual(2000)
+    })
+  })
+
   describe('Service Health and Monitoring', () => {
     it('should return healthy status when all checks pass', async () => {
       const health = await notificationService.getServiceHealth()
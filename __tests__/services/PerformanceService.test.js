@@ -0,0 +1,136 @@
+const PerformanceService = require('../../src/services/PerformanceService')
+const FlightService = require('../../src/services/FlightService')
+const Flight = require('../../src/models/Flight')
+const { FlightValidationError, FlightDatabaseError } = require('../../src/errors/FlightErrors')
+
+describe('PerformanceService', () => {
+  let service
+  let mockLogger
+
+  const group = (key, period, counts) => ({
+    _id: { key, period },
+    flights: 0,
+    cancelled: 0,
+    diverted: 0,
+    departed: 0,
+    d0: 0,
+    d15: 0,
+    arrived: 0,
+    a15: 0,
+    departureDelayMinutes: 0,
+    arrivalDelayMinutes: 0,
+    ...counts
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    service = new PerformanceService(mockLogger, new FlightService(mockLogger), { maxRangeDays: 31 })
+    jest.spyOn(Flight, 'aggregate').mockResolvedValue([])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('getOnTimePerformance()', () => {
+    it('should compute the on-time rates of each group', async () => {
+      Flight.aggregate.mockResolvedValue([
+        group('GA', null, { flights: 10, cancelled: 1, diverted: 1, departed: 9, d0: 5, d15: 8, arrived: 8, a15: 6, departureDelayMinutes: 90, arrivalDelayMinutes: 120 }),
+        group('QZ', null, { flights: 4, cancelled: 2, departed: 2, d0: 2, d15: 2, arrived: 2, a15: 1, arrivalDelayMinutes: 20 })
+      ])
+
+      const result = await service.getOnTimePerformance({ from: '2026-10-01', to: '2026-10-31', groupBy: 'airline' })
+
+      expect(result.rows).toEqual([
+        {
+          airline: 'GA',
+          flights: 10,
+          departed: 9,
+          arrived: 8,
+          cancelled: 1,
+          diverted: 1,
+          d0Rate: 0.556,
+          d15Rate: 0.889,
+          a15Rate: 0.75,
+          averageDepartureDelayMinutes: 10,
+          averageArrivalDelayMinutes: 15,
+          cancellationRate: 0.1,
+          diversionRate: 0.1
+        },
+        expect.objectContaining({ airline: 'QZ', d0Rate: 1, a15Rate: 0.5, cancellationRate: 0.5, diversionRate: 0 })
+      ])
+      expect(result.totals).toMatchObject({
+        flights: 14,
+        departed: 11,
+        d15Rate: 0.909,
+        a15Rate: 0.7,
+        averageDepartureDelayMinutes: 8.2,
+        averageArrivalDelayMinutes: 14,
+        cancellationRate: 0.214
+      })
+      expect(result).toMatchObject({ from: '2026-10-01', to: '2026-10-31', groupBy: 'airline', interval: 'total', totalCount: 2 })
+    })
+
+    it('should filter the flights and bucket them by period', async () => {
+      Flight.aggregate.mockResolvedValue([
+        group('CGK-DPS', '2026-10-19', { flights: 3, departed: 3, d0: 3, d15: 3 }),
+        group('CGK-DPS', '2026-10-26', { flights: 2 })
+      ])
+
+      const result = await service.getOnTimePerformance({
+        from: '2026-10-19',
+        to: '2026-11-01',
+        groupBy: 'route',
+        interval: 'week',
+        airline: 'ga',
+        origin: 'cgk'
+      })
+
+      const pipeline = Flight.aggregate.mock.calls[0][0]
+      expect(pipeline[0].$match).toEqual({
+        isActive: true,
+        flightDate: { $gte: '2026-10-19', $lte: '2026-11-01' },
+        'airline.code': 'GA',
+        'route.origin.airport': 'CGK'
+      })
+      expect(pipeline[1].$project.period).toHaveProperty('$dateToString')
+      expect(result.rows.map(row => [row.route, row.period])).toEqual([['CGK-DPS', '2026-10-19'], ['CGK-DPS', '2026-10-26']])
+      expect(result.rows[1]).toMatchObject({ d0Rate: null, averageDepartureDelayMinutes: null })
+    })
+
+    it('should only count delayed flights per delay reason', async () => {
+      await service.getOnTimePerformance({ from: '2026-10-01', to: '2026-10-02', groupBy: 'delayReason', interval: 'day' })
+
+      const [match, project] = Flight.aggregate.mock.calls[0][0]
+      expect(match.$match['delay.minutes']).toEqual({ $gt: 0 })
+      expect(project.$project).toMatchObject({ key: '$delay.reason', period: '$flightDate' })
+    })
+
+    it('should reject invalid ranges, groupings and intervals', async () => {
+      const invalid = [
+        { from: '2026-10-1', to: '2026-10-31' },
+        { from: '2026-10-31', to: '2026-10-01' },
+        { from: '2026-01-01', to: '2026-10-31' },
+        { from: '2026-10-01', to: '2026-10-31', groupBy: 'aircraft' },
+        { from: '2026-10-01', to: '2026-10-31', interval: 'month' }
+      ]
+
+      for (const options of invalid) {
+        await expect(service.getOnTimePerformance(options)).rejects.toThrow(FlightValidationError)
+      }
+      expect(Flight.aggregate).not.toHaveBeenCalled()
+    })
+
+    it('should wrap database failures', async () => {
+      Flight.aggregate.mockRejectedValue(new Error('connection lost'))
+
+      await expect(service.getOnTimePerformance({ from: '2026-10-01', to: '2026-10-31' })).rejects.toThrow(FlightDatabaseError)
+    })
+  })
+})
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose')
+const ReminderService = require('../../src/services/ReminderService')
+const NotificationService = require('../../src/services/NotificationService')
+const Notification = require('../../src/models/Notification')
+const Passenger = require('../../src/models/Passenger')
+const Subscription = require('../../src/models/Subscription')
+const { NOTIFICATION_STATUSES } = require('../../src/models/Notification')
+const { SUBSCRIPTION_STATUS } = require('../../src/models/Subscription')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+const { FlightDatabaseError } = require('../../src/errors/FlightErrors')
+
+describe('ReminderService', () => {
+  let reminderService
+  let mockLogger
+  let existingReminder
+
+  const MINUTE = 60 * 1000
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * MINUTE)
+
+  const buildFlight = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    flightNumber: 'GA402',
+    flightDate: '2026-10-19',
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', gate: 'A5', terminal: '3' },
+      destination: { airport: 'DPS', city: 'Denpasar' }
+    },
+    schedule: {
+      departure: { scheduled: hoursFromNow(6) },
+      arrival: { scheduled: hoursFromNow(8) }
+    },
+    status: { current: FLIGHT_STATUSES.SCHEDULED },
+    ...overrides
+  })
+
+  const buildSubscription = (departureAlerts = {}, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'passenger@example.com',
+    flightNumber: 'GA402',
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    isActive: true,
+    verification: { isVerified: true },
+    unsubscribe: { isUnsubscribed: false, token: 'a'.repeat(64) },
+    passengerInfo: { firstName: 'Dewi' },
+    notificationPreferences: {
+      departure_alerts: { enabled: true, methods: ['email'], ...departureAlerts }
+    },
+    ...overrides
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    existingReminder = null
+
+    jest.spyOn(Notification, 'findOne').mockImplementation(() => ({
+      sort: jest.fn().mockResolvedValue(existingReminder)
+    }))
+    jest.spyOn(Notification, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }))
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 0 })
+    jest.spyOn(Passenger, 'findOne').mockReturnValue({
+      select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(null) })
+    })
+
+    reminderService = new ReminderService(mockLogger, new NotificationService(mockLogger), { defaultLeadMinutes: 45 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('Lead time', () => {
+    it('should use the subscription advanceMinutes first', async () => {
+      await expect(reminderService.resolveLeadMinutes(buildSubscription({ advanceMinutes: 90 }))).resolves.toBe(90)
+      expect(Passenger.findOne).not.toHaveBeenCalled()
+    })
+
+    it('should fall back to the passenger notificationTiming', async () => {
+      Passenger.findOne.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue({ preferences: { notificationTiming: 120 } })
+        })
+      })
+
+      await expect(reminderService.resolveLeadMinutes(buildSubscription())).resolves.toBe(120)
+      expect(Passenger.findOne).toHaveBeenCalledWith({ email: 'passenger@example.com' })
+    })
+
+    it('should fall back to the configured advance time', async () => {
+      await expect(reminderService.resolveLeadMinutes(buildSubscription())).resolves.toBe(45)
+    })
+  })
+
+  describe('planReminder()', () => {
+    it('should schedule a pending reminder at departure minus the lead time', async () => {
+      const flight = buildFlight()
+      const subscription = buildSubscription({ advanceMinutes: 90 })
+
+      const result = await reminderService.planReminder(subscription, flight)
+
+      expect(result.action).toBe('scheduled')
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'departure_reminder',
+        subscription: subscription._id,
+        flight: flight._id,
+        channel: 'email',
+        recipient: 'passenger@example.com',
+        scheduledAt: new Date(flight.schedule.departure.scheduled.getTime() - 90 * MINUTE)
+      }))
+      expect(Notification.create.mock.calls[0][0].payload.subject).toBe('🕐 Flight GA402 departs in 90 minutes')
+    })
+
+    it('should plan against the estimated departure when there is one', async () => {
+      const flight = buildFlight()
+      flight.schedule.departure.estimated = hoursFromNow(7)
+
+      await reminderService.planReminder(buildSubscription({ advanceMinutes: 60 }), flight)
+
+      const created = Notification.create.mock.calls[0][0]
+      expect(created.scheduledAt).toEqual(new Date(flight.schedule.departure.estimated.getTime() - 60 * MINUTE))
+      expect(created.payload.text).toContain('Estimated departure')
+    })
+
+    it('should reschedule the pending reminder when the departure moves', async () => {
+      const flight = buildFlight()
+      const subscription = buildSubscription({ advanceMinutes: 60 })
+      existingReminder = new Notification({
+        type: 'departure_reminder',
+        flight: flight._id,
+        subscription: subscription._id,
+        title: 'old',
+        message: 'old',
+        scheduledAt: new Date(flight.schedule.departure.scheduled.getTime() - 60 * MINUTE)
+      })
+      jest.spyOn(existingReminder, 'save').mockResolvedValue(existingReminder)
+      flight.schedule.departure.estimated = hoursFromNow(9)
+
+      const result = await reminderService.planReminder(subscription, flight)
+
+      expect(result.action).toBe('rescheduled')
+      expect(existingReminder.save).toHaveBeenCalled()
+      expect(existingReminder.scheduledAt).toEqual(new Date(flight.schedule.departure.estimated.getTime() - 60 * MINUTE))
+      expect(existingReminder.metadata.get('departureAt')).toBe(flight.schedule.departure.estimated.toISOString())
+      expect(Notification.create).not.toHaveBeenCalled()
+    })
+
+    it('should leave an up-to-date reminder alone', async () => {
+      const flight = buildFlight()
+      const subscription = buildSubscription({ advanceMinutes: 60 })
+      await reminderService.planReminder(subscription, flight)
+      existingReminder = new Notification(Notification.create.mock.calls[0][0])
+      jest.spyOn(existingReminder, 'save')
+
+      const result = await reminderService.planReminder(subscription, flight)
+
+      expect(result.action).toBe('unchanged')
+      expect(existingReminder.save).not.toHaveBeenCalled()
+    })
+
+    it('should not send a second reminder once one went out', async () => {
+      existingReminder = new Notification({ type: 'departure_reminder', status: NOTIFICATION_STATUSES.SENT })
+
+      const result = await reminderService.planReminder(buildSubscription(), buildFlight())
+
+      expect(result.action).toBe('unchanged')
+      expect(Notification.create).not.toHaveBeenCalled()
+    })
+
+    it('should send right away when the lead time has already passed', async () => {
+      const flight = buildFlight()
+      flight.schedule.departure.scheduled = hoursFromNow(0.5)
+
+      await reminderService.planReminder(buildSubscription({ advanceMinutes: 120 }), flight)
+
+      const { scheduledAt } = Notification.create.mock.calls[0][0]
+      expect(Math.abs(scheduledAt.getTime() - Date.now())).toBeLessThan(5000)
+    })
+
+    it.each([
+      ['departure alerts are disabled', buildSubscription({ enabled: false })],
+      ['email is not a chosen method', buildSubscription({ methods: ['sms'] })],
+      ['the subscription is unverified', buildSubscription({}, { status: SUBSCRIPTION_STATUS.PENDING, verification: { isVerified: false } })]
+    ])('should cancel instead of scheduling when %s', async (_, subscription) => {
+      const result = await reminderService.planReminder(subscription, buildFlight())
+
+      expect(result.action).toBe('skipped')
+      expect(Notification.create).not.toHaveBeenCalled()
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { subscription: subscription._id, type: 'departure_reminder', status: NOTIFICATION_STATUSES.PENDING },
+        expect.any(Object)
+      )
+    })
+
+    it('should treat a concurrent duplicate as unchanged', async () => {
+      Notification.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+
+      await expect(reminderService.planReminder(buildSubscription(), buildFlight()))
+        .resolves.toEqual({ action: 'unchanged' })
+    })
+  })
+
+  describe('planForFlight()', () => {
+    it('should plan a reminder for every active subscriber', async () => {
+      const subscriptions = [buildSubscription(), buildSubscription({ enabled: false })]
+      jest.spyOn(Subscription, 'findActiveByFlightInstance').mockResolvedValue(subscriptions)
+
+      const stats = await reminderService.planForFlight(buildFlight())
+
+      expect(stats).toMatchObject({ scheduled: 1, skipped: 1, failed: 0 })
+    })
+
+    it('should cancel pending reminders when the flight is cancelled', async () => {
+      const flight = buildFlight({ status: { current: FLIGHT_STATUSES.CANCELLED } })
+      Notification.updateMany.mockResolvedValue({ modifiedCount: 3 })
+      jest.spyOn(Subscription, 'findActiveByFlightInstance')
+
+      const result = await reminderService.planForFlight(flight)
+
+      expect(result).toEqual({ cancelled: 3 })
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { flight: flight._id, type: 'departure_reminder', status: NOTIFICATION_STATUSES.PENDING },
+        { $set: { status: NOTIFICATION_STATUSES.CANCELLED, lastError: 'Flight cancelled' } }
+      )
+      expect(Subscription.findActiveByFlightInstance).not.toHaveBeenCalled()
+    })
+
+    it('should wrap lookup failures in FlightDatabaseError', async () => {
+      jest.spyOn(Subscription, 'findActiveByFlightInstance').mockRejectedValue(new Error('connection lost'))
+
+      await expect(reminderService.planForFlight(buildFlight())).rejects.toThrow(FlightDatabaseError)
+    })
+  })
+
+  it('should replan on schedule, gate and status events and on cancellation', () => {
+    const eventBus = { subscribe: jest.fn() }
+
+    reminderService.registerEventHandlers(eventBus)
+
+    expect(eventBus.subscribe).toHaveBeenCalledWith(
+      ['flight.schedule_changed', 'flight.gate_changed', 'flight.status_changed', 'flight.cancelled'],
+      expect.any(Function),
+      'departure-reminders'
+    )
+  })
+})
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose')
+const RotationService = require('../../src/services/RotationService')
+const FlightService = require('../../src/services/FlightService')
+const Flight = require('../../src/models/Flight')
+const { FLIGHT_STATUSES, DELAY_REASONS } = require('../../src/models/Flight')
+const { FlightValidationError, FlightDatabaseError } = require('../../src/errors/FlightErrors')
+
+describe('RotationService', () => {
+  let rotationService
+  let flightService
+  let notificationService
+  let mockLogger
+  let inbound
+  let outbound
+
+  const buildFlight = (flightNumber, origin, destination, departure, arrival, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    flightNumber,
+    flightDate: '2026-10-26',
+    operationalSuffix: '',
+    aircraft: { type: 'A330-300', registration: 'PK-GPZ' },
+    route: {
+      origin: { airport: origin },
+      destination: { airport: destination }
+    },
+    schedule: {
+      departure: { scheduled: new Date(departure) },
+      arrival: { scheduled: new Date(arrival) }
+    },
+    status: { current: FLIGHT_STATUSES.SCHEDULED },
+    delay: { minutes: 0 },
+    ...overrides
+  })
+
+  const query = (result) => ({ sort: jest.fn().mockResolvedValue(result) })
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    inbound = buildFlight('GA402', 'CGK', 'DPS', '2026-10-26T00:30:00Z', '2026-10-26T02:25:00Z')
+    outbound = buildFlight('GA403', 'DPS', 'CGK', '2026-10-26T03:30:00Z', '2026-10-26T05:25:00Z')
+
+    flightService = new FlightService(mockLogger)
+    jest.spyOn(flightService, 'updateFlightStatus').mockResolvedValue({})
+    jest.spyOn(Flight, 'findOne').mockImplementation(() => query(outbound))
+    jest.spyOn(Flight, 'findById').mockResolvedValue(outbound)
+
+    notificationService = { notifyPredictedDelay: jest.fn().mockResolvedValue({ success: true }) }
+
+    rotationService = new RotationService(mockLogger, flightService, notificationService, {
+      defaultTurnaroundMinutes: 45,
+      turnaroundMinutes: { 'A330-300': 60 }
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('propagateDelay()', () => {
+    it('should leave the next leg alone while the turnaround still fits', async () => {
+      inbound.schedule.arrival.estimated = new Date('2026-10-26T02:30:00Z')
+
+      const result = await rotationService.propagateDelay(inbound)
+
+      expect(result).toBeNull()
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should predict a reactionary delay from the late inbound arrival', async () => {
+      inbound.schedule.arrival.estimated = new Date('2026-10-26T03:10:00Z')
+
+      const result = await rotationService.propagateDelay(inbound)
+
+      expect(result).toMatchObject({ flightNumber: 'GA403', inbound: 'GA402', delayMinutes: 40, previousDelayMinutes: 0 })
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith('GA403', expect.objectContaining({
+        delay: expect.objectContaining({
+          minutes: 40,
+          segments: [expect.objectContaining({ code: '93', minutes: 40 })]
+        }),
+        schedule: {
+          departure: { estimated: new Date('2026-10-26T04:10:00Z') },
+          arrival: { estimated: new Date('2026-10-26T06:05:00Z') }
+        }
+      }), 'RotationTracking', { date: '2026-10-26', suffix: '' })
+      expect(flightService.updateFlightStatus.mock.calls[0][1]).not.toHaveProperty('status')
+      expect(notificationService.notifyPredictedDelay).toHaveBeenCalledWith(outbound, {
+        inbound,
+        delayMinutes: 40,
+        previousDelayMinutes: 0
+      })
+    })
+
+    it('should keep the coded delays the next leg already has', async () => {
+      inbound.schedule.arrival.estimated = new Date('2026-10-26T03:10:00Z')
+      outbound.delay = {
+        minutes: 15,
+        segments: [
+          { code: '41', subCode: null, minutes: 15, reason: DELAY_REASONS.TECHNICAL, description: 'Hydraulic leak' },
+          { code: '93', subCode: null, minutes: 5, reason: DELAY_REASONS.AIRCRAFT, description: 'Earlier estimate' }
+        ]
+      }
+
+      await rotationService.propagateDelay(inbound)
+
+      expect(flightService.updateFlightStatus.mock.calls[0][1].delay.segments).toEqual([
+        { code: '41', subCode: null, minutes: 15, description: 'Hydraulic leak' },
+        expect.objectContaining({ code: '93', minutes: 25 })
+      ])
+    })
+
+    it('should use the delay of an inbound without an arrival estimate', async () => {
+      inbound.delay.minutes = 90
+
+      const result = await rotationService.propagateDelay(inbound)
+
+      expect(result.delayMinutes).toBe(85)
+    })
+
+    it('should never lower a delay the next leg already has', async () => {
+      inbound.schedule.arrival.estimated = new Date('2026-10-26T03:10:00Z')
+      outbound.delay.minutes = 60
+      outbound.schedule.departure.estimated = new Date('2026-10-26T04:30:00Z')
+
+      const result = await rotationService.propagateDelay(inbound)
+
+      expect(result).toBeNull()
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should skip legs that cannot take a predicted delay', async () => {
+      inbound.schedule.arrival.estimated = new Date('2026-10-26T03:10:00Z')
+
+      outbound.status.current = FLIGHT_STATUSES.BOARDING
+      expect(await rotationService.propagateDelay(inbound)).toBeNull()
+
+      outbound.status.current = FLIGHT_STATUSES.SCHEDULED
+      outbound.route.origin.airport = 'SUB'
+      expect(await rotationService.propagateDelay(inbound)).toBeNull()
+      expect(mockLogger.warn).toHaveBeenCalledWith('Aircraft rotation does not continue from the arrival station', expect.any(Object))
+
+      outbound.route.origin.airport = 'DPS'
+      inbound.status.current = FLIGHT_STATUSES.DIVERTED
+      expect(await rotationService.propagateDelay(inbound)).toBeNull()
+
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should ignore flights without a registration', async () => {
+      inbound.aircraft.registration = undefined
+
+      expect(await rotationService.propagateDelay(inbound)).toBeNull()
+      expect(Flight.findOne).not.toHaveBeenCalled()
+    })
+
+    it('should wrap database failures', async () => {
+      Flight.findOne.mockImplementation(() => ({ sort: jest.fn().mockRejectedValue(new Error('connection lost')) }))
+
+      await expect(rotationService.propagateDelay(inbound)).rejects.toThrow(FlightDatabaseError)
+    })
+  })
+
+  describe('getRotation()', () => {
+    it('should list the legs with the turnaround to the next operating leg', async () => {
+      const cancelled = buildFlight('GA405', 'CGK', 'SUB', '2026-10-26T04:00:00Z', '2026-10-26T05:30:00Z', {
+        status: { current: FLIGHT_STATUSES.CANCELLED }
+      })
+      inbound.schedule.arrival.estimated = new Date('2026-10-26T02:55:00Z')
+      jest.spyOn(Flight, 'find').mockReturnValue(query([inbound, outbound, cancelled]))
+
+      const rotation = await rotationService.getRotation('pk-gpz', '2026-10-26')
+
+      expect(Flight.find).toHaveBeenCalledWith({ 'aircraft.registration': 'PK-GPZ', flightDate: '2026-10-26', isActive: true })
+      expect(rotation).toMatchObject({ registration: 'PK-GPZ', aircraftType: 'A330-300', totalCount: 3 })
+      expect(rotation.legs.map(leg => leg.flightNumber)).toEqual(['GA402', 'GA403', 'GA405'])
+      expect(rotation.legs[0].turnaround).toEqual({
+        station: 'DPS',
+        nextFlightNumber: 'GA403',
+        minimumMinutes: 60,
+        plannedMinutes: 65,
+        expectedMinutes: 35,
+        slackMinutes: -25,
+        stationMismatch: false
+      })
+      expect(rotation.legs[1].turnaround).toBeNull()
+      expect(rotation.legs[2].turnaround).toBeNull()
+    })
+
+    it('should turn around a diverted leg at its diversion airport', async () => {
+      inbound.status.current = FLIGHT_STATUSES.DIVERTED
+      inbound.diversion = { airport: 'SUB', divertedAt: new Date('2026-10-26T02:00:00Z') }
+      jest.spyOn(Flight, 'find').mockReturnValue(query([inbound, outbound]))
+
+      const rotation = await rotationService.getRotation('PK-GPZ', '2026-10-26')
+
+      expect(rotation.legs[0].route).toEqual({ origin: 'CGK', destination: 'DPS' })
+      expect(rotation.legs[0].turnaround).toMatchObject({ station: 'SUB', stationMismatch: true })
+    })
+
+    it('should reject a malformed date', async () => {
+      await expect(rotationService.getRotation('PK-GPZ', '26-10-2026')).rejects.toThrow(FlightValidationError)
+    })
+  })
+
+  describe('turnaroundMinutesFor()', () => {
+    it('should fall back to the default for unlisted aircraft types', () => {
+      expect(rotationService.turnaroundMinutesFor({ aircraft: { type: 'a330-300' } })).toBe(60)
+      expect(rotationService.turnaroundMinutesFor({ aircraft: { type: 'Boeing 737-800' } })).toBe(45)
+    })
+  })
+})
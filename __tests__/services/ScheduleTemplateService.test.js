@@ -0,0 +1,273 @@
+const mongoose = require('mongoose')
+const ScheduleTemplateService = require('../../src/services/ScheduleTemplateService')
+const ScheduleTemplate = require('../../src/models/ScheduleTemplate')
+const Flight = require('../../src/models/Flight')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+const {
+  FlightConflictError,
+  FlightValidationError
+} = require('../../src/errors/FlightErrors')
+const { ScheduleTemplateNotFoundError } = require('../../src/errors/ScheduleTemplateErrors')
+
+describe('ScheduleTemplateService', () => {
+  let service
+  let flightService
+  let mockLogger
+
+  // Monday 26 October 2026, 06:00 in Jakarta
+  const now = new Date('2026-10-25T23:00:00Z')
+
+  const buildTemplate = (overrides = {}) => new ScheduleTemplate({
+    flightNumber: 'GA402',
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Jakarta' },
+      destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia', timezone: 'Asia/Makassar' }
+    },
+    daysOfWeek: [1, 3, 5],
+    season: 'W26',
+    departureTime: '07:30',
+    arrivalTime: '10:25',
+    aircraftType: 'Boeing 737-800',
+    ...overrides
+  })
+
+  // A stored instance generated from `template` on `flightDate`
+  const buildInstance = (template, flightDate, overrides = {}) => {
+    const data = template.buildInstance(flightDate)
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+      status: { current: FLIGHT_STATUSES.SCHEDULED },
+      ...overrides
+    }
+  }
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    flightService = {
+      createFlight: jest.fn().mockImplementation(async (data) => data),
+      updateFlightStatus: jest.fn().mockResolvedValue({})
+    }
+
+    jest.spyOn(Flight, 'find').mockResolvedValue([])
+    jest.spyOn(Flight, 'findOne').mockResolvedValue(null)
+    jest.spyOn(Flight, 'updateOne').mockResolvedValue({ modifiedCount: 1 })
+    jest.spyOn(ScheduleTemplate, 'find').mockResolvedValue([])
+    jest.spyOn(ScheduleTemplate.prototype, 'save').mockImplementation(function () { return Promise.resolve(this) })
+
+    service = new ScheduleTemplateService(mockLogger, flightService, { horizonDays: 7 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('generateForTemplate()', () => {
+    it('should create an instance for every operating day within the horizon', async () => {
+      const result = await service.generateForTemplate(buildTemplate(), { now })
+
+      // Monday 2 November departs just after the 7-day horizon
+      expect(result.created).toBe(3)
+      expect(flightService.createFlight.mock.calls.map(([data]) => data.flightDate)).toEqual([
+        '2026-10-26', '2026-10-28', '2026-10-30'
+      ])
+      expect(flightService.createFlight).toHaveBeenCalledWith(
+        expect.objectContaining({
+          flightNumber: 'GA402',
+          aircraft: { type: 'Boeing 737-800' },
+          scheduleTemplate: expect.any(mongoose.Types.ObjectId)
+        }),
+        'Scheduler'
+      )
+    })
+
+    it('should skip instances whose departure has already passed', async () => {
+      const result = await service.generateForTemplate(buildTemplate(), { now: new Date('2026-10-26T01:00:00Z') })
+
+      expect(flightService.createFlight.mock.calls[0][0].flightDate).toBe('2026-10-28')
+      expect(result.created).toBe(3)
+    })
+
+    it('should report an instance that was not generated from the template as a conflict', async () => {
+      const manual = { _id: new mongoose.Types.ObjectId(), flightNumber: 'GA402', flightDate: '2026-10-28', scheduleTemplate: null }
+      Flight.findOne.mockImplementation(async (query) => query.flightDate === '2026-10-28' ? manual : null)
+
+      const result = await service.generateForTemplate(buildTemplate(), { now })
+
+      expect(result.created).toBe(2)
+      expect(result.conflicts).toEqual([expect.objectContaining({
+        flightNumber: 'GA402',
+        flightDate: '2026-10-28',
+        conflictType: 'SCHEDULE_CONFLICT',
+        details: expect.objectContaining({ existingFlightId: manual._id })
+      })])
+      expect(mockLogger.warn).toHaveBeenCalledWith('Schedule generation conflict', expect.objectContaining({
+        conflictType: 'SCHEDULE_CONFLICT'
+      }))
+    })
+
+    it('should record conflicts raised while creating the flight', async () => {
+      flightService.createFlight.mockRejectedValueOnce(
+        new FlightConflictError('Flight GA402 on 2026-10-26 already exists', 'DUPLICATE_FLIGHT_INSTANCE')
+      )
+
+      const result = await service.generateForTemplate(buildTemplate(), { now })
+
+      expect(result.created).toBe(2)
+      expect(result.conflicts[0].conflictType).toBe('DUPLICATE_FLIGHT_INSTANCE')
+    })
+
+    it('should count other flight errors as failures and carry on', async () => {
+      flightService.createFlight.mockRejectedValueOnce(new FlightValidationError('Flight data validation failed'))
+
+      const result = await service.generateForTemplate(buildTemplate(), { now })
+
+      expect(result).toMatchObject({ created: 2, failed: 1 })
+    })
+  })
+
+  describe('Template edits', () => {
+    it('should re-time instances that have not operated', async () => {
+      const template = buildTemplate()
+      const instance = buildInstance(template, '2026-10-28')
+      Flight.find.mockResolvedValue([instance])
+      template.departureTime = '08:10'
+      template.arrivalTime = '11:05'
+
+      const result = await service.generateForTemplate(template, { now, horizonDays: 3 })
+
+      expect(result.updated).toBe(1)
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith(
+        'GA402',
+        {
+          schedule: {
+            departure: { scheduled: new Date('2026-10-28T01:10:00Z') },
+            arrival: { scheduled: new Date('2026-10-28T03:05:00Z') }
+          },
+          reason: 'Schedule updated'
+        },
+        'Scheduler',
+        { date: '2026-10-28', suffix: '' }
+      )
+    })
+
+    it('should update the aircraft type', async () => {
+      const template = buildTemplate()
+      const instance = buildInstance(template, '2026-10-28')
+      Flight.find.mockResolvedValue([instance])
+      template.aircraftType = 'Airbus A330-300'
+
+      await service.generateForTemplate(template, { now, horizonDays: 3 })
+
+      expect(Flight.updateOne).toHaveBeenCalledWith(
+        { _id: instance._id },
+        { $set: { 'aircraft.type': 'Airbus A330-300', lastUpdated: expect.any(Date) } }
+      )
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+    })
+
+    it('should cancel instances on days the template no longer operates', async () => {
+      const template = buildTemplate()
+      const instance = buildInstance(template, '2026-10-28')
+      Flight.find.mockResolvedValue([instance])
+      template.daysOfWeek = [1, 5]
+
+      const result = await service.generateForTemplate(template, { now, horizonDays: 3 })
+
+      expect(result.cancelled).toBe(1)
+      expect(flightService.updateFlightStatus).toHaveBeenCalledWith(
+        'GA402',
+        { status: FLIGHT_STATUSES.CANCELLED, reason: 'Removed from schedule' },
+        'Scheduler',
+        { date: '2026-10-28', suffix: '' }
+      )
+    })
+
+    it('should leave instances that have already operated alone', async () => {
+      const template = buildTemplate()
+      const departed = buildInstance(template, '2026-10-26', { status: { current: FLIGHT_STATUSES.DEPARTED } })
+      Flight.find.mockResolvedValue([departed])
+      template.departureTime = '09:00'
+
+      await service.generateForTemplate(template, { now, horizonDays: 0 })
+
+      expect(flightService.updateFlightStatus).not.toHaveBeenCalled()
+      expect(flightService.createFlight).not.toHaveBeenCalled()
+    })
+
+    it('should cancel pending instances when a template is deactivated', async () => {
+      const template = buildTemplate()
+      jest.spyOn(ScheduleTemplate, 'findById').mockResolvedValue(template)
+      Flight.find.mockResolvedValue([buildInstance(template, '2026-10-28'), buildInstance(template, '2026-10-30')])
+
+      const { generation } = await service.deactivateTemplate(template._id.toString(), 'ops-user')
+
+      expect(template.isActive).toBe(false)
+      expect(generation.cancelled).toBe(2)
+      expect(flightService.createFlight).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('createTemplate()', () => {
+    const templateData = {
+      flightNumber: 'GA402',
+      airline: { code: 'GA', name: 'Garuda Indonesia' },
+      route: {
+        origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Jakarta' },
+        destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia', timezone: 'Asia/Makassar' }
+      },
+      daysOfWeek: [2, 4],
+      season: 'W26',
+      departureTime: '07:30',
+      arrivalTime: '10:25',
+      aircraftType: 'Boeing 737-800'
+    }
+
+    it('should reject a template that overlaps another active one', async () => {
+      ScheduleTemplate.find.mockResolvedValue([buildTemplate({ daysOfWeek: [4, 6] })])
+
+      await expect(service.createTemplate(templateData, 'ops-user')).rejects.toMatchObject({
+        conflictType: 'OVERLAPPING_TEMPLATE'
+      })
+      expect(ScheduleTemplate.prototype.save).not.toHaveBeenCalled()
+    })
+
+    it('should report every invalid field', async () => {
+      const error = await service.createTemplate({ ...templateData, daysOfWeek: [9], arrivalTime: '25:00' })
+        .catch(validationError => validationError)
+
+      expect(error).toBeInstanceOf(FlightValidationError)
+      expect(error.details.errors.map(e => e.field).sort()).toEqual(['arrivalTime', 'daysOfWeek'])
+    })
+
+    it('should save the template and generate its instances', async () => {
+      const { template, generation } = await service.createTemplate(templateData, 'ops-user')
+
+      expect(template).toMatchObject({ flightNumber: 'GA402', createdBy: 'ops-user', period: { from: '2026-10-25', to: '2027-03-27' } })
+      expect(generation).toHaveProperty('created')
+    })
+  })
+
+  it('should throw ScheduleTemplateNotFoundError for an unknown template', async () => {
+    jest.spyOn(ScheduleTemplate, 'findById').mockResolvedValue(null)
+
+    await expect(service.getTemplate(new mongoose.Types.ObjectId().toString())).rejects.toThrow(ScheduleTemplateNotFoundError)
+    await expect(service.getTemplate('not-an-id')).rejects.toThrow(ScheduleTemplateNotFoundError)
+  })
+
+  it('should add up results across active templates', async () => {
+    ScheduleTemplate.find.mockResolvedValue([buildTemplate(), buildTemplate({ flightNumber: 'GA404', daysOfWeek: [2] })])
+
+    const totals = await service.generateAll({ now })
+
+    expect(totals).toMatchObject({ templates: 2, created: 4, conflicts: [] })
+    expect(mockLogger.info).toHaveBeenCalledWith('Schedule generation completed', expect.objectContaining({ conflicts: 0 }))
+  })
+})
@@ -0,0 +1,267 @@
+const cron = require('node-cron')
+const SchedulerService = require('../../src/services/SchedulerService')
+const JobLock = require('../../src/models/JobLock')
+
+jest.mock('../../src/models/JobLock', () => ({
+  acquire: jest.fn(),
+  release: jest.fn()
+}))
+
+describe('SchedulerService', () => {
+  let scheduler
+  let services
+  let mockLogger
+
+  const cronConfig = {
+    enabled: true,
+    flightStatusCheck: '*/5 * * * *',
+    notificationCleanup: '0 2 * * *',
+    databaseBackup: '0 3 * * *',
+    logRotation: '0 1 * * *',
+    lockTtlMs: 60000,
+    flightStatusWindowHours: 12,
+    notificationRetentionDays: 14
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    services = {
+      flightService: { runStatusCheck: jest.fn().mockResolvedValue({ checked: 3, markedDelayed: 1 }) },
+      notificationService: { cleanupNotifications: jest.fn().mockResolvedValue({ deletedCount: 5 }) },
+      maintenanceService: {
+        runDatabaseBackup: jest.fn().mockResolvedValue({ skipped: true }),
+        rotateLogs: jest.fn().mockResolvedValue({ rotated: [], removed: [] })
+      }
+    }
+
+    scheduler = new SchedulerService(mockLogger, services, cronConfig)
+  })
+
+  afterEach(async () => {
+    await scheduler.stop()
+  })
+
+  describe('Job registration', () => {
+    it('should register one job per CRON_* expression', () => {
+      const jobs = scheduler.getStatus().jobs
+
+      expect(jobs.map(job => [job.name, job.expression, job.enabled])).toEqual([
+        ['flightStatusCheck', '*/5 * * * *', true],
+        ['notificationCleanup', '0 2 * * *', true],
+        ['databaseBackup', '0 3 * * *', true],
+        ['logRotation', '0 1 * * *', true]
+      ])
+    })
+
+    it('should disable jobs with an invalid expression instead of failing', () => {
+      scheduler = new SchedulerService(mockLogger, services, { ...cronConfig, logRotation: 'every night' })
+
+      const job = scheduler.getStatus().jobs.find(j => j.name === 'logRotation')
+      expect(job.enabled).toBe(false)
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Cron job disabled: invalid expression',
+        { job: 'logRotation', expression: 'every night' }
+      )
+    })
+
+    it('should pass the configured options to the job handlers', async () => {
+      JobLock.acquire.mockResolvedValue(true)
+      await scheduler.renewLeadership()
+
+      await scheduler.runJob('flightStatusCheck')
+      await scheduler.runJob('notificationCleanup')
+
+      expect(services.flightService.runStatusCheck).toHaveBeenCalledWith({ windowHours: 12 })
+      expect(services.notificationService.cleanupNotifications).toHaveBeenCalledWith(14)
+    })
+  })
+
+  describe('Leader lock', () => {
+    it('should only run jobs on the instance holding the lock', async () => {
+      JobLock.acquire.mockResolvedValue(false)
+      await scheduler.renewLeadership()
+
+      const result = await scheduler.runJob('flightStatusCheck')
+
+      expect(result).toEqual({ skipped: true, reason: 'not_leader' })
+      expect(services.flightService.runStatusCheck).not.toHaveBeenCalled()
+    })
+
+    it('should acquire the lock with its own instance id and TTL', async () => {
+      JobLock.acquire.mockResolvedValue(true)
+
+      await expect(scheduler.renewLeadership()).resolves.toBe(true)
+
+      expect(JobLock.acquire).toHaveBeenCalledWith('scheduler-leader', scheduler.instanceId, 60000)
+      expect(mockLogger.info).toHaveBeenCalledWith('Scheduler leadership acquired', expect.any(Object))
+    })
+
+    it('should step down when the lock cannot be renewed', async () => {
+      JobLock.acquire.mockResolvedValueOnce(true)
+      await scheduler.renewLeadership()
+      JobLock.acquire.mockRejectedValueOnce(new Error('connection lost'))
+
+      await expect(scheduler.renewLeadership()).resolves.toBe(false)
+
+      expect(scheduler.isLeader).toBe(false)
+    })
+
+    it('should release the lock on stop', async () => {
+      JobLock.acquire.mockResolvedValue(true)
+      await scheduler.start()
+
+      await scheduler.stop()
+
+      expect(JobLock.release).toHaveBeenCalledWith('scheduler-leader', scheduler.instanceId)
+    })
+  })
+
+  describe('Job execution and status', () => {
+    beforeEach(async () => {
+      JobLock.acquire.mockResolvedValue(true)
+      await scheduler.renewLeadership()
+    })
+
+    it('should record the last successful run', async () => {
+      await scheduler.runJob('flightStatusCheck')
+
+      const job = scheduler.getStatus().jobs.find(j => j.name === 'flightStatusCheck')
+      expect(job.runCount).toBe(1)
+      expect(job.lastRun).toMatchObject({
+        status: 'success',
+        result: { checked: 3, markedDelayed: 1 }
+      })
+    })
+
+    it('should record failures without throwing', async () => {
+      services.maintenanceService.rotateLogs.mockRejectedValue(new Error('disk full'))
+
+      await expect(scheduler.runJob('logRotation')).resolves.toMatchObject({ status: 'failed', error: 'disk full' })
+
+      const job = scheduler.getStatus().jobs.find(j => j.name === 'logRotation')
+      expect(job.failureCount).toBe(1)
+    })
+
+    it('should not overlap runs of the same job', async () => {
+      let finish
+      services.flightService.runStatusCheck.mockReturnValue(new Promise(resolve => { finish = resolve }))
+
+      const first = scheduler.runJob('flightStatusCheck')
+      const second = await scheduler.runJob('flightStatusCheck')
+      finish({ checked: 0 })
+      await first
+
+      expect(second).toEqual({ skipped: true, reason: 'already_running' })
+      expect(services.flightService.runStatusCheck).toHaveBeenCalledTimes(1)
+    })
+
+    it('should schedule enabled jobs and report their next run', async () => {
+      const scheduleSpy = jest.spyOn(cron, 'schedule')
+
+      await scheduler.start()
+
+      expect(scheduleSpy).toHaveBeenCalledTimes(4)
+      const job = scheduler.getStatus().jobs.find(j => j.name === 'notificationCleanup')
+      expect(job.nextRun.getHours()).toBe(2)
+      expect(job.nextRun.getMinutes()).toBe(0)
+      expect(job.nextRun.getTime()).toBeGreaterThan(Date.now())
+
+      scheduleSpy.mockRestore()
+    })
+
+    it('should store the next run instead of computing it on every status call', async () => {
+      const scheduleSpy = jest.spyOn(cron, 'schedule')
+      await scheduler.start()
+
+      const nextRunSpy = jest.spyOn(scheduler, 'getNextRun')
+      scheduler.getStatus()
+      scheduler.getStatus()
+      expect(nextRunSpy).not.toHaveBeenCalled()
+
+      // Each tick advances the stored next run before the job runs
+      const job = scheduler.jobs.get('flightStatusCheck')
+      job.nextRun = new Date(Date.now() - 60000)
+      const tick = scheduleSpy.mock.calls.find(([expression]) => expression === '*/5 * * * *')[1]
+      await tick()
+
+      expect(nextRunSpy).toHaveBeenCalledWith(job)
+      expect(job.nextRun.getTime()).toBeGreaterThan(Date.now())
+
+      await scheduler.stop()
+      expect(scheduler.getStatus().jobs.every(j => j.nextRun === null)).toBe(true)
+
+      scheduleSpy.mockRestore()
+    })
+
+    it('should compute the next run from a given time', () => {
+      const job = scheduler.jobs.get('flightStatusCheck')
+
+      const next = scheduler.getNextRun(job, new Date(2026, 0, 1, 10, 7, 30))
+
+      expect(next).toEqual(new Date(2026, 0, 1, 10, 10, 0))
+    })
+  })
+
+  it('should generate flights from schedule templates when the service is available', async () => {
+    const scheduleTemplateService = { generateAll: jest.fn().mockResolvedValue({ created: 2, conflicts: [] }) }
+    scheduler = new SchedulerService(mockLogger, { ...services, scheduleTemplateService }, {
+      ...cronConfig,
+      scheduleGeneration: '30 0 * * *',
+      scheduleHorizonDays: 21
+    })
+    JobLock.acquire.mockResolvedValue(true)
+    await scheduler.renewLeadership()
+
+    const run = await scheduler.runJob('scheduleGeneration')
+
+    expect(scheduleTemplateService.generateAll).toHaveBeenCalledWith({ horizonDays: 21 })
+    expect(run.result).toEqual({ created: 2, conflicts: [] })
+  })
+
+  it('should poll the flight data provider when a poller is configured', async () => {
+    const flightDataPoller = { poll: jest.fn().mockResolvedValue({ fetched: 3, updated: 1 }) }
+    scheduler = new SchedulerService(mockLogger, { ...services, flightDataPoller }, {
+      ...cronConfig,
+      flightDataPoll: '*/2 * * * *'
+    })
+    JobLock.acquire.mockResolvedValue(true)
+    await scheduler.renewLeadership()
+
+    const run = await scheduler.runJob('flightDataPoll')
+
+    expect(flightDataPoller.poll).toHaveBeenCalled()
+    expect(run.result).toEqual({ fetched: 3, updated: 1 })
+  })
+
+  it('should poll the weather provider when one is configured', async () => {
+    const weatherPoller = { poll: jest.fn().mockResolvedValue({ received: 4, accepted: 2 }) }
+    scheduler = new SchedulerService(mockLogger, { ...services, weatherPoller }, {
+      ...cronConfig,
+      weatherPoll: '*/10 * * * *'
+    })
+    JobLock.acquire.mockResolvedValue(true)
+    await scheduler.renewLeadership()
+
+    const run = await scheduler.runJob('weatherPoll')
+
+    expect(weatherPoller.poll).toHaveBeenCalled()
+    expect(run.result).toEqual({ received: 4, accepted: 2 })
+  })
+
+  it('should not start when disabled', async () => {
+    scheduler = new SchedulerService(mockLogger, services, { ...cronConfig, enabled: false })
+
+    await scheduler.start()
+
+    expect(JobLock.acquire).not.toHaveBeenCalled()
+    expect(scheduler.getStatus().started).toBe(false)
+  })
+})
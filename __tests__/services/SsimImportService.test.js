@@ -0,0 +1,364 @@
+const mongoose = require('mongoose')
+const SsimImportService = require('../../src/services/SsimImportService')
+const ScheduleTemplateService = require('../../src/services/ScheduleTemplateService')
+const FlightService = require('../../src/services/FlightService')
+const ScheduleTemplate = require('../../src/models/ScheduleTemplate')
+const Flight = require('../../src/models/Flight')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+const { RECORD_LENGTH } = require('../../src/utils/ssimParser')
+const {
+  FlightConflictError,
+  FlightValidationError
+} = require('../../src/errors/FlightErrors')
+
+// Fixed-width record with values placed at 1-based byte positions
+const record = (type, values) => {
+  const chars = Array(RECORD_LENGTH).fill(' ')
+  chars[0] = type
+  Object.entries(values).forEach(([position, value]) => {
+    [...value].forEach((char, index) => { chars[Number(position) - 1 + index] = char })
+  })
+  return chars.join('')
+}
+
+const carrierRecord = (overrides = {}) => record('2', { 2: 'L', 3: 'GA ', 11: 'W26', 15: '25OCT26', 22: '27MAR27', 29: '01SEP26', ...overrides })
+
+const legRecord = (overrides = {}) => record('3', { 3: 'GA ', 6: ' 402', 10: '01', 12: '01', 14: 'J', 15: '26OCT26', 22: '27MAR27', 29: '1 3 5  ', 37: 'CGK', 40: '0730', 44: '0730', 48: '+0700', 53: '3 ', 55: 'DPS', 58: '1025', 62: '1025', 66: '+0800', 71: 'D ', 73: '738', ...overrides })
+
+const ssim = (...records) => records.join('\n')
+
+// Mongoose query stand-in for findOne().select().lean()
+const leanQuery = (value) => ({ select: () => ({ lean: () => Promise.resolve(value) }) })
+
+describe('SsimImportService', () => {
+  let service
+  let flightService
+  let scheduleTemplateService
+  let mockLogger
+
+  // Monday 26 October 2026, 06:00 in Jakarta
+  const now = new Date('2026-10-25T23:00:00Z')
+
+  const stations = {
+    CGK: { city: 'Jakarta', country: 'Indonesia', timezone: 'Asia/Jakarta' },
+    DPS: { city: 'Denpasar', country: 'Indonesia', timezone: 'Asia/Makassar' }
+  }
+
+  const buildTemplate = (overrides = {}) => new ScheduleTemplate({
+    flightNumber: 'GA402',
+    airline: { code: 'GA', name: 'Garuda Indonesia' },
+    route: {
+      origin: { airport: 'CGK', city: 'Jakarta', country: 'Indonesia', terminal: '3', timezone: 'Asia/Jakarta' },
+      destination: { airport: 'DPS', city: 'Denpasar', country: 'Indonesia', terminal: 'D', timezone: 'Asia/Makassar' }
+    },
+    daysOfWeek: [1, 3, 5],
+    season: 'W26',
+    validFrom: '2026-10-26',
+    validTo: '2027-03-27',
+    departureTime: '07:30',
+    arrivalTime: '10:25',
+    aircraftType: '738',
+    ...overrides
+  })
+
+  // A stored flight instance of `template` on `flightDate`
+  const buildFlight = (template, flightDate, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...template.buildInstance(flightDate),
+    scheduleTemplate: null,
+    status: { current: FLIGHT_STATUSES.SCHEDULED },
+    ...overrides
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    flightService = new FlightService(mockLogger)
+    jest.spyOn(flightService, 'createFlight').mockImplementation(async (data) => data)
+
+    scheduleTemplateService = new ScheduleTemplateService(mockLogger, flightService)
+    jest.spyOn(scheduleTemplateService, 'createTemplate').mockResolvedValue({})
+    jest.spyOn(scheduleTemplateService, 'updateTemplate').mockResolvedValue({})
+    jest.spyOn(scheduleTemplateService, 'deactivateTemplate').mockResolvedValue({})
+    jest.spyOn(scheduleTemplateService, 'syncInstance').mockResolvedValue('updated')
+    jest.spyOn(scheduleTemplateService, 'cancelInstance').mockResolvedValue({})
+
+    jest.spyOn(ScheduleTemplate, 'find').mockResolvedValue([])
+    jest.spyOn(ScheduleTemplate, 'findOne').mockReturnValue(leanQuery(null))
+    jest.spyOn(Flight, 'find').mockResolvedValue([])
+    jest.spyOn(Flight, 'findOne').mockReturnValue(leanQuery(null))
+
+    service = new SsimImportService(mockLogger, flightService, scheduleTemplateService, { horizonDays: 7 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('Template import', () => {
+    it('should report new legs as adds without writing on a dry run', async () => {
+      const report = await service.importSchedule(ssim(carrierRecord(), legRecord()), { stations, now })
+
+      expect(report).toMatchObject({
+        dryRun: true,
+        target: 'templates',
+        carriers: [{ airline: 'GA', season: 'W26', timeMode: 'L' }],
+        summary: { legs: 1, adds: 1, changes: 0, cancellations: 0, unchanged: 0, rejected: 0 }
+      })
+      expect(report.adds[0]).toEqual({
+        line: 2,
+        flightNumber: 'GA402',
+        operationalSuffix: '',
+        season: 'W26',
+        period: { from: '2026-10-26', to: '2027-03-27' },
+        daysOfWeek: [1, 3, 5],
+        route: 'CGK-DPS',
+        departureTime: '07:30',
+        arrivalTime: '10:25',
+        arrivalDayOffset: 0,
+        aircraftType: '738'
+      })
+      expect(report.applied).toBeUndefined()
+      expect(scheduleTemplateService.createTemplate).not.toHaveBeenCalled()
+    })
+
+    it('should convert UTC-mode times to local time and shift the operating days', async () => {
+      // 23:30 UTC Mon/Wed/Fri is 06:30 Tue/Thu/Sat in Jakarta
+      const content = ssim(
+        carrierRecord({ 2: 'U' }),
+        legRecord({ 40: '2330', 44: '2330', 58: '0225', 62: '0225', 194: '1' })
+      )
+
+      const report = await service.importSchedule(content, { stations, now })
+
+      expect(report.adds[0]).toMatchObject({
+        period: { from: '2026-10-27', to: '2027-03-27' },
+        daysOfWeek: [2, 4, 6],
+        departureTime: '06:30',
+        arrivalTime: '10:25',
+        arrivalDayOffset: 0
+      })
+    })
+
+    it('should take codeshares from DEI 010 segment data', async () => {
+      const content = ssim(
+        carrierRecord(),
+        legRecord(),
+        record('4', { 3: 'GA ', 6: ' 402', 10: '01', 12: '01', 31: '010', 34: 'CGK', 37: 'DPS', 40: 'KL 3456/AF 1234' })
+      )
+
+      await service.importSchedule(content, { stations, dryRun: false, now })
+
+      expect(scheduleTemplateService.createTemplate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          codeshares: [
+            { airline: 'KL', flightNumber: 'KL3456' },
+            { airline: 'AF', flightNumber: 'AF1234' }
+          ]
+        }),
+        'System'
+      )
+    })
+
+    it('should use city, country and time zone of stations already in use', async () => {
+      ScheduleTemplate.findOne.mockImplementation(() => leanQuery(buildTemplate().toObject()))
+
+      const report = await service.importSchedule(ssim(carrierRecord(), legRecord()), { now })
+
+      expect(report.summary).toMatchObject({ adds: 1, rejected: 0 })
+    })
+
+    it('should diff matched templates, count unchanged ones and cancel the rest', async () => {
+      const unchanged = buildTemplate({ flightNumber: 'GA404' })
+      const retimed = buildTemplate({ departureTime: '08:00', arrivalTime: '10:55' })
+      const dropped = buildTemplate({ flightNumber: 'GA406' })
+      ScheduleTemplate.find.mockResolvedValue([unchanged, retimed, dropped])
+
+      const content = ssim(carrierRecord(), legRecord(), legRecord({ 6: ' 404' }))
+      const report = await service.importSchedule(content, { stations, now })
+
+      expect(ScheduleTemplate.find).toHaveBeenCalledWith({
+        'airline.code': { $in: ['GA'] },
+        season: { $in: ['W26'] },
+        isActive: true
+      })
+      expect(report.summary).toMatchObject({ adds: 0, changes: 1, cancellations: 1, unchanged: 1 })
+      expect(report.changes[0]).toMatchObject({
+        templateId: retimed._id,
+        flightNumber: 'GA402',
+        changes: {
+          departureTime: { from: '08:00', to: '07:30' },
+          arrivalTime: { from: '10:55', to: '10:25' }
+        }
+      })
+      expect(report.cancellations).toEqual([expect.objectContaining({
+        templateId: dropped._id,
+        flightNumber: 'GA406',
+        reason: 'Not in SSIM file'
+      })])
+    })
+
+    it('should apply cancellations, changes and adds in that order', async () => {
+      const retimed = buildTemplate({ departureTime: '08:00' })
+      const dropped = buildTemplate({ flightNumber: 'GA406' })
+      ScheduleTemplate.find.mockResolvedValue([retimed, dropped])
+
+      const order = []
+      scheduleTemplateService.deactivateTemplate.mockImplementation(async () => order.push('cancel'))
+      scheduleTemplateService.updateTemplate.mockImplementation(async () => order.push('update'))
+      scheduleTemplateService.createTemplate.mockImplementation(async () => order.push('create'))
+
+      const content = ssim(carrierRecord(), legRecord(), legRecord({ 6: ' 404' }))
+      const report = await service.importSchedule(content, { stations, dryRun: false, actor: 'ops', now })
+
+      expect(order).toEqual(['cancel', 'update', 'create'])
+      expect(scheduleTemplateService.deactivateTemplate).toHaveBeenCalledWith(dropped._id, 'ops')
+      expect(scheduleTemplateService.updateTemplate).toHaveBeenCalledWith(
+        retimed._id,
+        expect.objectContaining({ departureTime: '07:30' }),
+        'ops'
+      )
+      expect(report.applied).toEqual({ created: 1, updated: 1, cancelled: 1, failed: 0, errors: [] })
+    })
+
+    it('should record failed steps and carry on', async () => {
+      scheduleTemplateService.createTemplate
+        .mockRejectedValueOnce(new FlightConflictError('Overlaps', 'OVERLAPPING_TEMPLATE'))
+
+      const content = ssim(carrierRecord(), legRecord(), legRecord({ 6: ' 404' }))
+      const report = await service.importSchedule(content, { stations, dryRun: false, now })
+
+      expect(report.applied).toMatchObject({ created: 1, failed: 1 })
+      expect(report.applied.errors[0]).toMatchObject({
+        line: 2,
+        flightNumber: 'GA402',
+        conflictType: 'OVERLAPPING_TEMPLATE'
+      })
+      expect(mockLogger.warn).toHaveBeenCalledWith('SSIM import step failed', expect.any(Object))
+    })
+  })
+
+  describe('Validation', () => {
+    it('should reject legs that fail the IATA rules, unknown stations and parse errors by line', async () => {
+      const content = ssim(
+        carrierRecord(),
+        legRecord({ 3: 'G$ ' }),
+        legRecord({ 6: ' 404', 55: 'XYZ' }),
+        legRecord({ 6: ' 406', 40: '9999', 44: '9999' }),
+        legRecord({ 6: ' 408', 12: '02' }),
+        legRecord({ 6: ' 410' })
+      )
+
+      const report = await service.importSchedule(content, { stations, now })
+
+      expect(report.summary).toMatchObject({ legs: 4, adds: 1, rejected: 4 })
+      expect(report.adds[0].flightNumber).toBe('GA410')
+      expect(report.rejected.map(({ line, message }) => ({ line, message }))).toEqual([
+        { line: 2, message: 'Airline designator must be a valid IATA code' },
+        { line: 3, message: 'Station XYZ is not known; pass its city, country and timezone in stations' },
+        { line: 4, message: 'Departure time must be a time formatted as HHMM' },
+        { line: 5, message: 'Multi-leg itineraries are not supported' }
+      ])
+    })
+
+    it('should reject legs that fail the template schema', async () => {
+      const content = ssim(carrierRecord(), legRecord({ 55: 'CGK' }))
+
+      const report = await service.importSchedule(content, { stations, now })
+
+      expect(report.rejected[0]).toMatchObject({
+        line: 2,
+        message: 'Origin and destination airports cannot be the same'
+      })
+    })
+
+    it('should reject a second leg operating on the same days', async () => {
+      const content = ssim(carrierRecord(), legRecord(), legRecord({ 10: '02', 29: '1      ' }))
+
+      const report = await service.importSchedule(content, { stations, now })
+
+      expect(report.summary).toMatchObject({ adds: 1, rejected: 1 })
+      expect(report.rejected[0].message).toBe('Flight GA402 operates on the same days as line 2')
+    })
+
+    it('should reject an unknown target and an empty file', async () => {
+      await expect(service.importSchedule(ssim(carrierRecord(), legRecord()), { target: 'airports' }))
+        .rejects.toThrow(FlightValidationError)
+      await expect(service.importSchedule(ssim(carrierRecord())))
+        .rejects.toThrow('SSIM file contains no flight leg records')
+    })
+  })
+
+  describe('Flight import', () => {
+    it('should create instances departing within the horizon', async () => {
+      const report = await service.importSchedule(ssim(carrierRecord(), legRecord()), {
+        target: 'flights',
+        stations,
+        dryRun: false,
+        now
+      })
+
+      expect(report.summary).toMatchObject({ adds: 3, changes: 0, cancellations: 0 })
+      expect(report.adds.map(add => add.flightDate)).toEqual(['2026-10-26', '2026-10-28', '2026-10-30'])
+      expect(flightService.createFlight).toHaveBeenCalledWith(
+        expect.objectContaining({
+          flightNumber: 'GA402',
+          flightDate: '2026-10-26',
+          scheduleTemplate: null,
+          schedule: {
+            departure: { scheduled: new Date('2026-10-26T00:30:00Z') },
+            arrival: { scheduled: new Date('2026-10-26T02:25:00Z') }
+          }
+        }),
+        'System'
+      )
+      expect(report.applied.created).toBe(3)
+    })
+
+    it('should re-time and cancel flights that have not operated and leave operated ones alone', async () => {
+      const stored = buildTemplate({ departureTime: '08:00' })
+      const retimed = buildFlight(stored, '2026-10-26')
+      const operated = buildFlight(stored, '2026-10-28', { status: { current: FLIGHT_STATUSES.BOARDING } })
+      const dropped = buildFlight(buildTemplate({ flightNumber: 'GA406' }), '2026-10-27')
+      const unchanged = buildFlight(buildTemplate(), '2026-10-30')
+      Flight.find.mockResolvedValue([retimed, operated, dropped, unchanged])
+
+      const report = await service.importSchedule(ssim(carrierRecord(), legRecord()), {
+        target: 'flights',
+        stations,
+        dryRun: false,
+        now
+      })
+
+      expect(report.summary).toMatchObject({ adds: 0, changes: 1, cancellations: 1, unchanged: 2 })
+      expect(report.changes[0]).toMatchObject({
+        flightId: retimed._id,
+        flightDate: '2026-10-26',
+        changes: {
+          departure: {
+            from: new Date('2026-10-26T01:00:00Z'),
+            to: new Date('2026-10-26T00:30:00Z')
+          }
+        }
+      })
+      expect(scheduleTemplateService.syncInstance).toHaveBeenCalledWith(expect.any(ScheduleTemplate), retimed, 'System')
+      expect(scheduleTemplateService.cancelInstance).toHaveBeenCalledWith(dropped, 'Removed by SSIM schedule import', 'System')
+      expect(report.applied).toMatchObject({ created: 0, updated: 1, cancelled: 1 })
+    })
+
+    it('should not cancel flights outside the carrier period', async () => {
+      const early = buildFlight(buildTemplate({ flightNumber: 'GA406' }), '2026-10-27')
+      Flight.find.mockResolvedValue([early])
+
+      const content = ssim(carrierRecord({ 15: '01NOV26' }), legRecord({ 15: '01NOV26' }))
+      const report = await service.importSchedule(content, { target: 'flights', stations, now })
+
+      expect(report.cancellations).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,113 @@
+const StatusPolicyService = require('../../src/services/StatusPolicyService')
+const StatusTransitionPolicy = require('../../src/models/StatusTransitionPolicy')
+const { DEFAULT_STATUS_TRANSITIONS } = require('../../src/models/StatusTransitionPolicy')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+const { FlightValidationError } = require('../../src/errors/FlightErrors')
+const { StatusPolicyNotFoundError } = require('../../src/errors/StatusPolicyErrors')
+
+describe('StatusPolicyService', () => {
+  let service
+  let mockLogger
+
+  const interruptedBoarding = {
+    [FLIGHT_STATUSES.BOARDING]: [FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.CANCELLED]
+  }
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    service = new StatusPolicyService(mockLogger, { cacheTtlMs: 1000 })
+    jest.spyOn(StatusTransitionPolicy.prototype, 'save').mockImplementation(async function () { return this })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('transitionsFor()', () => {
+    it('should use the defaults for airlines without a policy', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOne').mockResolvedValue(null)
+
+      expect(await service.transitionsFor('GA')).toEqual(DEFAULT_STATUS_TRANSITIONS)
+    })
+
+    it('should merge the airline policy over the defaults', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOne').mockResolvedValue(
+        new StatusTransitionPolicy({ airline: 'GA', transitions: interruptedBoarding })
+      )
+
+      const transitions = await service.transitionsFor('ga')
+
+      expect(StatusTransitionPolicy.findOne).toHaveBeenCalledWith({ airline: 'GA' })
+      expect(transitions[FLIGHT_STATUSES.BOARDING]).toContain(FLIGHT_STATUSES.DELAYED)
+      expect(transitions[FLIGHT_STATUSES.SCHEDULED]).toEqual(DEFAULT_STATUS_TRANSITIONS[FLIGHT_STATUSES.SCHEDULED])
+    })
+
+    it('should cache lookups until the TTL expires', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOne').mockResolvedValue(null)
+
+      await service.transitionsFor('GA', 0)
+      await service.transitionsFor('GA', 999)
+      expect(StatusTransitionPolicy.findOne).toHaveBeenCalledTimes(1)
+
+      await service.transitionsFor('GA', 1000)
+      expect(StatusTransitionPolicy.findOne).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('setPolicy()', () => {
+    it('should save the policy, drop the cached lookup and write an audit entry', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOne').mockResolvedValue(null)
+      await service.transitionsFor('GA')
+
+      const policy = await service.setPolicy('ga', { transitions: interruptedBoarding, description: 'Interrupted boarding' }, 'ops-admin')
+
+      expect(policy).toMatchObject({
+        airline: 'GA',
+        overrides: interruptedBoarding,
+        description: 'Interrupted boarding',
+        isDefault: false,
+        createdBy: 'ops-admin',
+        updatedBy: 'ops-admin'
+      })
+      expect(service.cache.has('GA')).toBe(false)
+      expect(mockLogger.info).toHaveBeenCalledWith('Status transition policy updated', expect.objectContaining({
+        audit: true,
+        airline: 'GA',
+        updatedBy: 'ops-admin'
+      }))
+    })
+
+    it('should reject invalid transitions', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOne').mockResolvedValue(null)
+
+      await expect(service.setPolicy('GA', { transitions: { Landed: [] } }))
+        .rejects.toThrow(FlightValidationError)
+      expect(StatusTransitionPolicy.prototype.save).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getPolicy() and deletePolicy()', () => {
+    it('should report the defaults for airlines without a policy', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOne').mockResolvedValue(null)
+
+      expect(await service.getPolicy('ga')).toEqual({
+        airline: 'GA',
+        transitions: DEFAULT_STATUS_TRANSITIONS,
+        overrides: {},
+        isDefault: true
+      })
+    })
+
+    it('should throw StatusPolicyNotFoundError when there is no policy to remove', async () => {
+      jest.spyOn(StatusTransitionPolicy, 'findOneAndDelete').mockResolvedValue(null)
+
+      await expect(service.deletePolicy('GA')).rejects.toThrow(StatusPolicyNotFoundError)
+    })
+  })
+})
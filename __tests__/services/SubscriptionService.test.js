@@ -0,0 +1,227 @@
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const SubscriptionService = require('../../src/services/SubscriptionService')
+const Subscription = require('../../src/models/Subscription')
+const { SUBSCRIPTION_STATUS } = require('../../src/models/Subscription')
+const { FlightRateLimitError } = require('../../src/errors/FlightErrors')
+const {
+  SubscriptionNotFoundError,
+  SubscriptionTokenError,
+  SubscriptionStateError
+} = require('../../src/errors/SubscriptionErrors')
+
+describe('SubscriptionService', () => {
+  let mongoServer
+  let subscriptionService
+  let notificationService
+  let mockLogger
+
+  const flightDate = () => {
+    const date = new Date()
+    date.setDate(date.getDate() + 7)
+    return date
+  }
+
+  const subscriptionData = (overrides = {}) => ({
+    email: 'passenger@example.com',
+    flightNumber: 'GA402',
+    flightDate: flightDate(),
+    gdprCompliance: {
+      consentGiven: true,
+      dataProcessingConsent: true
+    },
+    ...overrides
+  })
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Subscription.deleteMany({})
+
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn()
+    }
+
+    notificationService = {
+      sendVerificationEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'msg-1' })
+    }
+
+    subscriptionService = new SubscriptionService(mockLogger, notificationService)
+  })
+
+  describe('createSubscription', () => {
+    it('should create a pending subscription and send the verification email', async () => {
+      const result = await subscriptionService.createSubscription(subscriptionData(), { ip: '10.0.0.1' })
+
+      expect(result.created).toBe(true)
+      expect(result.verificationSent).toBe(true)
+      expect(result.subscription.status).toBe(SUBSCRIPTION_STATUS.PENDING)
+      expect(notificationService.sendVerificationEmail).toHaveBeenCalledTimes(1)
+
+      const stored = await Subscription.findById(result.subscription.id)
+      expect(stored.metadata.source).toBe('api')
+      expect(stored.verification.lastSentAt).toBeInstanceOf(Date)
+    })
+
+    it('should report a verification email that could not be sent', async () => {
+      notificationService.sendVerificationEmail.mockResolvedValue({ success: false, error: 'SMTP unavailable' })
+
+      const result = await subscriptionService.createSubscription(subscriptionData())
+
+      expect(result.created).toBe(true)
+      expect(result.verificationSent).toBe(false)
+
+      const stored = await Subscription.findById(result.subscription.id)
+      expect(stored.verification.lastSentAt).toBeFalsy()
+    })
+
+    it('should not expose tokens in the response', async () => {
+      const result = await subscriptionService.createSubscription(subscriptionData())
+
+      expect(JSON.stringify(result)).not.toMatch(/[0-9a-f]{64}/)
+    })
+
+    it('should throttle verification resends', async () => {
+      await subscriptionService.createSubscription(subscriptionData())
+
+      await expect(subscriptionService.createSubscription(subscriptionData()))
+        .rejects.toThrow(FlightRateLimitError)
+    })
+
+    it('should resend with a fresh token once the throttle has passed', async () => {
+      const first = await subscriptionService.createSubscription(subscriptionData())
+      const original = await Subscription.findById(first.subscription.id)
+      await Subscription.updateOne({ _id: original._id }, { 'verification.lastSentAt': new Date(Date.now() - 10 * 60 * 1000) })
+
+      const result = await subscriptionService.createSubscription(subscriptionData())
+
+      const updated = await Subscription.findById(first.subscription.id)
+      expect(result.created).toBe(false)
+      expect(updated.verification.verificationToken).not.toBe(original.verification.verificationToken)
+    })
+
+    it('should reject duplicates of a verified subscription', async () => {
+      const { subscription } = await subscriptionService.createSubscription(subscriptionData())
+      await Subscription.updateOne({ _id: subscription.id }, { 'verification.isVerified': true, status: SUBSCRIPTION_STATUS.ACTIVE })
+
+      await expect(subscriptionService.createSubscription(subscriptionData()))
+        .rejects.toThrow(SubscriptionStateError)
+    })
+  })
+
+  describe('verifySubscription', () => {
+    it('should activate the subscription', async () => {
+      const { subscription } = await subscriptionService.createSubscription(subscriptionData())
+      const stored = await Subscription.findById(subscription.id)
+
+      const result = await subscriptionService.verifySubscription(stored.verification.verificationToken)
+
+      expect(result.status).toBe(SUBSCRIPTION_STATUS.ACTIVE)
+      expect(result.isVerified).toBe(true)
+    })
+
+    it('should plan the departure reminder once verified', async () => {
+      const reminderService = { planForSubscription: jest.fn().mockResolvedValue({ action: 'scheduled' }) }
+      subscriptionService = new SubscriptionService(mockLogger, notificationService, {}, reminderService)
+      const { subscription } = await subscriptionService.createSubscription(subscriptionData())
+      const stored = await Subscription.findById(subscription.id)
+
+      await subscriptionService.verifySubscription(stored.verification.verificationToken)
+
+      expect(reminderService.planForSubscription).toHaveBeenCalledTimes(1)
+      expect(reminderService.planForSubscription.mock.calls[0][0].status).toBe(SUBSCRIPTION_STATUS.ACTIVE)
+    })
+
+    it('should not fail verification when reminder planning fails', async () => {
+      const reminderService = { planForSubscription: jest.fn().mockRejectedValue(new Error('db down')) }
+      subscriptionService = new SubscriptionService(mockLogger, notificationService, {}, reminderService)
+      const { subscription } = await subscriptionService.createSubscription(subscriptionData())
+      const stored = await Subscription.findById(subscription.id)
+
+      const result = await subscriptionService.verifySubscription(stored.verification.verificationToken)
+
+      expect(result.isVerified).toBe(true)
+      expect(mockLogger.warn).toHaveBeenCalledWith('Departure reminder could not be planned', expect.any(Object))
+    })
+
+    it('should reject unknown tokens', async () => {
+      await expect(subscriptionService.verifySubscription('f'.repeat(64)))
+        .rejects.toThrow(SubscriptionTokenError)
+    })
+
+    it('should reject expired tokens', async () => {
+      const { subscription } = await subscriptionService.createSubscription(subscriptionData())
+      const stored = await Subscription.findById(subscription.id)
+      await Subscription.updateOne({ _id: stored._id }, { 'verification.verificationTokenExpires': new Date(Date.now() - 1000) })
+
+      await expect(subscriptionService.verifySubscription(stored.verification.verificationToken))
+        .rejects.toMatchObject({ reason: 'TOKEN_EXPIRED' })
+    })
+  })
+
+  describe('management token flows', () => {
+    let token
+
+    beforeEach(async () => {
+      const { subscription } = await subscriptionService.createSubscription(subscriptionData())
+      const stored = await Subscription.findById(subscription.id)
+      token = stored.unsubscribe.token
+    })
+
+    it('should unsubscribe idempotently', async () => {
+      const first = await subscriptionService.unsubscribe(token)
+      const second = await subscriptionService.unsubscribe(token)
+
+      expect(first.alreadyUnsubscribed).toBe(false)
+      expect(second.alreadyUnsubscribed).toBe(true)
+      expect(second.subscription.status).toBe(SUBSCRIPTION_STATUS.UNSUBSCRIBED)
+    })
+
+    it('should still unsubscribe after the flight date has passed', async () => {
+      await Subscription.collection.updateOne({ 'unsubscribe.token': token }, { $set: { flightDate: new Date('2020-01-01') } })
+
+      const result = await subscriptionService.unsubscribe(token)
+
+      expect(result.subscription.isUnsubscribed).toBe(true)
+    })
+
+    it('should reactivate an unsubscribed subscription', async () => {
+      await subscriptionService.unsubscribe(token)
+
+      const result = await subscriptionService.reactivate(token)
+
+      expect(result.isUnsubscribed).toBe(false)
+      expect(result.status).toBe(SUBSCRIPTION_STATUS.PENDING)
+    })
+
+    it('should refuse to reactivate an active subscription', async () => {
+      await expect(subscriptionService.reactivate(token)).rejects.toThrow(SubscriptionStateError)
+    })
+
+    it('should merge preference updates', async () => {
+      const result = await subscriptionService.updatePreferences(token, {
+        notificationPreferences: { delays: { minDelayMinutes: 45 } },
+        passengerInfo: { language: 'id' }
+      })
+
+      expect(result.notificationPreferences.delays.minDelayMinutes).toBe(45)
+      expect(result.notificationPreferences.delays.enabled).toBe(true)
+      expect(result.passengerInfo.language).toBe('id')
+    })
+
+    it('should reject unknown management tokens', async () => {
+      await expect(subscriptionService.unsubscribe('0'.repeat(64)))
+        .rejects.toThrow(SubscriptionNotFoundError)
+    })
+  })
+})
@@ -0,0 +1,211 @@
+const WeatherService = require('../../src/services/WeatherService')
+const Flight = require('../../src/models/Flight')
+const WeatherReport = require('../../src/models/WeatherReport')
+const { FLIGHT_STATUSES } = require('../../src/models/Flight')
+const { FlightDatabaseError, FlightExternalAPIError } = require('../../src/errors/FlightErrors')
+const { WeatherReportNotFoundError } = require('../../src/errors/WeatherErrors')
+
+describe('WeatherService', () => {
+  let service
+  let provider
+  let mockLogger
+
+  const now = new Date('2026-10-26T00:40:00Z')
+
+  const metar = 'METAR WIII 260030Z 27005KT 9999 -RA FEW020CB 30/24 Q1009 NOSIG='
+  const taf = 'TAF WADD 260500Z 2606/2712 09010KT 9999 SCT020 BECMG 2610/2612 14015KT='
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    }
+
+    provider = { name: 'file', fetchReports: jest.fn().mockResolvedValue(`${metar}\n${taf}`) }
+    jest.spyOn(WeatherReport, 'recordLatest').mockImplementation(async (station) => ({ station }))
+    jest.spyOn(Flight, 'updateMany')
+      .mockResolvedValueOnce({ modifiedCount: 3 })
+      .mockResolvedValueOnce({ modifiedCount: 2 })
+
+    service = new WeatherService(mockLogger, provider, {
+      stations: { CGK: 'WIII', DPS: 'WADD' },
+      windowHours: 12,
+      lookbackHours: 6
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('ingest()', () => {
+    it('should keep an observation and attach it to the flights at its airport', async () => {
+      const result = await service.ingest(metar, { receivedBy: 'ops', now })
+
+      expect(WeatherReport.recordLatest).toHaveBeenCalledWith('WIII', 'CGK', 'observation', expect.objectContaining({
+        type: 'METAR',
+        issuedAt: new Date('2026-10-26T00:30:00Z'),
+        condition: 'Light Rain',
+        visibility: 10000,
+        windDirection: 270,
+        windSpeed: 5,
+        temperature: 30,
+        source: 'http',
+        receivedBy: 'ops'
+      }))
+
+      const weather = {
+        condition: 'Light Rain',
+        visibility: 10000,
+        windSpeed: 5,
+        windDirection: 270,
+        windGust: null,
+        temperature: 30,
+        station: 'WIII',
+        observedAt: new Date('2026-10-26T00:30:00Z')
+      }
+      expect(Flight.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        'route.origin.airport': 'CGK',
+        'status.current': { $in: [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING] },
+        'schedule.departure.scheduled': { $gte: new Date('2026-10-25T18:40:00Z'), $lte: new Date('2026-10-26T12:40:00Z') }
+      }), { $set: { 'weather.origin': weather } })
+      expect(Flight.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        'route.destination.airport': 'CGK',
+        'status.current': { $in: expect.arrayContaining([FLIGHT_STATUSES.IN_AIR]) }
+      }), { $set: { 'weather.destination': weather } })
+
+      expect(result).toEqual({
+        received: 1,
+        accepted: [{
+          station: 'WIII',
+          airport: 'CGK',
+          type: 'METAR',
+          issuedAt: new Date('2026-10-26T00:30:00Z'),
+          condition: 'Light Rain',
+          flightsUpdated: 5
+        }],
+        skipped: [],
+        rejected: []
+      })
+    })
+
+    it('should keep a forecast without touching flights', async () => {
+      const result = await service.ingest(taf, { now: new Date('2026-10-26T05:10:00Z') })
+
+      expect(WeatherReport.recordLatest).toHaveBeenCalledWith('WADD', 'DPS', 'forecast', expect.objectContaining({
+        type: 'TAF',
+        issuedAt: new Date('2026-10-26T05:00:00Z'),
+        validFrom: new Date('2026-10-26T06:00:00Z'),
+        validTo: new Date('2026-10-27T12:00:00Z'),
+        condition: 'Scattered Clouds'
+      }))
+      expect(Flight.updateMany).not.toHaveBeenCalled()
+      expect(result.accepted[0]).toMatchObject({ airport: 'DPS', type: 'TAF', flightsUpdated: 0 })
+    })
+
+    it('should store reports of unconfigured stations without attaching them', async () => {
+      const result = await service.ingest('WARR 260030Z 09004KT 8000 SCT018 31/25 Q1008', { now })
+
+      expect(WeatherReport.recordLatest).toHaveBeenCalledWith('WARR', null, 'observation', expect.any(Object))
+      expect(Flight.updateMany).not.toHaveBeenCalled()
+      expect(result.accepted[0]).toMatchObject({ station: 'WARR', airport: null })
+    })
+
+    it('should place report times in the closest month', async () => {
+      await service.ingest('WIII 302330Z 27005KT 9999 FEW020 28/24 Q1010', { now: new Date('2026-11-01T00:10:00Z') })
+
+      expect(WeatherReport.recordLatest).toHaveBeenCalledWith('WIII', 'CGK', 'observation', expect.objectContaining({
+        issuedAt: new Date('2026-10-30T23:30:00Z')
+      }))
+    })
+
+    it('should skip outdated reports and list unreadable ones', async () => {
+      WeatherReport.recordLatest.mockResolvedValue(null)
+
+      const result = await service.ingest(`${metar}\nWIII 260100Z NIL=`, { now })
+
+      expect(Flight.updateMany).not.toHaveBeenCalled()
+      expect(result).toMatchObject({
+        received: 2,
+        accepted: [],
+        skipped: [{ station: 'WIII', type: 'METAR', reason: 'A newer report is stored' }],
+        rejected: [{ raw: 'WIII 260100Z NIL', reason: 'METAR for WIII is NIL' }]
+      })
+    })
+
+    it('should wrap database failures', async () => {
+      WeatherReport.recordLatest.mockRejectedValue(new Error('connection lost'))
+
+      await expect(service.ingest(metar, { now })).rejects.toThrow(FlightDatabaseError)
+    })
+  })
+
+  describe('poll()', () => {
+    it('should fetch the configured stations and ingest them', async () => {
+      const summary = await service.poll({ now })
+
+      expect(provider.fetchReports).toHaveBeenCalledWith(['WIII', 'WADD'])
+      expect(WeatherReport.recordLatest).toHaveBeenCalledWith('WIII', 'CGK', 'observation', expect.objectContaining({
+        source: 'provider',
+        receivedBy: 'WeatherProvider:file'
+      }))
+      expect(summary).toEqual({
+        provider: 'file',
+        received: 2,
+        accepted: 2,
+        skipped: 0,
+        rejected: 0,
+        flightsUpdated: 5
+      })
+    })
+
+    it('should ignore stations that are not configured', async () => {
+      provider.fetchReports.mockResolvedValue(`${metar}\nWARR 260030Z 09004KT 8000 SCT018 31/25 Q1008=`)
+
+      const summary = await service.poll({ now })
+
+      expect(summary.received).toBe(1)
+      expect(WeatherReport.recordLatest).toHaveBeenCalledTimes(1)
+    })
+
+    it('should pass provider errors through', async () => {
+      provider.fetchReports.mockRejectedValue(new FlightExternalAPIError('Weather provider request failed: HTTP 503', 'http', 503))
+
+      await expect(service.poll({ now })).rejects.toThrow(FlightExternalAPIError)
+    })
+  })
+
+  describe('getLatestReport()', () => {
+    it('should look up airports by IATA and stations by ICAO code', async () => {
+      const stored = { station: 'WIII', airport: 'CGK', observation: { type: 'METAR' }, updatedAt: now }
+      jest.spyOn(WeatherReport, 'findOne').mockResolvedValue(stored)
+
+      expect(await service.getLatestReport('cgk')).toEqual({ ...stored, forecast: null })
+      expect(WeatherReport.findOne).toHaveBeenCalledWith({ airport: 'CGK' })
+
+      await service.getLatestReport('WIII')
+      expect(WeatherReport.findOne).toHaveBeenLastCalledWith({ station: 'WIII' })
+    })
+
+    it('should report airports without weather as not found', async () => {
+      jest.spyOn(WeatherReport, 'findOne').mockResolvedValue(null)
+
+      await expect(service.getLatestReport('SUB')).rejects.toThrow(WeatherReportNotFoundError)
+    })
+  })
+
+  describe('getLatestReports()', () => {
+    it('should filter by airport', async () => {
+      const sort = jest.fn().mockResolvedValue([{ station: 'WIII', airport: 'CGK', observation: { type: 'METAR' } }])
+      jest.spyOn(WeatherReport, 'find').mockReturnValue({ sort })
+
+      const result = await service.getLatestReports({ airports: ['cgk', 'dps'] })
+
+      expect(WeatherReport.find).toHaveBeenCalledWith({ airport: { $in: ['CGK', 'DPS'] } })
+      expect(result.totalCount).toBe(1)
+      expect(result.reports[0]).toMatchObject({ station: 'WIII', forecast: null })
+    })
+  })
+})
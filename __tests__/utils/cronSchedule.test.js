@@ -0,0 +1,65 @@
+const { matchesCron, nextCronRun, parseCronExpression } = require('../../src/utils/cronSchedule')
+
+describe('cronSchedule', () => {
+  describe('parseCronExpression()', () => {
+    it('should expand wildcards, steps, ranges and lists', () => {
+      const schedule = parseCronExpression('*/15 8-10,22 1 * 1-5/2')
+
+      expect([...schedule.minute]).toEqual([0, 15, 30, 45])
+      expect([...schedule.hour]).toEqual([8, 9, 10, 22])
+      expect([...schedule.dayOfMonth]).toEqual([1])
+      expect(schedule.month.size).toBe(12)
+      expect([...schedule.dayOfWeek]).toEqual([1, 3, 5])
+    })
+
+    it('should read month and weekday names and weekday 7 as Sunday', () => {
+      const schedule = parseCronExpression('0 0 * jan,Jul sat-7')
+
+      expect([...schedule.month]).toEqual([1, 7])
+      expect([...schedule.dayOfWeek].sort()).toEqual([0, 6])
+    })
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCronExpression('0 0 * *')).toThrow(/must have 5 fields/)
+      expect(() => parseCronExpression('0 0 * * * *')).toThrow(/must have 5 fields/)
+      expect(() => parseCronExpression('60 * * * *')).toThrow(/Invalid minute value/)
+      expect(() => parseCronExpression('*/0 * * * *')).toThrow(/Invalid minute step/)
+      expect(() => parseCronExpression('0 10-8 * * *')).toThrow(/Invalid hour range/)
+    })
+  })
+
+  describe('matchesCron()', () => {
+    it('should require every field to match', () => {
+      const schedule = parseCronExpression('30 6 * * mon')
+
+      expect(matchesCron(schedule, new Date(2026, 9, 19, 6, 30))).toBe(true)
+      expect(matchesCron(schedule, new Date(2026, 9, 20, 6, 30))).toBe(false)
+      expect(matchesCron(schedule, new Date(2026, 9, 19, 6, 31))).toBe(false)
+    })
+  })
+
+  describe('nextCronRun()', () => {
+    it('should return the first matching minute after the given time', () => {
+      const schedule = parseCronExpression('*/5 * * * *')
+
+      expect(nextCronRun(schedule, new Date(2026, 0, 1, 10, 7, 30))).toEqual(new Date(2026, 0, 1, 10, 10, 0))
+      expect(nextCronRun(schedule, new Date(2026, 0, 1, 10, 10, 0))).toEqual(new Date(2026, 0, 1, 10, 15, 0))
+    })
+
+    it('should roll over to the next day and month', () => {
+      const schedule = parseCronExpression('0 2 1 * *')
+
+      expect(nextCronRun(schedule, new Date(2026, 0, 31, 23, 0))).toEqual(new Date(2026, 1, 1, 2, 0))
+    })
+
+    it('should find runs up to a year away', () => {
+      const schedule = parseCronExpression('30 4 1 1 *')
+
+      expect(nextCronRun(schedule, new Date(2026, 0, 1, 4, 30))).toEqual(new Date(2027, 0, 1, 4, 30))
+    })
+
+    it('should return null for dates that never occur', () => {
+      expect(nextCronRun(parseCronExpression('0 0 30 2 *'), new Date(2026, 0, 1))).toBeNull()
+    })
+  })
+})
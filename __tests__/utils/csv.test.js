@@ -0,0 +1,35 @@
+const { escapeCsvField, toCsv } = require('../../src/utils/csv')
+
+describe('csv', () => {
+  describe('escapeCsvField()', () => {
+    it('should quote fields holding separators, quotes or line breaks', () => {
+      expect(escapeCsvField('CGK-DPS')).toBe('CGK-DPS')
+      expect(escapeCsvField('Late, then later')).toBe('"Late, then later"')
+      expect(escapeCsvField('The "main" cause')).toBe('"The ""main"" cause"')
+      expect(escapeCsvField('two\nlines')).toBe('"two\nlines"')
+    })
+
+    it('should write empty, numeric and date fields', () => {
+      expect(escapeCsvField(null)).toBe('')
+      expect(escapeCsvField(undefined)).toBe('')
+      expect(escapeCsvField(-2.5)).toBe('-2.5')
+      expect(escapeCsvField(new Date('2026-10-26T00:30:00Z'))).toBe('2026-10-26T00:30:00.000Z')
+    })
+
+    it('should keep spreadsheets from running text as formulas', () => {
+      expect(escapeCsvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)")
+      expect(escapeCsvField('@cmd')).toBe("'@cmd")
+    })
+  })
+
+  describe('toCsv()', () => {
+    it('should write a header row and one line per row', () => {
+      const csv = toCsv([['airline', 'code'], ['d15_rate', 'd15Rate']], [
+        { code: 'GA', d15Rate: 0.875 },
+        { code: 'QZ', d15Rate: null }
+      ])
+
+      expect(csv).toBe('airline,d15_rate\r\nGA,0.875\r\nQZ,\r\n')
+    })
+  })
+})
@@ -0,0 +1,84 @@
+const {
+  buildDelaySegment,
+  delayReasonFor,
+  describeDelayCode,
+  parseDelayCode,
+  primaryDelayReason,
+  DELAY_REASONS
+} = require('../../src/utils/delayCodes')
+
+describe('delayCodes', () => {
+  describe('parseDelayCode()', () => {
+    it('should read numeric codes with an optional sub-code', () => {
+      expect(parseDelayCode('93')).toEqual({ code: '93', subCode: null })
+      expect(parseDelayCode(' 41b ')).toEqual({ code: '41', subCode: 'B' })
+      expect(parseDelayCode('06')).toEqual({ code: '06', subCode: null })
+    })
+
+    it('should map alpha codes to their numeric code', () => {
+      expect(parseDelayCode('RA')).toEqual({ code: '93', subCode: null })
+      expect(parseDelayCode('WOA')).toEqual({ code: '71', subCode: 'A' })
+    })
+
+    it('should reject codes AHM 730 does not list', () => {
+      expect(parseDelayCode('08')).toBeNull()
+      expect(parseDelayCode('ZZ')).toBeNull()
+      expect(parseDelayCode('930')).toBeNull()
+      expect(parseDelayCode(null)).toBeNull()
+    })
+  })
+
+  describe('delayReasonFor()', () => {
+    it('should map codes to the passenger-facing delay reasons', () => {
+      expect(delayReasonFor('93A')).toBe(DELAY_REASONS.AIRCRAFT)
+      expect(delayReasonFor('TD')).toBe(DELAY_REASONS.TECHNICAL)
+      expect(delayReasonFor('84')).toBe(DELAY_REASONS.ATC)
+      expect(delayReasonFor('21')).toBe(DELAY_REASONS.OTHER)
+      expect(delayReasonFor('00')).toBe(DELAY_REASONS.OTHER)
+    })
+  })
+
+  describe('describeDelayCode()', () => {
+    it('should describe known codes', () => {
+      expect(describeDelayCode('75')).toBe('De-icing of aircraft')
+      expect(describeDelayCode('07')).toBeNull()
+    })
+  })
+
+  describe('buildDelaySegment()', () => {
+    it('should normalise a segment and derive its reason', () => {
+      expect(buildDelaySegment({ code: 'RA', subCode: 'c', minutes: '25' })).toEqual({
+        code: '93',
+        subCode: 'C',
+        minutes: 25,
+        reason: DELAY_REASONS.AIRCRAFT,
+        description: null
+      })
+      expect(buildDelaySegment({ code: '41D', description: 'Hydraulic leak' })).toMatchObject({
+        code: '41',
+        subCode: 'D',
+        minutes: 0,
+        description: 'Hydraulic leak'
+      })
+    })
+
+    it('should reject unknown codes and malformed sub-codes', () => {
+      expect(() => buildDelaySegment({ code: '08', minutes: 10 })).toThrow('Unknown IATA delay code: 08')
+      expect(() => buildDelaySegment({ code: '93', subCode: 'AB' })).toThrow('Delay sub-code must be a single letter: AB')
+    })
+  })
+
+  describe('primaryDelayReason()', () => {
+    it('should pick the reason of the longest segment, the first on a tie', () => {
+      expect(primaryDelayReason([
+        { minutes: 10, reason: DELAY_REASONS.TECHNICAL },
+        { minutes: 30, reason: DELAY_REASONS.AIRCRAFT }
+      ])).toBe(DELAY_REASONS.AIRCRAFT)
+      expect(primaryDelayReason([
+        { minutes: 20, reason: DELAY_REASONS.CREW },
+        { minutes: 20, reason: DELAY_REASONS.WEATHER }
+      ])).toBe(DELAY_REASONS.CREW)
+      expect(primaryDelayReason([])).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,125 @@
+const {
+  parseWeatherReport,
+  parseWeatherReports,
+  describeCondition
+} = require('../../src/utils/metarParser')
+
+describe('metarParser', () => {
+  describe('parseWeatherReport()', () => {
+    it('should read a METAR', () => {
+      const report = parseWeatherReport('METAR WIII 260030Z 27005KT 240V300 9999 -RA FEW020CB SCT100 30/24 Q1009 NOSIG=')
+
+      expect(report).toMatchObject({
+        type: 'METAR',
+        station: 'WIII',
+        issued: { day: 26, hours: 0, minutes: 30 },
+        valid: null,
+        wind: { direction: 270, speed: 5, gust: null, variable: true },
+        visibility: 10000,
+        weather: ['-RA'],
+        clouds: [{ cover: 'FEW', base: 2000, type: 'CB' }, { cover: 'SCT', base: 10000, type: null }],
+        temperature: 30,
+        dewpoint: 24,
+        pressure: 1009,
+        condition: 'Light Rain'
+      })
+    })
+
+    it('should convert US units and stop at the remarks', () => {
+      const report = parseWeatherReport('SPECI KJFK 261451Z 31015G25KT 1 1/2SM +TSRA BR BKN008 OVC015CB 12/M01 A2992 RMK AO2 TSB32 SLP132')
+
+      expect(report).toMatchObject({
+        type: 'SPECI',
+        wind: { direction: 310, speed: 15, gust: 25 },
+        visibility: 2414,
+        weather: ['+TSRA', 'BR'],
+        temperature: 12,
+        dewpoint: -1,
+        pressure: 1013,
+        condition: 'Heavy Thunderstorm'
+      })
+      expect(parseWeatherReport('KLAX 261453Z 25008KT P6SM CLR 18/11 A3001').visibility).toBe(10000)
+      expect(parseWeatherReport('KBOS 261454Z 04012KT M1/4SM FG VV002 08/08 A2990').visibility).toBe(402)
+    })
+
+    it('should read wind in metres per second and CAVOK', () => {
+      const report = parseWeatherReport('UUEE 260530Z AUTO 18006MPS CAVOK M03/M07 Q1021')
+
+      expect(report).toMatchObject({
+        type: 'METAR',
+        automated: true,
+        wind: { direction: 180, speed: 12 },
+        visibility: 10000,
+        cavok: true,
+        temperature: -3,
+        dewpoint: -7,
+        condition: 'Clear'
+      })
+    })
+
+    it('should read the base forecast of a TAF', () => {
+      const report = parseWeatherReport('TAF AMD WADD 260500Z 2606/2712 09010KT 9999 SCT020 TEMPO 2610/2614 4000 TSRA BKN015CB')
+
+      expect(report).toMatchObject({
+        type: 'TAF',
+        station: 'WADD',
+        amended: true,
+        valid: { from: { day: 26, hours: 6 }, to: { day: 27, hours: 12 } },
+        wind: { direction: 90, speed: 10 },
+        visibility: 10000,
+        weather: [],
+        temperature: null,
+        condition: 'Scattered Clouds'
+      })
+    })
+
+    it('should reject reports without a station, a time or content', () => {
+      expect(() => parseWeatherReport('METAR 260030Z 27005KT')).toThrow('Report must start with a 4-letter ICAO station code')
+      expect(() => parseWeatherReport('WIII 2600Z 27005KT')).toThrow('Report time must be formatted as DDHHMMZ')
+      expect(() => parseWeatherReport('WIII 322500Z 27005KT')).toThrow('Report time is not a valid time')
+      expect(() => parseWeatherReport('TAF WADD 260500Z 09010KT')).toThrow('TAF validity must be formatted as DDHH/DDHH')
+      expect(() => parseWeatherReport('METAR WIII 260030Z NIL=')).toThrow('METAR for WIII is NIL')
+    })
+  })
+
+  describe('describeCondition()', () => {
+    const condition = (overrides) => describeCondition({ weather: [], clouds: [], cavok: false, skyClear: false, ...overrides })
+
+    it('should name the most significant weather and ignore the vicinity', () => {
+      expect(condition({ weather: ['BR', 'SHRA'] })).toBe('Showers')
+      expect(condition({ weather: ['-FZRA', 'SN'] })).toBe('Light Freezing Rain')
+      expect(condition({ weather: ['VCTS'], clouds: [{ cover: 'BKN' }] })).toBe('Broken Clouds')
+    })
+
+    it('should fall back to the densest cloud layer, then to a clear sky', () => {
+      expect(condition({ clouds: [{ cover: 'OVC' }, { cover: 'FEW' }] })).toBe('Overcast')
+      expect(condition({ skyClear: true })).toBe('Clear')
+      expect(condition({})).toBeNull()
+    })
+  })
+
+  describe('parseWeatherReports()', () => {
+    it('should split a feed into reports and keep the unreadable ones', () => {
+      const entries = parseWeatherReports([
+        '2026/10/26 00:30',
+        'METAR WIII 260030Z 27005KT 9999 FEW020 30/24 Q1009=',
+        'TAF',
+        'WADD 260500Z 2606/2712 09010KT 9999 SCT020',
+        '      BECMG 2610/2612 14015KT',
+        'WARR 260030Z 09004KT 8000 SCT018 31/25 Q1008',
+        'WIII 260100Z NIL='
+      ].join('\n'))
+
+      expect(entries).toHaveLength(4)
+      expect(entries[0].report).toMatchObject({ type: 'METAR', station: 'WIII' })
+      expect(entries[1].raw).toBe('TAF\nWADD 260500Z 2606/2712 09010KT 9999 SCT020\nBECMG 2610/2612 14015KT')
+      expect(entries[1].report).toMatchObject({ type: 'TAF', station: 'WADD', wind: { direction: 90 } })
+      expect(entries[2].report).toMatchObject({ station: 'WARR', visibility: 8000, condition: 'Scattered Clouds' })
+      expect(entries[3]).toEqual({ raw: 'WIII 260100Z NIL', error: 'METAR for WIII is NIL' })
+    })
+
+    it('should return nothing for text without reports', () => {
+      expect(parseWeatherReports('ZCZC\nSAID31 WIII 260030\n')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,98 @@
+const { parseMovementMessage, parseMovementMessages } = require('../../src/utils/mvtParser')
+
+describe('mvtParser', () => {
+  describe('parseMovementMessage()', () => {
+    it('should read a departure with airborne time, estimated arrival and delay codes', () => {
+      const message = parseMovementMessage([
+        'MVT',
+        'GA402/26.PK-GQE.CGK',
+        'AD0042/0051 EA0240 DPS',
+        'DL93/15/0010/0002',
+        'PX180',
+        'SI LATE INBOUND',
+        'CONNECTING PAX 12'
+      ].join('\n'))
+
+      expect(message).toEqual({
+        type: 'MVT',
+        flight: {
+          airline: 'GA',
+          flightNumber: 'GA402',
+          operationalSuffix: '',
+          day: 26,
+          registration: 'PKGQE',
+          station: 'CGK'
+        },
+        departure: {
+          offBlock: { day: null, hours: 0, minutes: 42 },
+          airborne: { day: null, hours: 0, minutes: 51 }
+        },
+        arrival: null,
+        estimatedDeparture: null,
+        estimatedArrival: { time: { day: null, hours: 2, minutes: 40 }, station: 'DPS' },
+        nextInformation: null,
+        delays: [{ code: '93', duration: 10 }, { code: '15', duration: 2 }],
+        supplementary: ['LATE INBOUND', 'CONNECTING PAX 12']
+      })
+    })
+
+    it('should read arrival, estimate and next-information lines', () => {
+      expect(parseMovementMessage('MVA\nGA402A/26.PKGQE.DPS\nAA0231/0238').arrival).toEqual({
+        touchdown: { day: null, hours: 2, minutes: 31 },
+        onBlock: { day: null, hours: 2, minutes: 38 }
+      })
+
+      const estimate = parseMovementMessage('mvt\nga402/26.pkgqe.cgk\nED260115\nEA 0310 DPS\nNI0100')
+      expect(estimate.flight.flightNumber).toBe('GA402')
+      expect(estimate.estimatedDeparture).toEqual({ day: 26, hours: 1, minutes: 15 })
+      expect(estimate.estimatedArrival).toEqual({ time: { day: null, hours: 3, minutes: 10 }, station: 'DPS' })
+      expect(estimate.nextInformation).toEqual({ day: null, hours: 1, minutes: 0 })
+    })
+
+    it('should keep the operational suffix and drop leading zeros', () => {
+      const { flight } = parseMovementMessage('MVT\nGA0402A/05.PKGQE.CGK\nAD0042')
+
+      expect(flight).toMatchObject({ flightNumber: 'GA402', operationalSuffix: 'A', day: 5 })
+    })
+
+    it.each([
+      ['MVT\nGA402.PKGQE.CGK\nAD0042', 'Flight identification must be formatted as FLIGHT/DAY.REGISTRATION.STATION'],
+      ['MVT\nGA402/32.PKGQE.CGK\nAD0042', 'Flight identification day must be 01-31'],
+      ['MVT\nGA402/26.PKGQE.CGK\nAD2542', 'Off-block time is not a valid time'],
+      ['MVT\nGA402/26.PKGQE.CGK\nAD0042 DPS', "Cannot read line 'AD0042 DPS'"],
+      ['MVT\nGA402/26.PKGQE.CGK\nSI NOTHING YET', 'Message has no movement line (AD, AA, ED, EA or NI)'],
+      ['LDM\nGA402/26.PKGQE.CGK', 'Message must start with MVT or MVA']
+    ])('should reject %j', (raw, reason) => {
+      expect(() => parseMovementMessage(raw)).toThrow(reason)
+    })
+  })
+
+  describe('parseMovementMessages()', () => {
+    it('should skip the envelope and split several messages', () => {
+      const entries = parseMovementMessages([
+        'QU CGKKOGA',
+        '.CGKOWGA 260045',
+        'MVT',
+        'GA402/26.PKGQE.CGK',
+        'AD0042/0051',
+        '',
+        'MVT',
+        'GA404/26.PKGQF.CGK',
+        'AD99'
+      ].join('\r\n'))
+
+      expect(entries).toHaveLength(2)
+      expect(entries[0].raw).toBe('MVT\nGA402/26.PKGQE.CGK\nAD0042/0051')
+      expect(entries[0].message.flight.flightNumber).toBe('GA402')
+      expect(entries[1]).toEqual({
+        raw: 'MVT\nGA404/26.PKGQF.CGK\nAD99',
+        type: 'MVT',
+        error: "Cannot read line 'AD99'"
+      })
+    })
+
+    it('should return nothing when the text holds no message', () => {
+      expect(parseMovementMessages('GA402 DEPARTED')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,138 @@
+const { parseSsim, parseSsimDate, RECORD_LENGTH } = require('../../src/utils/ssimParser')
+
+// Fixed-width record with values placed at 1-based byte positions
+const record = (type, values) => {
+  const chars = Array(RECORD_LENGTH).fill(' ')
+  chars[0] = type
+  Object.entries(values).forEach(([position, value]) => {
+    [...value].forEach((char, index) => { chars[Number(position) - 1 + index] = char })
+  })
+  return chars.join('')
+}
+
+const carrierRecord = (overrides = {}) => record('2', { 2: 'L', 3: 'GA ', 11: 'W26', 15: '25OCT26', 22: '27MAR27', 29: '01SEP26', 36: 'GARUDA WINTER', ...overrides })
+
+const legRecord = (overrides = {}) => record('3', { 3: 'GA ', 6: ' 402', 10: '01', 12: '01', 14: 'J', 15: '26OCT26', 22: '27MAR27', 29: '1 3 5  ', 37: 'CGK', 40: '0730', 44: '0730', 48: '+0700', 53: '3 ', 55: 'DPS', 58: '1025', 62: '1025', 66: '+0800', 71: 'D ', 73: '738', ...overrides })
+
+const segmentRecord = (overrides = {}) => record('4', { 3: 'GA ', 6: ' 402', 10: '01', 12: '01', 31: '010', 34: 'CGK', 37: 'DPS', 40: 'KL 3456/AF 1234', ...overrides })
+
+describe('ssimParser', () => {
+  describe('parseSsimDate()', () => {
+    it('should convert DDMMMYY to YYYY-MM-DD', () => {
+      expect(parseSsimDate('26OCT26')).toBe('2026-10-26')
+      expect(parseSsimDate('01jan27')).toBe('2027-01-01')
+    })
+
+    it('should return null for open-ended and blank dates', () => {
+      expect(parseSsimDate('00XXX00')).toBeNull()
+      expect(parseSsimDate('')).toBeNull()
+    })
+
+    it('should reject malformed and impossible dates', () => {
+      expect(() => parseSsimDate('2026-10-26', 'Start')).toThrow('Start must be a date formatted as DDMMMYY')
+      expect(() => parseSsimDate('31FEB27', 'Start')).toThrow('Start is not a calendar date')
+    })
+  })
+
+  describe('parseSsim()', () => {
+    it('should read carrier, leg and segment records', () => {
+      const content = [
+        record('1', { 2: 'AIRLINE STANDARD SCHEDULE DATA SET' }),
+        record('0', {}),
+        carrierRecord(),
+        legRecord(),
+        segmentRecord(),
+        record('5', { 3: 'GA ' })
+      ].join('\n')
+
+      const { carriers, legs, errors } = parseSsim(content)
+
+      expect(errors).toEqual([])
+      expect(carriers).toEqual([{
+        line: 3,
+        timeMode: 'L',
+        airline: 'GA',
+        season: 'W26',
+        period: { from: '2026-10-25', to: '2027-03-27' },
+        creationDate: '2026-09-01',
+        title: 'GARUDA WINTER',
+        scheduleStatus: ''
+      }])
+      expect(legs).toHaveLength(1)
+      expect(legs[0]).toMatchObject({
+        line: 4,
+        carrier: 0,
+        airline: 'GA',
+        flightNumber: '402',
+        operationalSuffix: '',
+        legSequence: 1,
+        period: { from: '2026-10-26', to: '2027-03-27' },
+        daysOfWeek: [1, 3, 5],
+        departure: { station: 'CGK', time: 450, utcOffset: 420, terminal: '3', dateVariation: 0 },
+        arrival: { station: 'DPS', time: 625, utcOffset: 480, terminal: 'D', dateVariation: 0 },
+        aircraftType: '738'
+      })
+      expect(legs[0].segments).toEqual([{
+        line: 5,
+        legSequence: 1,
+        dataElement: '010',
+        boardPoint: 'CGK',
+        offPoint: 'DPS',
+        data: 'KL 3456/AF 1234'
+      }])
+    })
+
+    it('should accept CRLF line endings and short trailing whitespace', () => {
+      const content = `${carrierRecord().trimEnd()}\r\n${legRecord().trimEnd()}\r\n`
+
+      const { legs, errors } = parseSsim(content)
+
+      expect(errors).toEqual([])
+      expect(legs).toHaveLength(1)
+    })
+
+    it('should read date variations, with A meaning the day before', () => {
+      const { legs } = parseSsim([carrierRecord(), legRecord({ 193: 'A', 194: '1' })].join('\n'))
+
+      expect(legs[0].departure.dateVariation).toBe(-1)
+      expect(legs[0].arrival.dateVariation).toBe(1)
+    })
+
+    it('should report bad records with their line and keep reading', () => {
+      const content = [
+        carrierRecord(),
+        legRecord({ 40: '2575', 44: '2575' }),
+        legRecord({ 6: ' 404', 29: '1 1    ' }),
+        legRecord({ 6: ' 406', 48: '0700 ' }),
+        segmentRecord(),
+        legRecord({ 6: ' 408' }),
+        record('7', {})
+      ].join('\n')
+
+      const { legs, errors } = parseSsim(content)
+
+      expect(legs.map(leg => leg.flightNumber)).toEqual(['408'])
+      expect(errors).toEqual([
+        { line: 2, recordType: '3', message: 'Departure time must be a time formatted as HHMM' },
+        { line: 3, recordType: '3', message: 'Days of operation must hold each day 1-7 in its own position' },
+        { line: 4, recordType: '3', message: 'Departure UTC offset must be a UTC offset formatted as +HHMM' },
+        { line: 5, recordType: '4', message: 'Segment data record does not follow its flight leg record' },
+        { line: 7, recordType: '7', message: "Unknown record type '7'" }
+      ])
+    })
+
+    it('should reject flight legs before any carrier record', () => {
+      const { legs, errors } = parseSsim(legRecord())
+
+      expect(legs).toEqual([])
+      expect(errors).toEqual([{ line: 1, recordType: '3', message: 'Flight leg record before any carrier record' }])
+    })
+
+    it('should reject an unknown time mode', () => {
+      const { carriers, errors } = parseSsim(carrierRecord({ 2: 'X' }))
+
+      expect(carriers).toEqual([])
+      expect(errors[0].message).toBe('Time mode must be U (UTC) or L (local)')
+    })
+  })
+})
@@ -9,6 +9,19 @@ const { config } = require('./config/config')
 const logger = require('./config/logger')
 const errorHandler = require('./middleware/errorHandler')
 const { healthCheck, getConnectionInfo } = require('./config/database')
+const { FLIGHT_EVENTS } = require('./events/FlightEventBus')
+const { NOTIFICATION_EVENTS } = require('./services/NotificationService')
+const { schedulerService } = require('./services')
+const authRoutes = require('./routes/auth')
+const flightRoutes = require('./routes/flights')
+const scheduleRoutes = require('./routes/schedules')
+const statusPolicyRoutes = require('./routes/statusPolicies')
+const movementRoutes = require('./routes/movements')
+const rotationRoutes = require('./routes/rotations')
+const predictionRoutes = require('./routes/predictions')
+const analyticsRoutes = require('./routes/analytics')
+const weatherRoutes = require('./routes/weather')
+const subscriptionRoutes = require('./routes/subscriptions')
 
 const app = express()
 
@@ -188,6 +201,7 @@ app.get('/api/health', async (req, res) => {
         heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB`,
         external: `${Math.round(memoryUsage.external / 1024 / 1024)}MB`
       },
+      scheduler: schedulerService.getStatus(),
       loadAverage: process.platform !== 'win32' ? require('os').loadavg() : 'N/A (Windows)',
       requestId: req.requestId
     }
@@ -220,7 +234,7 @@ app.get('/api/docs', (req, res) => {
         path: '/api/health',
         method: 'GET',
         description: 'System health check with database and server status',
-        response: 'Health status object with uptime, memory, and database information'
+        response: 'Health status object with uptime, memory, database and cron scheduler (leader, last/next run per job) information'
       },
       documentation: {
         path: '/api/docs',
@@ -230,9 +244,110 @@ app.get('/api/docs', (req, res) => {
       },
       flights: {
         path: '/api/flights',
-        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        methods: ['GET', 'POST', 'PUT'],
         description: 'Flight management endpoints for CRUD operations',
-        authentication: 'Required for POST, PUT, DELETE operations'
+        authentication: 'Required for POST, PUT operations',
+        subpaths: [
+          'GET / (filters: flightNumber, flightDate, airline, origin, destination, status, departureDate, from, to, minDelay, flightType, page, limit, sortBy, sortOrder)',
+          'GET /upcoming (hours, airline, status, minDelay)',
+          'GET /search (q, from, to, start, end, status, airline, aircraftType, minDelay, maxDelay, limit)',
+          'GET /:flightNumber (date, suffix select one instance; defaults to the one departing closest to now)',
+          'GET /:flightNumber/history (from, to, limit, sortOrder, includeStatusHistory)',
+          'POST / (flightDate and operationalSuffix are optional)',
+          'PUT /:flightNumber/status (date, suffix; status Diverted requires diversion; force with a reason skips the transition policy; delay.segments lists IATA delay codes with minutes)',
+          'POST /:flightNumber/divert (date, suffix; airport, city, country, timezone, reason, estimatedArrival)',
+          'POST /:flightNumber/continuation (date, suffix; departure, arrival, operationalSuffix defaults to D, aircraft)'
+        ]
+      },
+      schedules: {
+        path: '/api/schedules',
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        description: 'Seasonal schedule templates that generate flight instances on a rolling horizon',
+        authentication: 'Required',
+        subpaths: [
+          'GET / (flightNumber, season, active)',
+          'GET /:id',
+          'POST / (flightNumber, airline, route with origin/destination timezone, daysOfWeek 1-7, season, validFrom, validTo, departureTime, arrivalTime, arrivalDayOffset, aircraftType, operationalSuffix, codeshares)',
+          'PUT /:id (same fields; instances not yet operated are updated)',
+          'DELETE /:id (deactivates; instances not yet operated are cancelled)',
+          'POST /generate (horizonDays)',
+          'POST /import (content as IATA SSIM text, target templates|flights, dryRun defaults to true, stations)'
+        ]
+      },
+      statusPolicies: {
+        path: '/api/status-policies',
+        methods: ['GET', 'PUT', 'DELETE'],
+        description: 'Per-airline status transition policies; airlines without one use the defaults',
+        authentication: 'Required',
+        subpaths: [
+          'GET / (defaults and every airline policy)',
+          'GET /:airline (effective transitions)',
+          'PUT /:airline (transitions: { status: [allowed next statuses] } for the statuses that differ from the defaults, description)',
+          'DELETE /:airline (back to the defaults)'
+        ]
+      },
+      rotations: {
+        path: '/api/rotations',
+        methods: ['GET'],
+        description: 'Legs flown by one aircraft on a day, with the turnaround between them',
+        authentication: 'Required',
+        subpaths: [
+          'GET /:registration (date defaults to today, UTC)'
+        ]
+      },
+      predictions: {
+        path: '/api/predictions',
+        methods: ['GET'],
+        description: 'Accuracy of arrival times predicted from completed flights on the same route',
+        authentication: 'Required (admin role)',
+        subpaths: [
+          'GET /accuracy (from, to default to the last 30 days; airline, origin, destination)'
+        ]
+      },
+      analytics: {
+        path: '/api/analytics',
+        methods: ['GET'],
+        description: 'On-time performance (D0, D15, A15, average delay, cancellation and diversion rates) over a range of flight dates',
+        authentication: 'Required (read)',
+        subpaths: [
+          'GET /on-time/:dimension (airlines, routes, origins or delay-reasons; from, to default to the last 30 days; interval day|week|total; airline, origin, destination; format json|csv)'
+        ]
+      },
+      movements: {
+        path: '/api/movements',
+        methods: ['GET', 'POST'],
+        description: 'IATA MVT/MVA movement messages applied to flight status, times and delays',
+        authentication: 'Required',
+        subpaths: [
+          'POST / (text/plain message text, or JSON { message }; requires write)',
+          'GET /rejected (source, flightNumber, since, limit)'
+        ]
+      },
+      weather: {
+        path: '/api/weather',
+        methods: ['GET', 'POST'],
+        description: 'METAR/TAF reports: latest observation and forecast per airport, observations copied to the weather of active flights',
+        authentication: 'Required',
+        subpaths: [
+          'GET / (airports: comma-separated IATA codes; requires read)',
+          'GET /:code (IATA airport or ICAO station; requires read)',
+          'POST / (text/plain METAR/SPECI/TAF text, or JSON { reports }; requires write)'
+        ]
+      },
+      subscriptions: {
+        path: '/api/subscriptions',
+        methods: ['GET', 'POST', 'PUT'],
+        description: 'Public flight notification subscriptions with double opt-in',
+        authentication: 'None; management links carry a per-subscription token sent by email',
+        subpaths: [
+          'POST / (email, flightNumber, flightDate, pnr, passengerInfo, notificationPreferences, gdprCompliance)',
+          'GET /verify/:token',
+          'GET /unsubscribe/:token (preview only)',
+          'POST /unsubscribe/:token (RFC 8058 one-click)',
+          'GET /preferences/:token',
+          'PUT /preferences/:token (notificationPreferences, passengerInfo, marketingConsent)',
+          'POST /reactivate/:token'
+        ]
       },
       passengers: {
         path: '/api/passengers',
@@ -250,14 +365,52 @@ app.get('/api/docs', (req, res) => {
         path: '/api/auth',
         methods: ['POST'],
         description: 'Authentication endpoints for admin login and token management',
-        subpaths: ['/login', '/refresh', '/logout']
+        subpaths: ['/login', '/refresh', '/logout'],
+        notes: 'Refresh tokens are single-use; presenting a rotated refresh token revokes the whole session'
       }
     },
     authentication: {
       type: 'Bearer Token (JWT)',
       header: 'Authorization: Bearer <token>',
       tokenExpiry: config.jwt.expiresIn,
-      refreshTokenExpiry: config.jwt.refreshExpiresIn
+      refreshTokenExpiry: config.jwt.refreshExpiresIn,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience,
+      permissions: {
+        'POST /api/flights': ['manage_flights'],
+        'POST|PUT|DELETE /api/schedules': ['manage_flights'],
+        'POST /api/movements': ['write'],
+        'POST /api/weather': ['write'],
+        'PUT /api/flights/:flightNumber/status': ['write', 'manage_flights (Cancelled/Diverted only)', 'override_status (force only)'],
+        'POST /api/flights/:flightNumber/divert': ['write', 'manage_flights'],
+        'POST /api/flights/:flightNumber/continuation': ['manage_flights'],
+        'PUT|DELETE /api/status-policies/:airline': ['manage_flights'],
+        'GET /api/predictions/accuracy': ['admin role']
+      }
+    },
+    realtime: {
+      transport: 'Socket.IO',
+      subscribe: [
+        'subscribe-flight / unsubscribe-flight (flightNumber or { flightNumber, sinceSeq, date } to replay missed events)',
+        'subscribe-airport / unsubscribe-airport (airport code or { airport, board: departures|arrivals })',
+        'subscribe-airline / unsubscribe-airline (airline code)'
+      ],
+      events: Object.values(FLIGHT_EVENTS),
+      replay: {
+        sequence: 'Every flight event carries a per-instance seq; flights expose the latest as eventSequence',
+        events: ['replayed events (replayed: true)', 'replay-complete { latestSeq, replayed, complete }'],
+        maxEvents: config.events.replayLimit
+      },
+      limits: {
+        maxRoomsPerSocket: config.security.socket.maxRoomsPerSocket,
+        joinRateLimit: config.security.socket.joinRateLimit
+      },
+      ops: {
+        namespace: '/ops',
+        authentication: 'Admin access token in handshake auth.token or Authorization header',
+        events: [...Object.values(FLIGHT_EVENTS), NOTIFICATION_EVENTS.DELIVERY_FAILED, 'session-expired']
+      },
+      notes: 'Flight events are pushed to every matching room; a socket in several rooms receives each event once'
     },
     rateLimit: {
       windowMs: config.security.rateLimit.windowMs,
@@ -293,6 +446,17 @@ app.get('/api/docs', (req, res) => {
   res.json(apiDocs)
 })
 
+app.use('/api/auth', authRoutes)
+app.use('/api/flights', flightRoutes)
+app.use('/api/schedules', scheduleRoutes)
+app.use('/api/status-policies', statusPolicyRoutes)
+app.use('/api/rotations', rotationRoutes)
+app.use('/api/predictions', predictionRoutes)
+app.use('/api/analytics', analyticsRoutes)
+app.use('/api/movements', movementRoutes)
+app.use('/api/weather', weatherRoutes)
+app.use('/api/subscriptions', subscriptionRoutes)
+
 app.all('*', (req, res) => {
   logger.warn(`404 - Route not found: ${req.method} ${req.originalUrl}`, {
     ip: req.ip,
@@ -307,7 +471,45 @@ app.all('*', (req, res) => {
     availableEndpoints: [
       'GET /',
       'GET /api/health',
-      'GET /api/docs'
+      'GET /api/docs',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/flights',
+      'GET /api/flights/upcoming',
+      'GET /api/flights/search',
+      'GET /api/flights/:flightNumber',
+      'GET /api/flights/:flightNumber/history',
+      'POST /api/flights',
+      'PUT /api/flights/:flightNumber/status',
+      'POST /api/flights/:flightNumber/divert',
+      'POST /api/flights/:flightNumber/continuation',
+      'GET /api/schedules',
+      'GET /api/schedules/:id',
+      'POST /api/schedules',
+      'PUT /api/schedules/:id',
+      'DELETE /api/schedules/:id',
+      'POST /api/schedules/generate',
+      'POST /api/schedules/import',
+      'GET /api/status-policies',
+      'GET /api/status-policies/:airline',
+      'PUT /api/status-policies/:airline',
+      'DELETE /api/status-policies/:airline',
+      'GET /api/rotations/:registration',
+      'GET /api/predictions/accuracy',
+      'GET /api/analytics/on-time/:dimension',
+      'POST /api/movements',
+      'GET /api/movements/rejected',
+      'GET /api/weather',
+      'GET /api/weather/:code',
+      'POST /api/weather',
+      'POST /api/subscriptions',
+      'GET /api/subscriptions/verify/:token',
+      'GET /api/subscriptions/unsubscribe/:token',
+      'POST /api/subscriptions/unsubscribe/:token',
+      'GET /api/subscriptions/preferences/:token',
+      'PUT /api/subscriptions/preferences/:token',
+      'POST /api/subscriptions/reactivate/:token'
     ],
     timestamp: new Date().toISOString(),
     requestId: req.requestId
@@ -200,11 +200,29 @@ const loadConfig = () => {
           key: process.env.FLIGHT_API_KEY,
           url: process.env.FLIGHT_API_URL,
           timeout: validateOptional(process.env.FLIGHT_API_TIMEOUT, 10000, 'number'),
-          retryAttempts: validateOptional(process.env.FLIGHT_API_RETRY_ATTEMPTS, 3, 'number')
+          retryAttempts: validateOptional(process.env.FLIGHT_API_RETRY_ATTEMPTS, 3, 'number'),
+          keyHeader: validateOptional(process.env.FLIGHT_API_KEY_HEADER, 'x-api-key'),
+          mockFile: validateOptional(process.env.FLIGHT_API_MOCK_FILE, 'examples/mock-flights.json'),
+          pollWindowHours: validateOptional(process.env.FLIGHT_API_POLL_WINDOW_HOURS, 12, 'number'),
+          pollLookbackHours: validateOptional(process.env.FLIGHT_API_POLL_LOOKBACK_HOURS, 6, 'number'),
+          airlines: process.env.FLIGHT_API_AIRLINES ? process.env.FLIGHT_API_AIRLINES.split(',') : []
         },
         weather: {
           key: process.env.WEATHER_API_KEY,
-          url: process.env.WEATHER_API_URL
+          url: process.env.WEATHER_API_URL,
+          keyHeader: validateOptional(process.env.WEATHER_API_KEY_HEADER, 'x-api-key'),
+          timeout: validateOptional(process.env.WEATHER_API_TIMEOUT, 10000, 'number'),
+          retryAttempts: validateOptional(process.env.WEATHER_API_RETRY_ATTEMPTS, 3, 'number'),
+          feedFile: process.env.WEATHER_FEED_FILE,
+          // Comma-separated `IATA=ICAO` airport to weather station, e.g. "CGK=WIII,DPS=WADD"
+          stations: Object.fromEntries(
+            (process.env.WEATHER_STATIONS || '')
+              .split(',')
+              .map(entry => entry.split('=').map(code => (code || '').trim().toUpperCase()))
+              .filter(([airport, station]) => /^[A-Z]{3}$/.test(airport) && /^[A-Z][A-Z0-9]{3}$/.test(station))
+          ),
+          windowHours: validateOptional(process.env.WEATHER_FLIGHT_WINDOW_HOURS, 12, 'number'),
+          lookbackHours: validateOptional(process.env.WEATHER_FLIGHT_LOOKBACK_HOURS, 6, 'number')
         },
         airport: {
           key: process.env.AIRPORT_API_KEY,
@@ -225,6 +243,13 @@ const loadConfig = () => {
           methods: process.env.CORS_METHODS ? process.env.CORS_METHODS.split(',') : ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
           allowedHeaders: process.env.CORS_ALLOWED_HEADERS ? process.env.CORS_ALLOWED_HEADERS.split(',') : ['Content-Type', 'Authorization', 'X-Requested-With']
         },
+        socket: {
+          maxRoomsPerSocket: validateOptional(process.env.SOCKET_MAX_ROOMS_PER_SOCKET, 50, 'number'),
+          joinRateLimit: {
+            windowMs: validateOptional(process.env.SOCKET_JOIN_RATE_WINDOW_MS, 60000, 'number'),
+            maxJoins: validateOptional(process.env.SOCKET_JOIN_RATE_MAX, 30, 'number')
+          }
+        },
         csp: {
           reportUri: validateOptional(process.env.CSP_REPORT_URI, '/api/csp-report'),
           reportOnly: validateOptional(process.env.CSP_REPORT_ONLY, false, 'boolean')
@@ -269,11 +294,65 @@ const loadConfig = () => {
         }
       },
       
+      events: {
+        logTtlMs: validateOptional(process.env.FLIGHT_EVENT_LOG_TTL_MS, 6 * 60 * 60 * 1000, 'number'),
+        replayLimit: validateOptional(process.env.FLIGHT_EVENT_REPLAY_LIMIT, 200, 'number')
+      },
+
+      rebooking: {
+        windowHours: validateOptional(process.env.REBOOKING_WINDOW_HOURS, 48, 'number'),
+        limit: validateOptional(process.env.REBOOKING_SUGGESTION_LIMIT, 3, 'number')
+      },
+
+      rotations: {
+        defaultTurnaroundMinutes: validateOptional(process.env.ROTATION_MIN_TURNAROUND_MINUTES, 45, 'number'),
+        // Comma-separated `aircraft type=minutes`, e.g. "A320=35,Boeing 777-300ER=90"
+        turnaroundMinutes: Object.fromEntries(
+          (process.env.ROTATION_TURNAROUND_BY_TYPE || '')
+            .split(',')
+            .map(entry => entry.split('='))
+            .filter(([type, minutes]) => type && type.trim() && !isNaN(parseInt(minutes, 10)))
+            .map(([type, minutes]) => [type.trim().toUpperCase(), parseInt(minutes, 10)])
+        )
+      },
+
+      analytics: {
+        maxRangeDays: validateOptional(process.env.ANALYTICS_MAX_RANGE_DAYS, 366, 'number')
+      },
+
+      predictions: {
+        lookbackDays: validateOptional(process.env.ETA_PREDICTION_LOOKBACK_DAYS, 90, 'number'),
+        minSamples: validateOptional(process.env.ETA_PREDICTION_MIN_SAMPLES, 5, 'number'),
+        maxSamples: validateOptional(process.env.ETA_PREDICTION_MAX_SAMPLES, 500, 'number'),
+        confidencePercent: validateOptional(process.env.ETA_PREDICTION_CONFIDENCE_PERCENT, 80, 'number'),
+        cacheTtlMs: validateOptional(process.env.ETA_PREDICTION_CACHE_TTL_MS, 60 * 60 * 1000, 'number')
+      },
+
+      statusPolicies: {
+        cacheTtlMs: validateOptional(process.env.STATUS_POLICY_CACHE_TTL_MS, 60000, 'number')
+      },
+
+      movements: {
+        dropDirectory: process.env.MVT_DROP_DIRECTORY,
+        pollIntervalMs: validateOptional(process.env.MVT_DROP_POLL_INTERVAL_MS, 10000, 'number'),
+        claimTimeoutMs: validateOptional(process.env.MVT_DROP_CLAIM_TIMEOUT_MS, 5 * 60 * 1000, 'number')
+      },
+
       cron: {
+        enabled: validateOptional(process.env.CRON_ENABLED, !isTest, 'boolean'),
         flightStatusCheck: validateOptional(process.env.CRON_FLIGHT_STATUS_CHECK, '*/5 * * * *'),
         notificationCleanup: validateOptional(process.env.CRON_NOTIFICATION_CLEANUP, '0 2 * * *'),
         databaseBackup: validateOptional(process.env.CRON_DATABASE_BACKUP, '0 3 * * *'),
-        logRotation: validateOptional(process.env.CRON_LOG_ROTATION, '0 1 * * *')
+        logRotation: validateOptional(process.env.CRON_LOG_ROTATION, '0 1 * * *'),
+        scheduleGeneration: validateOptional(process.env.CRON_SCHEDULE_GENERATION, '30 0 * * *'),
+        flightDataPoll: validateOptional(process.env.CRON_FLIGHT_DATA_POLL, '*/2 * * * *'),
+        weatherPoll: validateOptional(process.env.CRON_WEATHER_POLL, '*/10 * * * *'),
+        lockTtlMs: validateOptional(process.env.CRON_LOCK_TTL_MS, 60000, 'number'),
+        flightStatusWindowHours: validateOptional(process.env.CRON_FLIGHT_STATUS_WINDOW_HOURS, 24, 'number'),
+        scheduleHorizonDays: validateOptional(process.env.SCHEDULE_HORIZON_DAYS, 14, 'number'),
+        notificationRetentionDays: validateOptional(process.env.NOTIFICATION_RETENTION_DAYS, 30, 'number'),
+        databaseBackupCommand: process.env.DATABASE_BACKUP_COMMAND,
+        databaseBackupTimeoutMs: validateOptional(process.env.DATABASE_BACKUP_TIMEOUT_MS, 30 * 60 * 1000, 'number')
       },
       
       development: {
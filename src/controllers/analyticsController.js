@@ -0,0 +1,62 @@
+const { performanceService } = require('../services')
+const { toFlightDate } = require('../models/Flight')
+const { sendSuccess } = require('../utils/apiResponse')
+const { toCsv } = require('../utils/csv')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Path segment -> PerformanceService groupBy
+const DIMENSIONS = {
+  airlines: 'airline',
+  routes: 'route',
+  origins: 'origin',
+  'delay-reasons': 'delayReason'
+}
+
+const METRIC_COLUMNS = [
+  ['flights', 'flights'],
+  ['departed', 'departed'],
+  ['arrived', 'arrived'],
+  ['cancelled', 'cancelled'],
+  ['diverted', 'diverted'],
+  ['d0_rate', 'd0Rate'],
+  ['d15_rate', 'd15Rate'],
+  ['a15_rate', 'a15Rate'],
+  ['avg_departure_delay_minutes', 'averageDepartureDelayMinutes'],
+  ['avg_arrival_delay_minutes', 'averageArrivalDelayMinutes'],
+  ['cancellation_rate', 'cancellationRate'],
+  ['diversion_rate', 'diversionRate']
+]
+
+// Without dates, the flights of the last 30 days (UTC); ?format=csv downloads the rows
+const getOnTimePerformance = async (req, res) => {
+  const groupBy = DIMENSIONS[req.params.dimension]
+  const result = await performanceService.getOnTimePerformance({
+    groupBy,
+    interval: req.query.interval,
+    from: req.query.from || toFlightDate(new Date(Date.now() - 30 * DAY_MS)),
+    to: req.query.to || toFlightDate(new Date()),
+    airline: req.query.airline,
+    origin: req.query.origin,
+    destination: req.query.destination
+  })
+
+  if (req.query.format === 'csv') {
+    const columns = [
+      [groupBy, groupBy],
+      ...(result.interval !== 'total' ? [['period', 'period']] : []),
+      ...METRIC_COLUMNS
+    ]
+
+    res.setHeader('Content-Disposition', `attachment; filename="on-time-${req.params.dimension}-${result.from}-${result.to}.csv"`)
+    return res.type('text/csv').send(toCsv(columns, result.rows))
+  }
+
+  res.setHeader('X-Total-Count', result.totalCount)
+  sendSuccess(req, res, result)
+}
+
+module.exports = {
+  getOnTimePerformance,
+  DIMENSIONS
+}
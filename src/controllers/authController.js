@@ -0,0 +1,57 @@
+const { authService } = require('../services')
+const { extractBearerToken } = require('../middleware/auth')
+const { sendSuccess } = require('../utils/apiResponse')
+
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+})
+
+const formatTokenResponse = (result) => ({
+  accessToken: result.accessToken,
+  refreshToken: result.refreshToken,
+  tokenType: result.tokenType,
+  expiresIn: result.expiresIn,
+  refreshExpiresIn: result.refreshExpiresIn,
+  sessionId: result.sessionId,
+  admin: result.admin
+})
+
+const login = async (req, res) => {
+  const identifier = req.body.email || req.body.username
+  const result = await authService.login(identifier, req.body.password, requestContext(req))
+
+  sendSuccess(req, res, formatTokenResponse(result))
+}
+
+const refresh = async (req, res) => {
+  const result = await authService.refresh(req.body.refreshToken, requestContext(req))
+
+  sendSuccess(req, res, formatTokenResponse(result))
+}
+
+const logout = async (req, res) => {
+  const options = {
+    refreshToken: req.body.refreshToken,
+    allSessions: req.body.allSessions === true
+  }
+
+  if (!options.refreshToken) {
+    const accessToken = extractBearerToken(req)
+    if (accessToken) {
+      const payload = await authService.verifyAccessToken(accessToken)
+      options.sessionId = payload.sid
+      options.adminId = payload.id
+    }
+  }
+
+  const result = await authService.logout(options)
+
+  sendSuccess(req, res, result)
+}
+
+module.exports = {
+  login,
+  refresh,
+  logout
+}
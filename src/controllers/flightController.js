@@ -0,0 +1,169 @@
+const { flightService } = require('../services')
+const { sendSuccess, escapeRegExp, parseList } = require('../utils/apiResponse')
+
+const buildFiltersFromQuery = (query) => {
+  const filters = {}
+
+  if (query.flightNumber) filters.flightNumber = escapeRegExp(query.flightNumber)
+  if (query.airline) filters.airline = query.airline
+  if (query.origin) filters.origin = query.origin
+  if (query.destination) filters.destination = query.destination
+  if (query.departureDate) filters.departureDate = query.departureDate
+  if (query.flightDate) filters.flightDate = query.flightDate
+  if (query.minDelay !== undefined) filters.minDelay = query.minDelay
+  if (query.flightType) filters.flightType = query.flightType
+
+  const statuses = parseList(query.status)
+  if (statuses.length === 1) {
+    filters.status = statuses[0]
+  } else if (statuses.length > 1) {
+    filters.status = statuses
+  }
+
+  if (query.from || query.to) {
+    filters.departureDateRange = {}
+    if (query.from) filters.departureDateRange.start = query.from
+    if (query.to) filters.departureDateRange.end = query.to
+  }
+
+  return filters
+}
+
+const listFlights = async (req, res) => {
+  const filters = buildFiltersFromQuery(req.query)
+  const options = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+    sortBy: req.query.sortBy || 'schedule.departure.scheduled',
+    sortOrder: req.query.sortOrder || 'asc'
+  }
+
+  const result = await flightService.getFlights(filters, options)
+
+  res.setHeader('X-Total-Count', result.pagination.totalCount)
+  sendSuccess(req, res, result)
+}
+
+const getUpcomingFlights = async (req, res) => {
+  const filters = {}
+  if (req.query.airline) filters.airline = req.query.airline
+  if (req.query.status) filters.status = req.query.status
+  if (req.query.minDelay !== undefined) filters.minDelay = req.query.minDelay
+
+  const result = await flightService.getUpcomingFlights(req.query.hours || 24, filters)
+
+  sendSuccess(req, res, result)
+}
+
+const searchFlights = async (req, res) => {
+  const criteria = {}
+
+  if (req.query.q) criteria.searchText = escapeRegExp(req.query.q)
+  if (req.query.from || req.query.to) {
+    criteria.route = { from: req.query.from, to: req.query.to }
+  }
+  if (req.query.start || req.query.end) {
+    criteria.timeRange = { start: req.query.start, end: req.query.end }
+  }
+  if (req.query.minDelay !== undefined || req.query.maxDelay !== undefined) {
+    criteria.delayMinutes = { min: req.query.minDelay, max: req.query.maxDelay }
+  }
+
+  criteria.statuses = parseList(req.query.status)
+  criteria.airlines = parseList(req.query.airline)
+  criteria.aircraftTypes = parseList(req.query.aircraftType)
+
+  if (req.query.flightType) criteria.flightType = req.query.flightType
+  if (req.query.sortBy) criteria.sortBy = req.query.sortBy
+  if (req.query.sortOrder) criteria.sortOrder = req.query.sortOrder
+  criteria.limit = req.query.limit || 50
+
+  const result = await flightService.searchFlights(criteria)
+
+  sendSuccess(req, res, result)
+}
+
+// ?date=YYYY-MM-DD&suffix=A picks one operated instance of the flight number
+const instanceFromQuery = (query) => ({
+  date: query.date || null,
+  suffix: query.suffix || null
+})
+
+const instancePath = (flight) => {
+  const suffix = flight.operationalSuffix ? `&suffix=${flight.operationalSuffix}` : ''
+  return `/api/flights/${flight.flightNumber}?date=${flight.flightDate}${suffix}`
+}
+
+const getFlight = async (req, res) => {
+  const flight = await flightService.getFlightByNumber(req.params.flightNumber, false, instanceFromQuery(req.query))
+
+  sendSuccess(req, res, flight)
+}
+
+const getFlightHistory = async (req, res) => {
+  const options = {
+    limit: req.query.limit || 50,
+    sortOrder: req.query.sortOrder || 'desc',
+    includeStatusHistory: req.query.includeStatusHistory !== false,
+    from: req.query.from || null,
+    to: req.query.to || null
+  }
+
+  const history = await flightService.getFlightHistory(req.params.flightNumber, options)
+
+  sendSuccess(req, res, history)
+}
+
+const createFlight = async (req, res) => {
+  const flight = await flightService.createFlight(req.body, req.admin.username)
+
+  res.setHeader('Location', instancePath(flight))
+  sendSuccess(req, res, flight, 201)
+}
+
+const updateFlightStatus = async (req, res) => {
+  const flight = await flightService.updateFlightStatus(
+    req.params.flightNumber,
+    req.body,
+    req.admin.username,
+    instanceFromQuery(req.query)
+  )
+
+  sendSuccess(req, res, flight)
+}
+
+const divertFlight = async (req, res) => {
+  const flight = await flightService.divertFlight(
+    req.params.flightNumber,
+    req.body,
+    req.admin.username,
+    instanceFromQuery(req.query)
+  )
+
+  sendSuccess(req, res, flight)
+}
+
+const createDiversionContinuation = async (req, res) => {
+  const flight = await flightService.createDiversionContinuation(
+    req.params.flightNumber,
+    req.body,
+    req.admin.username,
+    instanceFromQuery(req.query)
+  )
+
+  res.setHeader('Location', instancePath(flight))
+  sendSuccess(req, res, flight, 201)
+}
+
+module.exports = {
+  buildFiltersFromQuery,
+  listFlights,
+  getUpcomingFlights,
+  searchFlights,
+  getFlight,
+  getFlightHistory,
+  createFlight,
+  updateFlightStatus,
+  divertFlight,
+  createDiversionContinuation
+}
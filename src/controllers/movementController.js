@@ -0,0 +1,31 @@
+const { movementMessageService } = require('../services')
+const { sendSuccess } = require('../utils/apiResponse')
+
+// Plain-text bodies carry the messages as sent; JSON bodies use { message }
+const ingestMessages = async (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body.message
+
+  const result = await movementMessageService.ingest(text, {
+    source: 'http',
+    receivedBy: req.admin.username
+  })
+
+  sendSuccess(req, res, result)
+}
+
+const listRejectedMessages = async (req, res) => {
+  const result = await movementMessageService.getRejectedMessages({
+    source: req.query.source,
+    flightNumber: req.query.flightNumber,
+    since: req.query.since,
+    limit: req.query.limit
+  })
+
+  res.setHeader('X-Total-Count', result.totalCount)
+  sendSuccess(req, res, result)
+}
+
+module.exports = {
+  ingestMessages,
+  listRejectedMessages
+}
@@ -0,0 +1,22 @@
+const { etaPredictionService } = require('../services')
+const { toFlightDate } = require('../models/Flight')
+const { sendSuccess } = require('../utils/apiResponse')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Without dates, the flights of the last 30 days (UTC)
+const getPredictionAccuracy = async (req, res) => {
+  const result = await etaPredictionService.getAccuracy({
+    from: req.query.from || toFlightDate(new Date(Date.now() - 30 * DAY_MS)),
+    to: req.query.to || toFlightDate(new Date()),
+    airline: req.query.airline,
+    origin: req.query.origin,
+    destination: req.query.destination
+  })
+
+  sendSuccess(req, res, result)
+}
+
+module.exports = {
+  getPredictionAccuracy
+}
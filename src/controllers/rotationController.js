@@ -0,0 +1,18 @@
+const { rotationService } = require('../services')
+const { toFlightDate } = require('../models/Flight')
+const { sendSuccess } = require('../utils/apiResponse')
+
+// Without a date, the rotation of today (UTC)
+const getRotation = async (req, res) => {
+  const result = await rotationService.getRotation(
+    req.params.registration,
+    req.query.date || toFlightDate(new Date())
+  )
+
+  res.setHeader('X-Total-Count', result.totalCount)
+  sendSuccess(req, res, result)
+}
+
+module.exports = {
+  getRotation
+}
@@ -0,0 +1,72 @@
+const { scheduleTemplateService, ssimImportService } = require('../services')
+const { sendSuccess } = require('../utils/apiResponse')
+
+const listTemplates = async (req, res) => {
+  const filters = {
+    flightNumber: req.query.flightNumber,
+    season: req.query.season,
+    isActive: req.query.active
+  }
+
+  const result = await scheduleTemplateService.getTemplates(filters)
+
+  res.setHeader('X-Total-Count', result.totalCount)
+  sendSuccess(req, res, result)
+}
+
+const getTemplate = async (req, res) => {
+  const template = await scheduleTemplateService.getTemplate(req.params.id)
+
+  sendSuccess(req, res, template)
+}
+
+const createTemplate = async (req, res) => {
+  const result = await scheduleTemplateService.createTemplate(req.body, req.admin.username)
+
+  res.setHeader('Location', `/api/schedules/${result.template.id}`)
+  sendSuccess(req, res, result, 201)
+}
+
+const updateTemplate = async (req, res) => {
+  const result = await scheduleTemplateService.updateTemplate(req.params.id, req.body, req.admin.username)
+
+  sendSuccess(req, res, result)
+}
+
+const deactivateTemplate = async (req, res) => {
+  const result = await scheduleTemplateService.deactivateTemplate(req.params.id, req.admin.username)
+
+  sendSuccess(req, res, result)
+}
+
+const generateInstances = async (req, res) => {
+  const options = { actor: req.admin.username }
+  if (req.body.horizonDays !== undefined) options.horizonDays = req.body.horizonDays
+
+  const result = await scheduleTemplateService.generateAll(options)
+
+  sendSuccess(req, res, result)
+}
+
+const importSchedule = async (req, res) => {
+  const { content, target, dryRun, stations } = req.body
+
+  const report = await ssimImportService.importSchedule(content, {
+    target,
+    dryRun,
+    stations,
+    actor: req.admin.username
+  })
+
+  sendSuccess(req, res, report)
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  generateInstances,
+  importSchedule
+}
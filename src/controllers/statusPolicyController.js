@@ -0,0 +1,34 @@
+const { statusPolicyService } = require('../services')
+const { sendSuccess } = require('../utils/apiResponse')
+
+const listPolicies = async (req, res) => {
+  const result = await statusPolicyService.getPolicies()
+
+  res.setHeader('X-Total-Count', result.totalCount)
+  sendSuccess(req, res, result)
+}
+
+const getPolicy = async (req, res) => {
+  const policy = await statusPolicyService.getPolicy(req.params.airline)
+
+  sendSuccess(req, res, policy)
+}
+
+const setPolicy = async (req, res) => {
+  const policy = await statusPolicyService.setPolicy(req.params.airline, req.body, req.admin.username)
+
+  sendSuccess(req, res, policy)
+}
+
+const deletePolicy = async (req, res) => {
+  const policy = await statusPolicyService.deletePolicy(req.params.airline, req.admin.username)
+
+  sendSuccess(req, res, policy)
+}
+
+module.exports = {
+  listPolicies,
+  getPolicy,
+  setPolicy,
+  deletePolicy
+}
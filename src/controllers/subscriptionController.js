@@ -0,0 +1,67 @@
+const { subscriptionService } = require('../services')
+const { sendSuccess } = require('../utils/apiResponse')
+
+const requestContext = (req) => ({
+  // Subscription.metadata.ipAddress only accepts plain IPv4/IPv6, so drop the IPv4-mapped prefix
+  ip: req.ip ? req.ip.replace(/^::ffff:/, '') : undefined,
+  userAgent: req.get('User-Agent'),
+  referrer: req.get('Referer')
+})
+
+const createSubscription = async (req, res) => {
+  const result = await subscriptionService.createSubscription(req.body, requestContext(req))
+
+  // Tokens are only ever delivered by email, so there is no Location to point at
+  sendSuccess(req, res, result, result.created ? 201 : 200)
+}
+
+const verifySubscription = async (req, res) => {
+  const subscription = await subscriptionService.verifySubscription(req.params.token)
+
+  sendSuccess(req, res, subscription)
+}
+
+// Read-only so link scanners and prefetchers that follow the email link
+// cannot unsubscribe anyone; the confirmation page POSTs to unsubscribe
+const previewUnsubscribe = async (req, res) => {
+  const subscription = await subscriptionService.getByManagementToken(req.params.token)
+
+  sendSuccess(req, res, { subscription, alreadyUnsubscribed: subscription.isUnsubscribed })
+}
+
+const unsubscribe = async (req, res) => {
+  const result = await subscriptionService.unsubscribe(req.params.token, {
+    reason: 'user_request',
+    feedback: req.body?.feedback
+  })
+
+  sendSuccess(req, res, result)
+}
+
+const getPreferences = async (req, res) => {
+  const subscription = await subscriptionService.getByManagementToken(req.params.token)
+
+  sendSuccess(req, res, subscription)
+}
+
+const updatePreferences = async (req, res) => {
+  const subscription = await subscriptionService.updatePreferences(req.params.token, req.body)
+
+  sendSuccess(req, res, subscription)
+}
+
+const reactivateSubscription = async (req, res) => {
+  const subscription = await subscriptionService.reactivate(req.params.token)
+
+  sendSuccess(req, res, subscription)
+}
+
+module.exports = {
+  createSubscription,
+  verifySubscription,
+  previewUnsubscribe,
+  unsubscribe,
+  getPreferences,
+  updatePreferences,
+  reactivateSubscription
+}
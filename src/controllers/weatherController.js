@@ -0,0 +1,35 @@
+const { weatherService } = require('../services')
+const { sendSuccess, parseList } = require('../utils/apiResponse')
+
+// Plain-text bodies carry the METAR/TAF text as sent; JSON bodies use { reports }
+const ingestReports = async (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body.reports
+
+  const result = await weatherService.ingest(text, {
+    source: 'http',
+    receivedBy: req.admin.username
+  })
+
+  sendSuccess(req, res, result)
+}
+
+const listLatestReports = async (req, res) => {
+  const result = await weatherService.getLatestReports({
+    airports: parseList(req.query.airports)
+  })
+
+  res.setHeader('X-Total-Count', result.totalCount)
+  sendSuccess(req, res, result)
+}
+
+const getLatestReport = async (req, res) => {
+  const report = await weatherService.getLatestReport(req.params.code)
+
+  sendSuccess(req, res, report)
+}
+
+module.exports = {
+  ingestReports,
+  listLatestReports,
+  getLatestReport
+}
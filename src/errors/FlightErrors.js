@@ -111,6 +111,18 @@ class FlightDatabaseError extends FlightError {
   }
 }
 
+class FlightAuthenticationError extends FlightError {
+  constructor(message, reason = null, details = null) {
+    super(
+      message,
+      'FLIGHT_AUTHENTICATION_ERROR',
+      401,
+      details
+    )
+    this.reason = reason
+  }
+}
+
 class FlightAuthorizationError extends FlightError {
   constructor(message, requiredRole = null, userRole = null, details = null) {
     super(
@@ -158,6 +170,7 @@ module.exports = {
   FlightStatusError,
   FlightScheduleError,
   FlightDatabaseError,
+  FlightAuthenticationError,
   FlightAuthorizationError,
   FlightRateLimitError,
   FlightExternalAPIError
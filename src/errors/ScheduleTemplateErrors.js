@@ -0,0 +1,18 @@
+const { FlightError } = require('./FlightErrors')
+
+// Schedule template errors extend FlightError so the shared error handler formats them
+
+class ScheduleTemplateNotFoundError extends FlightError {
+  constructor(message = 'Schedule template not found', details = null) {
+    super(
+      message,
+      'SCHEDULE_TEMPLATE_NOT_FOUND',
+      404,
+      details
+    )
+  }
+}
+
+module.exports = {
+  ScheduleTemplateNotFoundError
+}
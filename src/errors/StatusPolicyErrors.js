@@ -0,0 +1,16 @@
+const { FlightError } = require('./FlightErrors')
+
+class StatusPolicyNotFoundError extends FlightError {
+  constructor(message = 'Status transition policy not found', details = null) {
+    super(
+      message,
+      'STATUS_POLICY_NOT_FOUND',
+      404,
+      details
+    )
+  }
+}
+
+module.exports = {
+  StatusPolicyNotFoundError
+}
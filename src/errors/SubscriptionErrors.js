@@ -0,0 +1,44 @@
+const { FlightError } = require('./FlightErrors')
+
+// Subscription errors extend FlightError so the shared error handler formats them
+
+class SubscriptionNotFoundError extends FlightError {
+  constructor(message = 'Subscription not found', details = null) {
+    super(
+      message,
+      'SUBSCRIPTION_NOT_FOUND',
+      404,
+      details
+    )
+  }
+}
+
+class SubscriptionTokenError extends FlightError {
+  constructor(message, reason = null, details = null) {
+    super(
+      message,
+      'SUBSCRIPTION_TOKEN_ERROR',
+      400,
+      details
+    )
+    this.reason = reason
+  }
+}
+
+class SubscriptionStateError extends FlightError {
+  constructor(message, currentStatus = null, details = null) {
+    super(
+      message,
+      'SUBSCRIPTION_STATE_ERROR',
+      409,
+      details
+    )
+    this.currentStatus = currentStatus
+  }
+}
+
+module.exports = {
+  SubscriptionNotFoundError,
+  SubscriptionTokenError,
+  SubscriptionStateError
+}
@@ -0,0 +1,16 @@
+const { FlightError } = require('./FlightErrors')
+
+class WeatherReportNotFoundError extends FlightError {
+  constructor(message = 'Weather report not found', details = null) {
+    super(
+      message,
+      'WEATHER_REPORT_NOT_FOUND',
+      404,
+      details
+    )
+  }
+}
+
+module.exports = {
+  WeatherReportNotFoundError
+}
@@ -0,0 +1,175 @@
+const EventEmitter = require('events')
+const crypto = require('crypto')
+
+const FLIGHT_EVENTS = {
+  CREATED: 'flight.created',
+  STATUS_CHANGED: 'flight.status_changed',
+  DELAYED: 'flight.delayed',
+  GATE_CHANGED: 'flight.gate_changed',
+  SCHEDULE_CHANGED: 'flight.schedule_changed',
+  CANCELLED: 'flight.cancelled',
+  DIVERTED: 'flight.diverted'
+}
+
+// Fields every event of a given type must carry in event.data
+const EVENT_PAYLOADS = {
+  [FLIGHT_EVENTS.CREATED]: ['status'],
+  [FLIGHT_EVENTS.STATUS_CHANGED]: ['previousStatus', 'status'],
+  [FLIGHT_EVENTS.DELAYED]: ['delayMinutes', 'previousDelayMinutes'],
+  [FLIGHT_EVENTS.GATE_CHANGED]: ['departure', 'arrival'],
+  [FLIGHT_EVENTS.SCHEDULE_CHANGED]: ['departure', 'arrival'],
+  [FLIGHT_EVENTS.CANCELLED]: ['previousStatus'],
+  [FLIGHT_EVENTS.DIVERTED]: ['previousStatus']
+}
+
+/**
+ * In-process publish/subscribe for flight domain events.
+ *
+ * Subscribers are isolated from each other and from the publisher: a failing
+ * handler is logged and never prevents other handlers or the flight update.
+ * Handlers run after publish() returns, so flight writes and HTTP requests
+ * never wait for the fan-out. For the same reason they get a plain snapshot
+ * of the flight as published, not the live document a later update changes.
+ */
+class FlightEventBus extends EventEmitter {
+  constructor(logger = null) {
+    super()
+    this.logger = logger || console
+    this.pending = new Set()
+    this.setMaxListeners(50)
+  }
+
+  /**
+   * Validate and publish an event. Resolves with the event as soon as its
+   * delivery is queued; drain() waits for the subscribers to settle.
+   * `seq` is the per-flight sequence id reserved by the publisher, if any.
+   */
+  async publish(type, { flight, actor = 'System', data = {}, seq = null }) {
+    const required = EVENT_PAYLOADS[type]
+
+    if (!required) {
+      throw new Error(`Unknown flight event type: ${type}`)
+    }
+
+    if (!flight || !flight.flightNumber) {
+      throw new Error(`Flight event ${type} requires a flight`)
+    }
+
+    const missing = required.filter(field => data[field] === undefined)
+    if (missing.length > 0) {
+      throw new Error(`Flight event ${type} is missing: ${missing.join(', ')}`)
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      seq,
+      occurredAt: new Date(),
+      flightId: flight._id,
+      flightNumber: flight.flightNumber,
+      actor,
+      data,
+      flight: flight.toObject ? flight.toObject() : flight
+    }
+
+    const handlers = this.listeners(type)
+    if (handlers.length > 0) {
+      this.dispatch(event, handlers)
+    }
+
+    return event
+  }
+
+  /**
+   * Run the handlers on a later turn of the event loop. Events keep their
+   * publish order; failures are logged, never thrown to the publisher.
+   */
+  dispatch(event, handlers) {
+    const delivery = new Promise(resolve => setImmediate(resolve))
+      .then(() => Promise.all(handlers.map(handler => handler(event))))
+      .catch(error => {
+        this.logger.error('Flight event delivery failed', {
+          eventType: event.type,
+          eventId: event.id,
+          flightNumber: event.flightNumber,
+          error: error.message
+        })
+      })
+      .finally(() => this.pending.delete(delivery))
+
+    this.pending.add(delivery)
+  }
+
+  /**
+   * Wait until every queued delivery has settled, including events that
+   * subscribers publish while handling one
+   */
+  async drain() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending])
+    }
+  }
+
+  /**
+   * Register a handler for one or more event types
+   */
+  subscribe(types, handler, name = handler.name || 'anonymous') {
+    const list = Array.isArray(types) ? types : [types]
+
+    const wrapped = async (event) => {
+      try {
+        await handler(event)
+      } catch (error) {
+        this.logger.error('Flight event subscriber failed', {
+          subscriber: name,
+          eventType: event.type,
+          eventId: event.id,
+          flightNumber: event.flightNumber,
+          error: error.message
+        })
+      }
+    }
+
+    list.forEach(type => {
+      if (!EVENT_PAYLOADS[type]) {
+        throw new Error(`Unknown flight event type: ${type}`)
+      }
+      this.on(type, wrapped)
+    })
+
+    return () => list.forEach(type => this.off(type, wrapped))
+  }
+
+  /**
+   * Event without the flight document, safe to log or send to clients
+   */
+  static serialize(event) {
+    const { flight, ...rest } = event
+
+    return {
+      ...rest,
+      flight: flight && {
+        flightNumber: flight.flightNumber,
+        flightDate: flight.flightDate,
+        operationalSuffix: flight.operationalSuffix,
+        airline: flight.airline?.code,
+        origin: flight.route?.origin?.airport,
+        destination: flight.route?.destination?.airport,
+        divertedTo: flight.diversion?.airport,
+        status: flight.status?.current,
+        departureGate: flight.route?.origin?.gate,
+        departureTerminal: flight.route?.origin?.terminal,
+        arrivalGate: flight.route?.destination?.gate,
+        arrivalTerminal: flight.route?.destination?.terminal,
+        scheduledDeparture: flight.schedule?.departure?.scheduled,
+        estimatedDeparture: flight.schedule?.departure?.estimated,
+        scheduledArrival: flight.schedule?.arrival?.scheduled,
+        estimatedArrival: flight.schedule?.arrival?.estimated,
+        delayMinutes: flight.delay?.minutes
+      }
+    }
+  }
+}
+
+module.exports = FlightEventBus
+module.exports.FLIGHT_EVENTS = FLIGHT_EVENTS
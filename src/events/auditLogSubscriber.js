@@ -0,0 +1,26 @@
+const FlightEventBus = require('./FlightEventBus')
+const { FLIGHT_EVENTS } = require('./FlightEventBus')
+
+/**
+ * Write every flight domain event to the application log as an audit trail
+ */
+const registerAuditLogSubscriber = (eventBus, logger) => {
+  return eventBus.subscribe(
+    Object.values(FLIGHT_EVENTS),
+    (event) => {
+      const { id, type, flightNumber, actor, data, occurredAt } = FlightEventBus.serialize(event)
+      logger.info('Flight event', {
+        audit: true,
+        eventId: id,
+        eventType: type,
+        flightNumber,
+        actor,
+        data,
+        occurredAt
+      })
+    },
+    'audit-log'
+  )
+}
+
+module.exports = registerAuditLogSubscriber
@@ -0,0 +1,32 @@
+const FlightEventBus = require('./FlightEventBus')
+const { FLIGHT_EVENTS } = require('./FlightEventBus')
+const FlightEvent = require('../models/FlightEvent')
+
+/**
+ * Keep sequenced flight events for `ttlMs` so reconnecting clients can
+ * replay what they missed
+ */
+const registerEventLogSubscriber = (eventBus, { ttlMs }) => {
+  return eventBus.subscribe(
+    Object.values(FLIGHT_EVENTS),
+    async (event) => {
+      if (!event.seq) return
+
+      const payload = FlightEventBus.serialize(event)
+
+      await FlightEvent.create({
+        eventId: event.id,
+        flight: event.flightId,
+        flightNumber: event.flightNumber,
+        seq: event.seq,
+        type: event.type,
+        payload,
+        occurredAt: event.occurredAt,
+        expiresAt: new Date(event.occurredAt.getTime() + ttlMs)
+      })
+    },
+    'event-log'
+  )
+}
+
+module.exports = registerEventLogSubscriber
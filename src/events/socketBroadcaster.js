@@ -0,0 +1,65 @@
+const FlightEventBus = require('./FlightEventBus')
+const { FLIGHT_EVENTS } = require('./FlightEventBus')
+const { flightNumbersFor } = require('../models/Flight')
+
+const AIRPORT_BOARDS = ['departures', 'arrivals']
+
+const flightRoom = (flightNumber) => `flight-${String(flightNumber).toUpperCase()}`
+
+const airportRoom = (airport, board = null) => {
+  const room = `airport-${String(airport).toUpperCase()}`
+  return board ? `${room}-${board}` : room
+}
+
+const airlineRoom = (airlineCode) => `airline-${String(airlineCode).toUpperCase()}`
+
+/**
+ * Every room interested in a flight: the flight under its operating and
+ * codeshare numbers, both airports (whole board plus departures/arrivals),
+ * the diversion airport of a diverted flight and the operating airline
+ */
+const roomsForFlight = (flight) => {
+  const rooms = flightNumbersFor(flight).map(flightRoom)
+
+  const origin = flight.route?.origin?.airport
+  const destination = flight.route?.destination?.airport
+  const diversion = flight.diversion?.airport
+  const airline = flight.airline?.code
+
+  if (origin) rooms.push(airportRoom(origin), airportRoom(origin, 'departures'))
+  if (destination) rooms.push(airportRoom(destination), airportRoom(destination, 'arrivals'))
+  if (diversion) rooms.push(airportRoom(diversion), airportRoom(diversion, 'arrivals'))
+  if (airline) rooms.push(airlineRoom(airline))
+
+  return [...new Set(rooms)]
+}
+
+/**
+ * Push every flight event to the matching Socket.IO rooms.
+ * A socket in several matching rooms still receives the event once.
+ */
+const registerSocketBroadcaster = (eventBus, io, logger) => {
+  return eventBus.subscribe(
+    Object.values(FLIGHT_EVENTS),
+    (event) => {
+      const rooms = roomsForFlight(event.flight)
+      io.to(rooms).emit(event.type, FlightEventBus.serialize(event))
+
+      logger.debug('📡 Flight event broadcast', {
+        eventType: event.type,
+        flightNumber: event.flightNumber,
+        rooms
+      })
+    },
+    'socket-io'
+  )
+}
+
+module.exports = {
+  AIRPORT_BOARDS,
+  flightRoom,
+  airportRoom,
+  airlineRoom,
+  roomsForFlight,
+  registerSocketBroadcaster
+}
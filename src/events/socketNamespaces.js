@@ -0,0 +1,333 @@
+const FlightEventBus = require('./FlightEventBus')
+const { FLIGHT_EVENTS } = require('./FlightEventBus')
+const {
+  AIRPORT_BOARDS,
+  flightRoom,
+  airportRoom,
+  airlineRoom
+} = require('./socketBroadcaster')
+const { NOTIFICATION_EVENTS } = require('../services/NotificationService')
+const {
+  FlightError,
+  FlightAuthenticationError,
+  FlightValidationError,
+  FlightRateLimitError
+} = require('../errors/FlightErrors')
+
+const OPS_NAMESPACE = '/ops'
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_TIMER_DELAY_MS = 2147483647
+
+// ===========================================
+// PUBLIC NAMESPACE
+// ===========================================
+
+/**
+ * Map a client payload to a room name, or throw FlightValidationError
+ */
+const ROOM_RESOLVERS = {
+  // 'GA402' or { flightNumber: 'GA402', sinceSeq: 12, date: '2026-10-19' } to replay
+  // missed events of that day's instance first (date defaults to the nearest one)
+  flight: (payload) => {
+    const flightNumber = payload && typeof payload === 'object' ? payload.flightNumber : payload
+
+    if (typeof flightNumber !== 'string' || !/^[A-Z]{2}\d{1,4}[A-Z]?$/i.test(flightNumber)) {
+      throw new FlightValidationError('Invalid flight number', 'flightNumber', flightNumber)
+    }
+    return flightRoom(flightNumber)
+  },
+
+  // 'CGK' for the whole board or { airport: 'CGK', board: 'departures' | 'arrivals' }
+  airport: (payload) => {
+    const { airport, board } = typeof payload === 'string' ? { airport: payload } : (payload || {})
+
+    if (typeof airport !== 'string' || !/^[A-Z]{3}$/i.test(airport)) {
+      throw new FlightValidationError('Invalid airport code', 'airport', airport)
+    }
+
+    if (board !== undefined && board !== null && !AIRPORT_BOARDS.includes(board)) {
+      throw new FlightValidationError(`Board must be one of: ${AIRPORT_BOARDS.join(', ')}`, 'board', board)
+    }
+
+    return airportRoom(airport, board)
+  },
+
+  airline: (airlineCode) => {
+    if (typeof airlineCode !== 'string' || !/^[A-Z0-9]{2,3}$/i.test(airlineCode)) {
+      throw new FlightValidationError('Invalid airline code', 'airline', airlineCode)
+    }
+    return airlineRoom(airlineCode)
+  }
+}
+
+const parseSinceSeq = (payload) => {
+  if (!payload || typeof payload !== 'object' || payload.sinceSeq === undefined) {
+    return null
+  }
+
+  if (!Number.isSafeInteger(payload.sinceSeq) || payload.sinceSeq < 0) {
+    throw new FlightValidationError('sinceSeq must be a non-negative integer', 'sinceSeq', payload.sinceSeq)
+  }
+
+  return payload.sinceSeq
+}
+
+const parseReplayDate = (payload) => {
+  if (payload.date === undefined || payload.date === null) {
+    return null
+  }
+
+  if (typeof payload.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(payload.date)) {
+    throw new FlightValidationError('date must be formatted as YYYY-MM-DD', 'date', payload.date)
+  }
+
+  return payload.date
+}
+
+const socketErrorPayload = (event, error) => ({
+  event,
+  error: error instanceof FlightError ? error.message : 'Request could not be processed',
+  code: error.code || 'SOCKET_ERROR',
+  ...(error.field && { field: error.field }),
+  ...(error.retryAfter && { retryAfter: error.retryAfter })
+})
+
+/**
+ * Sliding window of join timestamps kept on the socket itself, so the
+ * limit disappears with the connection
+ */
+const consumeJoin = (socket, { windowMs, maxJoins }) => {
+  const now = Date.now()
+  const recent = (socket.data.joinTimestamps || []).filter(ts => now - ts < windowMs)
+
+  if (recent.length >= maxJoins) {
+    socket.data.joinTimestamps = recent
+    const retryAfter = Math.ceil((recent[0] + windowMs - now) / 1000)
+    throw new FlightRateLimitError('Too many subscriptions, slow down', retryAfter)
+  }
+
+  recent.push(now)
+  socket.data.joinTimestamps = recent
+}
+
+// Rooms joined by the client; socket.rooms also holds the socket's own id
+const joinedRoomCount = (socket) => [...socket.rooms].filter(room => room !== socket.id).length
+
+/**
+ * Send the events returned by `replayEvents` to a single socket, marked as
+ * replayed. Returns the last sequence id sent and whether nothing was lost.
+ */
+const replayToSocket = async (socket, replayEvents, flightNumber, sinceSeq, date) => {
+  const result = await replayEvents(flightNumber, sinceSeq, date)
+
+  result.events.forEach(event => socket.emit(event.type, { ...event, replayed: true }))
+
+  return {
+    lastSeq: result.events.length > 0 ? result.events[result.events.length - 1].seq : sinceSeq,
+    latestSeq: result.latestSeq,
+    replayed: result.events.length,
+    complete: result.complete && !result.hasMore
+  }
+}
+
+/**
+ * Wire subscribe-/unsubscribe- handlers for flights, airports and airlines.
+ * Every reply goes through the optional ack callback; failures are also
+ * emitted as 'subscription-error' for clients that do not use acks.
+ *
+ * With `sinceSeq`, missed flight events are replayed before the socket joins
+ * the live room, followed by a catch-up for anything published in between.
+ * Clients should ignore events whose seq they have already seen.
+ */
+const registerPublicNamespace = (namespace, options, logger) => {
+  const { maxRoomsPerSocket, joinRateLimit, replayEvents = null } = options
+
+  namespace.on('connection', (socket) => {
+    const handle = (event, handler) => async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {}
+
+      try {
+        reply({ success: true, ...(await handler(payload)) })
+      } catch (error) {
+        const body = socketErrorPayload(event, error)
+        logger.debug(`📡 Rejected ${event} from ${socket.id}`, { code: body.code, error: error.message })
+        socket.emit('subscription-error', body)
+        reply({ success: false, ...body })
+      }
+    }
+
+    Object.entries(ROOM_RESOLVERS).forEach(([target, resolveRoom]) => {
+      socket.on(`subscribe-${target}`, handle(`subscribe-${target}`, async (payload) => {
+        const room = resolveRoom(payload)
+        const sinceSeq = target === 'flight' ? parseSinceSeq(payload) : null
+        const date = sinceSeq !== null ? parseReplayDate(payload) : null
+        const alreadyJoined = socket.rooms.has(room)
+
+        if (alreadyJoined && sinceSeq === null) {
+          return { room }
+        }
+
+        if (!alreadyJoined) {
+          if (joinedRoomCount(socket) >= maxRoomsPerSocket) {
+            throw new FlightRateLimitError(`A connection can follow at most ${maxRoomsPerSocket} rooms`, null, {
+              maxRoomsPerSocket
+            })
+          }
+
+          consumeJoin(socket, joinRateLimit)
+        }
+
+        if (sinceSeq === null || !replayEvents) {
+          socket.join(room)
+          logger.debug(`📡 Client ${socket.id} subscribed to ${room}`)
+          return { room }
+        }
+
+        const flightNumber = payload.flightNumber.toUpperCase()
+        const replay = await replayToSocket(socket, replayEvents, flightNumber, sinceSeq, date)
+
+        socket.join(room)
+        const catchUp = await replayToSocket(socket, replayEvents, flightNumber, replay.lastSeq, date)
+
+        const summary = {
+          flightNumber,
+          sinceSeq,
+          latestSeq: catchUp.latestSeq,
+          replayed: replay.replayed + catchUp.replayed,
+          complete: replay.complete && catchUp.complete
+        }
+
+        socket.emit('replay-complete', summary)
+        logger.debug(`📡 Client ${socket.id} subscribed to ${room} with replay`, summary)
+
+        return { room, replay: summary }
+      }))
+
+      socket.on(`unsubscribe-${target}`, handle(`unsubscribe-${target}`, (payload) => {
+        const room = resolveRoom(payload)
+        socket.leave(room)
+        logger.debug(`📡 Client ${socket.id} unsubscribed from ${room}`)
+
+        return { room }
+      }))
+    })
+  })
+
+  return namespace
+}
+
+// ===========================================
+// OPS NAMESPACE
+// ===========================================
+
+const extractSocketToken = (handshake) => {
+  if (handshake.auth && typeof handshake.auth.token === 'string') {
+    return handshake.auth.token.replace(/^Bearer\s+/i, '')
+  }
+
+  const header = handshake.headers && handshake.headers.authorization
+  if (typeof header === 'string' && header.startsWith('Bearer ')) {
+    return header.slice(7).trim()
+  }
+
+  return null
+}
+
+/**
+ * Socket.IO middleware: accept only sockets carrying a valid admin access token
+ * (handshake auth.token or Authorization header), verified like the REST API
+ */
+const authenticateSocket = (authService, logger) => async (socket, next) => {
+  try {
+    const token = extractSocketToken(socket.handshake)
+
+    if (!token) {
+      throw new FlightAuthenticationError('Authentication token is required', 'MISSING_TOKEN')
+    }
+
+    const { admin, payload } = await authService.authenticate(token)
+
+    socket.data.admin = {
+      id: String(admin._id),
+      username: admin.username,
+      role: admin.role
+    }
+    socket.data.tokenExpiresAt = payload.exp ? payload.exp * 1000 : null
+
+    next()
+  } catch (error) {
+    logger.warn('🔒 Rejected ops socket connection', {
+      socketId: socket.id,
+      ip: socket.handshake.address,
+      reason: error.reason || error.message
+    })
+
+    const rejection = new Error(error instanceof FlightAuthenticationError ? error.message : 'Authentication failed')
+    rejection.data = {
+      code: 'FLIGHT_AUTHENTICATION_ERROR',
+      reason: error.reason || null
+    }
+    next(rejection)
+  }
+}
+
+/**
+ * Admin-only namespace for internal events. Sockets are disconnected when
+ * their access token expires; clients reconnect with a refreshed token.
+ */
+const registerOpsNamespace = (namespace, authService, logger) => {
+  namespace.use(authenticateSocket(authService, logger))
+
+  namespace.on('connection', (socket) => {
+    const { admin, tokenExpiresAt } = socket.data
+
+    logger.info(`🛡️ Ops client connected: ${socket.id}`, { admin: admin.username, role: admin.role })
+
+    if (tokenExpiresAt) {
+      const expiryTimer = setTimeout(() => {
+        socket.emit('session-expired', { expiredAt: new Date(tokenExpiresAt).toISOString() })
+        socket.disconnect(true)
+      }, Math.min(Math.max(tokenExpiresAt - Date.now(), 0), MAX_TIMER_DELAY_MS))
+      expiryTimer.unref()
+
+      socket.on('disconnect', () => clearTimeout(expiryTimer))
+    }
+
+    socket.on('disconnect', (reason) => {
+      logger.info(`🛡️ Ops client disconnected: ${socket.id}`, { admin: admin.username, reason })
+    })
+  })
+
+  return namespace
+}
+
+/**
+ * Forward flight events (with the acting operator) and notification delivery
+ * failures to every connected ops client
+ */
+const registerOpsBroadcaster = (namespace, { eventBus, notificationService }) => {
+  const unsubscribers = [
+    eventBus.subscribe(
+      Object.values(FLIGHT_EVENTS),
+      (event) => namespace.emit(event.type, FlightEventBus.serialize(event)),
+      'socket-io-ops'
+    )
+  ]
+
+  const onDeliveryFailed = (failure) => namespace.emit(NOTIFICATION_EVENTS.DELIVERY_FAILED, failure)
+  notificationService.on(NOTIFICATION_EVENTS.DELIVERY_FAILED, onDeliveryFailed)
+  unsubscribers.push(() => notificationService.off(NOTIFICATION_EVENTS.DELIVERY_FAILED, onDeliveryFailed))
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe())
+}
+
+module.exports = {
+  OPS_NAMESPACE,
+  ROOM_RESOLVERS,
+  extractSocketToken,
+  authenticateSocket,
+  registerPublicNamespace,
+  registerOpsNamespace,
+  registerOpsBroadcaster
+}
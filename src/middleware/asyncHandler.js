@@ -0,0 +1,8 @@
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next)
+}
+
+module.exports = asyncHandler
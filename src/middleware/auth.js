@@ -0,0 +1,108 @@
+const { authService } = require('../services')
+const {
+  FlightAuthenticationError,
+  FlightAuthorizationError
+} = require('../errors/FlightErrors')
+
+const extractBearerToken = (req) => {
+  const header = req.get('Authorization') || ''
+  const [scheme, token] = header.split(' ')
+
+  if (scheme !== 'Bearer' || !token) {
+    return null
+  }
+
+  return token.trim()
+}
+
+/**
+ * Require a valid admin access token and attach the admin to req.admin
+ */
+const protect = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req)
+
+    if (!token) {
+      throw new FlightAuthenticationError('Authentication required', 'MISSING_TOKEN')
+    }
+
+    const { admin, payload } = await authService.authenticate(token)
+
+    req.admin = admin
+    req.auth = payload
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+const ensureAuthenticated = (req) => {
+  if (!req.admin) {
+    throw new FlightAuthenticationError('Authentication required', 'NOT_AUTHENTICATED')
+  }
+}
+
+/**
+ * Require every listed permission (admins implicitly hold all of them)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  try {
+    ensureAuthenticated(req)
+
+    const missing = permissions.filter(permission => !req.admin.hasPermission(permission))
+
+    if (missing.length > 0) {
+      throw new FlightAuthorizationError(
+        `Permission denied: requires ${missing.join(', ')}`,
+        missing.join(', '),
+        req.admin.role,
+        { requiredPermissions: permissions, missingPermissions: missing }
+      )
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Require the listed permissions only when the request matches the condition,
+ * e.g. cancelling a flight through the generic status endpoint
+ */
+const requirePermissionIf = (condition, ...permissions) => {
+  const check = requirePermission(...permissions)
+
+  return (req, res, next) => {
+    if (!condition(req)) {
+      return next()
+    }
+    check(req, res, next)
+  }
+}
+
+const requireRole = (...roles) => (req, res, next) => {
+  try {
+    ensureAuthenticated(req)
+
+    if (!roles.includes(req.admin.role)) {
+      throw new FlightAuthorizationError(
+        `Role ${req.admin.role} is not allowed to perform this action`,
+        roles.join(', '),
+        req.admin.role
+      )
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  extractBearerToken,
+  protect,
+  requirePermission,
+  requirePermissionIf,
+  requireRole
+}
@@ -1,6 +1,40 @@
 const logger = require('../config/logger')
+const { FlightError, FlightAuthenticationError } = require('../errors/FlightErrors')
 
 const errorHandler = (err, req, res, next) => {
+  if (err instanceof FlightError) {
+    const logLevel = err.statusCode >= 500 ? 'error' : 'warn'
+    logger[logLevel](err.message, {
+      code: err.code,
+      statusCode: err.statusCode,
+      requestId: req.requestId,
+      stack: err.statusCode >= 500 ? err.stack : undefined
+    })
+
+    const response = {
+      success: false,
+      error: err.message,
+      code: err.code,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    }
+
+    if (err.statusCode < 500 && err.details) {
+      response.details = err.details
+    }
+
+    // Lets clients tell an expired token (refresh it) from a revoked session (log in again)
+    if (err instanceof FlightAuthenticationError && err.reason) {
+      response.details = { ...response.details, reason: err.reason }
+    }
+
+    if (err.retryAfter) {
+      res.setHeader('Retry-After', err.retryAfter)
+    }
+
+    return res.status(err.statusCode).json(response)
+  }
+
   let error = { ...err }
   error.message = err.message
 
@@ -33,8 +67,10 @@ const errorHandler = (err, req, res, next) => {
 
   res.status(error.statusCode || 500).json({
     success: false,
-    error: error.message || 'Server Error'
+    error: error.message || 'Server Error',
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
   })
 }
 
-module.exports = errorHandler
\ No newline at end of file
+module.exports = errorHandler
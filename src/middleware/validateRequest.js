@@ -0,0 +1,28 @@
+const { validationResult } = require('express-validator')
+const { FlightValidationError } = require('../errors/FlightErrors')
+
+/**
+ * Turn express-validator results into a FlightValidationError
+ */
+const validateRequest = (req, res, next) => {
+  const result = validationResult(req)
+
+  if (result.isEmpty()) {
+    return next()
+  }
+
+  const errors = result.array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value
+  }))
+
+  next(new FlightValidationError(
+    'Request validation failed',
+    errors[0].field,
+    errors[0].value,
+    { errors }
+  ))
+}
+
+module.exports = validateRequest
@@ -0,0 +1,104 @@
+const Flight = require('../models/Flight')
+const Subscription = require('../models/Subscription')
+const { toFlightDate } = require('../models/Flight')
+
+const BATCH_SIZE = 500
+
+/**
+ * Move existing data from one document per flight number to one document per
+ * operated instance (flightNumber, flightDate, operationalSuffix):
+ *
+ * 1. drop the legacy unique index on flightNumber
+ * 2. backfill flightDate (scheduled departure's local date at the origin) and
+ *    an empty operationalSuffix on flights that predate them
+ * 3. build the new instance indexes
+ * 4. link subscriptions that have no flight yet to the instance of their date
+ *
+ * Safe to run more than once; each step only touches what is still missing.
+ */
+const migrateFlightInstances = async ({ logger = console } = {}) => {
+  const result = {
+    droppedIndexes: [],
+    flightsUpdated: 0,
+    subscriptionsLinked: 0
+  }
+
+  const indexes = await Flight.collection.indexes()
+  const legacy = indexes.filter(index =>
+    index.unique &&
+    Object.keys(index.key).length === 1 &&
+    index.key.flightNumber === 1
+  )
+
+  for (const index of legacy) {
+    await Flight.collection.dropIndex(index.name)
+    result.droppedIndexes.push(index.name)
+  }
+
+  const flights = Flight.find({ flightDate: { $exists: false } })
+    .select('schedule.departure.scheduled route.timezone.origin operationalSuffix')
+    .lean()
+    .cursor()
+
+  let operations = []
+  for await (const flight of flights) {
+    operations.push({
+      updateOne: {
+        filter: { _id: flight._id },
+        update: {
+          $set: {
+            flightDate: toFlightDate(flight.schedule.departure.scheduled, flight.route?.timezone?.origin),
+            operationalSuffix: flight.operationalSuffix || ''
+          }
+        }
+      }
+    })
+
+    if (operations.length === BATCH_SIZE) {
+      result.flightsUpdated += (await Flight.bulkWrite(operations)).modifiedCount
+      operations = []
+    }
+  }
+
+  if (operations.length > 0) {
+    result.flightsUpdated += (await Flight.bulkWrite(operations)).modifiedCount
+  }
+
+  await Flight.createIndexes()
+
+  const subscriptions = Subscription.find({ flight: null })
+    .select('flightNumber flightDate')
+    .lean()
+    .cursor()
+
+  for await (const subscription of subscriptions) {
+    const flight = await Flight.findInstance(subscription.flightNumber, {
+      date: toFlightDate(subscription.flightDate)
+    })
+
+    if (flight) {
+      await Subscription.updateOne({ _id: subscription._id }, { $set: { flight: flight._id } })
+      result.subscriptionsLinked++
+    }
+  }
+
+  logger.info('Flight instance migration completed', result)
+
+  return result
+}
+
+module.exports = migrateFlightInstances
+
+if (require.main === module) {
+  const logger = require('../config/logger')
+  const { connectDB, disconnectDB } = require('../config/database')
+
+  connectDB()
+    .then(() => migrateFlightInstances({ logger }))
+    .then(() => disconnectDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Flight instance migration failed', { error: error.message, stack: error.stack })
+      process.exit(1)
+    })
+}
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose')
 const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken')
+const { config } = require('../config/config')
 
 const AdminSchema = new mongoose.Schema({
   username: {
@@ -35,7 +36,7 @@ const AdminSchema = new mongoose.Schema({
   },
   permissions: [{
     type: String,
-    enum: ['read', 'write', 'delete', 'manage_users', 'manage_flights', 'send_notifications']
+    enum: ['read', 'write', 'delete', 'manage_users', 'manage_flights', 'override_status', 'send_notifications']
   }],
   firstName: {
     type: String,
@@ -64,16 +65,18 @@ const AdminSchema = new mongoose.Schema({
 
 AdminSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next()
+    return next()
   }
 
   const salt = await bcrypt.genSalt(10)
   this.password = await bcrypt.hash(this.password, salt)
 })
 
-AdminSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+AdminSchema.methods.getSignedJwtToken = function (claims = {}) {
+  return jwt.sign({ ...claims, id: this._id, role: this.role }, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+    issuer: config.jwt.issuer,
+    audience: config.jwt.audience
   })
 }
 
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose')
+const {
+  buildDelaySegment,
+  parseDelayCode,
+  primaryDelayReason,
+  DELAY_REASONS
+} = require('../utils/delayCodes')
 
 const FLIGHT_STATUSES = {
   SCHEDULED: 'Scheduled',
@@ -11,16 +17,62 @@ const FLIGHT_STATUSES = {
   DIVERTED: 'Diverted'
 }
 
-const DELAY_REASONS = {
-  WEATHER: 'Weather',
-  TECHNICAL: 'Technical',
-  CREW: 'Crew',
-  ATC: 'Air Traffic Control',
-  SECURITY: 'Security',
-  PASSENGER: 'Passenger',
-  AIRPORT: 'Airport Operations',
-  AIRCRAFT: 'Aircraft Change',
-  OTHER: 'Other'
+const PRE_DEPARTURE_STATUSES = [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING]
+
+const FLIGHT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Calendar date (YYYY-MM-DD) of `date` in `timeZone`; UTC when the zone is
+ * missing or unknown to the runtime
+ */
+const toFlightDate = function (date, timeZone = 'UTC') {
+  const value = new Date(date)
+  if (Number.isNaN(value.getTime())) return null
+
+  try {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(value)
+  } catch (error) {
+    return value.toISOString().slice(0, 10)
+  }
+}
+
+/**
+ * Instant at which the wall clock in `timeZone` reads `time` (HH:mm) on
+ * `flightDate` (YYYY-MM-DD). Wall-clock times skipped or repeated by a DST
+ * change resolve to one adjacent valid instant.
+ */
+const fromLocalTime = function (flightDate, time, timeZone = 'UTC') {
+  const [year, month, day] = flightDate.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes)
+
+  const offsetAt = (instant) => {
+    let parts
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || 'UTC',
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      }).formatToParts(new Date(instant))
+    } catch (error) {
+      return 0
+    }
+
+    const field = (type) => Number(parts.find(part => part.type === type).value)
+    return Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute')) - instant
+  }
+
+  const guess = wallClock - offsetAt(wallClock)
+  return new Date(wallClock - offsetAt(guess))
 }
 
 const validateIATAFlightNumber = function (flightNumber) {
@@ -56,6 +108,62 @@ const validateAircraftRegistration = function (registration) {
   return true
 }
 
+// One cause of a delay: an IATA AHM 730 code with its AHM 731 sub-code
+const DelaySegmentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Delay code is required'],
+    trim: true,
+    validate: {
+      validator: (code) => parseDelayCode(code)?.code === code,
+      message: 'Delay code must be a two-digit IATA delay code'
+    }
+  },
+  subCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]$/, 'Delay sub-code must be a single letter'],
+    default: null
+  },
+  minutes: {
+    type: Number,
+    min: [0, 'Delay minutes cannot be negative'],
+    default: 0
+  },
+  // Passenger-facing reason for the code
+  reason: {
+    type: String,
+    enum: Object.values(DELAY_REASONS),
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Delay description cannot exceed 500 characters']
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: String,
+    trim: true
+  }
+}, { _id: false })
+
+DelaySegmentSchema.pre('validate', function (next) {
+  if (!this.reason && this.code) {
+    try {
+      this.reason = buildDelaySegment({ code: this.code }).reason
+    } catch (error) {
+      // Left to the code validator
+    }
+  }
+
+  next()
+})
+
 const StatusHistorySchema = new mongoose.Schema({
   status: {
     type: String,
@@ -77,6 +185,22 @@ const StatusHistorySchema = new mongoose.Schema({
   metadata: {
     type: Map,
     of: String
+  },
+  // The flight's delay with its breakdown as it stood after the change
+  delay: {
+    minutes: Number,
+    reason: String,
+    segments: [DelaySegmentSchema]
+  },
+  // Set when the change overrode the airline's transition policy
+  forced: {
+    type: Boolean,
+    default: false
+  },
+  // Sequence id of the flight.status_changed event published for this transition
+  seq: {
+    type: Number,
+    min: 1
   }
 }, { _id: true })
 
@@ -99,6 +223,52 @@ const DelaySchema = new mongoose.Schema({
   estimatedDuration: {
     type: Number,
     min: [0, 'Estimated delay duration cannot be negative']
+  },
+  // Breakdown by IATA delay code; `reason` follows the longest segment
+  segments: {
+    type: [DelaySegmentSchema],
+    default: () => []
+  }
+}, { _id: false })
+
+// Where a diverted flight went; route.destination stays the planned destination
+const DiversionSchema = new mongoose.Schema({
+  airport: {
+    type: String,
+    required: [true, 'Diversion airport code is required'],
+    trim: true,
+    uppercase: true,
+    validate: [validateIATAAirportCode, 'Invalid IATA airport code format']
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true
+  },
+  timezone: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Diversion reason cannot exceed 500 characters']
+  },
+  divertedAt: {
+    type: Date,
+    required: true
+  },
+  estimatedArrival: {
+    type: Date
+  },
+  // Follow-up leg from the diversion airport to the planned destination
+  continuation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Flight',
+    default: null
   }
 }, { _id: false })
 
@@ -217,6 +387,7 @@ const RouteSchema = new mongoose.Schema({
   }
 }, { _id: false })
 
+// `actual` times are off-block and on-block; wheelsOff and wheelsOn give the taxi times
 const ScheduleSchema = new mongoose.Schema({
   departure: {
     scheduled: {
@@ -228,6 +399,9 @@ const ScheduleSchema = new mongoose.Schema({
     },
     actual: {
       type: Date
+    },
+    wheelsOff: {
+      type: Date
     }
   },
   arrival: {
@@ -240,19 +414,86 @@ const ScheduleSchema = new mongoose.Schema({
     },
     actual: {
       type: Date
+    },
+    wheelsOn: {
+      type: Date
     }
   }
 }, { _id: false })
 
+// Arrival predicted from completed flights on the route once the flight departed
+const EtaPredictionSchema = new mongoose.Schema({
+  estimated: {
+    type: Date,
+    required: true
+  },
+  // Arrival window holding `confidence` percent of the past flights
+  earliest: Date,
+  latest: Date,
+  confidence: {
+    type: Number,
+    min: 1,
+    max: 99
+  },
+  // Time the prediction counts from: off-block, or wheels-off once airborne
+  anchor: {
+    type: String,
+    enum: ['off-block', 'wheels-off'],
+    required: true
+  },
+  anchorTime: {
+    type: Date,
+    required: true
+  },
+  // Narrowest group of past flights with enough samples
+  basis: {
+    type: String,
+    enum: ['route-airline-hour', 'route-airline', 'route'],
+    required: true
+  },
+  sampleSize: {
+    type: Number,
+    min: 0
+  },
+  blockMinutes: Number,
+  taxiOutMinutes: Number,
+  taxiInMinutes: Number,
+  predictedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false })
+
 const FlightSchema = new mongoose.Schema({
   flightNumber: {
     type: String,
     required: [true, 'Flight number is required'],
-    unique: true,
     trim: true,
     uppercase: true,
     validate: [validateIATAFlightNumber, 'Invalid IATA flight number format']
   },
+  // Local departure date at the origin. With flightNumber and operationalSuffix
+  // it identifies one operated instance; it does not move when the flight is delayed.
+  flightDate: {
+    type: String,
+    required: [true, 'Flight date is required'],
+    match: [FLIGHT_DATE_PATTERN, 'Flight date must be formatted as YYYY-MM-DD']
+  },
+  // Distinguishes a re-timed or duplicated operation on the same date (e.g. 'A')
+  operationalSuffix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+    match: [/^[A-Z]?$/, 'Operational suffix must be a single letter']
+  },
+  // Set on instances generated from a ScheduleTemplate
+  scheduleTemplate: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ScheduleTemplate',
+    default: null,
+    index: true
+  },
   airline: {
     code: {
       type: String,
@@ -303,6 +544,21 @@ const FlightSchema = new mongoose.Schema({
     type: DelaySchema,
     default: () => ({})
   },
+  diversion: {
+    type: DiversionSchema,
+    default: null
+  },
+  etaPrediction: {
+    type: EtaPredictionSchema,
+    default: null
+  },
+  // Set on the follow-up leg of a diverted flight
+  continuationOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Flight',
+    default: null,
+    index: true
+  },
   codeshare: {
     isPrimary: {
       type: Boolean,
@@ -357,19 +613,26 @@ const FlightSchema = new mongoose.Schema({
     }
   },
   weather: {
+    // Latest METAR at each end: visibility in metres, wind in knots, temperature in degrees Celsius
     origin: {
       condition: String,
       visibility: Number,
       windSpeed: Number,
       windDirection: Number,
-      temperature: Number
+      windGust: Number,
+      temperature: Number,
+      station: String,
+      observedAt: Date
     },
     destination: {
       condition: String,
       visibility: Number,
       windSpeed: Number,
       windDirection: Number,
-      temperature: Number
+      windGust: Number,
+      temperature: Number,
+      station: String,
+      observedAt: Date
     },
     route: {
       turbulence: {
@@ -401,6 +664,12 @@ const FlightSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Last sequence id handed out to an event of this flight
+  eventSequence: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -432,6 +701,20 @@ FlightSchema.virtual('actualDuration').get(function () {
   return null
 })
 
+FlightSchema.virtual('taxiOutDuration').get(function () {
+  if (this.schedule.departure.actual && this.schedule.departure.wheelsOff) {
+    return Math.floor((this.schedule.departure.wheelsOff - this.schedule.departure.actual) / (1000 * 60))
+  }
+  return null
+})
+
+FlightSchema.virtual('taxiInDuration').get(function () {
+  if (this.schedule.arrival.wheelsOn && this.schedule.arrival.actual) {
+    return Math.floor((this.schedule.arrival.actual - this.schedule.arrival.wheelsOn) / (1000 * 60))
+  }
+  return null
+})
+
 FlightSchema.virtual('isDelayed').get(function () {
   return this.delay.minutes > 0
 })
@@ -464,7 +747,10 @@ FlightSchema.methods.calculateDelay = function () {
   return this.delay.minutes
 }
 
-FlightSchema.methods.updateStatus = async function (newStatus, reason = null, updatedBy = 'System', metadata = {}) {
+// `options.forced` records a change that overrode the transition policy, with its reason;
+// `options.delay` overrides parts of the recorded delay the caller is about to set;
+// `options.stampTimes: false` leaves actual departure/arrival times unset (e.g. a skipped status)
+FlightSchema.methods.updateStatus = async function (newStatus, reason = null, updatedBy = 'System', metadata = {}, options = {}) {
   if (!Object.values(FLIGHT_STATUSES).includes(newStatus)) {
     throw new Error(`Invalid status: ${newStatus}`)
   }
@@ -474,27 +760,47 @@ FlightSchema.methods.updateStatus = async function (newStatus, reason = null, up
   this.status.history.push({
     status: oldStatus,
     timestamp: new Date(),
-    reason: `Changed from ${oldStatus} to ${newStatus}`,
+    reason: options.forced
+      ? `Forced change from ${oldStatus} to ${newStatus}: ${reason}`
+      : `Changed from ${oldStatus} to ${newStatus}`,
     updatedBy,
-    metadata: new Map(Object.entries(metadata))
+    metadata: new Map(Object.entries(metadata)),
+    forced: Boolean(options.forced)
   })
   
   this.status.current = newStatus
   this.lastUpdated = new Date()
   
-  if (newStatus === FLIGHT_STATUSES.DEPARTED && !this.schedule.departure.actual) {
+  const stampTimes = options.stampTimes !== false
+
+  if (stampTimes && newStatus === FLIGHT_STATUSES.DEPARTED && !this.schedule.departure.actual) {
     this.schedule.departure.actual = new Date()
   }
+
+  // Back on the ground before departure, e.g. a return to gate
+  if (PRE_DEPARTURE_STATUSES.includes(newStatus) && this.schedule.departure.actual) {
+    this.schedule.departure.actual = undefined
+  }
   
-  if (newStatus === FLIGHT_STATUSES.ARRIVED && !this.schedule.arrival.actual) {
+  if (stampTimes && newStatus === FLIGHT_STATUSES.ARRIVED && !this.schedule.arrival.actual) {
     this.schedule.arrival.actual = new Date()
   }
   
   await this.calculateDelay()
+
+  this.status.history[this.status.history.length - 1].delay = { ...this.delaySnapshot(), ...options.delay }
   
   return this.save()
 }
 
+FlightSchema.methods.delaySnapshot = function () {
+  return {
+    minutes: this.delay.minutes,
+    reason: this.delay.reason,
+    segments: (this.delay.segments || []).map(segment => segment.toObject ? segment.toObject() : segment)
+  }
+}
+
 FlightSchema.methods.updateGate = function (terminal, gate, type = 'departure') {
   if (type === 'departure') {
     this.route.origin.terminal = terminal
@@ -508,10 +814,26 @@ FlightSchema.methods.updateGate = function (terminal, gate, type = 'departure')
   return this.save()
 }
 
-FlightSchema.methods.addDelay = function (minutes, reason = DELAY_REASONS.OTHER, description = '') {
+/**
+ * Add `minutes` of delay. `cause` is an IATA delay code ('93', '93A' or 'RA'),
+ * which adds a segment to the breakdown, or one of DELAY_REASONS. With coded
+ * segments the reason follows the longest one, so a short later delay does
+ * not replace the main cause.
+ */
+FlightSchema.methods.addDelay = function (minutes, cause = DELAY_REASONS.OTHER, description = '', recordedBy = 'System') {
   this.delay.minutes = Math.max(0, this.delay.minutes + minutes)
-  this.delay.reason = reason
   this.delay.description = description
+
+  if (parseDelayCode(cause)) {
+    this.delay.segments.push({
+      ...buildDelaySegment({ code: cause, minutes: Math.max(0, minutes), description }),
+      recordedAt: new Date(),
+      recordedBy
+    })
+    this.delay.reason = primaryDelayReason(this.delay.segments)
+  } else {
+    this.delay.reason = cause
+  }
   
   if (this.schedule.departure.estimated) {
     this.schedule.departure.estimated = new Date(this.schedule.departure.estimated.getTime() + (minutes * 60000))
@@ -529,6 +851,73 @@ FlightSchema.methods.addDelay = function (minutes, reason = DELAY_REASONS.OTHER,
   return this.save()
 }
 
+/**
+ * The operating flight number followed by its codeshare (marketing) numbers
+ */
+const flightNumbersFor = function (flight) {
+  const partners = (flight.codeshare?.partners || []).map(partner => partner.flightNumber).filter(Boolean)
+  return [...new Set([flight.flightNumber, ...partners])]
+}
+
+/**
+ * Airport the flight lands at: the diversion airport once diverted, else
+ * its destination
+ */
+const arrivalAirportFor = function (flight) {
+  return flight.diversion?.airport || flight.route.destination.airport
+}
+
+/**
+ * Query matching a flight number as operating or as a codeshare partner
+ */
+const flightNumberQuery = function (flightNumber) {
+  const number = String(flightNumber).toUpperCase()
+  return { $or: [{ flightNumber: number }, { 'codeshare.partners.flightNumber': number }] }
+}
+
+/**
+ * One operated instance of a flight number. Without a date this is the active
+ * instance whose scheduled departure is closest to `now`; without a suffix
+ * the unsuffixed instance of that date is preferred. A marketing (codeshare)
+ * number resolves to its operating flight when no flight operates under it.
+ */
+FlightSchema.statics.findInstance = async function (flightNumber, options = {}) {
+  const number = String(flightNumber).toUpperCase()
+
+  return await this.findInstanceMatching({ flightNumber: number }, options) ||
+    this.findInstanceMatching({ 'codeshare.partners.flightNumber': number }, options)
+}
+
+FlightSchema.statics.findInstanceMatching = async function (match, { date = null, suffix = null, now = new Date() } = {}) {
+  const query = {
+    ...match,
+    isActive: true
+  }
+
+  if (suffix !== null && suffix !== undefined) {
+    query.operationalSuffix = String(suffix).toUpperCase()
+  }
+
+  if (date) {
+    query.flightDate = date instanceof Date ? toFlightDate(date) : String(date)
+    return this.findOne(query).sort({ operationalSuffix: 1 })
+  }
+
+  const [next] = await this.find({ ...query, 'schedule.departure.scheduled': { $gte: now } })
+    .sort({ 'schedule.departure.scheduled': 1 })
+    .limit(1)
+  const [previous] = await this.find({ ...query, 'schedule.departure.scheduled': { $lt: now } })
+    .sort({ 'schedule.departure.scheduled': -1 })
+    .limit(1)
+
+  if (!next || !previous) {
+    return next || previous || null
+  }
+
+  return next.schedule.departure.scheduled - now <= now - previous.schedule.departure.scheduled ? next : previous
+}
+
+// `date` is a day, or a { from, to } departure range
 FlightSchema.statics.findByRoute = function (originAirport, destinationAirport, date = null) {
   const query = {
     'route.origin.airport': originAirport.toUpperCase(),
@@ -536,7 +925,12 @@ FlightSchema.statics.findByRoute = function (originAirport, destinationAirport,
     isActive: true
   }
   
-  if (date) {
+  if (date?.from || date?.to) {
+    query['schedule.departure.scheduled'] = {
+      ...(date.from && { $gte: new Date(date.from) }),
+      ...(date.to && { $lte: new Date(date.to) })
+    }
+  } else if (date) {
     const startOfDay = new Date(date)
     startOfDay.setHours(0, 0, 0, 0)
     const endOfDay = new Date(date)
@@ -592,7 +986,16 @@ FlightSchema.statics.findByStatus = function (status) {
 }
 
 FlightSchema.index({ flightNumber: 1 })
+FlightSchema.index({ 'codeshare.partners.flightNumber': 1 })
+// One active document per operated instance; soft-deleted instances may be recreated
+FlightSchema.index(
+  { flightNumber: 1, flightDate: 1, operationalSuffix: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+)
 FlightSchema.index({ 'airline.code': 1 })
+// On-time performance reports over ranges of flight dates
+FlightSchema.index({ flightDate: 1, 'airline.code': 1 })
+FlightSchema.index({ 'aircraft.registration': 1, 'schedule.departure.scheduled': 1 })
 FlightSchema.index({ 'route.origin.airport': 1, 'route.destination.airport': 1 })
 FlightSchema.index({ 'schedule.departure.scheduled': 1 })
 FlightSchema.index({ 'schedule.arrival.scheduled': 1 })
@@ -606,6 +1009,15 @@ FlightSchema.index({
   'schedule.departure.scheduled': 1 
 })
 
+// The flight date defaults to the scheduled departure's local date at the origin
+FlightSchema.pre('validate', function (next) {
+  if (!this.flightDate && this.schedule?.departure?.scheduled) {
+    this.flightDate = toFlightDate(this.schedule.departure.scheduled, this.route?.timezone?.origin)
+  }
+
+  next()
+})
+
 FlightSchema.pre('save', function (next) {
   this.lastUpdated = new Date()
   
@@ -625,4 +1037,9 @@ FlightSchema.pre('save', function (next) {
 module.exports = mongoose.model('Flight', FlightSchema)
 
 module.exports.FLIGHT_STATUSES = FLIGHT_STATUSES
-module.exports.DELAY_REASONS = DELAY_REASONS
\ No newline at end of file
+module.exports.DELAY_REASONS = DELAY_REASONS
+module.exports.toFlightDate = toFlightDate
+module.exports.flightNumbersFor = flightNumbersFor
+module.exports.arrivalAirportFor = arrivalAirportFor
+module.exports.flightNumberQuery = flightNumberQuery
+module.exports.fromLocalTime = fromLocalTime
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose')
+
+/**
+ * Short-lived log of published flight events, used to replay what a client
+ * missed while disconnected. Entries expire through the TTL index on expiresAt.
+ */
+const FlightEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event identifier is required'],
+    unique: true
+  },
+  flight: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Flight',
+    required: [true, 'Flight reference is required']
+  },
+  flightNumber: {
+    type: String,
+    required: [true, 'Flight number is required'],
+    uppercase: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    required: [true, 'Sequence id is required'],
+    min: 1
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  // Serialized event exactly as it was broadcast
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Event payload is required']
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: false
+})
+
+/**
+ * Events of one flight instance after `sinceSeq`; sequence ids are per instance
+ */
+FlightEventSchema.statics.findSince = function (flightId, sinceSeq, limit = 200) {
+  return this.find({
+    flight: flightId,
+    seq: { $gt: sinceSeq }
+  })
+    .sort({ seq: 1 })
+    .limit(limit)
+}
+
+FlightEventSchema.index({ flight: 1, seq: 1 })
+FlightEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('FlightEvent', FlightEventSchema)
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose')
+
+/**
+ * Lease-based lock shared by every instance. The holder renews it before
+ * expiresAt; once it lapses any other instance may take it over. updatedAt
+ * is the last time it was taken or renewed.
+ */
+const JobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Lock name is required'],
+    unique: true,
+    trim: true
+  },
+  owner: {
+    type: String,
+    required: [true, 'Lock owner is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Lock expiry is required']
+  }
+}, {
+  timestamps: true
+})
+
+/**
+ * Take or renew the lock. Resolves to true when `owner` holds it afterwards.
+ */
+JobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date()
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ owner }, { expiresAt: { $lte: now } }]
+      },
+      {
+        $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+
+    return lock.owner === owner
+  } catch (error) {
+    // Lock is held by someone else: the filter missed and the upsert hit the unique index
+    if (error.code === 11000) {
+      return false
+    }
+    throw error
+  }
+}
+
+JobLockSchema.statics.release = function (name, owner) {
+  return this.deleteOne({ name, owner })
+}
+
+module.exports = mongoose.model('JobLock', JobLockSchema)
@@ -1,20 +1,52 @@
 const mongoose = require('mongoose')
 
+const NOTIFICATION_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push']
+
 const NotificationSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['flight_delay', 'flight_cancellation', 'gate_change', 'boarding_call', 'flight_update', 'weather_alert'],
+    enum: ['flight_delay', 'flight_cancellation', 'flight_diversion', 'gate_change', 'boarding_call', 'flight_update', 'weather_alert', 'subscription_verification', 'departure_reminder'],
     required: [true, 'Notification type is required']
   },
   flight: {
     type: mongoose.Schema.ObjectId,
     ref: 'Flight',
-    required: [true, 'Flight reference is required']
+    required: [
+      function () { return this.type !== 'subscription_verification' },
+      'Flight reference is required'
+    ]
   },
   passenger: {
     type: mongoose.Schema.ObjectId,
     ref: 'Passenger',
-    required: [true, 'Passenger reference is required']
+    required: [
+      function () { return !this.subscription && !this.recipient },
+      'Passenger reference is required'
+    ]
+  },
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription'
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS
+  },
+  recipient: {
+    type: String,
+    trim: true
+  },
+  // Fully rendered message (subject/text/html/headers) so the worker can send without re-rendering
+  payload: {
+    type: mongoose.Schema.Types.Mixed
   },
   title: {
     type: String,
@@ -61,8 +93,8 @@ const NotificationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'sent', 'failed', 'cancelled'],
-    default: 'pending'
+    enum: Object.values(NOTIFICATION_STATUSES),
+    default: NOTIFICATION_STATUSES.PENDING
   },
   scheduledAt: {
     type: Date,
@@ -71,8 +103,18 @@ const NotificationSchema = new mongoose.Schema({
   sentAt: Date,
   retryCount: {
     type: Number,
-    default: 0,
-    max: 3
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'At least one delivery attempt is required']
+  },
+  lastError: String,
+  providerMessageId: String,
+  lock: {
+    owner: String,
+    expiresAt: Date
   },
   metadata: {
     type: Map,
@@ -82,36 +124,110 @@ const NotificationSchema = new mongoose.Schema({
   timestamps: true
 })
 
-NotificationSchema.methods.markAsSent = function (channel) {
+NotificationSchema.methods.markAsSent = function (channel, providerMessageId = null) {
   if (this.channels[channel]) {
     this.channels[channel].sent = true
     this.channels[channel].sentAt = new Date()
+    this.channels[channel].error = undefined
   }
-  
-  const allSent = Object.values(this.channels).every(ch => ch.sent === true)
+
+  // Outbox entries target a single channel; legacy documents wait for all of them
+  const targets = this.channel ? [this.channel] : NOTIFICATION_CHANNELS
+  const allSent = targets.every(ch => this.channels[ch] && this.channels[ch].sent === true)
   if (allSent) {
-    this.status = 'sent'
+    this.status = NOTIFICATION_STATUSES.SENT
     this.sentAt = new Date()
   }
-  
+
+  if (providerMessageId) {
+    this.providerMessageId = providerMessageId
+  }
+  this.lastError = undefined
+  this.lock = undefined
+
   return this.save()
 }
 
-NotificationSchema.methods.markAsFailed = function (channel, error) {
+/**
+ * Record a failed attempt and reschedule with exponential backoff
+ * (baseDelayMs, 2x, 4x, ... capped at maxDelayMs) until maxAttempts is reached
+ */
+NotificationSchema.methods.markAsFailed = function (channel, error, options = {}) {
+  const {
+    baseDelayMs = 60 * 1000,
+    maxDelayMs = 60 * 60 * 1000
+  } = options
+
   if (this.channels[channel]) {
     this.channels[channel].error = error
   }
-  
+
   this.retryCount += 1
-  
-  if (this.retryCount >= 3) {
-    this.status = 'failed'
+  this.lastError = error
+  this.lock = undefined
+
+  if (this.retryCount >= this.maxAttempts) {
+    this.status = NOTIFICATION_STATUSES.FAILED
+  } else {
+    const delay = Math.min(baseDelayMs * Math.pow(2, this.retryCount - 1), maxDelayMs)
+    this.status = NOTIFICATION_STATUSES.PENDING
+    this.scheduledAt = new Date(Date.now() + delay)
   }
-  
+
   return this.save()
 }
 
+/**
+ * Atomically claim one due notification for a worker. Processing entries whose
+ * lease has expired (crashed worker) are claimable again.
+ */
+NotificationSchema.statics.claimNext = function (owner, leaseMs = 5 * 60 * 1000, filter = {}) {
+  const now = new Date()
+
+  return this.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: NOTIFICATION_STATUSES.PENDING, scheduledAt: { $lte: now } },
+        { status: NOTIFICATION_STATUSES.PROCESSING, 'lock.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: NOTIFICATION_STATUSES.PROCESSING,
+        lock: { owner, expiresAt: new Date(now.getTime() + leaseMs) }
+      }
+    },
+    { new: true, sort: { scheduledAt: 1 } }
+  )
+}
+
+NotificationSchema.statics.countByStatus = async function () {
+  const rows = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ])
+
+  return Object.values(NOTIFICATION_STATUSES).reduce((counts, status) => {
+    const row = rows.find(r => r._id === status)
+    counts[status] = row ? row.count : 0
+    return counts
+  }, {})
+}
+
 NotificationSchema.index({ flight: 1, passenger: 1, type: 1 })
 NotificationSchema.index({ status: 1, scheduledAt: 1 })
+NotificationSchema.index({ status: 1, 'lock.expiresAt': 1 })
+NotificationSchema.index({ subscription: 1, createdAt: -1 })
+// At most one pending departure reminder per subscription, so concurrent planners cannot double-book
+NotificationSchema.index(
+  { subscription: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: 'departure_reminder', status: NOTIFICATION_STATUSES.PENDING }
+  }
+)
+
+module.exports = mongoose.model('Notification', NotificationSchema)
 
-module.exports = mongoose.model('Notification', NotificationSchema)
\ No newline at end of file
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose')
+
+const REVOCATION_REASONS = {
+  ROTATED: 'rotated',
+  LOGOUT: 'logout',
+  REUSE_DETECTED: 'reuse_detected',
+  ACCOUNT_DISABLED: 'account_disabled'
+}
+
+const RefreshTokenSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin reference is required']
+  },
+  jti: {
+    type: String,
+    required: [true, 'Token identifier is required'],
+    unique: true
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: Object.values(REVOCATION_REASONS)
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+})
+
+RefreshTokenSchema.virtual('isExpired').get(function () {
+  return new Date() >= this.expiresAt
+})
+
+RefreshTokenSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && !this.isExpired
+})
+
+RefreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+}
+
+RefreshTokenSchema.statics.isFamilyActive = async function (family) {
+  const activeToken = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  return Boolean(activeToken)
+}
+
+RefreshTokenSchema.index({ family: 1, revokedAt: 1 })
+RefreshTokenSchema.index({ admin: 1 })
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema)
+
+module.exports.REVOCATION_REASONS = REVOCATION_REASONS
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose')
+
+const MOVEMENT_SOURCES = ['http', 'file']
+
+/**
+ * Movement messages (MVT/MVA) that could not be applied, kept with the
+ * reason so they can be corrected and sent again
+ */
+const RejectedMovementMessageSchema = new mongoose.Schema({
+  raw: {
+    type: String,
+    required: [true, 'Message text is required']
+  },
+  type: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  flightNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  source: {
+    type: String,
+    enum: MOVEMENT_SOURCES,
+    required: [true, 'Message source is required']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: String,
+    default: 'System'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Rejection reason is required']
+  },
+  // Error code of the failure (e.g. FLIGHT_NOT_FOUND), PARSE_ERROR for unreadable messages
+  code: {
+    type: String,
+    required: [true, 'Rejection code is required']
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+})
+
+RejectedMovementMessageSchema.index({ receivedAt: -1 })
+RejectedMovementMessageSchema.index({ flightNumber: 1, receivedAt: -1 })
+
+module.exports = mongoose.model('RejectedMovementMessage', RejectedMovementMessageSchema)
+
+module.exports.MOVEMENT_SOURCES = MOVEMENT_SOURCES
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose')
+const { fromLocalTime } = require('./Flight')
+
+const SEASON_PATTERN = /^[SW]\d{2}$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// YYYY-MM-DD of the last Sunday of a month (month is 1-based)
+const lastSunday = (year, month) => {
+  const lastDay = new Date(Date.UTC(year, month, 0))
+  lastDay.setUTCDate(lastDay.getUTCDate() - lastDay.getUTCDay())
+  return lastDay.toISOString().slice(0, 10)
+}
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+
+/**
+ * First and last day of an IATA season. Summer (S26) runs from the last
+ * Sunday of March to the Saturday before the last Sunday of October; winter
+ * (W26) from there to the Saturday before the last Sunday of March 2027.
+ */
+const seasonPeriod = (season) => {
+  if (!SEASON_PATTERN.test(season || '')) return null
+
+  const year = 2000 + Number(season.slice(1))
+
+  return season[0] === 'S'
+    ? { from: lastSunday(year, 3), to: addDays(lastSunday(year, 10), -1) }
+    : { from: lastSunday(year, 10), to: addDays(lastSunday(year + 1, 3), -1) }
+}
+
+/**
+ * IATA season code (S26, W26) containing a YYYY-MM-DD date
+ */
+const seasonFor = (date) => {
+  const year = Number(date.slice(2, 4))
+  const summer = seasonPeriod(`S${String(year).padStart(2, '0')}`)
+
+  if (date < summer.from) return `W${String((year + 99) % 100).padStart(2, '0')}`
+  if (date > summer.to) return `W${String(year).padStart(2, '0')}`
+  return `S${String(year).padStart(2, '0')}`
+}
+
+/**
+ * IATA day of week of a YYYY-MM-DD date: 1 = Monday ... 7 = Sunday
+ */
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay() || 7
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    const format = new Intl.DateTimeFormat('en-US', { timeZone })
+    return Boolean(format.resolvedOptions().timeZone)
+  } catch (error) {
+    return false
+  }
+}
+
+const airportSchema = (label) => ({
+  airport: {
+    type: String,
+    required: [true, `${label} airport code is required`],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, `${label} airport must be a valid 3-letter IATA code`]
+  },
+  city: {
+    type: String,
+    required: [true, `${label} city is required`],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, `${label} country is required`],
+    trim: true
+  },
+  terminal: {
+    type: String,
+    trim: true
+  },
+  timezone: {
+    type: String,
+    required: [true, `${label} time zone is required`],
+    trim: true,
+    validate: [isValidTimeZone, `${label} time zone must be an IANA zone (e.g. Asia/Jakarta)`]
+  }
+})
+
+/**
+ * A recurring flight for one IATA season: which days it operates and its
+ * departure and arrival in local airport time. ScheduleTemplateService turns
+ * it into dated Flight instances on a rolling horizon.
+ */
+const ScheduleTemplateSchema = new mongoose.Schema({
+  flightNumber: {
+    type: String,
+    required: [true, 'Flight number is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}[0-9]{1,4}[A-Z]?$/, 'Flight number must follow IATA format (e.g., AA123, UA1234A)']
+  },
+  operationalSuffix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+    match: [/^[A-Z]?$/, 'Operational suffix must be a single letter']
+  },
+  airline: {
+    code: {
+      type: String,
+      required: [true, 'Airline code is required'],
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{2,3}$/, 'Airline code must be a valid IATA code']
+    },
+    name: {
+      type: String,
+      required: [true, 'Airline name is required'],
+      trim: true
+    },
+    icao: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  route: {
+    origin: airportSchema('Origin'),
+    destination: airportSchema('Destination')
+  },
+  // IATA days of week, 1 = Monday ... 7 = Sunday
+  daysOfWeek: {
+    type: [Number],
+    validate: [
+      {
+        validator: (days) => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 1 && day <= 7),
+        message: 'Days of week must be 1 (Monday) to 7 (Sunday)'
+      },
+      {
+        validator: (days) => new Set(days).size === days.length,
+        message: 'Days of week must not repeat'
+      }
+    ]
+  },
+  season: {
+    type: String,
+    required: [true, 'Season is required'],
+    trim: true,
+    uppercase: true,
+    match: [SEASON_PATTERN, 'Season must be an IATA season code (e.g. S26, W26)']
+  },
+  // Optional narrower period inside the season (YYYY-MM-DD, inclusive)
+  validFrom: {
+    type: String,
+    match: [DATE_PATTERN, 'validFrom must be formatted as YYYY-MM-DD']
+  },
+  validTo: {
+    type: String,
+    match: [DATE_PATTERN, 'validTo must be formatted as YYYY-MM-DD']
+  },
+  // Local time at the origin
+  departureTime: {
+    type: String,
+    required: [true, 'Departure time is required'],
+    match: [TIME_PATTERN, 'Departure time must be formatted as HH:mm']
+  },
+  // Local time at the destination, arrivalDayOffset days after departure
+  arrivalTime: {
+    type: String,
+    required: [true, 'Arrival time is required'],
+    match: [TIME_PATTERN, 'Arrival time must be formatted as HH:mm']
+  },
+  arrivalDayOffset: {
+    type: Number,
+    default: 0,
+    min: [0, 'Arrival day offset cannot be negative'],
+    max: [2, 'Arrival day offset cannot exceed 2']
+  },
+  aircraftType: {
+    type: String,
+    required: [true, 'Aircraft type is required'],
+    trim: true
+  },
+  // Marketing flights sold on this flight, copied to generated instances
+  codeshares: [{
+    _id: false,
+    airline: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    flightNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: 'System'
+  },
+  updatedBy: {
+    type: String,
+    default: 'System'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// ===========================================
+// VIRTUALS & METHODS
+// ===========================================
+
+/**
+ * Days the template may operate: the season, narrowed by validFrom/validTo
+ */
+ScheduleTemplateSchema.virtual('period').get(function () {
+  const season = seasonPeriod(this.season)
+  if (!season) return null
+
+  return {
+    from: this.validFrom && this.validFrom > season.from ? this.validFrom : season.from,
+    to: this.validTo && this.validTo < season.to ? this.validTo : season.to
+  }
+})
+
+ScheduleTemplateSchema.methods.operatesOn = function (flightDate) {
+  const period = this.period
+
+  return Boolean(period) &&
+    flightDate >= period.from &&
+    flightDate <= period.to &&
+    this.daysOfWeek.includes(dayOfWeek(flightDate))
+}
+
+/**
+ * Flight data (as accepted by FlightService.createFlight) for the instance
+ * operating on `flightDate`
+ */
+ScheduleTemplateSchema.methods.buildInstance = function (flightDate) {
+  const { origin, destination } = this.route
+
+  return {
+    flightNumber: this.flightNumber,
+    flightDate,
+    operationalSuffix: this.operationalSuffix,
+    scheduleTemplate: this._id,
+    airline: {
+      code: this.airline.code,
+      name: this.airline.name,
+      icao: this.airline.icao
+    },
+    aircraft: { type: this.aircraftType },
+    codeshare: {
+      isPrimary: true,
+      partners: this.codeshares.map(({ airline, flightNumber }) => ({ airline, flightNumber }))
+    },
+    route: {
+      origin: { airport: origin.airport, city: origin.city, country: origin.country, terminal: origin.terminal },
+      destination: { airport: destination.airport, city: destination.city, country: destination.country, terminal: destination.terminal },
+      timezone: { origin: origin.timezone, destination: destination.timezone }
+    },
+    schedule: {
+      departure: { scheduled: fromLocalTime(flightDate, this.departureTime, origin.timezone) },
+      arrival: {
+        scheduled: fromLocalTime(addDays(flightDate, this.arrivalDayOffset), this.arrivalTime, destination.timezone)
+      }
+    }
+  }
+}
+
+/**
+ * Whether this template shares at least one operating day with `other`
+ */
+ScheduleTemplateSchema.methods.overlaps = function (other) {
+  const mine = this.period
+  const theirs = other.period
+
+  return Boolean(mine && theirs) &&
+    mine.from <= theirs.to &&
+    theirs.from <= mine.to &&
+    this.daysOfWeek.some(day => other.daysOfWeek.includes(day))
+}
+
+// ===========================================
+// MIDDLEWARE
+// ===========================================
+
+ScheduleTemplateSchema.pre('validate', function (next) {
+  const season = seasonPeriod(this.season)
+
+  if (season) {
+    if (this.validFrom && this.validFrom > season.to) {
+      this.invalidate('validFrom', `validFrom is after the end of season ${this.season}`, this.validFrom)
+    }
+    if (this.validTo && this.validTo < season.from) {
+      this.invalidate('validTo', `validTo is before the start of season ${this.season}`, this.validTo)
+    }
+  }
+
+  if (this.validFrom && this.validTo && this.validFrom > this.validTo) {
+    this.invalidate('validTo', 'validTo must not be before validFrom', this.validTo)
+  }
+
+  if (this.route?.origin?.airport && this.route.origin.airport === this.route.destination?.airport) {
+    this.invalidate('route.destination.airport', 'Origin and destination airports cannot be the same')
+  }
+
+  next()
+})
+
+ScheduleTemplateSchema.index({ flightNumber: 1, operationalSuffix: 1, season: 1 })
+ScheduleTemplateSchema.index({ isActive: 1, season: 1 })
+
+module.exports = mongoose.model('ScheduleTemplate', ScheduleTemplateSchema)
+
+module.exports.seasonPeriod = seasonPeriod
+module.exports.seasonFor = seasonFor
+module.exports.dayOfWeek = dayOfWeek
+module.exports.addDays = addDays
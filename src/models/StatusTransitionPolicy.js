@@ -0,0 +1,80 @@
+const mongoose = require('mongoose')
+const { FLIGHT_STATUSES } = require('./Flight')
+
+const STATUSES = Object.values(FLIGHT_STATUSES)
+
+// Allowed next statuses for every airline without its own policy
+const DEFAULT_STATUS_TRANSITIONS = Object.freeze({
+  [FLIGHT_STATUSES.SCHEDULED]: [FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING, FLIGHT_STATUSES.CANCELLED],
+  [FLIGHT_STATUSES.DELAYED]: [FLIGHT_STATUSES.BOARDING, FLIGHT_STATUSES.CANCELLED],
+  [FLIGHT_STATUSES.BOARDING]: [FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.CANCELLED],
+  [FLIGHT_STATUSES.DEPARTED]: [FLIGHT_STATUSES.IN_AIR, FLIGHT_STATUSES.DIVERTED],
+  [FLIGHT_STATUSES.IN_AIR]: [FLIGHT_STATUSES.ARRIVED, FLIGHT_STATUSES.DIVERTED],
+  [FLIGHT_STATUSES.ARRIVED]: [],
+  [FLIGHT_STATUSES.CANCELLED]: [],
+  [FLIGHT_STATUSES.DIVERTED]: [FLIGHT_STATUSES.ARRIVED]
+})
+
+/**
+ * Status transitions of one airline. Only the statuses listed in
+ * `transitions` differ from DEFAULT_STATUS_TRANSITIONS, e.g. allowing
+ * Boarding -> Delayed for an interrupted boarding or Departed -> Scheduled
+ * for a return to gate.
+ */
+const StatusTransitionPolicySchema = new mongoose.Schema({
+  airline: {
+    type: String,
+    required: [true, 'Airline code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{2,3}$/, 'Airline must be a valid IATA code']
+  },
+  // Current status -> allowed next statuses
+  transitions: {
+    type: Map,
+    of: [String],
+    default: () => new Map(),
+    validate: {
+      validator: (transitions) => [...transitions].every(([status, next]) =>
+        STATUSES.includes(status) && next.every(target => STATUSES.includes(target) && target !== status)
+      ),
+      message: 'Transitions must map each flight status to a list of other flight statuses'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: String,
+    default: 'System'
+  },
+  updatedBy: {
+    type: String,
+    default: 'System'
+  }
+}, {
+  timestamps: true
+})
+
+/**
+ * The full transition table of this airline: the defaults with the
+ * statuses this policy lists replaced
+ */
+StatusTransitionPolicySchema.methods.effectiveTransitions = function () {
+  const transitions = Object.fromEntries(
+    Object.entries(DEFAULT_STATUS_TRANSITIONS).map(([status, next]) => [status, [...next]])
+  )
+
+  for (const [status, next] of this.transitions) {
+    transitions[status] = [...next]
+  }
+
+  return transitions
+}
+
+module.exports = mongoose.model('StatusTransitionPolicy', StatusTransitionPolicySchema)
+
+module.exports.DEFAULT_STATUS_TRANSITIONS = DEFAULT_STATUS_TRANSITIONS
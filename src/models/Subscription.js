@@ -1,6 +1,7 @@
 const mongoose = require('mongoose')
 const crypto = require('crypto')
 const bcrypt = require('bcryptjs')
+const { toFlightDate, flightNumbersFor } = require('./Flight')
 
 const SUBSCRIPTION_STATUS = {
   PENDING: 'pending',
@@ -44,6 +45,9 @@ const validateFlightNumber = function (flightNumber) {
 }
 
 const validateFutureDate = function (date) {
+  // Only enforce on create or reschedule so past-flight subscriptions can still be unsubscribed
+  if (!this.isNew && !this.isModified('flightDate')) return true
+
   const today = new Date()
   today.setHours(0, 0, 0, 0)
   
@@ -117,7 +121,8 @@ const NotificationPreferencesSchema = new mongoose.Schema({
       enum: Object.values(NOTIFICATION_METHODS),
       default: [NOTIFICATION_METHODS.EMAIL]
     },
-    advanceMinutes: { type: Number, default: 60 }
+    // Unset falls back to the passenger's notificationTiming, then NOTIFICATION_ADVANCE_TIME
+    advanceMinutes: { type: Number, min: 0, max: 1440 }
   },
   [NOTIFICATION_TYPES.ARRIVAL_ALERTS]: {
     enabled: { type: Boolean, default: false },
@@ -147,7 +152,7 @@ const NotificationStatsSchema = new mongoose.Schema({
   notificationHistory: [{
     type: {
       type: String,
-      enum: Object.values(NOTIFICATION_TYPES),
+      enum: [...Object.values(NOTIFICATION_TYPES), 'verification'],
       required: true
     },
     method: {
@@ -298,7 +303,8 @@ const SubscriptionSchema = new mongoose.Schema({
     verificationToken: String,
     verificationTokenExpires: Date,
     verifiedAt: Date,
-    verificationAttempts: { type: Number, default: 0, max: 5 }
+    verificationAttempts: { type: Number, default: 0, max: 5 },
+    lastSentAt: Date
   },
   unsubscribe: {
     token: String,
@@ -456,6 +462,18 @@ SubscriptionSchema.methods.verify = async function (token) {
   return this.save()
 }
 
+SubscriptionSchema.methods.regenerateVerificationToken = function () {
+  if (this.verification.isVerified) {
+    throw new Error('Subscription is already verified')
+  }
+
+  this.verification.verificationToken = crypto.randomBytes(32).toString('hex')
+  this.verification.verificationTokenExpires = new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+  this.verification.verificationAttempts = 0
+
+  return this.verification.verificationToken
+}
+
 SubscriptionSchema.methods.unsubscribeUser = async function (token = null, reason = 'user_request', feedback = '') {
   if (this.unsubscribe.isUnsubscribed) {
     throw new Error('Already unsubscribed')
@@ -568,6 +586,37 @@ SubscriptionSchema.statics.findActiveByFlight = function (flightNumber, flightDa
     .sort({ createdAt: 1 })
 }
 
+/**
+ * Verified, active subscriptions for one flight instance: those linked to
+ * it, plus unlinked ones for its operating or codeshare flight numbers on
+ * its flightDate (UTC calendar day)
+ */
+SubscriptionSchema.statics.findActiveByFlightInstance = function (flight) {
+  const flightDate = flight.flightDate ||
+    toFlightDate(flight.schedule.departure.scheduled, flight.route?.timezone?.origin)
+  const startOfDay = new Date(`${flightDate}T00:00:00.000Z`)
+  const endOfDay = new Date(`${flightDate}T23:59:59.999Z`)
+
+  return this.find({
+    $or: [
+      { flight: flight._id },
+      // Passengers of a diverted flight follow its continuation leg
+      ...(flight.continuationOf ? [{ flight: flight.continuationOf }] : []),
+      {
+        flight: null,
+        flightNumber: { $in: flightNumbersFor(flight).map(number => number.toUpperCase()) },
+        flightDate: { $gte: startOfDay, $lte: endOfDay }
+      }
+    ],
+    isActive: true,
+    'verification.isVerified': true,
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    'unsubscribe.isUnsubscribed': false
+  })
+    .populate('flight', 'status schedule route airline')
+    .sort({ createdAt: 1 })
+}
+
 SubscriptionSchema.statics.findByEmail = function (email) {
   return this.find({
     email: email.toLowerCase(),
@@ -601,9 +650,14 @@ SubscriptionSchema.statics.findUnverified = function (hoursOld = 24) {
   }).sort({ createdAt: 1 })
 }
 
-SubscriptionSchema.statics.findForNotification = function (flightNumber, flightDate, notificationType) {
+/**
+ * Verified subscriptions wanting `notificationType` for a flight number, or
+ * for every number of a flight (see flightNumbersFor) to reach codeshare
+ * passengers as well
+ */
+SubscriptionSchema.statics.findForNotification = function (flightNumbers, flightDate, notificationType) {
   return this.find({
-    flightNumber: flightNumber.toUpperCase(),
+    flightNumber: { $in: [].concat(flightNumbers).map(number => number.toUpperCase()) },
     flightDate: {
       $gte: new Date(flightDate).setHours(0, 0, 0, 0),
       $lte: new Date(flightDate).setHours(23, 59, 59, 999)
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose')
+
+const WEATHER_SOURCES = ['http', 'provider']
+
+/**
+ * One decoded METAR/SPECI (observation) or TAF base forecast. Wind speeds
+ * are in knots, visibility in metres (10000 for 10 km or more), temperature
+ * in degrees Celsius and pressure in hPa.
+ */
+const DecodedReportSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['METAR', 'SPECI', 'TAF'],
+    required: true
+  },
+  // Observation time of a METAR/SPECI, issue time of a TAF
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  validFrom: Date,
+  validTo: Date,
+  condition: String,
+  visibility: Number,
+  windDirection: Number,
+  windSpeed: Number,
+  windGust: Number,
+  windVariable: Boolean,
+  temperature: Number,
+  dewpoint: Number,
+  pressure: Number,
+  weather: [String],
+  clouds: [{
+    _id: false,
+    cover: String,
+    base: Number,
+    type: { type: String }
+  }],
+  raw: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: WEATHER_SOURCES
+  },
+  receivedBy: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false })
+
+/**
+ * Latest observation and forecast of one station, the airport weather
+ * served by the API. A report only replaces an older one of its kind.
+ */
+const WeatherReportSchema = new mongoose.Schema({
+  station: {
+    type: String,
+    required: [true, 'ICAO station code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9]{3}$/, 'Station must be a 4-letter ICAO code']
+  },
+  // IATA code of the airport, when the station is configured
+  airport: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Airport must be a 3-letter IATA code']
+  },
+  observation: DecodedReportSchema,
+  forecast: DecodedReportSchema
+}, {
+  timestamps: true
+})
+
+WeatherReportSchema.index({ airport: 1 })
+
+/**
+ * Store `report` as the station's latest `kind` ('observation' or
+ * 'forecast'). Resolves to the updated document, or null when the station
+ * already has a report of that kind issued at the same time or later.
+ */
+WeatherReportSchema.statics.recordLatest = async function (station, airport, kind, report) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        station,
+        $or: [{ [kind]: null }, { [`${kind}.issuedAt`]: { $lt: report.issuedAt } }]
+      },
+      {
+        $set: { [kind]: report, ...(airport && { airport }) }
+      },
+      { upsert: true, new: true, runValidators: true }
+    )
+  } catch (error) {
+    // A newer report is stored: the filter missed and the upsert hit the unique index
+    if (error.code === 11000) {
+      return null
+    }
+    throw error
+  }
+}
+
+module.exports = mongoose.model('WeatherReport', WeatherReportSchema)
+
+module.exports.WEATHER_SOURCES = WEATHER_SOURCES
@@ -0,0 +1,31 @@
+const fs = require('fs/promises')
+const WeatherProvider = require('./WeatherProvider')
+const { FlightExternalAPIError } = require('../errors/FlightErrors')
+
+/**
+ * Local METAR/TAF feed: a text file kept current by another process (e.g.
+ * a NOAA cycle file or a SITA/AFTN weather bulletin drop), re-read on every
+ * fetch. Reports already stored are skipped by WeatherService, so the same
+ * file may be read many times.
+ */
+class FileWeatherProvider extends WeatherProvider {
+  constructor(options = {}, logger = null) {
+    super('file', logger)
+    this.options = {
+      file: null,
+      ...options
+    }
+  }
+
+  async fetchReports(_stations) {
+    try {
+      return await fs.readFile(this.options.file, 'utf8')
+    } catch (error) {
+      throw new FlightExternalAPIError(`Cannot read weather feed: ${error.message}`, this.name, null, {
+        file: this.options.file
+      })
+    }
+  }
+}
+
+module.exports = FileWeatherProvider
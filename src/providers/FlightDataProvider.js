@@ -0,0 +1,99 @@
+const { FLIGHT_STATUSES, DELAY_REASONS } = require('../models/Flight')
+
+const FLIGHT_NUMBER_PATTERN = /^[A-Z0-9]{2}[0-9]{1,4}[A-Z]?$/
+const FLIGHT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * @typedef {object} ProviderFlight
+ * @property {string} flightNumber - IATA flight number, e.g. GA402
+ * @property {string|null} flightDate - local departure date (YYYY-MM-DD) when the provider knows it
+ * @property {string} operationalSuffix
+ * @property {string|null} status - one of FLIGHT_STATUSES
+ * @property {{scheduled: Date|null, estimated: Date|null, actual: Date|null, terminal: string|null, gate: string|null}} departure
+ * @property {{scheduled: Date|null, estimated: Date|null, actual: Date|null, terminal: string|null, gate: string|null}} arrival
+ * @property {{minutes: number|null, reason: string|null, description: string|null}} delay
+ * @property {{airport: string, city: string|null, country: string|null}|null} diversion - where a diverted flight is going instead
+ */
+
+/**
+ * Source of live flight data. Implementations fetch flights departing in a
+ * window and return them as ProviderFlight records through normalizeFlight();
+ * FlightDataPollerService reconciles them into stored instances.
+ */
+class FlightDataProvider {
+  constructor(name, logger = null) {
+    this.name = name
+    this.logger = logger || console
+  }
+
+  /**
+   * @param {{from: Date, to: Date, airlines?: string[]}} _window - flights departing from..to, optionally only these airlines
+   * @returns {Promise<ProviderFlight[]>}
+   */
+  async fetchFlights(_window) {
+    throw new Error(`${this.constructor.name} does not implement fetchFlights`)
+  }
+
+  /**
+   * Provider JSON to a ProviderFlight, or null (logged) when the record is
+   * unusable. `parseTime` turns the provider's time values into Dates.
+   */
+  normalizeFlight(raw, parseTime = (value) => new Date(value)) {
+    const flightNumber = String(raw?.flightNumber || '').trim().toUpperCase()
+    const time = (value) => {
+      if (value === undefined || value === null || value === '') return null
+      const date = parseTime(value)
+      return date instanceof Date && !Number.isNaN(date.getTime()) ? date : undefined
+    }
+    const point = (side = {}) => ({
+      scheduled: time(side.scheduled),
+      estimated: time(side.estimated),
+      actual: time(side.actual),
+      terminal: side.terminal ? String(side.terminal) : null,
+      gate: side.gate ? String(side.gate) : null
+    })
+
+    const flight = {
+      flightNumber,
+      flightDate: raw?.flightDate || null,
+      operationalSuffix: String(raw?.operationalSuffix || '').toUpperCase(),
+      status: raw?.status || null,
+      departure: point(raw?.departure),
+      arrival: point(raw?.arrival),
+      delay: {
+        minutes: Number.isFinite(raw?.delay?.minutes) ? raw.delay.minutes : null,
+        reason: raw?.delay?.reason || null,
+        description: raw?.delay?.description || null
+      },
+      diversion: raw?.diversion?.airport
+        ? {
+            airport: String(raw.diversion.airport).trim().toUpperCase(),
+            city: raw.diversion.city || null,
+            country: raw.diversion.country || null
+          }
+        : null
+    }
+
+    const problems = []
+    if (!FLIGHT_NUMBER_PATTERN.test(flightNumber)) problems.push('flightNumber')
+    if (flight.flightDate && !FLIGHT_DATE_PATTERN.test(flight.flightDate)) problems.push('flightDate')
+    if (!flight.flightDate && !flight.departure.scheduled) problems.push('flightDate or departure.scheduled')
+    if (flight.status && !Object.values(FLIGHT_STATUSES).includes(flight.status)) problems.push('status')
+    if (flight.delay.reason && !Object.values(DELAY_REASONS).includes(flight.delay.reason)) problems.push('delay.reason')
+    if (flight.diversion && !/^[A-Z]{3}$/.test(flight.diversion.airport)) problems.push('diversion.airport')
+    for (const side of ['departure', 'arrival']) {
+      for (const field of ['scheduled', 'estimated', 'actual']) {
+        if (flight[side][field] === undefined) problems.push(`${side}.${field}`)
+      }
+    }
+
+    if (problems.length > 0) {
+      this.logger.warn('Skipping unusable provider flight', { provider: this.name, flightNumber, invalid: problems })
+      return null
+    }
+
+    return flight
+  }
+}
+
+module.exports = FlightDataProvider
@@ -0,0 +1,109 @@
+const http = require('http')
+const https = require('https')
+const FlightDataProvider = require('./FlightDataProvider')
+const { FlightExternalAPIError } = require('../errors/FlightErrors')
+
+/**
+ * Generic JSON-over-HTTP provider: GET {url}/flights?from&to&airline returning
+ * an array of flights (or { flights: [...] }) in the ProviderFlight layout,
+ * times as ISO 8601. Network errors, timeouts, 429 and 5xx responses are
+ * retried `retryAttempts` times with exponential backoff.
+ */
+class HttpFlightDataProvider extends FlightDataProvider {
+  constructor(options = {}, logger = null) {
+    super('http', logger)
+    this.options = {
+      url: null,
+      key: null,
+      keyHeader: 'x-api-key',
+      timeout: 10000,
+      retryAttempts: 3,
+      retryDelayMs: 500,
+      ...options
+    }
+  }
+
+  async fetchFlights({ from, to, airlines = [] } = {}) {
+    const params = { from: from.toISOString(), to: to.toISOString() }
+    if (airlines.length > 0) params.airline = airlines.join(',')
+
+    const body = await this.request('flights', params)
+    const flights = Array.isArray(body) ? body : body?.flights
+
+    if (!Array.isArray(flights)) {
+      throw new FlightExternalAPIError('Flight data provider returned no flight list', this.name, 200)
+    }
+
+    return flights.map(flight => this.normalizeFlight(flight)).filter(Boolean)
+  }
+
+  async request(resource, params = {}) {
+    const url = new URL(resource, this.options.url.endsWith('/') ? this.options.url : `${this.options.url}/`)
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value))
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(url)
+      } catch (error) {
+        if (!error.retryable || attempt >= this.options.retryAttempts) {
+          throw new FlightExternalAPIError(
+            `Flight data provider request failed: ${error.message}`,
+            this.name,
+            error.status || null,
+            { url: `${url.origin}${url.pathname}`, attempts: attempt + 1 }
+          )
+        }
+
+        const delayMs = this.options.retryDelayMs * 2 ** attempt
+        this.logger.warn('Retrying flight data provider request', {
+          provider: this.name,
+          attempt: attempt + 1,
+          delayMs,
+          error: error.message
+        })
+        await new Promise(resolve => setTimeout(resolve, delayMs))
+      }
+    }
+  }
+
+  // One GET; rejects with { status, retryable } set on the error
+  send(url) {
+    const client = url.protocol === 'https:' ? https : http
+    const headers = { Accept: 'application/json' }
+    if (this.options.key) headers[this.options.keyHeader] = this.options.key
+
+    return new Promise((resolve, reject) => {
+      const fail = (message, status = null, retryable = true) => {
+        const error = new Error(message)
+        error.status = status
+        error.retryable = retryable
+        reject(error)
+      }
+
+      const request = client.get(url, { headers, timeout: this.options.timeout }, (response) => {
+        const chunks = []
+        response.on('data', chunk => chunks.push(chunk))
+        response.on('error', error => fail(error.message))
+        response.on('end', () => {
+          const { statusCode } = response
+
+          if (statusCode < 200 || statusCode >= 300) {
+            fail(`HTTP ${statusCode}`, statusCode, statusCode === 429 || statusCode >= 500)
+            return
+          }
+
+          try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+          } catch (error) {
+            fail('Response is not valid JSON', statusCode, false)
+          }
+        })
+      })
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.options.timeout} ms`)))
+      request.on('error', error => fail(error.message))
+    })
+  }
+}
+
+module.exports = HttpFlightDataProvider
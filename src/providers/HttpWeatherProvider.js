@@ -0,0 +1,105 @@
+const http = require('http')
+const https = require('https')
+const WeatherProvider = require('./WeatherProvider')
+const { FlightExternalAPIError } = require('../errors/FlightErrors')
+
+/**
+ * Raw-text weather API in the aviationweather.gov layout:
+ * GET {url}/metar?ids=WIII,WADD&format=raw and GET {url}/taf?ids=...&format=raw,
+ * one report per line. Network errors, timeouts, 429 and 5xx responses are
+ * retried `retryAttempts` times with exponential backoff.
+ */
+class HttpWeatherProvider extends WeatherProvider {
+  constructor(options = {}, logger = null) {
+    super('http', logger)
+    this.options = {
+      url: null,
+      key: null,
+      keyHeader: 'x-api-key',
+      timeout: 10000,
+      retryAttempts: 3,
+      retryDelayMs: 500,
+      resources: ['metar', 'taf'],
+      ...options
+    }
+  }
+
+  async fetchReports(stations = []) {
+    if (stations.length === 0) return ''
+
+    const params = { ids: stations.join(','), format: 'raw' }
+    const texts = []
+
+    for (const resource of this.options.resources) {
+      texts.push(await this.request(resource, params))
+    }
+
+    return texts.join('\n')
+  }
+
+  async request(resource, params = {}) {
+    const url = new URL(resource, this.options.url.endsWith('/') ? this.options.url : `${this.options.url}/`)
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value))
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(url)
+      } catch (error) {
+        if (!error.retryable || attempt >= this.options.retryAttempts) {
+          throw new FlightExternalAPIError(
+            `Weather provider request failed: ${error.message}`,
+            this.name,
+            error.status || null,
+            { url: `${url.origin}${url.pathname}`, attempts: attempt + 1 }
+          )
+        }
+
+        const delayMs = this.options.retryDelayMs * 2 ** attempt
+        this.logger.warn('Retrying weather provider request', {
+          provider: this.name,
+          attempt: attempt + 1,
+          delayMs,
+          error: error.message
+        })
+        await new Promise(resolve => setTimeout(resolve, delayMs))
+      }
+    }
+  }
+
+  // One GET resolving to the body text; rejects with { status, retryable } set on the error
+  send(url) {
+    const client = url.protocol === 'https:' ? https : http
+    const headers = { Accept: 'text/plain' }
+    if (this.options.key) headers[this.options.keyHeader] = this.options.key
+
+    return new Promise((resolve, reject) => {
+      const fail = (message, status = null, retryable = true) => {
+        const error = new Error(message)
+        error.status = status
+        error.retryable = retryable
+        reject(error)
+      }
+
+      const request = client.get(url, { headers, timeout: this.options.timeout }, (response) => {
+        const chunks = []
+        response.on('data', chunk => chunks.push(chunk))
+        response.on('error', error => fail(error.message))
+        response.on('end', () => {
+          const { statusCode } = response
+
+          if (statusCode < 200 || statusCode >= 300) {
+            fail(`HTTP ${statusCode}`, statusCode, statusCode === 429 || statusCode >= 500)
+            return
+          }
+
+          resolve(Buffer.concat(chunks).toString('utf8'))
+        })
+      })
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.options.timeout} ms`)))
+      request.on('error', error => fail(error.message))
+    })
+  }
+}
+
+module.exports = HttpWeatherProvider
@@ -0,0 +1,52 @@
+const fs = require('fs/promises')
+const FlightDataProvider = require('./FlightDataProvider')
+const { FlightExternalAPIError } = require('../errors/FlightErrors')
+
+const RELATIVE_TIME_PATTERN = /^([+-])(?:(\d+)h)?(?:(\d+)m)?$/
+
+/**
+ * Local stand-in for the flight data API: serves the flights in a JSON file
+ * (same layout as the HTTP provider), re-read on every fetch so it can be
+ * edited while the server runs. Times may be ISO 8601 or relative to when
+ * the provider was created, e.g. "+90m" or "-1h30m".
+ */
+class MockFlightDataProvider extends FlightDataProvider {
+  constructor(options = {}, logger = null) {
+    super('mock', logger)
+    this.options = {
+      file: 'examples/mock-flights.json',
+      baseTime: new Date(),
+      ...options
+    }
+  }
+
+  async fetchFlights({ from, to, airlines = [] } = {}) {
+    let records
+    try {
+      records = JSON.parse(await fs.readFile(this.options.file, 'utf8'))
+    } catch (error) {
+      throw new FlightExternalAPIError(`Cannot read mock flight data: ${error.message}`, this.name, null, {
+        file: this.options.file
+      })
+    }
+
+    const list = Array.isArray(records) ? records : records.flights || []
+
+    return list
+      .map(record => this.normalizeFlight(record, value => this.parseTime(value)))
+      .filter(Boolean)
+      .filter(flight => airlines.length === 0 || airlines.includes(flight.flightNumber.slice(0, 2)))
+      .filter(flight => !flight.departure.scheduled ||
+        (flight.departure.scheduled >= from && flight.departure.scheduled <= to))
+  }
+
+  parseTime(value) {
+    const match = RELATIVE_TIME_PATTERN.exec(String(value))
+    if (!match || (!match[2] && !match[3])) return new Date(value)
+
+    const minutes = Number(match[2] || 0) * 60 + Number(match[3] || 0)
+    return new Date(this.options.baseTime.getTime() + (match[1] === '-' ? -1 : 1) * minutes * 60 * 1000)
+  }
+}
+
+module.exports = MockFlightDataProvider
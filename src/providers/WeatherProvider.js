@@ -0,0 +1,21 @@
+/**
+ * Source of raw METAR/SPECI and TAF text. Implementations return the reports
+ * for a list of ICAO stations as one text feed; WeatherService parses it
+ * and keeps the newest report of each kind per station.
+ */
+class WeatherProvider {
+  constructor(name, logger = null) {
+    this.name = name
+    this.logger = logger || console
+  }
+
+  /**
+   * @param {string[]} _stations - ICAO station codes, e.g. ['WIII', 'WADD']
+   * @returns {Promise<string>} reports separated by '=' or line breaks
+   */
+  async fetchReports(_stations) {
+    throw new Error(`${this.constructor.name} does not implement fetchReports`)
+  }
+}
+
+module.exports = WeatherProvider
@@ -0,0 +1,67 @@
+const FlightDataProvider = require('./FlightDataProvider')
+const HttpFlightDataProvider = require('./HttpFlightDataProvider')
+const MockFlightDataProvider = require('./MockFlightDataProvider')
+const WeatherProvider = require('./WeatherProvider')
+const HttpWeatherProvider = require('./HttpWeatherProvider')
+const FileWeatherProvider = require('./FileWeatherProvider')
+
+/**
+ * Provider selected by configuration: the file-backed mock when
+ * USE_MOCK_FLIGHT_API is on, the HTTP provider when FLIGHT_API_URL is set,
+ * otherwise none (polling stays off)
+ */
+const createFlightDataProvider = (config, logger = null) => {
+  const { flight } = config.apis
+
+  if (config.development.useMocks.flightAPI) {
+    return new MockFlightDataProvider({ file: flight.mockFile }, logger)
+  }
+
+  if (flight.url) {
+    return new HttpFlightDataProvider({
+      url: flight.url,
+      key: flight.key,
+      keyHeader: flight.keyHeader,
+      timeout: flight.timeout,
+      retryAttempts: flight.retryAttempts
+    }, logger)
+  }
+
+  return null
+}
+
+/**
+ * Weather source selected by configuration: the local file feed when
+ * WEATHER_FEED_FILE is set, the HTTP provider when WEATHER_API_URL is set,
+ * otherwise none (weather only arrives through POST /api/weather)
+ */
+const createWeatherProvider = (config, logger = null) => {
+  const { weather } = config.apis
+
+  if (weather.feedFile) {
+    return new FileWeatherProvider({ file: weather.feedFile }, logger)
+  }
+
+  if (weather.url) {
+    return new HttpWeatherProvider({
+      url: weather.url,
+      key: weather.key,
+      keyHeader: weather.keyHeader,
+      timeout: weather.timeout,
+      retryAttempts: weather.retryAttempts
+    }, logger)
+  }
+
+  return null
+}
+
+module.exports = {
+  FlightDataProvider,
+  HttpFlightDataProvider,
+  MockFlightDataProvider,
+  WeatherProvider,
+  HttpWeatherProvider,
+  FileWeatherProvider,
+  createFlightDataProvider,
+  createWeatherProvider
+}
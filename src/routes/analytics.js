@@ -0,0 +1,37 @@
+const express = require('express')
+const { param, query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requirePermission } = require('../middleware/auth')
+const { INTERVALS } = require('../services/PerformanceService')
+const { getOnTimePerformance, DIMENSIONS } = require('../controllers/analyticsController')
+
+const router = express.Router()
+
+router.use(protect, requirePermission('read'))
+
+const airportValidator = (field) => query(field)
+  .optional()
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage(`${field} must be a valid 3-letter IATA airport code`)
+
+router.get(
+  '/on-time/:dimension',
+  [
+    param('dimension').isIn(Object.keys(DIMENSIONS)).withMessage(`Report must be one of: ${Object.keys(DIMENSIONS).join(', ')}`),
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('to must be formatted as YYYY-MM-DD'),
+    query('interval').optional().isIn(INTERVALS).withMessage(`interval must be one of: ${INTERVALS.join(', ')}`),
+    query('airline').optional().trim().toUpperCase().matches(/^[A-Z0-9]{2,3}$/).withMessage('Airline must be a valid IATA code'),
+    airportValidator('origin'),
+    airportValidator('destination'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+  ],
+  validateRequest,
+  asyncHandler(getOnTimePerformance)
+)
+
+module.exports = router
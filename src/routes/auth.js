@@ -0,0 +1,46 @@
+const express = require('express')
+const { body } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { login, refresh, logout } = require('../controllers/authController')
+
+const router = express.Router()
+
+router.post(
+  '/login',
+  [
+    body('email').optional().isEmail().withMessage('Email must be a valid email address').normalizeEmail({ gmail_remove_dots: false }),
+    body('username').optional().isString().trim().isLength({ min: 3, max: 30 }),
+    body('password').isString().withMessage('Password is required').isLength({ min: 1, max: 128 }),
+    body().custom((value) => {
+      if (!value.email && !value.username) {
+        throw new Error('Email or username is required')
+      }
+      return true
+    })
+  ],
+  validateRequest,
+  asyncHandler(login)
+)
+
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').isString().withMessage('Refresh token is required').isLength({ min: 1, max: 2048 })
+  ],
+  validateRequest,
+  asyncHandler(refresh)
+)
+
+router.post(
+  '/logout',
+  [
+    body('refreshToken').optional().isString().isLength({ max: 2048 }),
+    body('allSessions').optional().isBoolean().toBoolean()
+  ],
+  validateRequest,
+  asyncHandler(logout)
+)
+
+module.exports = router
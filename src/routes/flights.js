@@ -0,0 +1,223 @@
+const express = require('express')
+const { body, query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requirePermission, requirePermissionIf } = require('../middleware/auth')
+const { FLIGHT_STATUSES, DELAY_REASONS } = require('../models/Flight')
+const { parseDelayCode } = require('../utils/delayCodes')
+const {
+  listFlights,
+  getUpcomingFlights,
+  searchFlights,
+  getFlight,
+  getFlightHistory,
+  createFlight,
+  updateFlightStatus,
+  divertFlight,
+  createDiversionContinuation
+} = require('../controllers/flightController')
+
+const router = express.Router()
+
+const SORTABLE_FIELDS = [
+  'flightNumber',
+  'airline.code',
+  'schedule.departure.scheduled',
+  'schedule.arrival.scheduled',
+  'status.current',
+  'delay.minutes',
+  'lastUpdated'
+]
+
+const statusListValidator = (field) => query(field)
+  .optional()
+  .custom((value) => {
+    const statuses = String(value).split(',').map(status => status.trim())
+    const invalid = statuses.filter(status => !Object.values(FLIGHT_STATUSES).includes(status))
+    if (invalid.length > 0) {
+      throw new Error(`Invalid flight status: ${invalid.join(', ')}`)
+    }
+    return true
+  })
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('sortBy').optional().isIn(SORTABLE_FIELDS).withMessage(`Sort field must be one of: ${SORTABLE_FIELDS.join(', ')}`),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+]
+
+// Select one operated instance of a flight number; defaults to the one departing closest to now
+const instanceValidators = [
+  query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('date must be formatted as YYYY-MM-DD'),
+  query('suffix').optional().trim().toUpperCase().matches(/^[A-Z]$/).withMessage('suffix must be a single letter')
+]
+
+const airportValidator = (field) => query(field)
+  .optional()
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage(`${field} must be a valid 3-letter IATA airport code`)
+
+router.get(
+  '/',
+  [
+    ...paginationValidators,
+    query('flightNumber').optional().trim().isLength({ max: 7 }).withMessage('Flight number filter is too long'),
+    query('airline').optional().trim().toUpperCase().matches(/^[A-Z0-9]{2,3}$/).withMessage('Airline must be a valid IATA code'),
+    airportValidator('origin'),
+    airportValidator('destination'),
+    statusListValidator('status'),
+    query('departureDate').optional().isISO8601().withMessage('departureDate must be an ISO 8601 date'),
+    query('flightDate').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('flightDate must be formatted as YYYY-MM-DD'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('minDelay').optional().isInt({ min: 0 }).withMessage('minDelay must be a non-negative integer').toInt(),
+    query('flightType').optional().isIn(['international', 'domestic']).withMessage('flightType must be international or domestic')
+  ],
+  validateRequest,
+  asyncHandler(listFlights)
+)
+
+router.get(
+  '/upcoming',
+  [
+    query('hours').optional().isInt({ min: 1, max: 168 }).withMessage('Hours must be between 1 and 168').toInt(),
+    query('airline').optional().trim().toUpperCase(),
+    query('status').optional().isIn(Object.values(FLIGHT_STATUSES)).withMessage('Invalid flight status'),
+    query('minDelay').optional().isInt({ min: 0 }).withMessage('minDelay must be a non-negative integer').toInt()
+  ],
+  validateRequest,
+  asyncHandler(getUpcomingFlights)
+)
+
+router.get(
+  '/search',
+  [
+    query('q').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Search text must be 1-50 characters'),
+    airportValidator('from'),
+    airportValidator('to'),
+    query('start').optional().isISO8601().withMessage('start must be an ISO 8601 date'),
+    query('end').optional().isISO8601().withMessage('end must be an ISO 8601 date'),
+    statusListValidator('status'),
+    query('minDelay').optional().isInt({ min: 0 }).toInt(),
+    query('maxDelay').optional().isInt({ min: 0 }).toInt(),
+    query('flightType').optional().isIn(['international', 'domestic']),
+    query('sortBy').optional().isIn(SORTABLE_FIELDS),
+    query('sortOrder').optional().isIn(['asc', 'desc']),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validateRequest,
+  asyncHandler(searchFlights)
+)
+
+router.get('/:flightNumber', instanceValidators, validateRequest, asyncHandler(getFlight))
+
+router.get(
+  '/:flightNumber/history',
+  [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+    query('includeStatusHistory').optional().isBoolean().toBoolean(),
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('to must be formatted as YYYY-MM-DD')
+  ],
+  validateRequest,
+  asyncHandler(getFlightHistory)
+)
+
+router.post(
+  '/',
+  protect,
+  requirePermission('manage_flights'),
+  [
+    body('flightNumber').isString().withMessage('Flight number is required'),
+    body('flightDate').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('flightDate must be formatted as YYYY-MM-DD'),
+    body('operationalSuffix').optional().isString().trim().toUpperCase().matches(/^[A-Z]?$/).withMessage('operationalSuffix must be a single letter'),
+    body('airline').isObject().withMessage('Airline information is required'),
+    body('aircraft').isObject().withMessage('Aircraft information is required'),
+    body('route').isObject().withMessage('Route information is required'),
+    body('schedule').isObject().withMessage('Schedule information is required'),
+    body('schedule.departure.scheduled').optional().isISO8601().withMessage('Departure time must be an ISO 8601 date'),
+    body('schedule.arrival.scheduled').optional().isISO8601().withMessage('Arrival time must be an ISO 8601 date')
+  ],
+  validateRequest,
+  asyncHandler(createFlight)
+)
+
+router.put(
+  '/:flightNumber/status',
+  protect,
+  requirePermission('write'),
+  requirePermissionIf(
+    req => [FLIGHT_STATUSES.CANCELLED, FLIGHT_STATUSES.DIVERTED].includes(req.body.status),
+    'manage_flights'
+  ),
+  [
+    ...instanceValidators,
+    body('status').optional().isIn(Object.values(FLIGHT_STATUSES)).withMessage('Invalid flight status'),
+    body('reason').optional().isString().isLength({ max: 500 }),
+    body('force')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('force must be a boolean')
+      .toBoolean()
+      .custom((force, { req }) => !force || (typeof req.body.reason === 'string' && req.body.reason.trim().length > 0))
+      .withMessage('A forced status transition requires a reason'),
+    body('metadata').optional().isObject(),
+    body('schedule').optional().isObject(),
+    body('gate').optional().isObject(),
+    body('delay').optional().isObject(),
+    body('delay.minutes').optional().isInt({ min: 0 }).withMessage('Delay minutes must be a non-negative integer').toInt(),
+    body('delay.reason').optional().isIn(Object.values(DELAY_REASONS)).withMessage('Invalid delay reason'),
+    body('delay.description').optional().isString().isLength({ max: 500 }).withMessage('Delay description cannot exceed 500 characters'),
+    body('delay.segments').optional().isArray({ max: 20 }).withMessage('Delay segments must be an array of at most 20 entries'),
+    body('delay.segments.*.code')
+      .custom(code => Boolean(parseDelayCode(code)))
+      .withMessage('Delay code must be an IATA delay code, e.g. 93, 93A or RA'),
+    body('delay.segments.*.subCode').optional({ nullable: true }).trim().toUpperCase().matches(/^[A-Z]$/).withMessage('Delay sub-code must be a single letter'),
+    body('delay.segments.*.minutes').optional().isInt({ min: 0 }).withMessage('Delay segment minutes must be a non-negative integer').toInt(),
+    body('delay.segments.*.description').optional().isString().isLength({ max: 500 }).withMessage('Delay segment description cannot exceed 500 characters'),
+    body('diversion').optional().isObject().withMessage('diversion must be an object')
+  ],
+  validateRequest,
+  // After validation, so only a normalized `force: true` counts
+  requirePermissionIf(req => req.body.force === true, 'override_status'),
+  asyncHandler(updateFlightStatus)
+)
+
+router.post(
+  '/:flightNumber/divert',
+  protect,
+  requirePermission('write'),
+  requirePermission('manage_flights'),
+  [
+    ...instanceValidators,
+    body('airport').isString().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('airport must be a valid 3-letter IATA airport code'),
+    body('city').optional().isString().trim().notEmpty().withMessage('city must be a non-empty string'),
+    body('country').optional().isString().trim().notEmpty().withMessage('country must be a non-empty string'),
+    body('timezone').optional().isString().trim(),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('reason cannot exceed 500 characters'),
+    body('estimatedArrival').optional().isISO8601().withMessage('estimatedArrival must be an ISO 8601 date')
+  ],
+  validateRequest,
+  asyncHandler(divertFlight)
+)
+
+router.post(
+  '/:flightNumber/continuation',
+  protect,
+  requirePermission('manage_flights'),
+  [
+    ...instanceValidators,
+    body('departure').isISO8601().withMessage('departure must be an ISO 8601 date'),
+    body('arrival').isISO8601().withMessage('arrival must be an ISO 8601 date'),
+    body('operationalSuffix').optional().isString().trim().toUpperCase().matches(/^[A-Z]$/).withMessage('operationalSuffix must be a single letter'),
+    body('aircraft').optional().isObject().withMessage('aircraft must be an object')
+  ],
+  validateRequest,
+  asyncHandler(createDiversionContinuation)
+)
+
+module.exports = router
@@ -0,0 +1,39 @@
+const express = require('express')
+const { body, query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requirePermission } = require('../middleware/auth')
+const { MOVEMENT_SOURCES } = require('../models/RejectedMovementMessage')
+const { ingestMessages, listRejectedMessages } = require('../controllers/movementController')
+
+const router = express.Router()
+
+router.use(protect)
+
+router.post(
+  '/',
+  requirePermission('write'),
+  express.text({ type: 'text/plain', limit: '1mb' }),
+  [
+    body()
+      .custom((value) => (typeof value === 'string' ? value : value?.message)?.trim())
+      .withMessage('Send the messages as text/plain or as { "message": "..." }')
+  ],
+  validateRequest,
+  asyncHandler(ingestMessages)
+)
+
+router.get(
+  '/rejected',
+  [
+    query('source').optional().isIn(MOVEMENT_SOURCES).withMessage(`source must be one of: ${MOVEMENT_SOURCES.join(', ')}`),
+    query('flightNumber').optional().trim().toUpperCase(),
+    query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt()
+  ],
+  validateRequest,
+  asyncHandler(listRejectedMessages)
+)
+
+module.exports = router
@@ -0,0 +1,33 @@
+const express = require('express')
+const { query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requireRole } = require('../middleware/auth')
+const { getPredictionAccuracy } = require('../controllers/predictionController')
+
+const router = express.Router()
+
+router.use(protect, requireRole('admin'))
+
+const airportValidator = (field) => query(field)
+  .optional()
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage(`${field} must be a valid 3-letter IATA airport code`)
+
+router.get(
+  '/accuracy',
+  [
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('to must be formatted as YYYY-MM-DD'),
+    query('airline').optional().trim().toUpperCase().matches(/^[A-Z0-9]{2,3}$/).withMessage('Airline must be a valid IATA code'),
+    airportValidator('origin'),
+    airportValidator('destination')
+  ],
+  validateRequest,
+  asyncHandler(getPredictionAccuracy)
+)
+
+module.exports = router
@@ -0,0 +1,23 @@
+const express = require('express')
+const { param, query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect } = require('../middleware/auth')
+const { getRotation } = require('../controllers/rotationController')
+
+const router = express.Router()
+
+router.use(protect)
+
+router.get(
+  '/:registration',
+  [
+    param('registration').trim().toUpperCase().matches(/^[A-Z]{1,2}-[A-Z0-9]{3,5}$/).withMessage('registration must be an aircraft registration such as PK-GQE'),
+    query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('date must be formatted as YYYY-MM-DD')
+  ],
+  validateRequest,
+  asyncHandler(getRotation)
+)
+
+module.exports = router
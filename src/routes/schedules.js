@@ -0,0 +1,100 @@
+const express = require('express')
+const { body, param, query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requirePermission } = require('../middleware/auth')
+const {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  generateInstances,
+  importSchedule
+} = require('../controllers/scheduleController')
+
+const router = express.Router()
+
+const idValidator = param('id').isMongoId().withMessage('Schedule template id is invalid')
+
+const templateValidators = (optional) => {
+  const field = (validator) => optional ? validator.optional() : validator
+
+  return [
+    field(body('airline')).isObject().withMessage('Airline information is required'),
+    field(body('route')).isObject().withMessage('Route information is required'),
+    field(body('daysOfWeek')).isArray({ min: 1, max: 7 }).withMessage('daysOfWeek must list 1 (Monday) to 7 (Sunday)'),
+    body('daysOfWeek.*').isInt({ min: 1, max: 7 }).withMessage('daysOfWeek must list 1 (Monday) to 7 (Sunday)').toInt(),
+    field(body('season')).isString().trim().toUpperCase().matches(/^[SW]\d{2}$/).withMessage('season must be an IATA season code (e.g. S26, W26)'),
+    body('validFrom').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('validFrom must be formatted as YYYY-MM-DD'),
+    body('validTo').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('validTo must be formatted as YYYY-MM-DD'),
+    field(body('departureTime')).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('departureTime must be formatted as HH:mm'),
+    field(body('arrivalTime')).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('arrivalTime must be formatted as HH:mm'),
+    body('arrivalDayOffset').optional().isInt({ min: 0, max: 2 }).withMessage('arrivalDayOffset must be 0, 1 or 2').toInt(),
+    field(body('aircraftType')).isString().trim().notEmpty().withMessage('aircraftType is required'),
+    body('codeshares').optional().isArray({ max: 20 }).withMessage('codeshares must be a list of { airline, flightNumber }'),
+    body('codeshares.*.airline').optional().isString().trim().toUpperCase().matches(/^[A-Z0-9]{2,3}$/).withMessage('Codeshare airline must be a valid IATA code'),
+    body('codeshares.*.flightNumber').optional().isString().trim().toUpperCase().matches(/^[A-Z0-9]{2}[0-9]{1,4}[A-Z]?$/).withMessage('Codeshare flight number must follow IATA format'),
+    body('operationalSuffix').optional().isString().trim().toUpperCase().matches(/^[A-Z]?$/).withMessage('operationalSuffix must be a single letter')
+  ]
+}
+
+router.use(protect)
+
+router.get(
+  '/',
+  [
+    query('flightNumber').optional().trim().toUpperCase(),
+    query('season').optional().trim().toUpperCase().matches(/^[SW]\d{2}$/).withMessage('season must be an IATA season code (e.g. S26, W26)'),
+    query('active').optional().isBoolean().toBoolean()
+  ],
+  validateRequest,
+  asyncHandler(listTemplates)
+)
+
+router.post(
+  '/generate',
+  requirePermission('manage_flights'),
+  [body('horizonDays').optional().isInt({ min: 1, max: 365 }).withMessage('horizonDays must be between 1 and 365').toInt()],
+  validateRequest,
+  asyncHandler(generateInstances)
+)
+
+router.post(
+  '/import',
+  requirePermission('manage_flights'),
+  [
+    body('content').isString().notEmpty().withMessage('content must hold the SSIM file as text'),
+    body('target').optional().isIn(['templates', 'flights']).withMessage('target must be templates or flights'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    body('stations').optional().isObject().withMessage('stations must map airport codes to { city, country, timezone }')
+  ],
+  validateRequest,
+  asyncHandler(importSchedule)
+)
+
+router.get('/:id', idValidator, validateRequest, asyncHandler(getTemplate))
+
+router.post(
+  '/',
+  requirePermission('manage_flights'),
+  [
+    body('flightNumber').isString().trim().toUpperCase().matches(/^[A-Z]{2}[0-9]{1,4}[A-Z]?$/).withMessage('Flight number must follow IATA format (e.g., AA123, UA1234A)'),
+    ...templateValidators(false)
+  ],
+  validateRequest,
+  asyncHandler(createTemplate)
+)
+
+router.put(
+  '/:id',
+  requirePermission('manage_flights'),
+  [idValidator, ...templateValidators(true)],
+  validateRequest,
+  asyncHandler(updateTemplate)
+)
+
+router.delete('/:id', requirePermission('manage_flights'), idValidator, validateRequest, asyncHandler(deactivateTemplate))
+
+module.exports = router
@@ -0,0 +1,54 @@
+const express = require('express')
+const { body, param } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requirePermission } = require('../middleware/auth')
+const { FLIGHT_STATUSES } = require('../models/Flight')
+const {
+  listPolicies,
+  getPolicy,
+  setPolicy,
+  deletePolicy
+} = require('../controllers/statusPolicyController')
+
+const router = express.Router()
+
+const STATUSES = Object.values(FLIGHT_STATUSES)
+
+const airlineValidator = param('airline').trim().toUpperCase().matches(/^[A-Z0-9]{2,3}$/).withMessage('Airline must be a valid IATA code')
+
+router.use(protect)
+
+router.get('/', asyncHandler(listPolicies))
+
+router.get('/:airline', airlineValidator, validateRequest, asyncHandler(getPolicy))
+
+router.put(
+  '/:airline',
+  requirePermission('manage_flights'),
+  [
+    airlineValidator,
+    body('transitions')
+      .isObject()
+      .withMessage('transitions must map flight statuses to lists of allowed next statuses')
+      .custom((transitions) => {
+        for (const [status, next] of Object.entries(transitions)) {
+          if (!STATUSES.includes(status)) {
+            throw new Error(`Invalid flight status: ${status}`)
+          }
+          if (!Array.isArray(next) || next.some(target => !STATUSES.includes(target) || target === status)) {
+            throw new Error(`Transitions from ${status} must list other flight statuses`)
+          }
+        }
+        return true
+      }),
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('description cannot exceed 500 characters')
+  ],
+  validateRequest,
+  asyncHandler(setPolicy)
+)
+
+router.delete('/:airline', requirePermission('manage_flights'), airlineValidator, validateRequest, asyncHandler(deletePolicy))
+
+module.exports = router
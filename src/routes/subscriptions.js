@@ -0,0 +1,108 @@
+const express = require('express')
+const { body, param } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { NOTIFICATION_TYPES, NOTIFICATION_METHODS } = require('../models/Subscription')
+const {
+  createSubscription,
+  verifySubscription,
+  previewUnsubscribe,
+  unsubscribe,
+  getPreferences,
+  updatePreferences,
+  reactivateSubscription
+} = require('../controllers/subscriptionController')
+
+const router = express.Router()
+
+const LANGUAGES = ['en', 'id', 'es', 'fr', 'de', 'ja', 'ko', 'zh']
+
+const tokenValidator = param('token')
+  .isHexadecimal()
+  .isLength({ min: 64, max: 64 })
+  .withMessage('Invalid or malformed link')
+
+const mustBeTrue = (message) => (value) => {
+  if (value !== true) {
+    throw new Error(message)
+  }
+  return true
+}
+
+const passengerInfoValidators = [
+  body('passengerInfo').optional().isObject(),
+  body('passengerInfo.firstName').optional().isString().trim().isLength({ max: 50 }),
+  body('passengerInfo.lastName').optional().isString().trim().isLength({ max: 50 }),
+  body('passengerInfo.phone').optional().matches(/^\+?[1-9]\d{7,14}$/).withMessage('Phone must be in E.164 format'),
+  body('passengerInfo.language').optional().isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  body('passengerInfo.timezone').optional().isString().isLength({ max: 64 })
+]
+
+const preferenceValidators = [
+  body('notificationPreferences').optional().isObject(),
+  body('notificationPreferences').optional().custom((value) => {
+    const invalid = Object.keys(value).filter(type => !Object.values(NOTIFICATION_TYPES).includes(type))
+    if (invalid.length > 0) {
+      throw new Error(`Unknown notification type: ${invalid.join(', ')}`)
+    }
+    return true
+  }),
+  body('notificationPreferences.*').optional().isObject(),
+  body('notificationPreferences.*.enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+  body('notificationPreferences.*.methods').optional().isArray({ min: 1 }).withMessage('methods must be a non-empty array'),
+  body('notificationPreferences.*.methods.*').optional().isIn(Object.values(NOTIFICATION_METHODS)).withMessage('Invalid notification method'),
+  body('notificationPreferences.*.minDelayMinutes').optional().isInt({ min: 0, max: 1440 }).toInt(),
+  body('notificationPreferences.*.advanceMinutes').optional().isInt({ min: 0, max: 1440 }).toInt()
+]
+
+router.post(
+  '/',
+  [
+    body('email').isEmail().withMessage('A valid email address is required').normalizeEmail({ gmail_remove_dots: false }),
+    body('flightNumber').isString().trim().toUpperCase().matches(/^[A-Z]{2}[0-9]{1,4}[A-Z]?$/).withMessage('Flight number must follow IATA format (e.g., GA402)'),
+    body('flightDate').isISO8601().withMessage('flightDate must be an ISO 8601 date'),
+    body('pnr').optional().isString().trim().toUpperCase().matches(/^[A-Z0-9]{6}$/).withMessage('PNR must be 6 alphanumeric characters'),
+    ...passengerInfoValidators,
+    ...preferenceValidators,
+    body('gdprCompliance.consentGiven').custom(mustBeTrue('GDPR consent must be given')),
+    body('gdprCompliance.dataProcessingConsent').custom(mustBeTrue('Data processing consent must be given')),
+    body('gdprCompliance.marketingConsent').optional().isBoolean({ strict: true })
+  ],
+  validateRequest,
+  asyncHandler(createSubscription)
+)
+
+router.get('/verify/:token', [tokenValidator], validateRequest, asyncHandler(verifySubscription))
+
+// GET only previews the link in the email body; POST unsubscribes and is the
+// RFC 8058 one-click endpoint
+router.get('/unsubscribe/:token', [tokenValidator], validateRequest, asyncHandler(previewUnsubscribe))
+
+router.post(
+  '/unsubscribe/:token',
+  [
+    tokenValidator,
+    body('feedback').optional().isString().trim().isLength({ max: 500 })
+  ],
+  validateRequest,
+  asyncHandler(unsubscribe)
+)
+
+router.get('/preferences/:token', [tokenValidator], validateRequest, asyncHandler(getPreferences))
+
+router.put(
+  '/preferences/:token',
+  [
+    tokenValidator,
+    ...passengerInfoValidators,
+    ...preferenceValidators,
+    body('marketingConsent').optional().isBoolean({ strict: true })
+  ],
+  validateRequest,
+  asyncHandler(updatePreferences)
+)
+
+router.post('/reactivate/:token', [tokenValidator], validateRequest, asyncHandler(reactivateSubscription))
+
+module.exports = router
@@ -0,0 +1,54 @@
+const express = require('express')
+const { body, param, query } = require('express-validator')
+
+const asyncHandler = require('../middleware/asyncHandler')
+const validateRequest = require('../middleware/validateRequest')
+const { protect, requirePermission } = require('../middleware/auth')
+const { parseList } = require('../utils/apiResponse')
+const { ingestReports, listLatestReports, getLatestReport } = require('../controllers/weatherController')
+
+const router = express.Router()
+
+router.use(protect)
+
+router.get(
+  '/',
+  requirePermission('read'),
+  [
+    query('airports')
+      .optional()
+      .custom((value) => parseList(value).every(code => /^[A-Z]{3}$/i.test(code)))
+      .withMessage('airports must be a comma-separated list of 3-letter IATA airport codes')
+  ],
+  validateRequest,
+  asyncHandler(listLatestReports)
+)
+
+router.get(
+  '/:code',
+  requirePermission('read'),
+  [
+    param('code')
+      .trim()
+      .toUpperCase()
+      .matches(/^([A-Z]{3}|[A-Z][A-Z0-9]{3})$/)
+      .withMessage('Code must be a 3-letter IATA airport or a 4-letter ICAO station')
+  ],
+  validateRequest,
+  asyncHandler(getLatestReport)
+)
+
+router.post(
+  '/',
+  requirePermission('write'),
+  express.text({ type: 'text/plain', limit: '1mb' }),
+  [
+    body()
+      .custom((value) => (typeof value === 'string' ? value : value?.reports)?.trim())
+      .withMessage('Send the reports as text/plain or as { "reports": "..." }')
+  ],
+  validateRequest,
+  asyncHandler(ingestReports)
+)
+
+module.exports = router
@@ -6,6 +6,21 @@ const app = require('./app')
 const { config } = require('./config/config')
 const { connectDB, disconnectDB } = require('./config/database')
 const logger = require('./config/logger')
+const {
+  authService,
+  flightService,
+  movementMessageService,
+  notificationService,
+  schedulerService,
+  flightEventBus
+} = require('./services')
+const { flightRoom, registerSocketBroadcaster } = require('./events/socketBroadcaster')
+const {
+  OPS_NAMESPACE,
+  registerPublicNamespace,
+  registerOpsNamespace,
+  registerOpsBroadcaster
+} = require('./events/socketNamespaces')
 
 class FSNSServer {
   constructor() {
@@ -93,20 +108,6 @@ class FSNSServer {
         clientInfo
       })
 
-      socket.on('subscribe-flight', (flightNumber) => {
-        if (typeof flightNumber === 'string' && flightNumber.length <= 10) {
-          socket.join(`flight-${flightNumber.toUpperCase()}`)
-          logger.debug(`📡 Client ${socket.id} subscribed to flight ${flightNumber}`)
-        }
-      })
-
-      socket.on('unsubscribe-flight', (flightNumber) => {
-        if (typeof flightNumber === 'string') {
-          socket.leave(`flight-${flightNumber.toUpperCase()}`)
-          logger.debug(`📡 Client ${socket.id} unsubscribed from flight ${flightNumber}`)
-        }
-      })
-
       socket.on('disconnect', (reason) => {
         this.socketConnections.delete(socket.id)
         logger.info(`🔌 WebSocket client disconnected: ${socket.id}`, {
@@ -120,6 +121,21 @@ class FSNSServer {
       })
     })
 
+    registerPublicNamespace(this.io, {
+      ...config.security.socket,
+      replayEvents: (flightNumber, sinceSeq, date) =>
+        flightService.getFlightEventsSince(flightNumber, sinceSeq, config.events.replayLimit, { date })
+    }, logger)
+
+    this.opsNamespace = this.io.of(OPS_NAMESPACE)
+    registerOpsNamespace(this.opsNamespace, authService, logger)
+
+    this.unsubscribeFlightEvents = registerSocketBroadcaster(flightEventBus, this.io, logger)
+    this.unsubscribeOpsEvents = registerOpsBroadcaster(this.opsNamespace, {
+      eventBus: flightEventBus,
+      notificationService
+    })
+
     app.set('io', this.io)
     logger.info('🔌 Socket.IO server configured')
   }
@@ -148,8 +164,17 @@ class FSNSServer {
         logger.info(`   • Health Check: ${serverUrl}/api/health`)
         logger.info(`   • Documentation: ${serverUrl}/api/docs`)
         logger.info(`   • WebSocket: ${serverUrl} (Socket.IO)`)
+        logger.info(`   • Ops WebSocket: ${serverUrl}${OPS_NAMESPACE} (admin token required)`)
 
-        resolve()
+        notificationService.startOutboxWorker()
+        movementMessageService.startDropDirectoryWatcher()
+
+        schedulerService.start()
+          .then(() => resolve())
+          .catch((schedulerError) => {
+            logger.error('❌ Failed to start cron scheduler:', schedulerError)
+            resolve()
+          })
       })
     })
   }
@@ -192,6 +217,19 @@ class FSNSServer {
     }, shutdownTimeout)
 
     try {
+      notificationService.stopOutboxWorker()
+      movementMessageService.stopDropDirectoryWatcher()
+      await schedulerService.stop()
+      await flightEventBus.drain()
+
+      if (this.unsubscribeFlightEvents) {
+        this.unsubscribeFlightEvents()
+      }
+
+      if (this.unsubscribeOpsEvents) {
+        this.unsubscribeOpsEvents()
+      }
+
       if (this.io) {
         logger.info('🔌 Closing WebSocket connections...')
         this.io.disconnectSockets(true)
@@ -228,7 +266,7 @@ class FSNSServer {
 
   broadcastToFlight(flightNumber, event, data) {
     if (this.io) {
-      this.io.to(`flight-${flightNumber.toUpperCase()}`).emit(event, data)
+      this.io.to(flightRoom(flightNumber)).emit(event, data)
       logger.debug(`📡 Broadcast to flight ${flightNumber}:`, { event, data })
     }
   }
@@ -239,6 +277,7 @@ class FSNSServer {
       memoryUsage: process.memoryUsage(),
       activeConnections: this.connections.size,
       socketConnections: this.socketConnections.size,
+      opsConnections: this.opsNamespace ? this.opsNamespace.sockets.size : 0,
       environment: config.server.nodeEnv,
       nodeVersion: process.version,
       pid: process.pid
@@ -0,0 +1,327 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const Admin = require('../models/Admin')
+const RefreshToken = require('../models/RefreshToken')
+const { REVOCATION_REASONS } = require('../models/RefreshToken')
+const { config } = require('../config/config')
+const {
+  FlightError,
+  FlightAuthenticationError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+class AuthService {
+  constructor(logger = null, jwtConfig = config.jwt) {
+    this.logger = logger || console
+    this.jwtConfig = jwtConfig
+  }
+
+  // ===========================================
+  // AUTHENTICATION FLOWS
+  // ===========================================
+
+  async login(identifier, password, context = {}) {
+    try {
+      this.logger.info('Admin login attempt', { identifier, ip: context.ip })
+
+      if (!identifier || !password) {
+        throw new FlightAuthenticationError('Username/email and password are required', 'MISSING_CREDENTIALS')
+      }
+
+      const admin = await Admin.findOne({
+        $or: [
+          { email: String(identifier).toLowerCase() },
+          { username: String(identifier) }
+        ]
+      }).select('+password')
+
+      if (!admin || !(await admin.matchPassword(password))) {
+        this.logger.warn('Admin login failed', { identifier, ip: context.ip })
+        throw new FlightAuthenticationError('Invalid credentials', 'INVALID_CREDENTIALS')
+      }
+
+      if (!admin.isActive) {
+        this.logger.warn('Login attempt for disabled admin account', { adminId: admin._id })
+        throw new FlightAuthenticationError('Account is disabled', 'ACCOUNT_DISABLED')
+      }
+
+      const tokens = await this.issueTokenPair(admin, null, context)
+
+      admin.lastLogin = new Date()
+      await Admin.updateOne({ _id: admin._id }, { lastLogin: admin.lastLogin })
+
+      this.logger.info('Admin logged in successfully', {
+        adminId: admin._id,
+        sessionId: tokens.sessionId
+      })
+
+      return {
+        ...tokens,
+        admin: this.formatAdmin(admin)
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'LOGIN')
+    }
+  }
+
+  async refresh(refreshToken, context = {}) {
+    try {
+      const payload = this.verifyRefreshToken(refreshToken)
+
+      const storedToken = await RefreshToken.findOne({ jti: payload.jti })
+
+      if (!storedToken || storedToken.tokenHash !== this.hashToken(refreshToken)) {
+        throw new FlightAuthenticationError('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+      }
+
+      if (storedToken.revokedAt) {
+        await this.handleTokenReuse(storedToken, context)
+      }
+
+      const admin = await Admin.findById(payload.id)
+
+      if (!admin || !admin.isActive) {
+        await RefreshToken.revokeFamily(storedToken.family, REVOCATION_REASONS.ACCOUNT_DISABLED)
+        throw new FlightAuthenticationError('Account is disabled', 'ACCOUNT_DISABLED')
+      }
+
+      // Claim the presented token atomically so two concurrent refreshes cannot both rotate it
+      const claimedToken = await RefreshToken.findOneAndUpdate(
+        { _id: storedToken._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: REVOCATION_REASONS.ROTATED },
+        { new: true }
+      )
+
+      if (!claimedToken) {
+        await this.handleTokenReuse(storedToken, context)
+      }
+
+      const tokens = await this.issueTokenPair(admin, storedToken.family, context)
+      await RefreshToken.updateOne({ _id: storedToken._id }, { replacedBy: tokens.refreshTokenId })
+
+      this.logger.info('Refresh token rotated', {
+        adminId: admin._id,
+        sessionId: storedToken.family
+      })
+
+      return {
+        ...tokens,
+        admin: this.formatAdmin(admin)
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'REFRESH')
+    }
+  }
+
+  async logout({ refreshToken = null, sessionId = null, adminId = null, allSessions = false } = {}) {
+    try {
+      let family = sessionId
+      let owner = adminId
+
+      if (refreshToken) {
+        const payload = this.verifyRefreshToken(refreshToken, { ignoreExpiration: true })
+        family = payload.sid
+        owner = owner || payload.id
+      }
+
+      if (!family && !(allSessions && owner)) {
+        throw new FlightAuthenticationError('A refresh token or active session is required to log out', 'NO_SESSION')
+      }
+
+      const filter = allSessions && owner
+        ? { admin: owner, revokedAt: null }
+        : { family, revokedAt: null }
+
+      const result = await RefreshToken.updateMany(filter, {
+        revokedAt: new Date(),
+        revokedReason: REVOCATION_REASONS.LOGOUT
+      })
+
+      this.logger.info('Admin logged out', {
+        adminId: owner,
+        sessionId: family,
+        allSessions,
+        revokedTokens: result.modifiedCount
+      })
+
+      return {
+        revokedTokens: result.modifiedCount,
+        allSessions: Boolean(allSessions && owner)
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'LOGOUT')
+    }
+  }
+
+  // ===========================================
+  // TOKEN HANDLING
+  // ===========================================
+
+  async issueTokenPair(admin, sessionId = null, context = {}) {
+    const family = sessionId || crypto.randomUUID()
+    const refreshTokenId = crypto.randomUUID()
+
+    const accessToken = admin.getSignedJwtToken({ sid: family })
+
+    const refreshToken = jwt.sign(
+      { id: admin._id, sid: family, type: 'refresh' },
+      this.jwtConfig.refreshSecret,
+      {
+        expiresIn: this.jwtConfig.refreshExpiresIn,
+        issuer: this.jwtConfig.issuer,
+        audience: this.jwtConfig.audience,
+        jwtid: refreshTokenId
+      }
+    )
+
+    const { exp } = jwt.decode(refreshToken)
+
+    await RefreshToken.create({
+      admin: admin._id,
+      jti: refreshTokenId,
+      family,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000),
+      createdByIp: context.ip,
+      userAgent: context.userAgent
+    })
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.jwtConfig.expiresIn,
+      refreshExpiresIn: this.jwtConfig.refreshExpiresIn,
+      sessionId: family,
+      refreshTokenId
+    }
+  }
+
+  /**
+   * Verify an access token and make sure its session has not been revoked
+   */
+  async verifyAccessToken(token) {
+    let payload
+    try {
+      payload = jwt.verify(token, this.jwtConfig.secret, {
+        issuer: this.jwtConfig.issuer,
+        audience: this.jwtConfig.audience
+      })
+    } catch (error) {
+      const reason = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+      throw new FlightAuthenticationError(
+        reason === 'TOKEN_EXPIRED' ? 'Access token expired' : 'Invalid access token',
+        reason
+      )
+    }
+
+    if (payload.sid && !(await RefreshToken.isFamilyActive(payload.sid))) {
+      throw new FlightAuthenticationError('Session has been revoked', 'SESSION_REVOKED')
+    }
+
+    return payload
+  }
+
+  /**
+   * Resolve an access token to an active admin account
+   */
+  async authenticate(token) {
+    const payload = await this.verifyAccessToken(token)
+
+    const admin = await Admin.findById(payload.id)
+
+    if (!admin) {
+      throw new FlightAuthenticationError('Account no longer exists', 'ACCOUNT_NOT_FOUND')
+    }
+
+    if (!admin.isActive) {
+      throw new FlightAuthenticationError('Account is disabled', 'ACCOUNT_DISABLED')
+    }
+
+    return { admin, payload }
+  }
+
+  verifyRefreshToken(token, options = {}) {
+    if (!token || typeof token !== 'string') {
+      throw new FlightAuthenticationError('Refresh token is required', 'MISSING_REFRESH_TOKEN')
+    }
+
+    let payload
+    try {
+      payload = jwt.verify(token, this.jwtConfig.refreshSecret, {
+        issuer: this.jwtConfig.issuer,
+        audience: this.jwtConfig.audience,
+        ...options
+      })
+    } catch (error) {
+      throw new FlightAuthenticationError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN')
+    }
+
+    if (payload.type !== 'refresh' || !payload.jti || !payload.sid) {
+      throw new FlightAuthenticationError('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+    }
+
+    return payload
+  }
+
+  async handleTokenReuse(storedToken, context = {}) {
+    // A rotated token was presented again: assume it was stolen and kill the whole session
+    await RefreshToken.revokeFamily(storedToken.family, REVOCATION_REASONS.REUSE_DETECTED)
+
+    this.logger.warn('Refresh token reuse detected, session revoked', {
+      adminId: storedToken.admin,
+      sessionId: storedToken.family,
+      jti: storedToken.jti,
+      ip: context.ip
+    })
+
+    throw new FlightAuthenticationError(
+      'Refresh token has already been used; session revoked',
+      'REFRESH_TOKEN_REUSE'
+    )
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  formatAdmin(admin) {
+    return {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      firstName: admin.firstName,
+      lastName: admin.lastName,
+      role: admin.role,
+      permissions: admin.permissions,
+      lastLogin: admin.lastLogin
+    }
+  }
+
+  wrapError(error, operation) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error('Authentication operation failed', {
+      operation,
+      error: error.message,
+      stack: error.stack
+    })
+
+    return new FlightDatabaseError(
+      'Authentication failed due to database error',
+      operation,
+      { originalError: error.message }
+    )
+  }
+}
+
+module.exports = AuthService
@@ -0,0 +1,365 @@
+const Flight = require('../models/Flight')
+const { FLIGHT_STATUSES } = require('../models/Flight')
+const { FLIGHT_EVENTS } = require('../events/FlightEventBus')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+const PREDICTION_ACTOR = 'EtaPrediction'
+
+// Flights off the gate and not yet on-block at their destination
+const AIRBORNE_STATUSES = [FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.IN_AIR]
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MINUTE_MS)
+
+const asTime = (value) => value ? new Date(value).getTime() : null
+
+// Linear interpolation between the closest ranks of sorted `values`
+const percentile = (values, p) => {
+  const rank = (values.length - 1) * p / 100
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+
+  return values[lower] + (values[upper] - values[lower]) * (rank - lower)
+}
+
+const median = (values) => {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b)
+  return sorted.length > 0 ? Math.round(percentile(sorted, 50)) : null
+}
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+/**
+ * Hour of day (0-23) of `date` at the origin; UTC when the zone is missing
+ * or unknown to the runtime
+ */
+const localHour = (date, timeZone = 'UTC') => {
+  try {
+    return Number(new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC',
+      hourCycle: 'h23',
+      hour: 'numeric'
+    }).format(new Date(date)))
+  } catch (error) {
+    return new Date(date).getUTCHours()
+  }
+}
+
+/**
+ * Predicts the arrival of departed flights from the block, taxi and
+ * airborne times of completed flights on the same route. Samples are
+ * narrowed to the airline and the local hour of scheduled departure while
+ * enough of them remain. The prediction is stored as `etaPrediction` and
+ * fills `schedule.arrival.estimated` through FlightService.updateFlightStatus,
+ * unless the update that reported the departure also brought an arrival
+ * estimate of its own.
+ */
+class EtaPredictionService {
+  constructor(logger = null, flightService = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.options = {
+      lookbackDays: 90,
+      minSamples: 5,
+      maxSamples: 500,
+      // Share of past flights inside the reported arrival window
+      confidencePercent: 80,
+      cacheTtlMs: 60 * 60 * 1000,
+      ...options
+    }
+    this.cache = new Map()
+  }
+
+  /**
+   * Predict the arrival once a flight's off-block or wheels-off time is known
+   */
+  registerEventHandlers(eventBus) {
+    return eventBus.subscribe(
+      FLIGHT_EVENTS.SCHEDULE_CHANGED,
+      (event) => this.handleScheduleChange(event),
+      'eta-prediction'
+    )
+  }
+
+  async handleScheduleChange(event) {
+    if (event.actor === PREDICTION_ACTOR) return null
+
+    const arrival = event.data?.arrival
+    const arrivalReported = Boolean(arrival) && asTime(arrival.previous.estimated) !== asTime(arrival.current.estimated)
+
+    return this.predictArrival(event.flight, { updateEstimate: !arrivalReported })
+  }
+
+  // ===========================================
+  // PREDICTION
+  // ===========================================
+
+  /**
+   * Predict and store the arrival of a departed flight. Returns null when
+   * the flight is not under way, was already predicted from the same time,
+   * or too few completed flights are known for its route.
+   */
+  async predictArrival(flight, { updateEstimate = true } = {}) {
+    try {
+      const { departure, arrival } = flight.schedule
+      if (!AIRBORNE_STATUSES.includes(flight.status.current) || !departure.actual || arrival.actual) {
+        return null
+      }
+
+      const anchor = departure.wheelsOff ? 'wheels-off' : 'off-block'
+      const anchorTime = departure.wheelsOff || departure.actual
+      const previous = flight.etaPrediction
+      if (previous && previous.anchor === anchor && asTime(previous.anchorTime) === asTime(anchorTime)) {
+        return null
+      }
+
+      const prediction = await this.buildPrediction(flight, anchor, anchorTime)
+      if (!prediction) {
+        this.logger.debug('Too few completed flights to predict the arrival', {
+          flightNumber: flight.flightNumber,
+          route: `${flight.route.origin.airport}-${flight.route.destination.airport}`
+        })
+        return null
+      }
+
+      await Flight.updateOne({ _id: flight._id }, { etaPrediction: prediction })
+
+      if (updateEstimate) {
+        await this.flightService.updateFlightStatus(flight.flightNumber, {
+          reason: `Arrival predicted from ${prediction.sampleSize} completed flights (${prediction.basis})`,
+          schedule: { arrival: { estimated: prediction.estimated } }
+        }, PREDICTION_ACTOR, { date: flight.flightDate, suffix: flight.operationalSuffix })
+      }
+
+      this.logger.info('Arrival predicted', {
+        flightNumber: flight.flightNumber,
+        flightDate: flight.flightDate,
+        anchor,
+        basis: prediction.basis,
+        sampleSize: prediction.sampleSize,
+        estimated: prediction.estimated,
+        estimateUpdated: updateEstimate
+      })
+
+      return prediction
+
+    } catch (error) {
+      throw this.wrapError(error, 'PREDICT_ARRIVAL', 'Failed to predict arrival')
+    }
+  }
+
+  /**
+   * Prediction for `flight` counted from `anchorTime`, from the narrowest
+   * group of completed flights with at least `minSamples` usable durations
+   */
+  async buildPrediction(flight, anchor, anchorTime) {
+    const samples = await this.getSamples(flight.route.origin.airport, flight.route.destination.airport)
+    const airline = flight.airline.code
+    const hour = localHour(flight.schedule.departure.scheduled, flight.route.timezone?.origin)
+    const durationOf = anchor === 'wheels-off'
+      ? sample => sample.wheelsOffToOnBlockMinutes
+      : sample => sample.blockMinutes
+
+    const groups = [
+      ['route-airline-hour', sample => sample.airline === airline && sample.hour === hour],
+      ['route-airline', sample => sample.airline === airline],
+      ['route', () => true]
+    ]
+
+    for (const [basis, matches] of groups) {
+      const group = samples.filter(sample => matches(sample) && durationOf(sample) !== null)
+      if (group.length < this.options.minSamples) continue
+
+      const durations = group.map(durationOf).sort((a, b) => a - b)
+      const tail = (100 - this.options.confidencePercent) / 2
+      const at = (minutes) => new Date(new Date(anchorTime).getTime() + Math.round(minutes) * MINUTE_MS)
+
+      return {
+        estimated: at(percentile(durations, 50)),
+        earliest: at(percentile(durations, tail)),
+        latest: at(percentile(durations, 100 - tail)),
+        confidence: this.options.confidencePercent,
+        anchor,
+        anchorTime: new Date(anchorTime),
+        basis,
+        sampleSize: group.length,
+        blockMinutes: median(group.map(sample => sample.blockMinutes)),
+        taxiOutMinutes: median(group.map(sample => sample.taxiOutMinutes)),
+        taxiInMinutes: median(group.map(sample => sample.taxiInMinutes)),
+        predictedAt: new Date()
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Durations of the most recent completed flights on a route, cached for
+   * `cacheTtlMs`
+   */
+  async getSamples(origin, destination) {
+    const key = `${origin}-${destination}`
+    const cached = this.cache.get(key)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.samples
+    }
+
+    const flights = await Flight.find({
+      'route.origin.airport': origin,
+      'route.destination.airport': destination,
+      'status.current': FLIGHT_STATUSES.ARRIVED,
+      isActive: true,
+      'schedule.departure.actual': { $gte: new Date(Date.now() - this.options.lookbackDays * DAY_MS) },
+      'schedule.arrival.actual': { $ne: null }
+    })
+      .select('airline.code route schedule')
+      .sort({ 'schedule.departure.actual': -1 })
+      .limit(this.options.maxSamples)
+
+    const samples = flights
+      .map(flight => this.toSample(flight))
+      .filter(sample => sample.blockMinutes > 0)
+
+    this.cache.set(key, { samples, expiresAt: Date.now() + this.options.cacheTtlMs })
+    return samples
+  }
+
+  toSample(flight) {
+    const { departure, arrival } = flight.schedule
+    const wheelsOffToOnBlock = departure.wheelsOff ? minutesBetween(departure.wheelsOff, arrival.actual) : null
+
+    return {
+      airline: flight.airline.code,
+      hour: localHour(departure.scheduled, flight.route.timezone?.origin),
+      blockMinutes: flight.actualDuration,
+      taxiOutMinutes: flight.taxiOutDuration,
+      taxiInMinutes: flight.taxiInDuration,
+      wheelsOffToOnBlockMinutes: wheelsOffToOnBlock > 0 ? wheelsOffToOnBlock : null
+    }
+  }
+
+  // ===========================================
+  // ACCURACY
+  // ===========================================
+
+  /**
+   * Predicted against actual arrivals of flights between two flight dates
+   * (YYYY-MM-DD), overall, per prediction basis and per route and airline.
+   * Errors are in minutes; positive when the flight arrived later than
+   * predicted.
+   */
+  async getAccuracy(filters = {}) {
+    try {
+      const { from, to } = filters
+      for (const [field, value] of [['from', from], ['to', to]]) {
+        if (!this.flightService.isValidFlightDate(value)) {
+          throw new FlightValidationError(`${field} must be formatted as YYYY-MM-DD`, field, value)
+        }
+      }
+      if (from > to) {
+        throw new FlightValidationError('from must not be after to', 'from', from)
+      }
+
+      const query = {
+        flightDate: { $gte: from, $lte: to },
+        'status.current': FLIGHT_STATUSES.ARRIVED,
+        'etaPrediction.estimated': { $ne: null },
+        'schedule.arrival.actual': { $ne: null }
+      }
+      if (filters.airline) query['airline.code'] = filters.airline.toUpperCase()
+      if (filters.origin) query['route.origin.airport'] = filters.origin.toUpperCase()
+      if (filters.destination) query['route.destination.airport'] = filters.destination.toUpperCase()
+
+      const flights = await Flight.find(query)
+        .select('airline.code route.origin.airport route.destination.airport schedule.arrival.actual etaPrediction')
+        .lean()
+
+      const results = flights.map(flight => {
+        const actual = new Date(flight.schedule.arrival.actual)
+        const { estimated, earliest, latest, basis } = flight.etaPrediction
+
+        return {
+          airline: flight.airline.code,
+          origin: flight.route.origin.airport,
+          destination: flight.route.destination.airport,
+          basis,
+          errorMinutes: minutesBetween(estimated, actual),
+          withinBand: Boolean(earliest && latest) && actual >= new Date(earliest) && actual <= new Date(latest)
+        }
+      })
+
+      const byBasis = {}
+      const byRoute = new Map()
+      for (const result of results) {
+        (byBasis[result.basis] = byBasis[result.basis] || []).push(result)
+
+        const key = `${result.origin}-${result.destination}-${result.airline}`
+        if (!byRoute.has(key)) byRoute.set(key, [])
+        byRoute.get(key).push(result)
+      }
+
+      return {
+        from,
+        to,
+        overall: this.summarize(results),
+        byBasis: Object.fromEntries(Object.entries(byBasis).map(([basis, group]) => [basis, this.summarize(group)])),
+        routes: [...byRoute.values()]
+          .map(group => ({
+            origin: group[0].origin,
+            destination: group[0].destination,
+            airline: group[0].airline,
+            ...this.summarize(group)
+          }))
+          .sort((a, b) => b.count - a.count)
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_PREDICTION_ACCURACY', 'Failed to compute prediction accuracy')
+    }
+  }
+
+  summarize(results) {
+    if (results.length === 0) {
+      return {
+        count: 0,
+        meanErrorMinutes: null,
+        meanAbsoluteErrorMinutes: null,
+        medianAbsoluteErrorMinutes: null,
+        withinBandRate: null
+      }
+    }
+
+    const errors = results.map(result => result.errorMinutes)
+    const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+    return {
+      count: results.length,
+      meanErrorMinutes: round(sum(errors) / errors.length),
+      meanAbsoluteErrorMinutes: round(sum(errors.map(Math.abs)) / errors.length),
+      medianAbsoluteErrorMinutes: median(errors.map(Math.abs)),
+      withinBandRate: round(results.filter(result => result.withinBand).length / results.length, 3)
+    }
+  }
+
+  // ===========================================
+  // HELPERS
+  // ===========================================
+
+  wrapError(error, operation, message) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error(message, { error: error.message, stack: error.stack })
+
+    return new FlightDatabaseError(message, operation, { originalError: error.message })
+  }
+}
+
+module.exports = EtaPredictionService
@@ -0,0 +1,221 @@
+const Flight = require('../models/Flight')
+const { FLIGHT_STATUSES } = require('../models/Flight')
+const {
+  FlightError,
+  FlightNotFoundError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+const HOUR_MS = 60 * 60 * 1000
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null)
+
+/**
+ * Pulls live flight data from a FlightDataProvider and reconciles it into
+ * stored flight instances through FlightService.updateFlightStatus, so
+ * provider changes publish the same events (and notifications) as a manual
+ * update. Only fields the provider reports and that differ are written.
+ */
+class FlightDataPollerService {
+  constructor(logger = null, flightService = null, provider = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.provider = provider
+    this.options = {
+      windowHours: 12,
+      lookbackHours: 6,
+      airlines: [],
+      ...options
+    }
+  }
+
+  // ===========================================
+  // POLLING
+  // ===========================================
+
+  /**
+   * Fetch flights departing from `lookbackHours` before to `windowHours`
+   * after `now` and reconcile each one. Provider records that fail to apply
+   * are counted and listed; provider errors throw.
+   */
+  async poll(options = {}) {
+    const {
+      now = new Date(),
+      actor = `FlightDataProvider:${this.provider.name}`
+    } = options
+
+    try {
+      const window = {
+        from: new Date(now.getTime() - this.options.lookbackHours * HOUR_MS),
+        to: new Date(now.getTime() + this.options.windowHours * HOUR_MS),
+        airlines: this.options.airlines
+      }
+
+      const records = await this.provider.fetchFlights(window)
+      const summary = {
+        provider: this.provider.name,
+        fetched: records.length,
+        updated: 0,
+        unchanged: 0,
+        unmatched: 0,
+        failed: 0,
+        errors: []
+      }
+
+      for (const record of records) {
+        try {
+          const flight = await this.findFlight(record)
+          summary[await this.reconcile(flight, record, actor)]++
+        } catch (error) {
+          if (error instanceof FlightNotFoundError) {
+            summary.unmatched++
+            continue
+          }
+          if (!(error instanceof FlightError)) throw error
+
+          summary.failed++
+          summary.errors.push({
+            flightNumber: record.flightNumber,
+            flightDate: record.flightDate,
+            code: error.code,
+            message: error.message
+          })
+        }
+      }
+
+      this.logger.info('Flight data poll completed', {
+        provider: summary.provider,
+        fetched: summary.fetched,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        unmatched: summary.unmatched,
+        failed: summary.failed
+      })
+
+      return summary
+
+    } catch (error) {
+      this.logger.error('Error polling flight data provider', {
+        error: error.message,
+        provider: this.provider.name,
+        stack: error.stack
+      })
+
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      throw new FlightDatabaseError('Failed to poll flight data provider', 'POLL_FLIGHT_DATA', {
+        originalError: error.message
+      })
+    }
+  }
+
+  // ===========================================
+  // RECONCILIATION
+  // ===========================================
+
+  /**
+   * Stored instance for a provider record: by flight date when the provider
+   * sends one, otherwise by the exact scheduled departure
+   */
+  async findFlight(record) {
+    const { flightNumber, flightDate, operationalSuffix } = record
+
+    const flight = flightDate
+      ? await Flight.findInstance(flightNumber, { date: flightDate, suffix: operationalSuffix })
+      : await Flight.findOne({
+        flightNumber,
+        operationalSuffix,
+        isActive: true,
+        'schedule.departure.scheduled': record.departure.scheduled
+      })
+
+    if (!flight) {
+      throw new FlightNotFoundError(flightNumber, {
+        searchedFlightNumber: flightNumber,
+        ...(flightDate && { flightDate }),
+        ...(operationalSuffix && { operationalSuffix })
+      })
+    }
+
+    return flight
+  }
+
+  /**
+   * Apply the differences between a record and its flight. Statuses the
+   * provider skipped are walked through first, as intermediate steps that
+   * stamp no times and send no notifications. Returns 'updated' or
+   * 'unchanged'.
+   */
+  async reconcile(flight, record, actor = 'System') {
+    const update = this.buildUpdate(flight, record)
+    const transitions = await this.flightService.transitionsFor(flight)
+    const steps = this.flightService.statusPath(flight.status.current, record.status, transitions)
+
+    if (steps.length === 0 && Object.keys(update).length === 0) {
+      return 'unchanged'
+    }
+
+    const instance = { date: flight.flightDate, suffix: flight.operationalSuffix }
+    const reason = `Flight data provider (${this.provider.name})`
+
+    for (const status of steps.slice(0, -1)) {
+      await this.flightService.updateFlightStatus(flight.flightNumber, { status, reason }, actor, instance, { intermediate: true })
+    }
+
+    await this.flightService.updateFlightStatus(flight.flightNumber, {
+      ...update,
+      ...(steps.length > 0 && { status: steps[steps.length - 1] }),
+      ...(steps[steps.length - 1] === FLIGHT_STATUSES.DIVERTED && record.diversion && {
+        diversion: { ...record.diversion, estimatedArrival: record.arrival.estimated }
+      }),
+      reason
+    }, actor, instance)
+
+    return 'updated'
+  }
+
+  // Fields in updateFlightStatus format that the record changes
+  buildUpdate(flight, record) {
+    const update = {}
+
+    for (const side of ['departure', 'arrival']) {
+      const times = {}
+      for (const field of ['estimated', 'actual']) {
+        if (record[side][field] && !sameTime(record[side][field], flight.schedule[side][field])) {
+          times[field] = record[side][field]
+        }
+      }
+      if (Object.keys(times).length > 0) {
+        update.schedule = { ...update.schedule, [side]: times }
+      }
+
+      // updateFlightStatus writes gate and terminal together
+      const point = flight.route[side === 'departure' ? 'origin' : 'destination']
+      const gate = record[side].gate || point.gate
+      const terminal = record[side].terminal || point.terminal
+      if (gate !== point.gate || terminal !== point.terminal) {
+        update.gate = { ...update.gate, [side]: { gate, terminal } }
+      }
+    }
+
+    const delay = {}
+    if (record.delay.minutes !== null && record.delay.minutes !== flight.delay?.minutes) {
+      delay.minutes = record.delay.minutes
+    }
+    if (record.delay.reason && record.delay.reason !== flight.delay?.reason) {
+      delay.reason = record.delay.reason
+    }
+    if (record.delay.description && record.delay.description !== flight.delay?.description) {
+      delay.description = record.delay.description
+    }
+    if (Object.keys(delay).length > 0) {
+      update.delay = delay
+    }
+
+    return update
+  }
+}
+
+module.exports = FlightDataPollerService
@@ -1,5 +1,9 @@
 const Flight = require('../models/Flight')
-const { FLIGHT_STATUSES, DELAY_REASONS } = require('../models/Flight')
+const FlightEvent = require('../models/FlightEvent')
+const { DEFAULT_STATUS_TRANSITIONS } = require('../models/StatusTransitionPolicy')
+const { FLIGHT_STATUSES, DELAY_REASONS, toFlightDate, flightNumberQuery } = require('../models/Flight')
+const { FLIGHT_EVENTS } = require('../events/FlightEventBus')
+const { buildDelaySegment, describeDelayCode, primaryDelayReason } = require('../utils/delayCodes')
 const {
   FlightError,
   FlightNotFoundError,
@@ -11,10 +15,29 @@ const {
   FlightDatabaseError
 } = require('../errors/FlightErrors')
 
+// Progress of a flight through its day; external feeds never move a flight back
+const STATUS_PROGRESS = [
+  FLIGHT_STATUSES.SCHEDULED,
+  FLIGHT_STATUSES.DELAYED,
+  FLIGHT_STATUSES.BOARDING,
+  FLIGHT_STATUSES.DEPARTED,
+  FLIGHT_STATUSES.IN_AIR,
+  FLIGHT_STATUSES.ARRIVED
+]
+
+// Flights passengers of a cancelled flight can still be moved to
+const REBOOKABLE_STATUSES = [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED]
+
 class FlightService {
-  constructor(logger = null, notificationService = null) {
+  constructor(logger = null, eventBus = null, options = {}, statusPolicyService = null) {
     this.logger = logger || console
-    this.notificationService = notificationService
+    this.eventBus = eventBus
+    this.statusPolicyService = statusPolicyService
+    this.options = {
+      rebookingWindowHours: 48,
+      rebookingLimit: 3,
+      ...options
+    }
     this.initializeValidationRules()
   }
 
@@ -27,16 +50,8 @@ class FlightService {
       pnr: /^[A-Z0-9]{6}$/
     }
 
-    this.statusTransitions = {
-      [FLIGHT_STATUSES.SCHEDULED]: [FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING, FLIGHT_STATUSES.CANCELLED],
-      [FLIGHT_STATUSES.DELAYED]: [FLIGHT_STATUSES.BOARDING, FLIGHT_STATUSES.CANCELLED],
-      [FLIGHT_STATUSES.BOARDING]: [FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.CANCELLED],
-      [FLIGHT_STATUSES.DEPARTED]: [FLIGHT_STATUSES.IN_AIR, FLIGHT_STATUSES.DIVERTED],
-      [FLIGHT_STATUSES.IN_AIR]: [FLIGHT_STATUSES.ARRIVED, FLIGHT_STATUSES.DIVERTED],
-      [FLIGHT_STATUSES.ARRIVED]: [],
-      [FLIGHT_STATUSES.CANCELLED]: [],
-      [FLIGHT_STATUSES.DIVERTED]: [FLIGHT_STATUSES.ARRIVED]
-    }
+    // Used when no StatusPolicyService is configured
+    this.statusTransitions = DEFAULT_STATUS_TRANSITIONS
   }
 
   // ===========================================
@@ -59,6 +74,12 @@ class FlightService {
     return this.isValidIATACode(flightNumber, 'flight')
   }
 
+  isValidFlightDate(date) {
+    return typeof date === 'string' &&
+      /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+      toFlightDate(`${date}T00:00:00Z`) === date
+  }
+
   validateFlightData(data) {
     const errors = []
 
@@ -73,6 +94,22 @@ class FlightService {
       })
     }
 
+    if (data.flightDate !== undefined && !this.isValidFlightDate(data.flightDate)) {
+      errors.push({
+        field: 'flightDate',
+        message: 'Flight date must be a calendar date formatted as YYYY-MM-DD',
+        value: data.flightDate
+      })
+    }
+
+    if (data.operationalSuffix !== undefined && !/^[A-Za-z]?$/.test(data.operationalSuffix)) {
+      errors.push({
+        field: 'operationalSuffix',
+        message: 'Operational suffix must be a single letter',
+        value: data.operationalSuffix
+      })
+    }
+
     // Airline validation
     if (!data.airline) {
       errors.push({ field: 'airline', message: 'Airline information is required' })
@@ -207,11 +244,62 @@ class FlightService {
     }
   }
 
-  validateStatusTransition(currentStatus, newStatus) {
-    const allowedTransitions = this.statusTransitions[currentStatus] || []
+  validateStatusTransition(currentStatus, newStatus, transitions = this.statusTransitions) {
+    const allowedTransitions = transitions[currentStatus] || []
     return allowedTransitions.includes(newStatus)
   }
 
+  /**
+   * Transition table for a flight: its airline's policy, or the defaults
+   */
+  async transitionsFor(flight) {
+    if (!this.statusPolicyService) return this.statusTransitions
+
+    return this.statusPolicyService.transitionsFor(flight.airline?.code)
+  }
+
+  /**
+   * Statuses to pass through, in order, to bring a flight from `currentStatus`
+   * to `targetStatus` along allowed transitions (e.g. Boarding before
+   * Departed). Empty when the flight is already there or further along;
+   * throws FlightStatusError when the target cannot be reached.
+   */
+  statusPath(currentStatus, targetStatus, transitions = this.statusTransitions) {
+    if (!targetStatus || targetStatus === currentStatus) return []
+    if (STATUS_PROGRESS.includes(targetStatus) &&
+        STATUS_PROGRESS.indexOf(currentStatus) >= STATUS_PROGRESS.indexOf(targetStatus)) {
+      return []
+    }
+
+    const previous = new Map([[currentStatus, null]])
+    const queue = [currentStatus]
+
+    while (queue.length > 0) {
+      const status = queue.shift()
+
+      if (status === targetStatus) {
+        const path = []
+        for (let step = targetStatus; step !== currentStatus; step = previous.get(step)) path.unshift(step)
+        return path
+      }
+
+      for (const next of transitions[status] || []) {
+        // Never detour through Cancelled or Diverted on the way
+        if (!previous.has(next) && (next === targetStatus || STATUS_PROGRESS.includes(next))) {
+          previous.set(next, status)
+          queue.push(next)
+        }
+      }
+    }
+
+    throw new FlightStatusError(
+      `Cannot move flight from ${currentStatus} to ${targetStatus}`,
+      currentStatus,
+      targetStatus,
+      { allowedTransitions: transitions[currentStatus] || [] }
+    )
+  }
+
   // ===========================================
   // CRUD OPERATIONS
   // ===========================================
@@ -223,29 +311,40 @@ class FlightService {
       // Validate flight data
       this.validateFlightData(flightData)
 
-      // Check for existing flight with same number
-      const existingFlight = await Flight.findOne({ 
-        flightNumber: flightData.flightNumber.toUpperCase(),
-        isActive: true 
+      const flightNumber = flightData.flightNumber.toUpperCase()
+      const flightDate = flightData.flightDate ||
+        toFlightDate(flightData.schedule.departure.scheduled, flightData.route.timezone?.origin)
+      const operationalSuffix = (flightData.operationalSuffix || '').toUpperCase()
+
+      // Check for an existing instance of this flight on the same date
+      const existingFlight = await Flight.findOne({
+        flightNumber,
+        flightDate,
+        operationalSuffix,
+        isActive: true
       })
 
       if (existingFlight) {
         throw new FlightConflictError(
-          `Flight ${flightData.flightNumber} already exists`,
-          'DUPLICATE_FLIGHT_NUMBER',
-          { existingFlightId: existingFlight._id }
+          `Flight ${flightNumber}${operationalSuffix} on ${flightDate} already exists`,
+          'DUPLICATE_FLIGHT_INSTANCE',
+          { existingFlightId: existingFlight._id, flightDate, operationalSuffix }
         )
       }
 
       // Create flight
       const flight = new Flight({
         ...flightData,
-        flightNumber: flightData.flightNumber.toUpperCase(),
+        flightNumber,
+        flightDate,
+        operationalSuffix,
         createdBy,
         lastUpdated: new Date()
       })
 
       const savedFlight = await flight.save()
+
+      await this.publishEvents(savedFlight, [[FLIGHT_EVENTS.CREATED, { status: savedFlight.status.current }]], createdBy)
       
       this.logger.info('Flight created successfully', { 
         flightId: savedFlight._id,
@@ -268,8 +367,8 @@ class FlightService {
 
       if (error.code === 11000) { // MongoDB duplicate key error
         throw new FlightConflictError(
-          `Flight ${flightData.flightNumber} already exists`,
-          'DUPLICATE_FLIGHT_NUMBER'
+          `Flight ${flightData.flightNumber} already exists on this date`,
+          'DUPLICATE_FLIGHT_INSTANCE'
         )
       }
 
@@ -281,9 +380,13 @@ class FlightService {
     }
   }
 
-  async getFlightByNumber(flightNumber, includeHistory = false) {
+  /**
+   * `instance` selects one operated instance ({ date: 'YYYY-MM-DD', suffix });
+   * without a date the instance departing closest to now is returned
+   */
+  async getFlightByNumber(flightNumber, includeHistory = false, instance = {}) {
     try {
-      this.logger.info('Fetching flight by number', { flightNumber })
+      this.logger.info('Fetching flight by number', { flightNumber, ...instance })
 
       if (!flightNumber) {
         throw new FlightValidationError('Flight number is required')
@@ -297,22 +400,10 @@ class FlightService {
         )
       }
 
-      let query = Flight.findOne({ 
-        flightNumber: flightNumber.toUpperCase(),
-        isActive: true 
-      })
+      const flight = await this.findFlightInstance(flightNumber, instance)
 
       if (includeHistory) {
-        query = query.populate('passengers crew')
-      }
-
-      const flight = await query.exec()
-
-      if (!flight) {
-        throw new FlightNotFoundError(
-          flightNumber,
-          { searchedFlightNumber: flightNumber.toUpperCase() }
-        )
+        await flight.populate('passengers crew')
       }
 
       this.logger.info('Flight retrieved successfully', { 
@@ -320,7 +411,12 @@ class FlightService {
         flightNumber: flight.flightNumber
       })
 
-      return this.formatFlightData(flight)
+      const rebookingOptions = await this.rebookingOptionsFor(flight)
+
+      return {
+        ...this.formatFlightData(flight),
+        ...(rebookingOptions && { rebookingOptions })
+      }
 
     } catch (error) {
       this.logger.error('Error fetching flight by number', { 
@@ -421,9 +517,18 @@ class FlightService {
       query.isActive = true
     }
 
-    // Flight number filter
+    // Flight number filter, operating or codeshare
     if (filters.flightNumber) {
-      query.flightNumber = new RegExp(filters.flightNumber.toUpperCase(), 'i')
+      const flightNumberRegex = new RegExp(filters.flightNumber.toUpperCase(), 'i')
+      query.$or = [
+        { flightNumber: flightNumberRegex },
+        { 'codeshare.partners.flightNumber': flightNumberRegex }
+      ]
+    }
+
+    // Operated instances on a local departure date (YYYY-MM-DD)
+    if (filters.flightDate) {
+      query.flightDate = filters.flightDate
     }
 
     // Airline filter
@@ -487,49 +592,78 @@ class FlightService {
     return query
   }
 
-  async updateFlightStatus(flightNumber, updateData, updatedBy = 'System') {
+  /**
+   * Apply a status, schedule, gate, delay or diversion update to one flight
+   * instance. `options.intermediate` marks a status the caller only passes
+   * through on the way to a later one (a movement message or provider record
+   * that skipped it): no actual times are stamped and no events are
+   * published, so nobody is notified about a state the flight has left.
+   */
+  async updateFlightStatus(flightNumber, updateData, updatedBy = 'System', instance = {}, options = {}) {
     try {
       this.logger.info('Updating flight status', { 
         flightNumber, 
+        ...instance,
         updateData, 
         updatedBy 
       })
 
       // Get current flight
-      const flight = await Flight.findOne({ 
-        flightNumber: flightNumber.toUpperCase(),
-        isActive: true 
-      })
-
-      if (!flight) {
-        throw new FlightNotFoundError(flightNumber)
-      }
+      const flight = await this.findFlightInstance(flightNumber, instance)
 
       const oldStatus = flight.status.current
       const newStatus = updateData.status
+      const previousState = this.captureEventState(flight)
 
-      // Validate status transition if status is being updated
-      if (newStatus && newStatus !== oldStatus) {
-        if (!this.validateStatusTransition(oldStatus, newStatus)) {
+      // Validate status transition if status is being updated; a forced
+      // transition skips the airline's policy but must say why
+      const forced = updateData.force === true && Boolean(newStatus) && newStatus !== oldStatus
+      if (forced && !String(updateData.reason || '').trim()) {
+        throw new FlightValidationError('A forced status transition requires a reason', 'reason')
+      }
+
+      if (newStatus && newStatus !== oldStatus && !forced) {
+        const transitions = await this.transitionsFor(flight)
+        if (!this.validateStatusTransition(oldStatus, newStatus, transitions)) {
           throw new FlightStatusError(
             `Invalid status transition from ${oldStatus} to ${newStatus}`,
             oldStatus,
             newStatus,
-            { allowedTransitions: this.statusTransitions[oldStatus] }
+            { allowedTransitions: transitions[oldStatus] || [] }
           )
         }
       }
 
+      // Resolved before anything is written so an unknown airport or delay code changes nothing
+      const diversionFields = newStatus === FLIGHT_STATUSES.DIVERTED && newStatus !== oldStatus
+        ? await this.buildDiversionFields(flight, updateData)
+        : null
+      const delayFields = updateData.delay ? this.buildDelayFields(updateData.delay, updatedBy) : {}
+
       // Update flight using the model's updateStatus method if status is changing
       if (newStatus && newStatus !== oldStatus) {
         await flight.updateStatus(
           newStatus, 
           updateData.reason, 
           updatedBy, 
-          updateData.metadata || {}
+          updateData.metadata || {},
+          { forced, delay: this.delayOverrides(delayFields), stampTimes: !options.intermediate }
         )
       }
 
+      if (forced) {
+        this.logger.warn('Forced status transition', {
+          audit: true,
+          flightId: flight._id,
+          flightNumber: flight.flightNumber,
+          flightDate: flight.flightDate,
+          oldStatus,
+          newStatus,
+          reason: updateData.reason,
+          updatedBy
+        })
+      }
+
       // Handle other updates
       const updateFields = {}
 
@@ -559,17 +693,10 @@ class FlightService {
         }
       }
 
-      // Update delay information
-      if (updateData.delay) {
-        if (updateData.delay.minutes !== undefined) {
-          updateFields['delay.minutes'] = updateData.delay.minutes
-        }
-        if (updateData.delay.reason) {
-          updateFields['delay.reason'] = updateData.delay.reason
-        }
-        if (updateData.delay.description) {
-          updateFields['delay.description'] = updateData.delay.description
-        }
+      Object.assign(updateFields, delayFields)
+
+      if (diversionFields) {
+        Object.assign(updateFields, diversionFields)
       }
 
       // Apply additional updates if any
@@ -580,22 +707,10 @@ class FlightService {
 
       // Reload flight with updates
       const updatedFlight = await Flight.findById(flight._id)
+      const rebookingOptions = await this.rebookingOptionsFor(updatedFlight)
 
-      // Trigger notifications if status changed
-      if (newStatus && newStatus !== oldStatus && this.notificationService) {
-        try {
-          await this.notificationService.notifyFlightStatusChange(
-            updatedFlight,
-            oldStatus,
-            newStatus,
-            updatedBy
-          )
-        } catch (notificationError) {
-          this.logger.warn('Failed to send flight status notification', {
-            flightNumber: updatedFlight.flightNumber,
-            error: notificationError.message
-          })
-        }
+      if (!options.intermediate) {
+        await this.publishFlightEvents(previousState, updatedFlight, updatedBy, updateData.reason, { rebookingOptions, forced })
       }
 
       this.logger.info('Flight status updated successfully', { 
@@ -606,7 +721,10 @@ class FlightService {
         updatedBy
       })
 
-      return this.formatFlightData(updatedFlight)
+      return {
+        ...this.formatFlightData(updatedFlight),
+        ...(rebookingOptions && { rebookingOptions })
+      }
 
     } catch (error) {
       this.logger.error('Error updating flight status', { 
@@ -628,6 +746,674 @@ class FlightService {
     }
   }
 
+  // ===========================================
+  // DELAYS
+  // ===========================================
+
+  /**
+   * Update fields for the `delay` of a status update. `segments` replaces the
+   * breakdown by IATA delay code; without explicit minutes or reason, the
+   * total and the reason of the longest segment are used.
+   */
+  buildDelayFields(delay, updatedBy = 'System') {
+    const fields = {}
+
+    if (delay.segments) {
+      const recordedAt = new Date()
+      const segments = delay.segments.map((segment, index) => {
+        try {
+          return { ...buildDelaySegment(segment), recordedAt, recordedBy: updatedBy }
+        } catch (error) {
+          throw new FlightValidationError(error.message, `delay.segments[${index}]`, segment)
+        }
+      })
+
+      fields['delay.segments'] = segments
+      fields['delay.minutes'] = segments.reduce((total, segment) => total + segment.minutes, 0)
+      if (segments.length > 0) {
+        fields['delay.reason'] = primaryDelayReason(segments)
+      }
+    }
+
+    if (delay.minutes !== undefined) {
+      fields['delay.minutes'] = delay.minutes
+    }
+    if (delay.reason) {
+      fields['delay.reason'] = delay.reason
+    }
+    if (delay.description) {
+      fields['delay.description'] = delay.description
+    }
+
+    return fields
+  }
+
+  // Parts of the delay a status history entry records from `delayFields`
+  delayOverrides(delayFields) {
+    return Object.fromEntries(
+      ['minutes', 'reason', 'segments']
+        .filter(key => delayFields[`delay.${key}`] !== undefined)
+        .map(key => [key, delayFields[`delay.${key}`]])
+    )
+  }
+
+  formatDelaySegment(segment) {
+    return {
+      code: segment.code,
+      subCode: segment.subCode || null,
+      codeDescription: describeDelayCode(segment.code),
+      minutes: segment.minutes,
+      reason: segment.reason,
+      description: segment.description || null,
+      recordedAt: segment.recordedAt || null,
+      recordedBy: segment.recordedBy || null
+    }
+  }
+
+  // ===========================================
+  // DIVERSIONS
+  // ===========================================
+
+  /**
+   * Divert a departed flight. `diversion` holds the airport code (plus city
+   * and country when no other flight uses it), reason and estimatedArrival.
+   * route.destination stays the planned destination; the diversion airport
+   * is recorded under `diversion`.
+   */
+  async divertFlight(flightNumber, diversion, updatedBy = 'System', instance = {}) {
+    return this.updateFlightStatus(flightNumber, {
+      status: FLIGHT_STATUSES.DIVERTED,
+      reason: diversion?.reason,
+      diversion
+    }, updatedBy, instance)
+  }
+
+  /**
+   * Create the follow-up leg of a diverted flight, from the diversion
+   * airport to the planned destination, under the same flight number and
+   * date with its own operational suffix (default D)
+   */
+  async createDiversionContinuation(flightNumber, data, createdBy = 'System', instance = {}) {
+    try {
+      this.logger.info('Creating diversion continuation', { flightNumber, ...instance, data, createdBy })
+
+      const flight = await this.findFlightInstance(flightNumber, instance)
+
+      if (!flight.diversion) {
+        throw new FlightConflictError(
+          `Flight ${flight.flightNumber} on ${flight.flightDate} has not been diverted`,
+          'NOT_DIVERTED',
+          { status: flight.status.current }
+        )
+      }
+
+      if (flight.diversion.continuation) {
+        throw new FlightConflictError(
+          `Flight ${flight.flightNumber} on ${flight.flightDate} already has a continuation`,
+          'CONTINUATION_EXISTS',
+          { continuationId: flight.diversion.continuation }
+        )
+      }
+
+      const source = flight.toObject()
+      const planned = source.route.destination
+      const diversionAirport = source.diversion
+
+      const continuation = await this.createFlight({
+        flightNumber: flight.flightNumber,
+        flightDate: flight.flightDate,
+        operationalSuffix: data.operationalSuffix || 'D',
+        airline: source.airline,
+        aircraft: { ...source.aircraft, ...data.aircraft },
+        route: {
+          origin: {
+            airport: diversionAirport.airport,
+            city: diversionAirport.city,
+            country: diversionAirport.country
+          },
+          destination: {
+            airport: planned.airport,
+            city: planned.city,
+            country: planned.country
+          },
+          timezone: {
+            origin: diversionAirport.timezone,
+            destination: source.route.timezone?.destination
+          }
+        },
+        schedule: {
+          departure: { scheduled: data.departure },
+          arrival: { scheduled: data.arrival }
+        },
+        codeshare: source.codeshare,
+        continuationOf: flight._id
+      }, createdBy)
+
+      await Flight.findByIdAndUpdate(flight._id, {
+        'diversion.continuation': continuation.id,
+        lastUpdated: new Date()
+      })
+
+      this.logger.info('Diversion continuation created', {
+        flightNumber: flight.flightNumber,
+        divertedFlightId: flight._id,
+        continuationId: continuation.id,
+        operationalSuffix: continuation.operationalSuffix
+      })
+
+      return continuation
+
+    } catch (error) {
+      this.logger.error('Error creating diversion continuation', {
+        error: error.message,
+        flightNumber,
+        stack: error.stack
+      })
+
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      throw new FlightDatabaseError(
+        'Failed to create diversion continuation due to database error',
+        'CREATE_DIVERSION_CONTINUATION',
+        { originalError: error.message, flightNumber }
+      )
+    }
+  }
+
+  /**
+   * Update fields that divert `flight` as described by updateData.diversion
+   */
+  async buildDiversionFields(flight, updateData) {
+    const diversion = updateData.diversion || {}
+    const airport = String(diversion.airport || '').toUpperCase()
+
+    if (!airport) {
+      throw new FlightValidationError('A diversion requires the diversion airport', 'diversion.airport')
+    }
+
+    if (!this.isValidIATACode(airport, 'airport')) {
+      throw new FlightValidationError('Diversion airport must be a valid IATA airport code', 'diversion.airport', diversion.airport)
+    }
+
+    if (airport === flight.route.destination.airport) {
+      throw new FlightValidationError('Diversion airport must differ from the planned destination', 'diversion.airport', airport)
+    }
+
+    const estimatedArrival = diversion.estimatedArrival ? new Date(diversion.estimatedArrival) : null
+    if (estimatedArrival && Number.isNaN(estimatedArrival.getTime())) {
+      throw new FlightValidationError('Diversion estimatedArrival must be a date', 'diversion.estimatedArrival', diversion.estimatedArrival)
+    }
+
+    const station = await this.resolveDiversionStation(airport, diversion)
+
+    const fields = {
+      diversion: {
+        airport,
+        city: station.city,
+        country: station.country,
+        timezone: station.timezone || null,
+        reason: diversion.reason || updateData.reason,
+        divertedAt: new Date(),
+        estimatedArrival,
+        continuation: null
+      }
+    }
+
+    if (estimatedArrival) {
+      fields['schedule.arrival.estimated'] = estimatedArrival
+    }
+
+    return fields
+  }
+
+  // City, country and time zone of a diversion airport: as given, else from another flight serving it
+  async resolveDiversionStation(airport, diversion) {
+    if (diversion.city && diversion.country) {
+      return { city: diversion.city, country: diversion.country, timezone: diversion.timezone }
+    }
+
+    const known = await Flight.findOne({
+      $or: [{ 'route.origin.airport': airport }, { 'route.destination.airport': airport }]
+    }).sort({ createdAt: -1 })
+
+    if (!known) {
+      throw new FlightValidationError(
+        `Diversion airport ${airport} is not served by any flight; provide its city and country`,
+        'diversion.city',
+        airport
+      )
+    }
+
+    const side = known.route.origin.airport === airport ? 'origin' : 'destination'
+
+    return {
+      city: known.route[side].city,
+      country: known.route[side].country,
+      timezone: diversion.timezone || known.route.timezone?.[side]
+    }
+  }
+
+  // ===========================================
+  // REBOOKING
+  // ===========================================
+
+  /**
+   * Flights on the same route that passengers of `flight` could be moved
+   * to, departing within `rebookingWindowHours` of its scheduled departure
+   * (or of now, once that has passed). Flights of the same airline come
+   * first, then the earliest departure. Aircraft capacity is returned as a
+   * hint only; seat availability is not tracked.
+   */
+  async findRebookingOptions(flight, options = {}) {
+    const {
+      now = new Date(),
+      limit = this.options.rebookingLimit
+    } = options
+
+    try {
+      const departure = new Date(flight.schedule.departure.scheduled)
+      const from = departure > now ? departure : now
+      const to = new Date(from.getTime() + this.options.rebookingWindowHours * 60 * 60 * 1000)
+
+      const candidates = await Flight.findByRoute(flight.route.origin.airport, flight.route.destination.airport, { from, to })
+        .where('_id').ne(flight._id)
+        .where('status.current').in(REBOOKABLE_STATUSES)
+
+      const airline = flight.airline?.code
+      const ranked = candidates
+        .map(candidate => ({ candidate, departure: candidate.schedule.departure.estimated || candidate.schedule.departure.scheduled }))
+        .sort((a, b) =>
+          Number(b.candidate.airline?.code === airline) - Number(a.candidate.airline?.code === airline) ||
+          new Date(a.departure) - new Date(b.departure)
+        )
+
+      return ranked.slice(0, limit).map(({ candidate }) => this.formatRebookingOption(candidate))
+
+    } catch (error) {
+      this.logger.error('Error finding rebooking options', {
+        error: error.message,
+        flightNumber: flight.flightNumber,
+        stack: error.stack
+      })
+
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      throw new FlightDatabaseError(
+        'Failed to find rebooking options due to database error',
+        'FIND_REBOOKING_OPTIONS',
+        { originalError: error.message, flightNumber: flight.flightNumber }
+      )
+    }
+  }
+
+  /**
+   * Rebooking options for a cancelled flight, null for any other status.
+   * Lookup failures are logged and give an empty list so they never fail
+   * the update or read that asked for them.
+   */
+  async rebookingOptionsFor(flight) {
+    if (flight.status.current !== FLIGHT_STATUSES.CANCELLED) return null
+
+    try {
+      return await this.findRebookingOptions(flight)
+    } catch (error) {
+      this.logger.warn('Rebooking options unavailable', {
+        flightNumber: flight.flightNumber,
+        error: error.message
+      })
+      return []
+    }
+  }
+
+  formatRebookingOption(flight) {
+    const capacity = flight.aircraft?.capacity || {}
+
+    return {
+      id: flight._id,
+      flightNumber: flight.flightNumber,
+      flightDate: flight.flightDate,
+      operationalSuffix: flight.operationalSuffix || '',
+      airline: {
+        code: flight.airline.code,
+        name: flight.airline.name
+      },
+      route: {
+        origin: flight.route.origin.airport,
+        destination: flight.route.destination.airport
+      },
+      departure: flight.schedule.departure.estimated || flight.schedule.departure.scheduled,
+      arrival: flight.schedule.arrival.estimated || flight.schedule.arrival.scheduled,
+      status: flight.status.current,
+      seatCapacity: capacity.total
+        ? {
+            total: capacity.total,
+            economy: capacity.economy ?? null,
+            business: capacity.business ?? null,
+            first: capacity.first ?? null
+          }
+        : null
+    }
+  }
+
+  // ===========================================
+  // SCHEDULED STATUS CHECK
+  // ===========================================
+
+  /**
+   * Periodic pass over active flights departing within `windowHours` of now:
+   * recalculate the delay and move Scheduled flights whose departure time
+   * has passed to Delayed. Events are published like any other update.
+   */
+  async runStatusCheck(options = {}) {
+    const {
+      now = new Date(),
+      windowHours = 24,
+      updatedBy = 'Scheduler'
+    } = options
+
+    const stats = { checked: 0, markedDelayed: 0, delayUpdated: 0, failed: 0 }
+
+    try {
+      const windowMs = windowHours * 60 * 60 * 1000
+      const flights = await Flight.find({
+        isActive: true,
+        'status.current': { $in: [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING] },
+        'schedule.departure.actual': null,
+        'schedule.departure.scheduled': {
+          $gte: new Date(now.getTime() - windowMs),
+          $lte: new Date(now.getTime() + windowMs)
+        }
+      })
+
+      for (const flight of flights) {
+        stats.checked++
+
+        try {
+          const previous = this.captureEventState(flight)
+          let reason = null
+
+          if (flight.status.current === FLIGHT_STATUSES.SCHEDULED && now > flight.schedule.departure.scheduled) {
+            reason = 'Scheduled departure time passed'
+            await flight.updateStatus(FLIGHT_STATUSES.DELAYED, reason, updatedBy, { source: 'scheduler' })
+            stats.markedDelayed++
+          } else {
+            flight.calculateDelay()
+            if (flight.delay.minutes === previous.delayMinutes) continue
+
+            flight.lastUpdated = now
+            await flight.save()
+            stats.delayUpdated++
+          }
+
+          await this.publishFlightEvents(previous, flight, updatedBy, reason)
+
+        } catch (error) {
+          stats.failed++
+          this.logger.warn('Scheduled status check failed for flight', {
+            flightNumber: flight.flightNumber,
+            error: error.message
+          })
+        }
+      }
+
+      this.logger.info('Scheduled flight status check completed', stats)
+
+      return stats
+
+    } catch (error) {
+      this.logger.error('Error running scheduled flight status check', {
+        error: error.message,
+        stack: error.stack
+      })
+
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      throw new FlightDatabaseError(
+        'Failed to run scheduled flight status check',
+        'RUN_STATUS_CHECK',
+        { originalError: error.message }
+      )
+    }
+  }
+
+  // ===========================================
+  // DOMAIN EVENTS
+  // ===========================================
+
+  captureEventState(flight) {
+    return {
+      status: flight.status.current,
+      delayMinutes: flight.delay?.minutes || 0,
+      departureGate: {
+        gate: flight.route.origin.gate,
+        terminal: flight.route.origin.terminal
+      },
+      arrivalGate: {
+        gate: flight.route.destination.gate,
+        terminal: flight.route.destination.terminal
+      },
+      departureTimes: this.pickScheduleTimes(flight.schedule.departure),
+      arrivalTimes: this.pickScheduleTimes(flight.schedule.arrival)
+    }
+  }
+
+  pickScheduleTimes(times = {}) {
+    return {
+      scheduled: times.scheduled || null,
+      estimated: times.estimated || null,
+      actual: times.actual || null
+    }
+  }
+
+  scheduleTimesChanged(before, after) {
+    const asTime = (value) => value ? new Date(value).getTime() : null
+    return ['scheduled', 'estimated', 'actual'].some(key => asTime(before[key]) !== asTime(after[key]))
+  }
+
+  /**
+   * Compare the flight before and after an update and publish the matching events.
+   * Subscriber failures are contained by the event bus and never fail the update.
+   * `context.rebookingOptions` is attached to the events of a cancellation;
+   * `context.forced` marks a status change that overrode the transition policy.
+   */
+  async publishFlightEvents(previous, flight, updatedBy = 'System', reason = null, context = {}) {
+    if (!this.eventBus) return []
+
+    const current = this.captureEventState(flight)
+    const events = []
+
+    if (current.status !== previous.status) {
+      const rebooking = current.status === FLIGHT_STATUSES.CANCELLED && context.rebookingOptions
+        ? { rebookingOptions: context.rebookingOptions }
+        : {}
+
+      events.push([FLIGHT_EVENTS.STATUS_CHANGED, {
+        previousStatus: previous.status,
+        status: current.status,
+        reason,
+        ...(context.forced && { forced: true }),
+        ...rebooking
+      }])
+
+      if (current.status === FLIGHT_STATUSES.CANCELLED) {
+        events.push([FLIGHT_EVENTS.CANCELLED, { previousStatus: previous.status, reason, ...rebooking }])
+      }
+
+      if (current.status === FLIGHT_STATUSES.DIVERTED) {
+        events.push([FLIGHT_EVENTS.DIVERTED, {
+          previousStatus: previous.status,
+          reason,
+          airport: flight.diversion?.airport,
+          plannedDestination: flight.route.destination.airport,
+          estimatedArrival: flight.diversion?.estimatedArrival || null
+        }])
+      }
+    }
+
+    if (current.delayMinutes > previous.delayMinutes) {
+      events.push([FLIGHT_EVENTS.DELAYED, {
+        delayMinutes: current.delayMinutes,
+        previousDelayMinutes: previous.delayMinutes,
+        reason: flight.delay?.reason,
+        estimatedDeparture: flight.schedule.departure.estimated
+      }])
+    }
+
+    const gateChanged = (before, after) => before.gate !== after.gate || before.terminal !== after.terminal
+    if (gateChanged(previous.departureGate, current.departureGate) ||
+        gateChanged(previous.arrivalGate, current.arrivalGate)) {
+      events.push([FLIGHT_EVENTS.GATE_CHANGED, {
+        departure: { previous: previous.departureGate, current: current.departureGate },
+        arrival: { previous: previous.arrivalGate, current: current.arrivalGate }
+      }])
+    }
+
+    if (this.scheduleTimesChanged(previous.departureTimes, current.departureTimes) ||
+        this.scheduleTimesChanged(previous.arrivalTimes, current.arrivalTimes)) {
+      events.push([FLIGHT_EVENTS.SCHEDULE_CHANGED, {
+        departure: { previous: previous.departureTimes, current: current.departureTimes },
+        arrival: { previous: previous.arrivalTimes, current: current.arrivalTimes }
+      }])
+    }
+
+    return this.publishEvents(flight, events, updatedBy)
+  }
+
+  async publishEvents(flight, events, actor = 'System') {
+    if (!this.eventBus || events.length === 0) return []
+
+    const firstSeq = await this.reserveEventSequence(flight, events)
+
+    const published = []
+    for (const [index, [type, data]] of events.entries()) {
+      try {
+        const seq = firstSeq ? firstSeq + index : null
+        published.push(await this.eventBus.publish(type, { flight, actor, data, seq }))
+      } catch (error) {
+        this.logger.warn('Failed to publish flight event', {
+          flightNumber: flight.flightNumber,
+          eventType: type,
+          error: error.message
+        })
+      }
+    }
+
+    return published
+  }
+
+  /**
+   * Atomically reserve one sequence id per event and return the first one.
+   * The status_changed sequence id is also stored on the latest history
+   * entry so the transition can be replayed after the event log expired.
+   */
+  async reserveEventSequence(flight, events) {
+    try {
+      const reserved = await Flight.findByIdAndUpdate(
+        flight._id,
+        { $inc: { eventSequence: events.length } },
+        { new: true, projection: { eventSequence: 1 } }
+      )
+
+      if (!reserved) return null
+
+      const firstSeq = reserved.eventSequence - events.length + 1
+      flight.eventSequence = reserved.eventSequence
+
+      const statusIndex = events.findIndex(([type]) => type === FLIGHT_EVENTS.STATUS_CHANGED)
+      const latestEntry = flight.status.history[flight.status.history.length - 1]
+
+      if (statusIndex !== -1 && latestEntry) {
+        latestEntry.seq = firstSeq + statusIndex
+        await Flight.updateOne(
+          { _id: flight._id, 'status.history._id': latestEntry._id },
+          { $set: { 'status.history.$.seq': latestEntry.seq } }
+        )
+      }
+
+      return firstSeq
+
+    } catch (error) {
+      // Events still go out live; only replay loses them
+      this.logger.warn('Failed to reserve flight event sequence', {
+        flightNumber: flight.flightNumber,
+        error: error.message
+      })
+      return null
+    }
+  }
+
+  /**
+   * Events a client missed since `sinceSeq`, oldest first. The short-lived
+   * event log is the primary source; status transitions older than the log
+   * are rebuilt from status.history. `complete` is false when some sequence
+   * ids could not be recovered and the client should reload the flight.
+   * Sequence ids are per flight instance, selected as in getFlightByNumber.
+   */
+  async getFlightEventsSince(flightNumber, sinceSeq = 0, limit = 200, instance = {}) {
+    try {
+      const flight = await this.findFlightInstance(flightNumber, instance)
+
+      const latestSeq = flight.eventSequence || 0
+      const logged = await FlightEvent.findSince(flight._id, sinceSeq, limit)
+      const bySeq = new Map(logged.map(entry => [entry.seq, entry.payload]))
+
+      const { history } = flight.status
+      history.forEach((entry, index) => {
+        if (!entry.seq || entry.seq <= sinceSeq || bySeq.has(entry.seq)) return
+
+        const next = history[index + 1]
+        bySeq.set(entry.seq, {
+          type: FLIGHT_EVENTS.STATUS_CHANGED,
+          seq: entry.seq,
+          occurredAt: entry.timestamp,
+          flightId: flight._id,
+          flightNumber: flight.flightNumber,
+          actor: entry.updatedBy || 'System',
+          data: {
+            previousStatus: entry.status,
+            status: next ? next.status : flight.status.current
+          },
+          source: 'history'
+        })
+      })
+
+      const events = [...bySeq.keys()]
+        .sort((a, b) => a - b)
+        .slice(0, limit)
+        .map(seq => bySeq.get(seq))
+
+      const lastReturned = events.length > 0 ? events[events.length - 1].seq : sinceSeq
+      const hasMore = events.length === limit && lastReturned < latestSeq
+
+      return {
+        flightNumber: flight.flightNumber,
+        flightDate: flight.flightDate,
+        sinceSeq,
+        latestSeq,
+        events,
+        complete: events.length === lastReturned - sinceSeq && (hasMore || lastReturned === latestSeq),
+        hasMore
+      }
+
+    } catch (error) {
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      throw new FlightDatabaseError(
+        'Failed to load flight events',
+        'GET_FLIGHT_EVENTS',
+        { originalError: error.message, flightNumber, sinceSeq }
+      )
+    }
+  }
+
   async getUpcomingFlights(hoursAhead = 24, filters = {}) {
     try {
       this.logger.info('Fetching upcoming flights', { hoursAhead, filters })
@@ -684,6 +1470,7 @@ class FlightService {
         const searchRegex = new RegExp(criteria.searchText, 'i')
         query.$or = [
           { flightNumber: searchRegex },
+          { 'codeshare.partners.flightNumber': searchRegex },
           { 'airline.name': searchRegex },
           { 'airline.code': searchRegex },
           { 'route.origin.airport': searchRegex },
@@ -800,6 +1587,27 @@ class FlightService {
   // UTILITY METHODS
   // ===========================================
 
+  /**
+   * Load one operated instance of a flight number or throw FlightNotFoundError
+   */
+  async findFlightInstance(flightNumber, { date = null, suffix = null } = {}) {
+    if (date && !this.isValidFlightDate(date)) {
+      throw new FlightValidationError('Flight date must be formatted as YYYY-MM-DD', 'date', date)
+    }
+
+    const flight = await Flight.findInstance(flightNumber, { date, suffix })
+
+    if (!flight) {
+      throw new FlightNotFoundError(flightNumber, {
+        searchedFlightNumber: String(flightNumber).toUpperCase(),
+        ...(date && { flightDate: date }),
+        ...(suffix && { operationalSuffix: suffix })
+      })
+    }
+
+    return flight
+  }
+
   calculateDelay(scheduledTime, actualTime = null) {
     try {
       const scheduled = new Date(scheduledTime)
@@ -858,6 +1666,17 @@ class FlightService {
     return {
       id: flightObj._id,
       flightNumber: flightObj.flightNumber,
+      flightDate: flightObj.flightDate,
+      operationalSuffix: flightObj.operationalSuffix || '',
+      scheduleTemplate: flightObj.scheduleTemplate || null,
+      codeshares: (flightObj.codeshare?.partners || []).map(({ airline, flightNumber }) => ({ airline, flightNumber })),
+      diversion: flightObj.diversion || null,
+      etaPrediction: flightObj.etaPrediction || null,
+      weather: {
+        origin: flightObj.weather?.origin?.observedAt ? flightObj.weather.origin : null,
+        destination: flightObj.weather?.destination?.observedAt ? flightObj.weather.destination : null
+      },
+      continuationOf: flightObj.continuationOf || null,
       airline: {
         code: flightObj.airline.code,
         name: flightObj.airline.name,
@@ -892,12 +1711,14 @@ class FlightService {
         departure: {
           scheduled: flightObj.schedule.departure.scheduled,
           estimated: flightObj.schedule.departure.estimated,
-          actual: flightObj.schedule.departure.actual
+          actual: flightObj.schedule.departure.actual,
+          wheelsOff: flightObj.schedule.departure.wheelsOff
         },
         arrival: {
           scheduled: flightObj.schedule.arrival.scheduled,
           estimated: flightObj.schedule.arrival.estimated,
-          actual: flightObj.schedule.arrival.actual
+          actual: flightObj.schedule.arrival.actual,
+          wheelsOn: flightObj.schedule.arrival.wheelsOn
         },
         duration: flightObj.duration || this.calculateFlightDuration(
           flightObj.schedule.departure.scheduled,
@@ -912,13 +1733,16 @@ class FlightService {
         minutes: flightObj.delay.minutes || 0,
         reason: flightObj.delay.reason,
         description: flightObj.delay.description,
-        isDelayed: (flightObj.delay.minutes || 0) > 0
+        isDelayed: (flightObj.delay.minutes || 0) > 0,
+        segments: (flightObj.delay.segments || []).map(segment => this.formatDelaySegment(segment))
       },
       operational: {
         priority: flightObj.operational?.priority || 5,
         isActive: flightObj.isActive,
         isInternational: flightObj.route.origin.country !== flightObj.route.destination.country
       },
+      // Pass as sinceSeq when subscribing over Socket.IO to receive only newer events
+      eventSequence: flightObj.eventSequence || 0,
       timestamps: {
         createdAt: flightObj.createdAt,
         updatedAt: flightObj.updatedAt,
@@ -944,7 +1768,9 @@ class FlightService {
         includeStatusHistory = true,
         includeDelayHistory = true,
         limit = 50,
-        sortOrder = 'desc'
+        sortOrder = 'desc',
+        from = null,
+        to = null
       } = options
 
       if (!this.isValidFlightNumber(flightNumber)) {
@@ -955,13 +1781,21 @@ class FlightService {
         )
       }
 
-      const query = {
-        flightNumber: flightNumber.toUpperCase()
+      // Operated under this number or sold as a codeshare
+      const query = flightNumberQuery(flightNumber)
+
+      // Instances by local departure date (YYYY-MM-DD, inclusive)
+      if (from || to) {
+        query.flightDate = {}
+        if (from) query.flightDate.$gte = from
+        if (to) query.flightDate.$lte = to
       }
 
-      // Include inactive flights for historical data
+      const direction = sortOrder === 'desc' ? -1 : 1
+
+      // Include inactive flights for historical data; one entry per operated instance
       let flights = await Flight.find(query)
-        .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+        .sort({ flightDate: direction, operationalSuffix: direction, createdAt: direction })
         .limit(limit)
         .lean()
 
@@ -971,6 +1805,8 @@ class FlightService {
         const historyEntry = {
           flightId: formattedFlight.id,
           flightNumber: formattedFlight.flightNumber,
+          flightDate: formattedFlight.flightDate,
+          operationalSuffix: formattedFlight.operationalSuffix,
           date: flight.schedule.departure.scheduled,
           route: formattedFlight.route.routeString,
           status: formattedFlight.status.current,
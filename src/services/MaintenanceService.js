@@ -0,0 +1,131 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { exec } = require('child_process')
+const { promisify } = require('util')
+const { FlightOperationError } = require('../errors/FlightErrors')
+
+const execAsync = promisify(exec)
+
+class MaintenanceService {
+  constructor(logger = null, options = {}) {
+    this.logger = logger || console
+    this.options = {
+      logging: {
+        filePath: 'logs/',
+        maxFiles: 5
+      },
+      backup: {
+        command: null,
+        timeoutMs: 30 * 60 * 1000
+      },
+      ...options
+    }
+  }
+
+  // ===========================================
+  // LOG ROTATION
+  // ===========================================
+
+  /**
+   * Archive every non-empty *.log file as <name>.log.<timestamp> and truncate
+   * it in place, so winston keeps appending to the same file descriptor.
+   * Only the newest `maxFiles` archives per log are kept.
+   */
+  async rotateLogs(now = new Date()) {
+    const { filePath, maxFiles } = this.options.logging
+    const directory = path.resolve(filePath)
+    const stamp = now.toISOString().replace(/[:.]/g, '-')
+    const result = { rotated: [], removed: [] }
+
+    try {
+      let entries
+      try {
+        entries = await fs.readdir(directory)
+      } catch (error) {
+        if (error.code === 'ENOENT') return result
+        throw error
+      }
+
+      for (const name of entries.filter(entry => entry.endsWith('.log'))) {
+        const source = path.join(directory, name)
+        const { size } = await fs.stat(source)
+
+        if (size > 0) {
+          await fs.copyFile(source, `${source}.${stamp}`)
+          await fs.truncate(source, 0)
+          result.rotated.push(name)
+        }
+
+        const archives = entries
+          .concat(size > 0 ? [`${name}.${stamp}`] : [])
+          .filter(entry => entry.startsWith(`${name}.`))
+          .sort()
+          .reverse()
+
+        for (const archive of archives.slice(maxFiles)) {
+          await fs.unlink(path.join(directory, archive))
+          result.removed.push(archive)
+        }
+      }
+
+      this.logger.info('Log files rotated', result)
+
+      return result
+
+    } catch (error) {
+      this.logger.error('Log rotation failed', { error: error.message, directory })
+      throw new FlightOperationError('Failed to rotate log files', 'ROTATE_LOGS', {
+        originalError: error.message
+      })
+    }
+  }
+
+  // ===========================================
+  // DATABASE BACKUP
+  // ===========================================
+
+  /**
+   * Run the configured backup command (typically mongodump). Skipped, not
+   * failed, when no command is configured.
+   */
+  async runDatabaseBackup() {
+    const { command, timeoutMs } = this.options.backup
+
+    if (!command) {
+      this.logger.warn('Database backup skipped: DATABASE_BACKUP_COMMAND is not configured')
+      return { skipped: true, reason: 'DATABASE_BACKUP_COMMAND is not configured' }
+    }
+
+    const startedAt = Date.now()
+
+    try {
+      const { stdout, stderr } = await execAsync(command, {
+        timeout: timeoutMs,
+        maxBuffer: 1024 * 1024
+      })
+
+      const result = {
+        skipped: false,
+        durationMs: Date.now() - startedAt,
+        output: (stdout || stderr).trim().split('\n').slice(-5).join('\n')
+      }
+
+      this.logger.info('Database backup completed', { durationMs: result.durationMs })
+
+      return result
+
+    } catch (error) {
+      this.logger.error('Database backup failed', {
+        error: error.message,
+        exitCode: error.code,
+        timedOut: error.killed === true
+      })
+      throw new FlightOperationError('Database backup command failed', 'DATABASE_BACKUP', {
+        exitCode: error.code,
+        timedOut: error.killed === true
+      })
+    }
+  }
+}
+
+module.exports = MaintenanceService
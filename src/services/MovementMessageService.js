@@ -0,0 +1,522 @@
+const fs = require('fs/promises')
+const path = require('path')
+const Flight = require('../models/Flight')
+const RejectedMovementMessage = require('../models/RejectedMovementMessage')
+const { FLIGHT_STATUSES, arrivalAirportFor } = require('../models/Flight')
+const { parseMovementMessages } = require('../utils/mvtParser')
+const { delayReasonFor, parseDelayCode } = require('../utils/delayCodes')
+const {
+  FlightError,
+  FlightNotFoundError,
+  FlightConflictError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+
+const DROP_SUBDIRECTORIES = {
+  processing: 'processing',
+  processed: 'processed',
+  rejected: 'rejected'
+}
+
+const formatUtcTime = (date) => `${date.toISOString().slice(11, 16)}Z`
+
+/**
+ * Applies IATA MVT/MVA movement messages to flight instances through
+ * FlightService.updateFlightStatus, so every movement publishes the same
+ * events as a manual update. Messages that cannot be read or applied are
+ * stored in RejectedMovementMessage with the reason.
+ *
+ * Messages arrive over HTTP or as files in a drop directory polled by
+ * startDropDirectoryWatcher(). Handled files move to processed/ or, when a
+ * message in them was rejected, to rejected/.
+ */
+class MovementMessageService {
+  constructor(logger = null, flightService = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.options = {
+      dropDirectory: null,
+      pollIntervalMs: 10000,
+      claimTimeoutMs: 5 * 60 * 1000,
+      ...options
+    }
+    this.dropTimer = null
+    this.scanning = false
+  }
+
+  // ===========================================
+  // INGESTION
+  // ===========================================
+
+  /**
+   * Apply every message in `text`. Returns the applied movements and the
+   * stored rejections; only database failures throw.
+   */
+  async ingest(text, options = {}) {
+    const {
+      source = 'http',
+      receivedBy = 'System',
+      fileName = null,
+      now = new Date()
+    } = options
+
+    try {
+      const entries = parseMovementMessages(text)
+      const result = { received: entries.length, accepted: [], rejected: [] }
+      const context = { source, receivedBy, fileName }
+
+      if (entries.length === 0) {
+        result.received = 1
+        result.rejected.push(await this.reject({ raw: String(text) }, context, {
+          code: 'PARSE_ERROR',
+          message: 'No MVT or MVA message found'
+        }))
+        return result
+      }
+
+      for (const entry of entries) {
+        if (entry.error) {
+          result.rejected.push(await this.reject(entry, context, { code: 'PARSE_ERROR', message: entry.error }))
+          continue
+        }
+
+        try {
+          result.accepted.push(await this.applyMessage(entry.message, { actor: receivedBy, now }))
+        } catch (error) {
+          if (!(error instanceof FlightError)) throw error
+
+          result.rejected.push(await this.reject(entry, context, error))
+        }
+      }
+
+      this.logger.info('Movement messages ingested', {
+        source,
+        fileName,
+        received: result.received,
+        accepted: result.accepted.length,
+        rejected: result.rejected.length
+      })
+
+      return result
+
+    } catch (error) {
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      this.logger.error('Error ingesting movement messages', { error: error.message, source, fileName, stack: error.stack })
+
+      throw new FlightDatabaseError('Failed to ingest movement messages', 'INGEST_MOVEMENTS', { originalError: error.message })
+    }
+  }
+
+  /**
+   * Apply one parsed message to its flight instance. Statuses between the
+   * current one and the reported one (e.g. Boarding before an AD) are
+   * passed through so each step stays a valid transition, without stamping
+   * times or notifying anyone; a message never moves a flight back.
+   */
+  async applyMessage(message, { actor = 'System', now = new Date() } = {}) {
+    const flight = await this.findFlight(message.flight, now)
+
+    this.checkStation(message, flight)
+
+    const update = this.buildUpdate(message, flight)
+    const transitions = await this.flightService.transitionsFor(flight)
+    const steps = this.flightService.statusPath(flight.status.current, update.status, transitions)
+    const instance = { date: flight.flightDate, suffix: flight.operationalSuffix }
+
+    for (const status of steps.slice(0, -1)) {
+      await this.flightService.updateFlightStatus(flight.flightNumber, {
+        status,
+        reason: update.reason,
+        metadata: update.metadata
+      }, actor, instance, { intermediate: true })
+    }
+
+    if (steps.length === 0) {
+      delete update.status
+    }
+
+    const updated = await this.flightService.updateFlightStatus(flight.flightNumber, update, actor, instance)
+
+    return {
+      type: message.type,
+      flightNumber: updated.flightNumber,
+      flightDate: updated.flightDate,
+      operationalSuffix: updated.operationalSuffix,
+      station: message.flight.station,
+      status: updated.status.current,
+      schedule: updated.schedule,
+      delay: updated.delay
+    }
+  }
+
+  // ===========================================
+  // MESSAGE MAPPING
+  // ===========================================
+
+  /**
+   * The instance whose scheduled departure falls on the message's UTC day,
+   * taking the month that puts that day closest to `now`
+   */
+  async findFlight(identification, now = new Date()) {
+    const { flightNumber, operationalSuffix, day } = identification
+    const departureDay = this.resolveDay(day, now)
+
+    const flight = await Flight.findOne({
+      flightNumber,
+      operationalSuffix,
+      isActive: true,
+      'schedule.departure.scheduled': {
+        $gte: departureDay,
+        $lt: new Date(departureDay.getTime() + DAY_MS)
+      }
+    })
+
+    if (!flight) {
+      throw new FlightNotFoundError(flightNumber, {
+        searchedFlightNumber: flightNumber,
+        departureDate: departureDay.toISOString().slice(0, 10),
+        ...(operationalSuffix && { operationalSuffix })
+      })
+    }
+
+    return flight
+  }
+
+  // Departure messages come from the origin, AA from the destination (or diversion airport)
+  checkStation(message, flight) {
+    const side = message.arrival ? 'destination' : 'origin'
+    const expected = message.arrival ? arrivalAirportFor(flight) : flight.route.origin.airport
+
+    if (message.flight.station !== expected) {
+      throw new FlightConflictError(
+        `Movement reported at ${message.flight.station} but the flight's ${side} is ${expected}`,
+        'STATION_MISMATCH',
+        { flightNumber: flight.flightNumber, station: message.flight.station, expected }
+      )
+    }
+  }
+
+  /**
+   * updateFlightStatus data for a message: actual and estimated times,
+   * the status the movement implies and the delay with its IATA codes
+   */
+  buildUpdate(message, flight) {
+    const { departure, arrival } = flight.schedule
+    const times = { departure: {}, arrival: {} }
+    const delay = {}
+    let status = null
+
+    if (message.estimatedDeparture) {
+      times.departure.estimated = this.resolveTime(message.estimatedDeparture, departure.scheduled)
+      delay.minutes = this.minutesLate(times.departure.estimated, departure.scheduled)
+
+      if (!message.estimatedArrival) {
+        times.arrival.estimated = new Date(arrival.scheduled.getTime() + delay.minutes * MINUTE_MS)
+      }
+      if (delay.minutes > 0) status = FLIGHT_STATUSES.DELAYED
+    }
+
+    if (message.nextInformation) {
+      const nextInformation = this.resolveTime(message.nextInformation, departure.scheduled)
+      delay.description = `Next information at ${formatUtcTime(nextInformation)}`
+      status = FLIGHT_STATUSES.DELAYED
+    }
+
+    if (message.departure) {
+      times.departure.actual = this.resolveTime(message.departure.offBlock, departure.scheduled)
+      if (message.departure.airborne) {
+        times.departure.wheelsOff = this.resolveTime(message.departure.airborne, departure.scheduled)
+      }
+      delay.minutes = this.minutesLate(times.departure.actual, departure.scheduled)
+      status = message.departure.airborne ? FLIGHT_STATUSES.IN_AIR : FLIGHT_STATUSES.DEPARTED
+    }
+
+    if (message.estimatedArrival) {
+      times.arrival.estimated = this.resolveTime(message.estimatedArrival.time, arrival.scheduled)
+    }
+
+    if (message.arrival) {
+      times.arrival.actual = this.resolveTime(message.arrival.onBlock || message.arrival.touchdown, arrival.scheduled)
+      if (message.arrival.touchdown) {
+        times.arrival.wheelsOn = this.resolveTime(message.arrival.touchdown, arrival.scheduled)
+      }
+      status = FLIGHT_STATUSES.ARRIVED
+    }
+
+    if (message.delays.length > 0) {
+      const coded = message.delays.filter(({ duration }) => duration !== null)
+
+      delay.reason = delayReasonFor(message.delays[0].code)
+      delay.description = `IATA delay ${message.delays.map(({ code, duration }) =>
+        duration !== null ? `${code} (${duration} min)` : code).join(', ')}`
+      if (coded.length > 0) {
+        delay.minutes = coded.reduce((total, { duration }) => total + duration, 0)
+        delay.segments = coded
+          .filter(({ code }) => parseDelayCode(code))
+          .map(({ code, duration }) => ({ code, minutes: duration }))
+      }
+    }
+
+    const update = {
+      reason: `${message.type} ${this.describeMovement(message)} ${message.flight.station}`,
+      metadata: {
+        source: message.type,
+        station: message.flight.station,
+        registration: message.flight.registration
+      }
+    }
+
+    if (status) update.status = status
+
+    const schedule = Object.fromEntries(Object.entries(times).filter(([, values]) => Object.keys(values).length > 0))
+    if (Object.keys(schedule).length > 0) update.schedule = schedule
+    if (Object.keys(delay).length > 0) update.delay = delay
+
+    return update
+  }
+
+  // ===========================================
+  // DROP DIRECTORY
+  // ===========================================
+
+  startDropDirectoryWatcher(directory = this.options.dropDirectory, intervalMs = this.options.pollIntervalMs) {
+    if (this.dropTimer || !directory) return
+
+    this.dropTimer = setInterval(() => {
+      this.processDropDirectory(directory).catch((error) => {
+        this.logger.error('Movement drop directory scan failed', { directory, error: error.message })
+      })
+    }, intervalMs)
+    this.dropTimer.unref()
+
+    this.logger.info('Movement drop directory watcher started', { directory, intervalMs })
+  }
+
+  stopDropDirectoryWatcher() {
+    if (!this.dropTimer) return
+
+    clearInterval(this.dropTimer)
+    this.dropTimer = null
+    this.logger.info('Movement drop directory watcher stopped')
+  }
+
+  /**
+   * Ingest every file in the drop directory. A file is claimed by moving it
+   * to processing/ first, so several instances can share one directory.
+   * When ingestion fails the file goes back to be retried on the next scan,
+   * as do files an instance claimed but never finished (see
+   * recoverClaimedFiles).
+   */
+  async processDropDirectory(directory = this.options.dropDirectory) {
+    const stats = { files: 0, accepted: 0, rejected: 0 }
+    if (this.scanning) return stats
+
+    this.scanning = true
+
+    try {
+      for (const subdirectory of Object.values(DROP_SUBDIRECTORIES)) {
+        await fs.mkdir(path.join(directory, subdirectory), { recursive: true })
+      }
+
+      await this.recoverClaimedFiles(directory)
+
+      const entries = await fs.readdir(directory, { withFileTypes: true })
+      const files = entries.filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+
+      for (const { name } of files) {
+        const claimed = path.join(directory, DROP_SUBDIRECTORIES.processing, name)
+
+        try {
+          await fs.rename(path.join(directory, name), claimed)
+        } catch (error) {
+          if (error.code === 'ENOENT') continue
+          throw error
+        }
+
+        let result
+        try {
+          result = await this.ingest(await fs.readFile(claimed, 'utf8'), {
+            source: 'file',
+            fileName: name,
+            receivedBy: 'MVT drop directory'
+          })
+        } catch (error) {
+          await fs.rename(claimed, path.join(directory, name))
+          throw error
+        }
+
+        const target = result.rejected.length > 0 ? DROP_SUBDIRECTORIES.rejected : DROP_SUBDIRECTORIES.processed
+        await fs.rename(claimed, path.join(directory, target, `${Date.now()}-${name}`))
+
+        stats.files++
+        stats.accepted += result.accepted.length
+        stats.rejected += result.rejected.length
+      }
+
+      if (stats.files > 0) {
+        this.logger.info('Movement drop directory processed', { directory, ...stats })
+      }
+
+      return stats
+
+    } finally {
+      this.scanning = false
+    }
+  }
+
+  /**
+   * Move files left in processing/ by a scan that never finished, e.g. after
+   * a crash, back to the drop directory. Only claims older than
+   * claimTimeoutMs are taken, so scans running on other instances keep theirs.
+   */
+  async recoverClaimedFiles(directory, now = Date.now()) {
+    const processing = path.join(directory, DROP_SUBDIRECTORIES.processing)
+    const entries = await fs.readdir(processing, { withFileTypes: true })
+    const recovered = []
+
+    for (const { name } of entries.filter(entry => entry.isFile() && !entry.name.startsWith('.'))) {
+      const claimed = path.join(processing, name)
+
+      try {
+        // rename() updates ctime, so it records when the file was claimed
+        const { ctimeMs } = await fs.stat(claimed)
+        if (now - ctimeMs < this.options.claimTimeoutMs) continue
+
+        await fs.rename(claimed, path.join(directory, name))
+        recovered.push(name)
+      } catch (error) {
+        if (error.code === 'ENOENT') continue
+        throw error
+      }
+    }
+
+    if (recovered.length > 0) {
+      this.logger.warn('Movement drop directory files recovered from processing', { directory, files: recovered })
+    }
+
+    return recovered
+  }
+
+  // ===========================================
+  // REJECTED MESSAGES
+  // ===========================================
+
+  async getRejectedMessages(filters = {}) {
+    try {
+      const query = {}
+      const limit = Math.min(filters.limit || 50, 200)
+
+      if (filters.source) query.source = filters.source
+      if (filters.flightNumber) query.flightNumber = filters.flightNumber.toUpperCase()
+      if (filters.since) query.receivedAt = { $gte: new Date(filters.since) }
+
+      const [messages, totalCount] = await Promise.all([
+        RejectedMovementMessage.find(query).sort({ receivedAt: -1 }).limit(limit),
+        RejectedMovementMessage.countDocuments(query)
+      ])
+
+      return {
+        messages: messages.map(message => this.formatRejection(message)),
+        totalCount
+      }
+
+    } catch (error) {
+      this.logger.error('Error fetching rejected movement messages', { error: error.message, stack: error.stack })
+
+      throw new FlightDatabaseError('Failed to fetch rejected movement messages', 'GET_REJECTED_MOVEMENTS', { originalError: error.message })
+    }
+  }
+
+  async reject(entry, context, error) {
+    const rejection = await RejectedMovementMessage.create({
+      raw: entry.raw,
+      type: entry.message?.type || entry.type,
+      flightNumber: entry.message?.flight.flightNumber,
+      source: context.source,
+      fileName: context.fileName,
+      receivedBy: context.receivedBy,
+      reason: error.message,
+      code: error.conflictType || error.code,
+      details: error.details || undefined
+    })
+
+    this.logger.warn('Movement message rejected', {
+      flightNumber: rejection.flightNumber,
+      source: rejection.source,
+      fileName: rejection.fileName,
+      code: rejection.code,
+      reason: rejection.reason
+    })
+
+    return this.formatRejection(rejection)
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  /**
+   * Midnight UTC of `day` in the month before, of or after `now`, whichever
+   * is closest
+   */
+  resolveDay(day, now = new Date()) {
+    return [-1, 0, 1]
+      .map(offset => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, day)))
+      .filter(date => date.getUTCDate() === day)
+      .reduce((closest, date) => Math.abs(date - now) < Math.abs(closest - now) ? date : closest)
+  }
+
+  /**
+   * Instant for an HHMM or DDHHMM UTC time: the occurrence closest to
+   * `reference`, so times after midnight land on the right day
+   */
+  resolveTime({ day, hours, minutes }, reference) {
+    const base = new Date(reference)
+    const candidate = (offset) => day !== null
+      ? new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + offset, day, hours, minutes))
+      : new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() + offset, hours, minutes))
+
+    return [-1, 0, 1]
+      .map(candidate)
+      .filter(date => day === null || date.getUTCDate() === day)
+      .reduce((closest, date) => Math.abs(date - base) < Math.abs(closest - base) ? date : closest)
+  }
+
+  minutesLate(time, scheduled) {
+    return Math.max(0, Math.floor((time - scheduled) / MINUTE_MS))
+  }
+
+  describeMovement(message) {
+    return [
+      message.departure && 'AD',
+      message.arrival && 'AA',
+      message.estimatedDeparture && 'ED',
+      message.estimatedArrival && 'EA',
+      message.nextInformation && 'NI'
+    ].filter(Boolean).join('/')
+  }
+
+  formatRejection(rejection) {
+    return {
+      id: rejection._id,
+      type: rejection.type,
+      flightNumber: rejection.flightNumber,
+      source: rejection.source,
+      fileName: rejection.fileName,
+      receivedBy: rejection.receivedBy,
+      reason: rejection.reason,
+      code: rejection.code,
+      details: rejection.details,
+      raw: rejection.raw,
+      receivedAt: rejection.receivedAt
+    }
+  }
+}
+
+module.exports = MovementMessageService
@@ -1,10 +1,22 @@
+const os = require('os')
+const EventEmitter = require('events')
+const crypto = require('crypto')
 const sgMail = require('@sendgrid/mail')
 const Subscription = require('../models/Subscription')
+const Notification = require('../models/Notification')
+const { NOTIFICATION_STATUSES } = require('../models/Notification')
 const { SUBSCRIPTION_STATUS, NOTIFICATION_TYPES, NOTIFICATION_METHODS } = require('../models/Subscription')
 const { FLIGHT_STATUSES } = require('../models/Flight')
+const { FLIGHT_EVENTS } = require('../events/FlightEventBus')
 
-class NotificationService {
+// Internal events emitted by the service itself (not flight domain events)
+const NOTIFICATION_EVENTS = {
+  DELIVERY_FAILED: 'notification.delivery_failed'
+}
+
+class NotificationService extends EventEmitter {
   constructor(logger = null, config = {}) {
+    super()
     this.logger = logger || console
     this.config = {
       sendGrid: {
@@ -26,14 +38,25 @@ class NotificationService {
         maxPerHour: parseInt(process.env.NOTIFICATION_RATE_LIMIT) || 100,
         maxPerDay: parseInt(process.env.NOTIFICATION_DAILY_LIMIT) || 1000
       },
+      outbox: {
+        pollIntervalMs: parseInt(process.env.NOTIFICATION_OUTBOX_POLL_INTERVAL) || 15000,
+        batchSize: parseInt(process.env.NOTIFICATION_OUTBOX_BATCH_SIZE) || 50,
+        leaseMs: parseInt(process.env.NOTIFICATION_OUTBOX_LEASE_MS) || 5 * 60 * 1000,
+        maxBackoffMs: parseInt(process.env.NOTIFICATION_OUTBOX_MAX_BACKOFF) || 60 * 60 * 1000
+      },
       baseUrl: process.env.BASE_URL || 'https://fsns.com',
+      apiBaseUrl: process.env.API_BASE_URL || `${process.env.BASE_URL || 'https://fsns.com'}/api`,
       ...config
     }
 
     this.rateLimitStore = new Map() // In production, use Redis
-    this.deliveryQueue = []
     this.isEnabled = true
 
+    // Identifies this process when claiming outbox entries
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+    this.outboxTimer = null
+    this.isProcessingOutbox = false
+
     this.initializeTransporter()
   }
 
@@ -62,7 +85,22 @@ class NotificationService {
   // MAIN NOTIFICATION METHODS
   // ===========================================
 
-  async notifyStatusChange(flight, oldStatus, updatedBy = 'System') {
+  /**
+   * Subscribe to the flight events published by FlightService
+   */
+  registerEventHandlers(eventBus) {
+    return eventBus.subscribe(
+      FLIGHT_EVENTS.STATUS_CHANGED,
+      (event) => this.notifyStatusChange(event.flight, event.data.previousStatus, event.actor, event.data.rebookingOptions),
+      'notification-service'
+    )
+  }
+
+  /**
+   * `rebookingOptions` (alternative flights found by FlightService for a
+   * cancellation) are listed in the email when given
+   */
+  async notifyStatusChange(flight, oldStatus, updatedBy = 'System', rebookingOptions = []) {
     try {
       this.logger.info('Processing flight status change notification', {
         flightNumber: flight.flightNumber,
@@ -76,11 +114,8 @@ class NotificationService {
         return { success: true, message: 'Service disabled' }
       }
 
-      // Find active subscriptions for this flight
-      const subscriptions = await Subscription.findActiveByFlight(
-        flight.flightNumber,
-        flight.schedule.departure.scheduled
-      )
+      // Find active subscriptions for this flight instance
+      const subscriptions = await Subscription.findActiveByFlightInstance(flight)
 
       if (subscriptions.length === 0) {
         this.logger.info('No active subscriptions found for flight', {
@@ -126,7 +161,8 @@ class NotificationService {
           const notificationResult = await this.sendStatusChangeEmail(
             subscription,
             flight,
-            oldStatus
+            oldStatus,
+            rebookingOptions
           )
 
           if (notificationResult.success) {
@@ -195,13 +231,14 @@ class NotificationService {
     }
   }
 
-  async sendStatusChangeEmail(subscription, flight, oldStatus) {
+  async sendStatusChangeEmail(subscription, flight, oldStatus, rebookingOptions = []) {
     try {
       // Generate email content
       const emailContent = this.generateStatusChangeEmailContent(
         subscription,
         flight,
-        oldStatus
+        oldStatus,
+        rebookingOptions
       )
 
       // Create email message
@@ -214,6 +251,7 @@ class NotificationService {
         subject: emailContent.subject,
         text: emailContent.text,
         html: emailContent.html,
+        headers: this.buildListUnsubscribeHeaders(subscription),
         trackingSettings: {
           clickTracking: { enable: false },
           openTracking: { enable: true }
@@ -225,19 +263,31 @@ class NotificationService {
         }
       }
 
-      // Send email based on mode
-      const result = await this.sendEmail(message)
+      const result = await this.dispatchEmail(message, {
+        type: this.getNotificationType(flight.status.current),
+        flight: flight._id,
+        subscription: subscription._id,
+        title: emailContent.subject,
+        message: `${this.bookedFlightNumber(subscription, flight)}: ${oldStatus} → ${flight.status.current}`,
+        priority: flight.status.current === FLIGHT_STATUSES.CANCELLED ? 'urgent' : 'high'
+      })
+
+      if (!result.success) {
+        return result
+      }
 
       this.logger.info('Status change email sent successfully', {
         email: subscription.email,
         flightNumber: flight.flightNumber,
         messageId: result.messageId,
+        notificationId: result.notificationId,
         mode: this.config.mode
       })
 
       return {
         success: true,
         messageId: result.messageId,
+        notificationId: result.notificationId,
         method: this.config.mode,
         mode: this.config.mode
       }
@@ -256,6 +306,108 @@ class NotificationService {
     }
   }
 
+  /**
+   * Early heads-up that a flight will probably leave late because its
+   * aircraft arrives late from `prediction.inbound`. A subscriber gets it
+   * once, when the predicted delay first reaches their delay threshold.
+   */
+  async notifyPredictedDelay(flight, prediction) {
+    try {
+      if (!this.isEnabled) {
+        return { success: true, message: 'Service disabled' }
+      }
+
+      const subscriptions = await Subscription.findActiveByFlightInstance(flight)
+      const results = { success: true, notificationsSent: 0, notificationsFailed: 0 }
+
+      for (const subscription of subscriptions) {
+        try {
+          const preference = subscription.notificationPreferences?.[NOTIFICATION_TYPES.DELAYS]
+          const threshold = Math.max(preference?.minDelayMinutes || 0, 1)
+
+          if (!preference?.enabled ||
+              prediction.delayMinutes < threshold ||
+              prediction.previousDelayMinutes >= threshold) {
+            continue
+          }
+
+          if (!this.checkRateLimit(subscription.email)) {
+            this.logger.warn('Rate limit exceeded for subscriber', { email: subscription.email })
+            continue
+          }
+
+          const emailContent = this.generatePredictedDelayEmailContent(subscription, flight, prediction)
+
+          const result = await this.dispatchEmail({
+            to: subscription.email,
+            from: {
+              email: this.config.sendGrid.fromEmail,
+              name: this.config.sendGrid.fromName
+            },
+            subject: emailContent.subject,
+            text: emailContent.text,
+            html: emailContent.html,
+            headers: this.buildListUnsubscribeHeaders(subscription),
+            trackingSettings: {
+              clickTracking: { enable: false },
+              openTracking: { enable: true }
+            },
+            customArgs: {
+              flightNumber: flight.flightNumber,
+              subscriptionId: subscription._id.toString(),
+              notificationType: 'predicted_delay'
+            }
+          }, {
+            type: 'flight_delay',
+            flight: flight._id,
+            subscription: subscription._id,
+            title: emailContent.subject,
+            message: `${this.bookedFlightNumber(subscription, flight)}: expected ${prediction.delayMinutes} min late (late inbound aircraft)`,
+            priority: 'medium'
+          })
+
+          await subscription.addNotification(
+            NOTIFICATION_TYPES.DELAYS,
+            NOTIFICATION_METHODS.EMAIL,
+            result.success ? 'sent' : 'failed',
+            result.messageId || null,
+            result.error || null
+          )
+          results[result.success ? 'notificationsSent' : 'notificationsFailed']++
+
+        } catch (error) {
+          this.logger.error('Error sending predicted delay notification', {
+            subscriptionId: subscription._id,
+            error: error.message
+          })
+          results.notificationsFailed++
+        }
+      }
+
+      this.logger.info('Predicted delay notifications processed', {
+        flightNumber: flight.flightNumber,
+        delayMinutes: prediction.delayMinutes,
+        sent: results.notificationsSent,
+        failed: results.notificationsFailed
+      })
+
+      return results
+
+    } catch (error) {
+      this.logger.error('Failed to process predicted delay notifications', {
+        flightNumber: flight.flightNumber,
+        error: error.message
+      })
+
+      return {
+        success: false,
+        error: error.message,
+        notificationsSent: 0,
+        notificationsFailed: 0
+      }
+    }
+  }
+
   async sendVerificationEmail(subscription) {
     try {
       this.logger.info('Sending verification email', {
@@ -276,6 +428,7 @@ class NotificationService {
         subject: emailContent.subject,
         text: emailContent.text,
         html: emailContent.html,
+        headers: this.buildListUnsubscribeHeaders(subscription),
         trackingSettings: {
           clickTracking: { enable: true },
           openTracking: { enable: true }
@@ -287,8 +440,18 @@ class NotificationService {
         }
       }
 
-      // Send email
-      const result = await this.sendEmail(message)
+      const result = await this.dispatchEmail(message, {
+        type: 'subscription_verification',
+        flight: subscription.flight,
+        subscription: subscription._id,
+        title: emailContent.subject,
+        message: `Verify subscription for ${subscription.flightNumber}`,
+        priority: 'high'
+      })
+
+      if (!result.success) {
+        return result
+      }
 
       this.logger.info('Verification email sent successfully', {
         email: subscription.email,
@@ -327,8 +490,12 @@ class NotificationService {
   // EMAIL TEMPLATE GENERATION
   // ===========================================
 
-  generateStatusChangeEmailContent(subscription, flight, oldStatus) {
+  generateStatusChangeEmailContent(subscription, flight, oldStatus, rebookingOptions = []) {
     const newStatus = flight.status.current
+    if (newStatus === FLIGHT_STATUSES.DIVERTED && flight.diversion) {
+      return this.generateDiversionEmailContent(subscription, flight)
+    }
+
     const statusDisplayNames = {
       [FLIGHT_STATUSES.SCHEDULED]: 'Scheduled',
       [FLIGHT_STATUSES.DELAYED]: 'Delayed',
@@ -368,18 +535,18 @@ class NotificationService {
     })
 
     // Generate subject
-    const subject = `${statusIcons[newStatus]} Flight ${flight.flightNumber} - ${statusDisplayNames[newStatus]}`
+    const subject = `${statusIcons[newStatus]} Flight ${this.bookedFlightNumber(subscription, flight)} - ${statusDisplayNames[newStatus]}`
 
     // Generate text version
-    const text = this.generateTextEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime)
+    const text = this.generateTextEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime, rebookingOptions)
 
     // Generate HTML version
-    const html = this.generateHtmlEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime)
+    const html = this.generateHtmlEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime, rebookingOptions)
 
     return { subject, text, html }
   }
 
-  generateTextEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime) {
+  generateTextEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime, rebookingOptions = []) {
     const statusDisplayNames = {
       [FLIGHT_STATUSES.SCHEDULED]: 'Scheduled',
       [FLIGHT_STATUSES.DELAYED]: 'Delayed',
@@ -416,14 +583,22 @@ class NotificationService {
       }
     }
 
-    const unsubscribeUrl = `${this.config.baseUrl}/unsubscribe/${subscription.unsubscribe.token}`
+    let rebookingInfo = ''
+    if (newStatus === FLIGHT_STATUSES.CANCELLED && rebookingOptions?.length > 0) {
+      rebookingInfo = '\n\nALTERNATIVE FLIGHTS\nThe airline may be able to rebook you on one of these flights (subject to availability):'
+      for (const option of rebookingOptions) {
+        rebookingInfo += `\n- ${this.describeRebookingOption(subscription, option)}`
+      }
+    }
+
+    const { unsubscribeUrl } = this.buildSubscriptionLinks(subscription)
 
     return `Dear ${subscription.passengerInfo?.firstName || 'Passenger'},
 
 Your flight status has been updated:
 
 FLIGHT INFORMATION
-- Flight: ${flight.flightNumber}
+- Flight: ${this.formatBookedFlight(subscription, flight)}
 - Airline: ${flight.airline.name}
 - Route: ${flight.route.origin.city} (${flight.route.origin.airport}) → ${flight.route.destination.city} (${flight.route.destination.airport})
 - Status: ${statusDisplayNames[oldStatus]} → ${statusDisplayNames[newStatus]}
@@ -432,20 +607,20 @@ SCHEDULE
 - Departure: ${departureTime}
 - Arrival: ${arrivalTime}${delayInfo}${gateInfo}
 
-${this.getStatusSpecificMessage(newStatus, flight)}
+${this.getStatusSpecificMessage(newStatus, flight)}${rebookingInfo}
 
 ---
 PT EDIfly Solusi Indonesia
 Your trusted aviation technology partner
 
-This email was sent to ${subscription.email} because you subscribed to notifications for flight ${flight.flightNumber}.
+This email was sent to ${subscription.email} because you subscribed to notifications for flight ${this.bookedFlightNumber(subscription, flight)}.
 
 To unsubscribe from these notifications, visit: ${unsubscribeUrl}
 
 For support, please contact our customer service team.`
   }
 
-  generateHtmlEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime) {
+  generateHtmlEmail(subscription, flight, oldStatus, newStatus, departureTime, arrivalTime, rebookingOptions = []) {
     const statusDisplayNames = {
       [FLIGHT_STATUSES.SCHEDULED]: 'Scheduled',
       [FLIGHT_STATUSES.DELAYED]: 'Delayed',
@@ -493,7 +668,22 @@ For support, please contact our customer service team.`
         </tr>`
     }
 
-    const unsubscribeUrl = `${this.config.baseUrl}/unsubscribe/${subscription.unsubscribe.token}`
+    let rebookingSection = ''
+    if (newStatus === FLIGHT_STATUSES.CANCELLED && rebookingOptions?.length > 0) {
+      rebookingSection = `
+                            <!-- Alternative Flights -->
+                            <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #F8F9FA; border-radius: 6px; padding: 20px; margin-bottom: 20px;">
+                                <tr>
+                                    <td>
+                                        <h3 style="color: #1565C0; margin: 0 0 10px 0;">🔁 Alternative Flights</h3>
+                                        <p style="margin: 0 0 10px 0; color: #666666;">The airline may be able to rebook you on one of these flights (subject to availability):</p>
+                                        ${rebookingOptions.map(option => `<p style="margin: 5px 0; color: #333333;">${this.describeRebookingOption(subscription, option)}</p>`).join('')}
+                                    </td>
+                                </tr>
+                            </table>`
+    }
+
+    const { unsubscribeUrl } = this.buildSubscriptionLinks(subscription)
 
     return `
 <!DOCTYPE html>
@@ -501,7 +691,7 @@ For support, please contact our customer service team.`
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Flight Status Update - ${flight.flightNumber}</title>
+    <title>Flight Status Update - ${this.bookedFlightNumber(subscription, flight)}</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #F5F5F5;">
     <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #F5F5F5;">
@@ -547,7 +737,7 @@ For support, please contact our customer service team.`
                                         <table width="100%" cellpadding="0" cellspacing="0">
                                             <tr>
                                                 <td width="30%" style="padding: 5px 0; color: #666666; font-weight: bold;">Flight:</td>
-                                                <td style="padding: 5px 0; color: #333333;">${flight.flightNumber}</td>
+                                                <td style="padding: 5px 0; color: #333333;">${this.formatBookedFlight(subscription, flight)}</td>
                                             </tr>
                                             <tr>
                                                 <td style="padding: 5px 0; color: #666666; font-weight: bold;">Airline:</td>
@@ -592,6 +782,7 @@ For support, please contact our customer service team.`
                             <div style="background-color: #E3F2FD; border-left: 4px solid #2196F3; padding: 15px; margin: 20px 0; border-radius: 0 4px 4px 0;">
                                 <p style="margin: 0; color: #1565C0; font-weight: bold;">${this.getStatusSpecificMessage(newStatus, flight)}</p>
                             </div>
+${rebookingSection}
 
                             <!-- Action Button (if applicable) -->
                             ${this.getActionButton(newStatus, flight)}
@@ -608,7 +799,7 @@ For support, please contact our customer service team.`
                                         <p style="color: #666666; margin: 0 0 15px 0; font-size: 14px;">Your trusted aviation technology partner</p>
                                         
                                         <p style="color: #999999; margin: 0 0 10px 0; font-size: 12px;">
-                                            This email was sent to ${subscription.email} because you subscribed to notifications for flight ${flight.flightNumber}.
+                                            This email was sent to ${subscription.email} because you subscribed to notifications for flight ${this.bookedFlightNumber(subscription, flight)}.
                                         </p>
                                         
                                         <p style="margin: 0; font-size: 12px;">
@@ -628,9 +819,158 @@ For support, please contact our customer service team.`
 </html>`
   }
 
+  /**
+   * Diversion notice: where the flight is going instead, why, when it is
+   * expected there and where it was originally headed
+   */
+  generateDiversionEmailContent(subscription, flight) {
+    const { unsubscribeUrl } = this.buildSubscriptionLinks(subscription)
+    const { origin, destination } = flight.route
+    const { reason, estimatedArrival } = flight.diversion
+
+    const expected = estimatedArrival
+      ? new Date(estimatedArrival).toLocaleString('en-US', {
+        timeZone: subscription.passengerInfo?.timezone || 'UTC',
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+      : 'To be confirmed'
+
+    const divertedTo = `${flight.diversion.city} (${flight.diversion.airport})`
+    const plannedTo = `${destination.city} (${destination.airport})`
+    const onwardTravel = `The airline will advise on onward travel to ${plannedTo}. Please follow the instructions of airline staff on arrival in ${flight.diversion.city}.`
+
+    const subject = `🔄 Flight ${this.bookedFlightNumber(subscription, flight)} diverted to ${divertedTo}`
+
+    const text = `Dear ${subscription.passengerInfo?.firstName || 'Passenger'},
+
+Your flight has been diverted and will not arrive at its planned destination.
+
+DIVERSION
+- Flight: ${this.formatBookedFlight(subscription, flight)}
+- Airline: ${flight.airline.name}
+- From: ${origin.city} (${origin.airport})
+- Planned destination: ${plannedTo}
+- Diverted to: ${divertedTo}
+- Reason: ${reason || 'Operational reasons'}
+- Expected arrival: ${expected}
+
+${onwardTravel}
+
+---
+PT EDIfly Solusi Indonesia
+Your trusted aviation technology partner
+
+This email was sent to ${subscription.email} because you subscribed to notifications for flight ${this.bookedFlightNumber(subscription, flight)}.
+
+To unsubscribe from these notifications, visit: ${unsubscribeUrl}`
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${subject}</title>
+</head>
+<body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; background-color: #F5F5F5; color: #333333;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px;">
+        <tr>
+            <td style="padding: 30px;">
+                <h1 style="margin: 0 0 20px; font-size: 22px; color: #9C27B0;">Flight ${this.bookedFlightNumber(subscription, flight)} has been diverted</h1>
+                <p style="margin: 0 0 10px;">Dear ${subscription.passengerInfo?.firstName || 'Passenger'},</p>
+                <p style="margin: 0 0 20px;">Your flight from ${origin.city} (${origin.airport}) will not arrive at its planned destination.</p>
+                <p style="margin: 0 0 5px;"><strong>Planned destination:</strong> <span style="text-decoration: line-through;">${plannedTo}</span></p>
+                <p style="margin: 0 0 5px;"><strong>Diverted to:</strong> ${divertedTo}</p>
+                <p style="margin: 0 0 5px;"><strong>Reason:</strong> ${reason || 'Operational reasons'}</p>
+                <p style="margin: 0 0 20px;"><strong>Expected arrival:</strong> ${expected}</p>
+                <p style="margin: 0 0 20px;">${onwardTravel}</p>
+                <p style="margin: 0; font-size: 12px;">
+                    <a href="${unsubscribeUrl}" style="color: #1565C0; text-decoration: none;">Unsubscribe</a>
+                </p>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`
+
+    return { subject, text, html }
+  }
+
+  generatePredictedDelayEmailContent(subscription, flight, { delayMinutes }) {
+    const { unsubscribeUrl } = this.buildSubscriptionLinks(subscription)
+    const { origin, destination } = flight.route
+    const formatTime = (date) => new Date(date).toLocaleString('en-US', {
+      timeZone: subscription.passengerInfo?.timezone || 'UTC',
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+
+    const scheduled = formatTime(flight.schedule.departure.scheduled)
+    const expected = formatTime(flight.schedule.departure.estimated)
+    const notice = 'This is an early estimate and may still change. We will let you know when the airline confirms a new departure time.'
+
+    const subject = `⏰ Flight ${this.bookedFlightNumber(subscription, flight)} may depart about ${delayMinutes} minutes late`
+
+    const text = `Dear ${subscription.passengerInfo?.firstName || 'Passenger'},
+
+The aircraft that will operate your flight is arriving late from its previous flight, so your departure is likely to be delayed.
+
+EXPECTED DELAY
+- Flight: ${this.formatBookedFlight(subscription, flight)}
+- Airline: ${flight.airline.name}
+- Route: ${origin.city} (${origin.airport}) → ${destination.city} (${destination.airport})
+- Scheduled departure: ${scheduled}
+- Expected departure: ${expected}
+- Expected delay: ${delayMinutes} minutes
+
+${notice}
+
+---
+PT EDIfly Solusi Indonesia
+Your trusted aviation technology partner
+
+This email was sent to ${subscription.email} because you subscribed to notifications for flight ${this.bookedFlightNumber(subscription, flight)}.
+
+To unsubscribe from these notifications, visit: ${unsubscribeUrl}`
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${subject}</title>
+</head>
+<body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; background-color: #F5F5F5; color: #333333;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px;">
+        <tr>
+            <td style="padding: 30px;">
+                <h1 style="margin: 0 0 20px; font-size: 22px; color: #FF9800;">Flight ${this.bookedFlightNumber(subscription, flight)} may depart late</h1>
+                <p style="margin: 0 0 10px;">Dear ${subscription.passengerInfo?.firstName || 'Passenger'},</p>
+                <p style="margin: 0 0 20px;">The aircraft that will operate your flight from ${origin.city} (${origin.airport}) to ${destination.city} (${destination.airport}) is arriving late from its previous flight.</p>
+                <p style="margin: 0 0 5px;"><strong>Scheduled departure:</strong> ${scheduled}</p>
+                <p style="margin: 0 0 5px;"><strong>Expected departure:</strong> ${expected}</p>
+                <p style="margin: 0 0 20px;"><strong>Expected delay:</strong> ${delayMinutes} minutes</p>
+                <p style="margin: 0 0 20px;">${notice}</p>
+                <p style="margin: 0; font-size: 12px;">
+                    <a href="${unsubscribeUrl}" style="color: #1565C0; text-decoration: none;">Unsubscribe</a>
+                </p>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`
+
+    return { subject, text, html }
+  }
+
   generateVerificationEmailContent(subscription) {
-    const verificationUrl = `${this.config.baseUrl}/verify/${subscription.verification.verificationToken}`
-    const unsubscribeUrl = `${this.config.baseUrl}/unsubscribe/${subscription.unsubscribe.token}`
+    const { verificationUrl, unsubscribeUrl } = this.buildSubscriptionLinks(subscription)
 
     const departureTime = new Date(subscription.flightDate).toLocaleDateString('en-US', {
       weekday: 'long',
@@ -775,6 +1115,170 @@ To unsubscribe, visit: ${unsubscribeUrl}`
     return { subject, text, html }
   }
 
+  /**
+   * Pre-departure reminder, rendered when the reminder is planned and
+   * re-rendered whenever the departure time moves
+   */
+  generateDepartureReminderContent(subscription, flight, leadMinutes) {
+    const { unsubscribeUrl, preferencesUrl } = this.buildSubscriptionLinks(subscription)
+    const departure = flight.schedule.departure.estimated || flight.schedule.departure.scheduled
+    const isRevised = Boolean(flight.schedule.departure.estimated)
+
+    const departureTime = new Date(departure).toLocaleString('en-US', {
+      timeZone: subscription.passengerInfo?.timezone || 'UTC',
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+
+    const leadTime = leadMinutes >= 60 && leadMinutes % 60 === 0
+      ? `${leadMinutes / 60} hour${leadMinutes === 60 ? '' : 's'}`
+      : `${leadMinutes} minutes`
+
+    const { origin, destination } = flight.route
+    const gate = origin.gate
+      ? `Gate ${origin.gate}${origin.terminal ? ` (Terminal ${origin.terminal})` : ''}`
+      : 'Not yet assigned'
+
+    const subject = `🕐 Flight ${this.bookedFlightNumber(subscription, flight)} departs in ${leadTime}`
+
+    const text = `Dear ${subscription.passengerInfo?.firstName || 'Passenger'},
+
+This is your reminder that flight ${this.bookedFlightNumber(subscription, flight)} departs in about ${leadTime}.
+
+FLIGHT INFORMATION
+- Flight: ${this.formatBookedFlight(subscription, flight)}
+- Airline: ${flight.airline.name}
+- Route: ${origin.city} (${origin.airport}) → ${destination.city} (${destination.airport})
+- ${isRevised ? 'Estimated departure' : 'Departure'}: ${departureTime}
+- Departure gate: ${gate}
+
+${this.getStatusSpecificMessage(flight.status.current, flight)}
+
+---
+PT EDIfly Solusi Indonesia
+Your trusted aviation technology partner
+
+To change when you receive this reminder, visit: ${preferencesUrl}
+To unsubscribe from these notifications, visit: ${unsubscribeUrl}`
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${subject}</title>
+</head>
+<body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; background-color: #F5F5F5; color: #333333;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px;">
+        <tr>
+            <td style="padding: 30px;">
+                <h1 style="margin: 0 0 20px; font-size: 22px; color: #1565C0;">Flight ${this.bookedFlightNumber(subscription, flight)} departs in ${leadTime}</h1>
+                <p style="margin: 0 0 10px;">Dear ${subscription.passengerInfo?.firstName || 'Passenger'},</p>
+                <p style="margin: 0 0 20px;">${origin.city} (${origin.airport}) → ${destination.city} (${destination.airport})</p>
+                <p style="margin: 0 0 5px;"><strong>${isRevised ? 'Estimated departure' : 'Departure'}:</strong> ${departureTime}</p>
+                <p style="margin: 0 0 20px;"><strong>Departure gate:</strong> ${gate}</p>
+                <p style="margin: 0 0 20px;">${this.getStatusSpecificMessage(flight.status.current, flight)}</p>
+                <p style="margin: 0; font-size: 12px;">
+                    <a href="${preferencesUrl}" style="color: #1565C0; text-decoration: none;">Reminder settings</a> |
+                    <a href="${unsubscribeUrl}" style="color: #1565C0; text-decoration: none;">Unsubscribe</a>
+                </p>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`
+
+    return { subject, text, html }
+  }
+
+  buildDepartureReminderEmail(subscription, flight, leadMinutes) {
+    const emailContent = this.generateDepartureReminderContent(subscription, flight, leadMinutes)
+
+    return {
+      to: subscription.email,
+      from: {
+        email: this.config.sendGrid.fromEmail,
+        name: this.config.sendGrid.fromName
+      },
+      subject: emailContent.subject,
+      text: emailContent.text,
+      html: emailContent.html,
+      headers: this.buildListUnsubscribeHeaders(subscription),
+      trackingSettings: {
+        clickTracking: { enable: false },
+        openTracking: { enable: true }
+      },
+      customArgs: {
+        flightNumber: flight.flightNumber,
+        subscriptionId: subscription._id.toString(),
+        notificationType: 'departure_reminder'
+      }
+    }
+  }
+
+  buildSubscriptionLinks(subscription) {
+    const base = `${this.config.apiBaseUrl}/subscriptions`
+
+    return {
+      verificationUrl: `${base}/verify/${subscription.verification?.verificationToken}`,
+      unsubscribeUrl: `${base}/unsubscribe/${subscription.unsubscribe?.token}`,
+      preferencesUrl: `${base}/preferences/${subscription.unsubscribe?.token}`
+    }
+  }
+
+  /**
+   * RFC 2369 / RFC 8058 headers so mail clients can offer one-click unsubscribe
+   */
+  buildListUnsubscribeHeaders(subscription) {
+    if (!subscription.unsubscribe?.token) {
+      return {}
+    }
+
+    const { unsubscribeUrl } = this.buildSubscriptionLinks(subscription)
+
+    return {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  }
+
+  /**
+   * The flight number the passenger subscribed with, which is a codeshare
+   * (marketing) number when they booked through a partner airline
+   */
+  bookedFlightNumber(subscription, flight) {
+    return subscription.flightNumber || flight.flightNumber
+  }
+
+  // e.g. "KL3902 (operated by Garuda Indonesia as GA402)" for a codeshare booking
+  formatBookedFlight(subscription, flight) {
+    const booked = this.bookedFlightNumber(subscription, flight)
+
+    return booked === flight.flightNumber
+      ? booked
+      : `${booked} (operated by ${flight.airline?.name || flight.airline?.code} as ${flight.flightNumber})`
+  }
+
+  // One alternative flight, e.g. "GA404 (Garuda Indonesia) departs Sunday, October 26, 02:00 PM, arrives 04:55 PM - 162 seats"
+  describeRebookingOption(subscription, option) {
+    const timeZone = subscription.passengerInfo?.timezone || 'UTC'
+    const departs = new Date(option.departure).toLocaleString('en-US', {
+      timeZone,
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+    const arrives = new Date(option.arrival).toLocaleString('en-US', { timeZone, hour: '2-digit', minute: '2-digit' })
+    const seats = option.seatCapacity ? ` - ${option.seatCapacity.total} seats` : ''
+
+    return `${option.flightNumber} (${option.airline.name}) departs ${departs}, arrives ${arrives}${seats}`
+  }
+
   getStatusSpecificMessage(status, flight) {
     const messages = {
       [FLIGHT_STATUSES.SCHEDULED]: 'Your flight is scheduled as planned. Please arrive at the airport at least 2 hours before domestic flights or 3 hours before international flights.',
@@ -817,6 +1321,11 @@ To unsubscribe, visit: ${unsubscribeUrl}`
   // ===========================================
 
   shouldNotifyStatusChange(subscription, oldStatus, newStatus) {
+    // Only verified, active subscribers receive status updates
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE || !subscription.verification?.isVerified) {
+      return false
+    }
+
     // Check if user has status change notifications enabled
     if (!subscription.notificationPreferences?.status_changes?.enabled) {
       return false
@@ -941,55 +1450,200 @@ To unsubscribe, visit: ${unsubscribeUrl}`
   }
 
   // ===========================================
-  // RETRY LOGIC AND QUEUE MANAGEMENT
+  // OUTBOX DELIVERY
   // ===========================================
 
-  async retryFailedNotification(notificationData, attempt = 1) {
+  /**
+   * Persist an email in the outbox, then try to deliver it right away.
+   * Failed attempts stay in the outbox and are retried by the worker.
+   */
+  async dispatchEmail(message, meta = {}) {
+    let notification
     try {
-      if (attempt > this.config.retryAttempts) {
-        this.logger.error('Max retry attempts reached for notification', {
-          notificationData,
-          attempt
-        })
-        return { success: false, error: 'Max retry attempts reached' }
+      notification = await Notification.create({
+        ...meta,
+        channel: NOTIFICATION_METHODS.EMAIL,
+        recipient: message.to,
+        payload: message,
+        title: String(meta.title || message.subject).slice(0, 100),
+        message: String(meta.message || message.subject).slice(0, 500),
+        maxAttempts: this.config.retryAttempts + 1
+      })
+    } catch (error) {
+      this.logger.error('Failed to write notification to outbox', {
+        to: message.to,
+        type: meta.type,
+        error: error.message
+      })
+      return { success: false, error: error.message }
+    }
+
+    const claimed = await Notification.claimNext(
+      this.workerId,
+      this.config.outbox.leaseMs,
+      { _id: notification._id }
+    )
+
+    if (!claimed) {
+      // Another worker picked it up between insert and claim
+      return { success: true, queued: true, notificationId: notification._id }
+    }
+
+    return this.deliverNotification(claimed)
+  }
+
+  async deliverNotification(notification) {
+    const channel = notification.channel || NOTIFICATION_METHODS.EMAIL
+
+    try {
+      if (channel !== NOTIFICATION_METHODS.EMAIL) {
+        throw new Error(`Delivery channel ${channel} is not supported`)
       }
 
-      this.logger.info('Retrying failed notification', {
-        attempt,
-        email: notificationData.email,
-        flightNumber: notificationData.flightNumber
+      const result = await this.sendEmail(notification.payload)
+      await notification.markAsSent(channel, result.messageId)
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        notificationId: notification._id
+      }
+
+    } catch (error) {
+      await notification.markAsFailed(channel, error.message, {
+        baseDelayMs: this.config.retryDelay,
+        maxDelayMs: this.config.outbox.maxBackoffMs
       })
 
-      // Wait for retry delay
-      await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * attempt))
+      const willRetry = notification.status === NOTIFICATION_STATUSES.PENDING
 
-      // Retry the notification
-      const result = await this.sendEmail(notificationData.message)
+      this.logger.warn('Notification delivery failed', {
+        notificationId: notification._id,
+        recipient: notification.recipient,
+        attempt: notification.retryCount,
+        willRetry,
+        nextAttemptAt: willRetry ? notification.scheduledAt : undefined,
+        error: error.message
+      })
 
-      if (result.success) {
-        this.logger.info('Notification retry successful', {
-          attempt,
-          email: notificationData.email,
-          messageId: result.messageId
-        })
-        return result
-      } else {
-        // Retry again
-        return await this.retryFailedNotification(notificationData, attempt + 1)
+      this.emit(NOTIFICATION_EVENTS.DELIVERY_FAILED, {
+        notificationId: notification._id,
+        type: notification.type,
+        channel,
+        recipient: notification.recipient,
+        flightId: notification.flight,
+        attempt: notification.retryCount,
+        willRetry,
+        nextAttemptAt: willRetry ? notification.scheduledAt : null,
+        error: error.message,
+        failedAt: new Date()
+      })
+
+      return {
+        success: false,
+        error: error.message,
+        notificationId: notification._id,
+        willRetry
+      }
+    }
+  }
+
+  /**
+   * Claim and deliver due outbox entries. Safe to run on several instances at once.
+   */
+  async processOutbox(limit = this.config.outbox.batchSize) {
+    const stats = { processed: 0, sent: 0, failed: 0 }
+
+    if (!this.isEnabled || this.isProcessingOutbox) {
+      return { ...stats, skipped: true }
+    }
+
+    this.isProcessingOutbox = true
+    try {
+      while (stats.processed < limit) {
+        const notification = await Notification.claimNext(this.workerId, this.config.outbox.leaseMs)
+        if (!notification) break
+
+        const result = await this.deliverNotification(notification)
+        stats.processed++
+        result.success ? stats.sent++ : stats.failed++
+      }
+
+      if (stats.processed > 0) {
+        this.logger.info('Notification outbox batch processed', stats)
       }
 
     } catch (error) {
-      this.logger.error('Notification retry failed', {
-        attempt,
+      this.logger.error('Notification outbox processing failed', {
         error: error.message,
-        email: notificationData.email
+        ...stats
       })
+    } finally {
+      this.isProcessingOutbox = false
+    }
 
-      if (attempt < this.config.retryAttempts) {
-        return await this.retryFailedNotification(notificationData, attempt + 1)
-      } else {
-        return { success: false, error: error.message }
-      }
+    return stats
+  }
+
+  startOutboxWorker(intervalMs = this.config.outbox.pollIntervalMs) {
+    if (this.outboxTimer) return
+
+    this.outboxTimer = setInterval(() => this.processOutbox(), intervalMs)
+    this.outboxTimer.unref()
+
+    this.logger.info('Notification outbox worker started', {
+      workerId: this.workerId,
+      intervalMs
+    })
+  }
+
+  stopOutboxWorker() {
+    if (!this.outboxTimer) return
+
+    clearInterval(this.outboxTimer)
+    this.outboxTimer = null
+    this.logger.info('Notification outbox worker stopped', { workerId: this.workerId })
+  }
+
+  async getOutboxStats() {
+    return {
+      workerId: this.workerId,
+      running: Boolean(this.outboxTimer),
+      counts: await Notification.countByStatus()
+    }
+  }
+
+  /**
+   * Delete finished outbox entries (sent, failed or cancelled) older than
+   * `retentionDays`. Pending and in-flight entries are never removed.
+   */
+  async cleanupNotifications(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+
+    const { deletedCount } = await Notification.deleteMany({
+      status: {
+        $in: [NOTIFICATION_STATUSES.SENT, NOTIFICATION_STATUSES.FAILED, NOTIFICATION_STATUSES.CANCELLED]
+      },
+      updatedAt: { $lt: cutoff }
+    })
+
+    this.logger.info('Old notifications removed', { deletedCount, retentionDays, cutoff })
+
+    return { deletedCount, cutoff }
+  }
+
+  getNotificationType(status) {
+    switch (status) {
+      case FLIGHT_STATUSES.DELAYED:
+        return 'flight_delay'
+      case FLIGHT_STATUSES.CANCELLED:
+        return 'flight_cancellation'
+      case FLIGHT_STATUSES.DIVERTED:
+        return 'flight_diversion'
+      case FLIGHT_STATUSES.BOARDING:
+        return 'boarding_call'
+      default:
+        return 'flight_update'
     }
   }
 
@@ -1115,7 +1769,10 @@ To unsubscribe, visit: ${unsubscribeUrl}`
       mode: this.config.mode,
       enabled: this.isEnabled,
       rateLimitEntries: this.rateLimitStore.size,
-      queueLength: this.deliveryQueue.length,
+      outbox: {
+        workerId: this.workerId,
+        running: Boolean(this.outboxTimer)
+      },
       config: {
         retryAttempts: this.config.retryAttempts,
         retryDelay: this.config.retryDelay,
@@ -1131,8 +1788,8 @@ To unsubscribe, visit: ${unsubscribeUrl}`
   /**
    * Alias for generateStatusChangeEmailContent to match test expectations
    */
-  generateEmailContent(subscription, flight, oldStatus) {
-    return this.generateStatusChangeEmailContent(subscription, flight, oldStatus)
+  generateEmailContent(subscription, flight, oldStatus, rebookingOptions = []) {
+    return this.generateStatusChangeEmailContent(subscription, flight, oldStatus, rebookingOptions)
   }
 
   /**
@@ -1360,8 +2017,15 @@ To unsubscribe, visit: ${unsubscribeUrl}`
       limits: this.config.rateLimit
     }
 
+    health.checks.outboxWorker = {
+      status: this.outboxTimer ? 'healthy' : 'stopped',
+      workerId: this.workerId,
+      pollIntervalMs: this.config.outbox.pollIntervalMs
+    }
+
     return health
   }
 }
 
-module.exports = NotificationService
\ No newline at end of file
+module.exports = NotificationService
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS
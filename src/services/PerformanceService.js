@@ -0,0 +1,222 @@
+const Flight = require('../models/Flight')
+const { FLIGHT_STATUSES } = require('../models/Flight')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+
+// Minutes late a departure (D15) or arrival (A15) may be and still count as on time
+const ON_TIME_MARGIN_MINUTES = 15
+
+// Dimension -> field expression flights are grouped by
+const GROUP_KEYS = {
+  airline: '$airline.code',
+  route: { $concat: ['$route.origin.airport', '-', '$route.destination.airport'] },
+  origin: '$route.origin.airport',
+  delayReason: '$delay.reason'
+}
+
+const INTERVALS = ['day', 'week', 'total']
+
+const COUNTERS = ['flights', 'cancelled', 'diverted', 'departed', 'd0', 'd15', 'arrived', 'a15', 'departureDelayMinutes', 'arrivalDelayMinutes']
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+const rate = (count, total) => total > 0 ? round(count / total, 3) : null
+
+const average = (sum, count) => count > 0 ? round(sum / count, 1) : null
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } })
+
+const isSet = (field) => ({ $ne: [{ $ifNull: [field, null] }, null] })
+
+/**
+ * On-time performance of operated flights, computed with an aggregation over
+ * Flight documents of a range of flight dates:
+ *
+ * - D0 and D15: departures off-block at most 0 and 15 minutes after schedule,
+ *   out of the flights that departed
+ * - A15: arrivals on-block at most 15 minutes after schedule, out of the
+ *   flights that arrived at their destination
+ * - average departure and arrival delay, early flights counting as 0
+ * - cancellation and diversion rates, out of all scheduled flights
+ *
+ * Grouping by delay reason only counts flights that carry a delay.
+ */
+class PerformanceService {
+  constructor(logger = null, flightService = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.options = {
+      maxRangeDays: 366,
+      ...options
+    }
+  }
+
+  /**
+   * Performance per `groupBy` (airline, route, origin or delayReason) and per
+   * `interval` bucket: 'day' (flight date), 'week' (flight date of the
+   * Monday) or 'total' for the whole range
+   */
+  async getOnTimePerformance(options = {}) {
+    try {
+      const { from, to, groupBy = 'airline', interval = 'total' } = options
+      this.validateOptions({ from, to, groupBy, interval })
+
+      const match = {
+        isActive: true,
+        flightDate: { $gte: from, $lte: to }
+      }
+      if (options.airline) match['airline.code'] = options.airline.toUpperCase()
+      if (options.origin) match['route.origin.airport'] = options.origin.toUpperCase()
+      if (options.destination) match['route.destination.airport'] = options.destination.toUpperCase()
+      if (groupBy === 'delayReason') match['delay.minutes'] = { $gt: 0 }
+
+      const groups = await Flight.aggregate(this.buildPipeline(match, groupBy, interval))
+
+      const rows = groups.map(group => ({
+        [groupBy]: group._id.key,
+        ...(interval !== 'total' && { period: group._id.period }),
+        ...this.summarize(group)
+      }))
+
+      const totals = groups.reduce((sums, group) => {
+        COUNTERS.forEach(counter => { sums[counter] += group[counter] })
+        return sums
+      }, Object.fromEntries(COUNTERS.map(counter => [counter, 0])))
+
+      this.logger.info('On-time performance computed', { from, to, groupBy, interval, rows: rows.length })
+
+      return {
+        from,
+        to,
+        groupBy,
+        interval,
+        totals: this.summarize(totals),
+        rows,
+        totalCount: rows.length
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_ON_TIME_PERFORMANCE', 'Failed to compute on-time performance')
+    }
+  }
+
+  buildPipeline(match, groupBy, interval) {
+    const departureDelay = {
+      $cond: [
+        { $and: [isSet('$schedule.departure.actual'), { $ne: ['$status.current', FLIGHT_STATUSES.CANCELLED] }] },
+        { $divide: [{ $subtract: ['$schedule.departure.actual', '$schedule.departure.scheduled'] }, MINUTE_MS] },
+        null
+      ]
+    }
+    const arrivalDelay = {
+      $cond: [
+        { $and: [isSet('$schedule.arrival.actual'), { $eq: ['$status.current', FLIGHT_STATUSES.ARRIVED] }] },
+        { $divide: [{ $subtract: ['$schedule.arrival.actual', '$schedule.arrival.scheduled'] }, MINUTE_MS] },
+        null
+      ]
+    }
+
+    return [
+      { $match: match },
+      {
+        $project: {
+          key: GROUP_KEYS[groupBy],
+          period: this.periodExpression(interval),
+          status: '$status.current',
+          departureDelay,
+          arrivalDelay
+        }
+      },
+      {
+        $group: {
+          _id: { key: '$key', period: '$period' },
+          flights: { $sum: 1 },
+          cancelled: countIf({ $eq: ['$status', FLIGHT_STATUSES.CANCELLED] }),
+          diverted: countIf({ $eq: ['$status', FLIGHT_STATUSES.DIVERTED] }),
+          departed: countIf({ $ne: ['$departureDelay', null] }),
+          d0: countIf({ $and: [{ $ne: ['$departureDelay', null] }, { $lte: ['$departureDelay', 0] }] }),
+          d15: countIf({ $and: [{ $ne: ['$departureDelay', null] }, { $lte: ['$departureDelay', ON_TIME_MARGIN_MINUTES] }] }),
+          arrived: countIf({ $ne: ['$arrivalDelay', null] }),
+          a15: countIf({ $and: [{ $ne: ['$arrivalDelay', null] }, { $lte: ['$arrivalDelay', ON_TIME_MARGIN_MINUTES] }] }),
+          // $max ignores nulls, so flights without the time add nothing
+          departureDelayMinutes: { $sum: { $max: ['$departureDelay', 0] } },
+          arrivalDelayMinutes: { $sum: { $max: ['$arrivalDelay', 0] } }
+        }
+      },
+      { $sort: { '_id.key': 1, '_id.period': 1 } }
+    ]
+  }
+
+  // Flight date of the day or of the Monday starting its ISO week
+  periodExpression(interval) {
+    if (interval === 'day') return '$flightDate'
+    if (interval === 'total') return { $literal: null }
+
+    const date = { $dateFromString: { dateString: '$flightDate', format: '%Y-%m-%d' } }
+    return {
+      $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $subtract: [date, { $multiply: [{ $subtract: [{ $isoDayOfWeek: date }, 1] }, DAY_MS] }] }
+      }
+    }
+  }
+
+  summarize(counts) {
+    return {
+      flights: counts.flights,
+      departed: counts.departed,
+      arrived: counts.arrived,
+      cancelled: counts.cancelled,
+      diverted: counts.diverted,
+      d0Rate: rate(counts.d0, counts.departed),
+      d15Rate: rate(counts.d15, counts.departed),
+      a15Rate: rate(counts.a15, counts.arrived),
+      averageDepartureDelayMinutes: average(counts.departureDelayMinutes, counts.departed),
+      averageArrivalDelayMinutes: average(counts.arrivalDelayMinutes, counts.arrived),
+      cancellationRate: rate(counts.cancelled, counts.flights),
+      diversionRate: rate(counts.diverted, counts.flights)
+    }
+  }
+
+  validateOptions({ from, to, groupBy, interval }) {
+    for (const [field, value] of [['from', from], ['to', to]]) {
+      if (!this.flightService.isValidFlightDate(value)) {
+        throw new FlightValidationError(`${field} must be formatted as YYYY-MM-DD`, field, value)
+      }
+    }
+
+    const days = (new Date(to) - new Date(from)) / DAY_MS + 1
+    if (days < 1) {
+      throw new FlightValidationError('from must not be after to', 'from', from)
+    }
+    if (days > this.options.maxRangeDays) {
+      throw new FlightValidationError(`Date range cannot exceed ${this.options.maxRangeDays} days`, 'to', to)
+    }
+
+    if (!GROUP_KEYS[groupBy]) {
+      throw new FlightValidationError(`groupBy must be one of: ${Object.keys(GROUP_KEYS).join(', ')}`, 'groupBy', groupBy)
+    }
+    if (!INTERVALS.includes(interval)) {
+      throw new FlightValidationError(`interval must be one of: ${INTERVALS.join(', ')}`, 'interval', interval)
+    }
+  }
+
+  wrapError(error, operation, message) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error(message, { error: error.message, stack: error.stack })
+
+    return new FlightDatabaseError(message, operation, { originalError: error.message })
+  }
+}
+
+module.exports = PerformanceService
+module.exports.INTERVALS = INTERVALS
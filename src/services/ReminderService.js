@@ -0,0 +1,287 @@
+const Flight = require('../models/Flight')
+const Passenger = require('../models/Passenger')
+const Subscription = require('../models/Subscription')
+const Notification = require('../models/Notification')
+const { NOTIFICATION_STATUSES } = require('../models/Notification')
+const { SUBSCRIPTION_STATUS, NOTIFICATION_TYPES, NOTIFICATION_METHODS } = require('../models/Subscription')
+const { FLIGHT_STATUSES, toFlightDate } = require('../models/Flight')
+const { FLIGHT_EVENTS } = require('../events/FlightEventBus')
+const { FlightError, FlightDatabaseError } = require('../errors/FlightErrors')
+
+const REMINDER_TYPE = 'departure_reminder'
+
+// Once a flight reaches one of these there is nothing left to remind about
+const CLOSED_FLIGHT_STATUSES = [
+  FLIGHT_STATUSES.DEPARTED,
+  FLIGHT_STATUSES.IN_AIR,
+  FLIGHT_STATUSES.ARRIVED,
+  FLIGHT_STATUSES.CANCELLED,
+  FLIGHT_STATUSES.DIVERTED
+]
+
+/**
+ * Plans one pre-departure reminder per subscriber as a pending outbox entry
+ * whose scheduledAt is the departure time minus the subscriber's lead time.
+ * The outbox worker sends it when it falls due; this service only keeps the
+ * entry in step with the flight (rescheduled when the departure moves,
+ * cancelled when the flight or the subscription goes away).
+ */
+class ReminderService {
+  constructor(logger = null, notificationService = null, options = {}) {
+    this.logger = logger || console
+    this.notificationService = notificationService
+    this.options = {
+      defaultLeadMinutes: 60,
+      ...options
+    }
+  }
+
+  /**
+   * Keep reminders in step with flight events published by FlightService
+   */
+  registerEventHandlers(eventBus) {
+    return eventBus.subscribe(
+      [
+        FLIGHT_EVENTS.SCHEDULE_CHANGED,
+        FLIGHT_EVENTS.GATE_CHANGED,
+        FLIGHT_EVENTS.STATUS_CHANGED,
+        FLIGHT_EVENTS.CANCELLED
+      ],
+      (event) => this.planForFlight(event.flight),
+      'departure-reminders'
+    )
+  }
+
+  // ===========================================
+  // PLANNING
+  // ===========================================
+
+  /**
+   * (Re)plan the reminder of every subscriber of a flight, or cancel them all
+   * once the flight has departed, been cancelled or diverted
+   */
+  async planForFlight(flight) {
+    try {
+      if (CLOSED_FLIGHT_STATUSES.includes(flight.status.current)) {
+        const cancelled = await this.cancelForFlight(flight, `Flight ${flight.status.current.toLowerCase()}`)
+        return { cancelled }
+      }
+
+      const subscriptions = await Subscription.findActiveByFlightInstance(flight)
+
+      const stats = { scheduled: 0, rescheduled: 0, unchanged: 0, cancelled: 0, skipped: 0, failed: 0 }
+
+      for (const subscription of subscriptions) {
+        try {
+          const { action } = await this.planReminder(subscription, flight)
+          stats[action]++
+        } catch (error) {
+          this.logger.error('Failed to plan departure reminder', {
+            subscriptionId: subscription._id,
+            flightNumber: flight.flightNumber,
+            error: error.message
+          })
+          stats.failed++
+        }
+      }
+
+      if (stats.scheduled > 0 || stats.rescheduled > 0 || stats.cancelled > 0 || stats.failed > 0) {
+        this.logger.info('Departure reminders planned', { flightNumber: flight.flightNumber, ...stats })
+      }
+
+      return stats
+
+    } catch (error) {
+      throw this.wrapError(error, 'PLAN_FLIGHT_REMINDERS')
+    }
+  }
+
+  /**
+   * (Re)plan a single subscriber's reminder, e.g. after verification or a
+   * preference change. Subscriptions without a known flight are skipped.
+   */
+  async planForSubscription(subscription) {
+    try {
+      const flight = subscription.flight
+        ? await Flight.findById(subscription.flight)
+        : await Flight.findInstance(subscription.flightNumber, { date: toFlightDate(subscription.flightDate) })
+
+      if (!flight) {
+        return { action: 'skipped', reason: 'flight_not_found' }
+      }
+
+      if (CLOSED_FLIGHT_STATUSES.includes(flight.status.current)) {
+        return this.cancelReminder(subscription, `Flight ${flight.status.current.toLowerCase()}`)
+      }
+
+      return await this.planReminder(subscription, flight)
+
+    } catch (error) {
+      throw this.wrapError(error, 'PLAN_SUBSCRIPTION_REMINDER')
+    }
+  }
+
+  async planReminder(subscription, flight) {
+    if (!this.wantsReminder(subscription)) {
+      return this.cancelReminder(subscription, 'Departure alerts disabled')
+    }
+
+    const departure = new Date(flight.schedule.departure.estimated || flight.schedule.departure.scheduled)
+    const now = new Date()
+
+    if (departure <= now) {
+      return this.cancelReminder(subscription, 'Departure time has passed')
+    }
+
+    const leadMinutes = await this.resolveLeadMinutes(subscription)
+    // A lead time that has already passed still gets a reminder, sent right away
+    const scheduledAt = new Date(Math.max(departure.getTime() - leadMinutes * 60 * 1000, now.getTime()))
+
+    const existing = await Notification.findOne({
+      subscription: subscription._id,
+      type: REMINDER_TYPE,
+      status: { $ne: NOTIFICATION_STATUSES.CANCELLED }
+    }).sort({ createdAt: -1 })
+
+    // Sent or being sent: a reminder goes out once per subscription
+    if (existing && existing.status !== NOTIFICATION_STATUSES.PENDING) {
+      return { action: 'unchanged', notificationId: existing._id }
+    }
+
+    const message = this.notificationService.buildDepartureReminderEmail(subscription, flight, leadMinutes)
+
+    // Re-rendering picks up gate and status changes as well as a new departure time
+    if (existing &&
+        existing.scheduledAt.getTime() === scheduledAt.getTime() &&
+        existing.payload?.text === message.text) {
+      return { action: 'unchanged', notificationId: existing._id }
+    }
+
+    const fields = {
+      flight: flight._id,
+      recipient: subscription.email,
+      payload: message,
+      title: message.subject.slice(0, 100),
+      message: `${subscription.flightNumber || flight.flightNumber} departs ${departure.toISOString()}`,
+      scheduledAt,
+      metadata: {
+        departureAt: departure.toISOString(),
+        leadMinutes: String(leadMinutes)
+      }
+    }
+
+    if (existing) {
+      existing.set(fields)
+      await existing.save()
+
+      this.logger.debug('Departure reminder rescheduled', {
+        subscriptionId: subscription._id,
+        flightNumber: flight.flightNumber,
+        scheduledAt
+      })
+
+      return { action: 'rescheduled', notificationId: existing._id, scheduledAt }
+    }
+
+    try {
+      const notification = await Notification.create({
+        ...fields,
+        type: REMINDER_TYPE,
+        subscription: subscription._id,
+        channel: NOTIFICATION_METHODS.EMAIL,
+        priority: 'medium',
+        maxAttempts: this.notificationService.config.retryAttempts + 1
+      })
+
+      return { action: 'scheduled', notificationId: notification._id, scheduledAt }
+    } catch (error) {
+      // Another planner created it first (unique pending reminder per subscription)
+      if (error.code === 11000) {
+        return { action: 'unchanged' }
+      }
+      throw error
+    }
+  }
+
+  // ===========================================
+  // CANCELLATION
+  // ===========================================
+
+  async cancelForFlight(flight, reason) {
+    const { modifiedCount } = await Notification.updateMany(
+      { flight: flight._id, type: REMINDER_TYPE, status: NOTIFICATION_STATUSES.PENDING },
+      { $set: { status: NOTIFICATION_STATUSES.CANCELLED, lastError: reason } }
+    )
+
+    if (modifiedCount > 0) {
+      this.logger.info('Departure reminders cancelled', {
+        flightNumber: flight.flightNumber,
+        cancelled: modifiedCount,
+        reason
+      })
+    }
+
+    return modifiedCount
+  }
+
+  async cancelReminder(subscription, reason) {
+    const { modifiedCount } = await Notification.updateMany(
+      { subscription: subscription._id, type: REMINDER_TYPE, status: NOTIFICATION_STATUSES.PENDING },
+      { $set: { status: NOTIFICATION_STATUSES.CANCELLED, lastError: reason } }
+    )
+
+    return { action: modifiedCount > 0 ? 'cancelled' : 'skipped', reason }
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  /**
+   * Only verified, active subscribers who opted into email departure alerts
+   */
+  wantsReminder(subscription) {
+    const preference = subscription.notificationPreferences?.[NOTIFICATION_TYPES.DEPARTURE_ALERTS]
+
+    return subscription.status === SUBSCRIPTION_STATUS.ACTIVE &&
+      subscription.isActive !== false &&
+      subscription.verification?.isVerified === true &&
+      subscription.unsubscribe?.isUnsubscribed !== true &&
+      preference?.enabled === true &&
+      (preference.methods || []).includes(NOTIFICATION_METHODS.EMAIL)
+  }
+
+  /**
+   * Lead time in minutes: the subscription's departure_alerts.advanceMinutes,
+   * else the matching passenger's notificationTiming, else the configured default
+   */
+  async resolveLeadMinutes(subscription) {
+    const advanceMinutes = subscription.notificationPreferences?.[NOTIFICATION_TYPES.DEPARTURE_ALERTS]?.advanceMinutes
+    if (Number.isFinite(advanceMinutes)) {
+      return advanceMinutes
+    }
+
+    const passenger = await Passenger.findOne({ email: subscription.email })
+      .select('preferences.notificationTiming')
+      .lean()
+
+    if (Number.isFinite(passenger?.preferences?.notificationTiming)) {
+      return passenger.preferences.notificationTiming
+    }
+
+    return this.options.defaultLeadMinutes
+  }
+
+  wrapError(error, operation) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    return new FlightDatabaseError('Departure reminder planning failed', operation, {
+      originalError: error.message
+    })
+  }
+}
+
+module.exports = ReminderService
+module.exports.REMINDER_TYPE = REMINDER_TYPE
@@ -0,0 +1,281 @@
+const Flight = require('../models/Flight')
+const { FLIGHT_STATUSES, arrivalAirportFor } = require('../models/Flight')
+const { FLIGHT_EVENTS } = require('../events/FlightEventBus')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+const MINUTE_MS = 60 * 1000
+
+const ROTATION_ACTOR = 'RotationTracking'
+
+// IATA delay code for a late arrival of the aircraft from its previous leg
+const ROTATION_DELAY_CODE = '93'
+
+// Outbound legs whose departure estimate can still move
+const PREDICTABLE_STATUSES = [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED]
+
+// Inbound legs that will not bring the aircraft to the next leg's origin
+const BROKEN_STATUSES = [FLIGHT_STATUSES.CANCELLED, FLIGHT_STATUSES.DIVERTED]
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MINUTE_MS)
+
+/**
+ * Links the legs flown by one aircraft (aircraft.registration) in departure
+ * order. When the expected arrival of an inbound leg leaves less than the
+ * minimum turnaround before the next leg, that leg gets a predicted
+ * (reactionary) delay through FlightService.updateFlightStatus; its own events
+ * then carry the delay further down the rotation. Subscribers of the delayed
+ * leg get an early heads-up from NotificationService.
+ */
+class RotationService {
+  constructor(logger = null, flightService = null, notificationService = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.notificationService = notificationService
+    this.options = {
+      defaultTurnaroundMinutes: 45,
+      // Upper-cased aircraft type -> minimum turnaround in minutes
+      turnaroundMinutes: {},
+      ...options
+    }
+  }
+
+  /**
+   * Re-check the next leg whenever a flight's delay or times change
+   */
+  registerEventHandlers(eventBus) {
+    return eventBus.subscribe(
+      [FLIGHT_EVENTS.DELAYED, FLIGHT_EVENTS.SCHEDULE_CHANGED],
+      (event) => this.propagateDelay(event.flight),
+      'reactionary-delays'
+    )
+  }
+
+  // ===========================================
+  // ROTATION VIEW
+  // ===========================================
+
+  /**
+   * Legs of an aircraft on a flight date (YYYY-MM-DD), each with the
+   * turnaround before the next operating leg
+   */
+  async getRotation(registration, date) {
+    try {
+      if (!this.flightService.isValidFlightDate(date)) {
+        throw new FlightValidationError('Flight date must be formatted as YYYY-MM-DD', 'date', date)
+      }
+
+      const tail = String(registration).toUpperCase()
+      const flights = await Flight.find({
+        'aircraft.registration': tail,
+        flightDate: date,
+        isActive: true
+      }).sort({ 'schedule.departure.scheduled': 1 })
+
+      const operating = flights.filter(flight => flight.status.current !== FLIGHT_STATUSES.CANCELLED)
+
+      const legs = flights.map(flight => {
+        const index = operating.indexOf(flight)
+        const next = index === -1 ? null : operating[index + 1]
+
+        return {
+          ...this.formatLeg(flight),
+          turnaround: next ? this.describeTurnaround(flight, next) : null
+        }
+      })
+
+      return {
+        registration: tail,
+        date,
+        aircraftType: flights[0]?.aircraft.type || null,
+        legs,
+        totalCount: legs.length
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_ROTATION', 'Failed to fetch aircraft rotation')
+    }
+  }
+
+  // ===========================================
+  // REACTIONARY DELAYS
+  // ===========================================
+
+  /**
+   * Predict the delay of the leg after `inbound` from the inbound's expected
+   * arrival. Delays are only ever raised; returns null when the next leg is
+   * not affected.
+   */
+  async propagateDelay(inbound) {
+    try {
+      if (!inbound.aircraft?.registration || BROKEN_STATUSES.includes(inbound.status.current)) {
+        return null
+      }
+
+      const outbound = await this.findNextLeg(inbound)
+      if (!outbound || !PREDICTABLE_STATUSES.includes(outbound.status.current)) {
+        return null
+      }
+
+      if (outbound.route.origin.airport !== inbound.route.destination.airport) {
+        this.logger.warn('Aircraft rotation does not continue from the arrival station', {
+          registration: inbound.aircraft.registration,
+          inbound: inbound.flightNumber,
+          arrivalStation: inbound.route.destination.airport,
+          outbound: outbound.flightNumber,
+          departureStation: outbound.route.origin.airport
+        })
+        return null
+      }
+
+      const turnaroundMinutes = this.turnaroundMinutesFor(outbound)
+      const readyAt = new Date(this.expectedArrival(inbound).getTime() + turnaroundMinutes * MINUTE_MS)
+      const { scheduled, estimated } = outbound.schedule.departure
+      const delayMinutes = Math.ceil((readyAt - scheduled) / MINUTE_MS)
+      const previousDelayMinutes = outbound.delay?.minutes || 0
+
+      if (readyAt <= (estimated || scheduled) || delayMinutes <= previousDelayMinutes) {
+        return null
+      }
+
+      const description = `Late inbound aircraft ${inbound.aircraft.registration} on ${inbound.flightNumber} from ${inbound.route.origin.airport}`
+
+      this.logger.info('Reactionary delay predicted', {
+        flightNumber: outbound.flightNumber,
+        flightDate: outbound.flightDate,
+        registration: inbound.aircraft.registration,
+        inbound: inbound.flightNumber,
+        delayMinutes,
+        previousDelayMinutes,
+        estimatedDeparture: readyAt
+      })
+
+      // The leg's own coded delays stay; code 93 (late inbound aircraft) covers the rest
+      const ownSegments = (outbound.delay?.segments || [])
+        .filter(segment => segment.code !== ROTATION_DELAY_CODE)
+        .map(({ code, subCode, minutes, description }) => ({ code, subCode, minutes, description }))
+      const ownMinutes = ownSegments.reduce((total, segment) => total + segment.minutes, 0)
+
+      await this.flightService.updateFlightStatus(outbound.flightNumber, {
+        reason: description,
+        delay: {
+          minutes: delayMinutes,
+          description,
+          segments: [
+            ...ownSegments,
+            { code: ROTATION_DELAY_CODE, minutes: Math.max(0, delayMinutes - ownMinutes), description }
+          ]
+        },
+        schedule: {
+          departure: { estimated: readyAt },
+          arrival: { estimated: new Date(outbound.schedule.arrival.scheduled.getTime() + delayMinutes * MINUTE_MS) }
+        }
+      }, ROTATION_ACTOR, { date: outbound.flightDate, suffix: outbound.operationalSuffix })
+
+      if (this.notificationService) {
+        const updated = await Flight.findById(outbound._id)
+        await this.notificationService.notifyPredictedDelay(updated, { inbound, delayMinutes, previousDelayMinutes })
+      }
+
+      return {
+        flightNumber: outbound.flightNumber,
+        flightDate: outbound.flightDate,
+        inbound: inbound.flightNumber,
+        delayMinutes,
+        previousDelayMinutes,
+        estimatedDeparture: readyAt
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'PROPAGATE_DELAY', 'Failed to propagate reactionary delay')
+    }
+  }
+
+  // ===========================================
+  // HELPERS
+  // ===========================================
+
+  /**
+   * The next leg of the same aircraft that has not been cancelled
+   */
+  findNextLeg(flight) {
+    return Flight.findOne({
+      'aircraft.registration': flight.aircraft.registration,
+      _id: { $ne: flight._id },
+      isActive: true,
+      'status.current': { $ne: FLIGHT_STATUSES.CANCELLED },
+      'schedule.departure.scheduled': { $gt: flight.schedule.departure.scheduled }
+    }).sort({ 'schedule.departure.scheduled': 1 })
+  }
+
+  /**
+   * Actual arrival, else the estimate, else the scheduled arrival moved by
+   * the flight's delay
+   */
+  expectedArrival(flight) {
+    const { scheduled, estimated, actual } = flight.schedule.arrival
+
+    return new Date(actual || estimated || new Date(scheduled).getTime() + (flight.delay?.minutes || 0) * MINUTE_MS)
+  }
+
+  turnaroundMinutesFor(flight) {
+    const type = String(flight.aircraft?.type || '').toUpperCase()
+
+    return this.options.turnaroundMinutes[type] ?? this.options.defaultTurnaroundMinutes
+  }
+
+  describeTurnaround(inbound, outbound) {
+    const minimumMinutes = this.turnaroundMinutesFor(outbound)
+    const expectedMinutes = minutesBetween(
+      this.expectedArrival(inbound),
+      outbound.schedule.departure.estimated || outbound.schedule.departure.scheduled
+    )
+
+    const station = arrivalAirportFor(inbound)
+
+    return {
+      station,
+      nextFlightNumber: outbound.flightNumber,
+      minimumMinutes,
+      plannedMinutes: minutesBetween(inbound.schedule.arrival.scheduled, outbound.schedule.departure.scheduled),
+      expectedMinutes,
+      slackMinutes: expectedMinutes - minimumMinutes,
+      stationMismatch: station !== outbound.route.origin.airport
+    }
+  }
+
+  formatLeg(flight) {
+    return {
+      id: flight._id,
+      flightNumber: flight.flightNumber,
+      flightDate: flight.flightDate,
+      operationalSuffix: flight.operationalSuffix || '',
+      route: {
+        origin: flight.route.origin.airport,
+        destination: flight.route.destination.airport
+      },
+      status: flight.status.current,
+      departure: this.flightService.pickScheduleTimes(flight.schedule.departure),
+      arrival: this.flightService.pickScheduleTimes(flight.schedule.arrival),
+      delay: {
+        minutes: flight.delay?.minutes || 0,
+        reason: flight.delay?.reason || null
+      }
+    }
+  }
+
+  wrapError(error, operation, message) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error(message, { error: error.message, stack: error.stack })
+
+    return new FlightDatabaseError(message, operation, { originalError: error.message })
+  }
+}
+
+module.exports = RotationService
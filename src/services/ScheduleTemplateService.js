@@ -0,0 +1,491 @@
+const mongoose = require('mongoose')
+const Flight = require('../models/Flight')
+const ScheduleTemplate = require('../models/ScheduleTemplate')
+const { FLIGHT_STATUSES, toFlightDate } = require('../models/Flight')
+const { addDays } = require('../models/ScheduleTemplate')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightConflictError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+const { ScheduleTemplateNotFoundError } = require('../errors/ScheduleTemplateErrors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Instances in these statuses have not operated yet and follow template edits
+const UNOPERATED_STATUSES = [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED]
+
+const EDITABLE_FIELDS = [
+  'operationalSuffix',
+  'airline',
+  'route',
+  'daysOfWeek',
+  'season',
+  'validFrom',
+  'validTo',
+  'departureTime',
+  'arrivalTime',
+  'arrivalDayOffset',
+  'aircraftType',
+  'codeshares'
+]
+
+/**
+ * Seasonal schedule templates and the flight instances generated from them.
+ * Instances are created through FlightService for the next `horizonDays`
+ * days; template edits are carried over to instances that have not operated
+ * yet. An existing instance that was not generated from the template is left
+ * alone and reported as a FlightConflictError.
+ */
+class ScheduleTemplateService {
+  constructor(logger = null, flightService = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.options = {
+      horizonDays: 14,
+      ...options
+    }
+  }
+
+  // ===========================================
+  // CRUD OPERATIONS
+  // ===========================================
+
+  async createTemplate(templateData, createdBy = 'System') {
+    try {
+      this.logger.info('Creating schedule template', { flightNumber: templateData.flightNumber, createdBy })
+
+      const template = new ScheduleTemplate({
+        ...this.pickEditableFields(templateData),
+        flightNumber: templateData.flightNumber,
+        createdBy,
+        updatedBy: createdBy
+      })
+
+      await this.validateTemplate(template)
+      await template.save()
+
+      const generation = await this.generateForTemplate(template, { actor: createdBy })
+
+      this.logger.info('Schedule template created', {
+        templateId: template._id,
+        flightNumber: template.flightNumber,
+        season: template.season,
+        created: generation.created
+      })
+
+      return { template: this.formatTemplate(template), generation }
+
+    } catch (error) {
+      throw this.wrapError(error, 'CREATE_SCHEDULE_TEMPLATE', 'Failed to create schedule template')
+    }
+  }
+
+  async getTemplates(filters = {}) {
+    try {
+      const query = {}
+
+      if (filters.flightNumber) query.flightNumber = filters.flightNumber.toUpperCase()
+      if (filters.season) query.season = filters.season.toUpperCase()
+      if (filters.isActive !== undefined && filters.isActive !== null) query.isActive = filters.isActive
+
+      const templates = await ScheduleTemplate.find(query)
+        .sort({ flightNumber: 1, operationalSuffix: 1, season: 1 })
+
+      return {
+        templates: templates.map(template => this.formatTemplate(template)),
+        totalCount: templates.length
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_SCHEDULE_TEMPLATES', 'Failed to fetch schedule templates')
+    }
+  }
+
+  async getTemplate(templateId) {
+    try {
+      const template = await this.findTemplate(templateId)
+
+      return this.formatTemplate(template)
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_SCHEDULE_TEMPLATE', 'Failed to fetch schedule template')
+    }
+  }
+
+  /**
+   * Apply changes and carry them over to instances that have not operated:
+   * re-timed instances get a schedule change, dates the template no longer
+   * covers are cancelled and newly covered dates are generated.
+   */
+  async updateTemplate(templateId, changes, updatedBy = 'System') {
+    try {
+      this.logger.info('Updating schedule template', { templateId, updatedBy })
+
+      const template = await this.findTemplate(templateId)
+
+      if (!template.isActive) {
+        throw new FlightConflictError(
+          'Inactive schedule templates cannot be edited',
+          'TEMPLATE_INACTIVE',
+          { templateId: template._id }
+        )
+      }
+
+      template.set(this.pickEditableFields(changes))
+      template.updatedBy = updatedBy
+
+      await this.validateTemplate(template)
+      await template.save()
+
+      const generation = await this.generateForTemplate(template, { actor: updatedBy })
+
+      this.logger.info('Schedule template updated', { templateId: template._id, ...this.summarize(generation) })
+
+      return { template: this.formatTemplate(template), generation }
+
+    } catch (error) {
+      throw this.wrapError(error, 'UPDATE_SCHEDULE_TEMPLATE', 'Failed to update schedule template')
+    }
+  }
+
+  /**
+   * Retire a template; its instances that have not operated are cancelled
+   */
+  async deactivateTemplate(templateId, updatedBy = 'System') {
+    try {
+      const template = await this.findTemplate(templateId)
+
+      template.isActive = false
+      template.updatedBy = updatedBy
+      await template.save()
+
+      const generation = await this.generateForTemplate(template, { actor: updatedBy })
+
+      this.logger.info('Schedule template deactivated', { templateId: template._id, cancelled: generation.cancelled })
+
+      return { template: this.formatTemplate(template), generation }
+
+    } catch (error) {
+      throw this.wrapError(error, 'DEACTIVATE_SCHEDULE_TEMPLATE', 'Failed to deactivate schedule template')
+    }
+  }
+
+  // ===========================================
+  // INSTANCE GENERATION
+  // ===========================================
+
+  /**
+   * Roll every active template forward to instances departing within
+   * `horizonDays` of now. Run by the
+   * scheduler; conflicts are returned (and logged) rather than thrown.
+   */
+  async generateAll(options = {}) {
+    const {
+      now = new Date(),
+      horizonDays = this.options.horizonDays,
+      actor = 'Scheduler'
+    } = options
+
+    const totals = { templates: 0, created: 0, updated: 0, cancelled: 0, unchanged: 0, failed: 0, conflicts: [] }
+
+    try {
+      const from = toFlightDate(now)
+      const templates = await ScheduleTemplate.find({ isActive: true })
+
+      for (const template of templates) {
+        const period = template.period
+        if (!period || period.to < from) continue
+
+        totals.templates++
+
+        const result = await this.generateForTemplate(template, { now, horizonDays, actor })
+
+        for (const key of ['created', 'updated', 'cancelled', 'unchanged', 'failed']) {
+          totals[key] += result[key]
+        }
+        totals.conflicts.push(...result.conflicts)
+      }
+
+      this.logger.info('Schedule generation completed', this.summarize(totals))
+
+      return totals
+
+    } catch (error) {
+      throw this.wrapError(error, 'GENERATE_SCHEDULES', 'Failed to generate flights from schedule templates')
+    }
+  }
+
+  /**
+   * Bring one template's instances in line with it: follow edits on linked
+   * instances that have not operated, then create what is missing within
+   * the horizon
+   */
+  async generateForTemplate(template, options = {}) {
+    const {
+      now = new Date(),
+      horizonDays = this.options.horizonDays,
+      actor = 'Scheduler'
+    } = options
+
+    const result = { created: 0, updated: 0, cancelled: 0, unchanged: 0, failed: 0, conflicts: [] }
+    const horizonEnd = new Date(now.getTime() + horizonDays * DAY_MS)
+    // Local dates run up to a day either side of the UTC date
+    const from = addDays(toFlightDate(now), -1)
+    const to = addDays(toFlightDate(horizonEnd), 1)
+
+    const linked = await Flight.find({
+      scheduleTemplate: template._id,
+      isActive: true,
+      flightDate: { $gte: from }
+    })
+    const linkedDates = new Set(linked.map(flight => `${flight.flightDate}/${flight.operationalSuffix}`))
+
+    for (const flight of linked) {
+      if (!this.isUnoperated(flight, now)) continue
+
+      await this.runStep(result, flight.flightNumber, flight.flightDate, async () => {
+        if (!template.isActive ||
+            !template.operatesOn(flight.flightDate) ||
+            flight.operationalSuffix !== template.operationalSuffix) {
+          await this.cancelInstance(flight, 'Removed from schedule', actor)
+          return 'cancelled'
+        }
+
+        return this.syncInstance(template, flight, actor)
+      })
+    }
+
+    if (!template.isActive) {
+      return result
+    }
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (!template.operatesOn(date) || linkedDates.has(`${date}/${template.operationalSuffix}`)) continue
+
+      const instance = template.buildInstance(date)
+      const departure = instance.schedule.departure.scheduled
+      if (departure <= now || departure > horizonEnd) continue
+
+      await this.runStep(result, template.flightNumber, date, async () => {
+        const existing = await Flight.findOne({
+          flightNumber: template.flightNumber,
+          flightDate: date,
+          operationalSuffix: template.operationalSuffix,
+          isActive: true
+        })
+
+        if (existing) {
+          throw new FlightConflictError(
+            `Flight ${template.flightNumber}${template.operationalSuffix} on ${date} already exists and was not generated from this schedule`,
+            'SCHEDULE_CONFLICT',
+            { templateId: template._id, existingFlightId: existing._id, flightDate: date }
+          )
+        }
+
+        await this.flightService.createFlight(instance, actor)
+        return 'created'
+      })
+    }
+
+    return result
+  }
+
+  /**
+   * Re-time a linked instance and update its aircraft type and codeshares
+   * when the template says otherwise. Schedule changes go through
+   * FlightService so subscribers are told.
+   */
+  async syncInstance(template, flight, actor = 'System') {
+    const expected = template.buildInstance(flight.flightDate)
+    let updated = false
+
+    const departure = expected.schedule.departure.scheduled
+    const arrival = expected.schedule.arrival.scheduled
+
+    if (flight.schedule.departure.scheduled.getTime() !== departure.getTime() ||
+        flight.schedule.arrival.scheduled.getTime() !== arrival.getTime()) {
+      await this.flightService.updateFlightStatus(
+        flight.flightNumber,
+        {
+          schedule: { departure: { scheduled: departure }, arrival: { scheduled: arrival } },
+          reason: 'Schedule updated'
+        },
+        actor,
+        { date: flight.flightDate, suffix: flight.operationalSuffix }
+      )
+      updated = true
+    }
+
+    const partners = expected.codeshare.partners
+    const currentPartners = (flight.codeshare?.partners || []).map(({ airline, flightNumber }) => ({ airline, flightNumber }))
+    const changes = {}
+
+    if (flight.aircraft?.type !== template.aircraftType) {
+      changes['aircraft.type'] = template.aircraftType
+    }
+    if (JSON.stringify(currentPartners) !== JSON.stringify(partners)) {
+      changes['codeshare.partners'] = partners
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await Flight.updateOne({ _id: flight._id }, { $set: { ...changes, lastUpdated: new Date() } })
+      updated = true
+    }
+
+    return updated ? 'updated' : 'unchanged'
+  }
+
+  async cancelInstance(flight, reason, actor = 'System') {
+    return this.flightService.updateFlightStatus(
+      flight.flightNumber,
+      { status: FLIGHT_STATUSES.CANCELLED, reason },
+      actor,
+      { date: flight.flightDate, suffix: flight.operationalSuffix }
+    )
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  /**
+   * Run one generation step, counting its outcome. Conflicts are collected
+   * and logged; other flight errors count as failures so one bad date does
+   * not stop the rest.
+   */
+  async runStep(result, flightNumber, flightDate, step) {
+    try {
+      result[await step()]++
+
+    } catch (error) {
+      if (error instanceof FlightConflictError) {
+        this.logger.warn('Schedule generation conflict', {
+          flightNumber,
+          flightDate,
+          conflictType: error.conflictType,
+          message: error.message
+        })
+        result.conflicts.push({
+          flightNumber,
+          flightDate,
+          conflictType: error.conflictType,
+          message: error.message,
+          details: error.details
+        })
+        return
+      }
+
+      if (!(error instanceof FlightError)) {
+        throw error
+      }
+
+      this.logger.error('Schedule generation failed for flight', { flightNumber, flightDate, error: error.message })
+      result.failed++
+    }
+  }
+
+  isUnoperated(flight, now = new Date()) {
+    return UNOPERATED_STATUSES.includes(flight.status.current) &&
+      !flight.schedule.departure.actual &&
+      flight.schedule.departure.scheduled > now
+  }
+
+  pickEditableFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field]
+      return fields
+    }, {})
+  }
+
+  async findTemplate(templateId) {
+    const template = mongoose.isValidObjectId(templateId)
+      ? await ScheduleTemplate.findById(templateId)
+      : null
+
+    if (!template) {
+      throw new ScheduleTemplateNotFoundError(`Schedule template ${templateId} not found`, { templateId })
+    }
+
+    return template
+  }
+
+  /**
+   * Schema validation plus a check that no other active template of the
+   * same flight operates on any of the same days
+   */
+  async validateTemplate(template) {
+    try {
+      await template.validate()
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.ValidationError)) throw error
+
+      const errors = Object.values(error.errors).map(fieldError => ({
+        field: fieldError.path,
+        message: fieldError.message,
+        value: fieldError.value
+      }))
+      throw new FlightValidationError('Schedule template validation failed', errors[0]?.field, errors[0]?.value, { errors })
+    }
+
+    const others = await ScheduleTemplate.find({
+      _id: { $ne: template._id },
+      flightNumber: template.flightNumber,
+      operationalSuffix: template.operationalSuffix,
+      isActive: true
+    })
+
+    const overlapping = others.find(other => template.overlaps(other))
+
+    if (overlapping) {
+      throw new FlightConflictError(
+        `Schedule template overlaps template ${overlapping._id} for ${template.flightNumber}${template.operationalSuffix}`,
+        'OVERLAPPING_TEMPLATE',
+        { templateId: overlapping._id, season: overlapping.season, period: overlapping.period }
+      )
+    }
+  }
+
+  summarize(result) {
+    const { conflicts, ...counts } = result
+    return { ...counts, conflicts: conflicts.length }
+  }
+
+  formatTemplate(template) {
+    return {
+      id: template._id,
+      flightNumber: template.flightNumber,
+      operationalSuffix: template.operationalSuffix,
+      airline: template.airline,
+      route: template.route,
+      daysOfWeek: template.daysOfWeek,
+      season: template.season,
+      validFrom: template.validFrom,
+      validTo: template.validTo,
+      period: template.period,
+      departureTime: template.departureTime,
+      arrivalTime: template.arrivalTime,
+      arrivalDayOffset: template.arrivalDayOffset,
+      aircraftType: template.aircraftType,
+      codeshares: template.codeshares,
+      isActive: template.isActive,
+      createdBy: template.createdBy,
+      updatedBy: template.updatedBy,
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    }
+  }
+
+  wrapError(error, operation, message) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error(message, { error: error.message, stack: error.stack })
+
+    return new FlightDatabaseError(message, operation, { originalError: error.message })
+  }
+}
+
+module.exports = ScheduleTemplateService
@@ -0,0 +1,314 @@
+const os = require('os')
+const crypto = require('crypto')
+const cron = require('node-cron')
+const JobLock = require('../models/JobLock')
+// node-cron has no public "next run" API, so the expression is parsed here
+const { parseCronExpression, nextCronRun } = require('../utils/cronSchedule')
+
+const LEADER_LOCK = 'scheduler-leader'
+
+class SchedulerService {
+  constructor(logger = null, services = {}, options = {}) {
+    this.logger = logger || console
+    this.services = services
+    this.options = {
+      enabled: true,
+      lockTtlMs: 60000,
+      flightStatusWindowHours: 24,
+      notificationRetentionDays: 30,
+      scheduleHorizonDays: 14,
+      ...options
+    }
+
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+    this.isLeader = false
+    this.leaderTimer = null
+    this.jobs = new Map()
+    this.started = false
+
+    this.registerDefaultJobs()
+  }
+
+  // ===========================================
+  // JOB REGISTRATION
+  // ===========================================
+
+  registerDefaultJobs() {
+    const {
+      flightService,
+      notificationService,
+      maintenanceService,
+      scheduleTemplateService,
+      flightDataPoller,
+      weatherPoller
+    } = this.services
+    const {
+      flightStatusCheck,
+      flightDataPoll,
+      weatherPoll,
+      notificationCleanup,
+      databaseBackup,
+      logRotation,
+      scheduleGeneration,
+      flightStatusWindowHours,
+      notificationRetentionDays,
+      scheduleHorizonDays
+    } = this.options
+
+    if (flightService) {
+      this.register('flightStatusCheck', flightStatusCheck, () =>
+        flightService.runStatusCheck({ windowHours: flightStatusWindowHours })
+      )
+    }
+
+    if (notificationService) {
+      this.register('notificationCleanup', notificationCleanup, () =>
+        notificationService.cleanupNotifications(notificationRetentionDays)
+      )
+    }
+
+    if (maintenanceService) {
+      this.register('databaseBackup', databaseBackup, () => maintenanceService.runDatabaseBackup())
+      this.register('logRotation', logRotation, () => maintenanceService.rotateLogs())
+    }
+
+    if (scheduleTemplateService) {
+      this.register('scheduleGeneration', scheduleGeneration, () =>
+        scheduleTemplateService.generateAll({ horizonDays: scheduleHorizonDays })
+      )
+    }
+
+    if (flightDataPoller) {
+      this.register('flightDataPoll', flightDataPoll, () => flightDataPoller.poll())
+    }
+
+    if (weatherPoller) {
+      this.register('weatherPoll', weatherPoll, () => weatherPoller.poll())
+    }
+  }
+
+  /**
+   * Add a job. A missing or invalid expression disables the job instead of
+   * failing startup, and is reported in getStatus().
+   */
+  register(name, expression, handler) {
+    let schedule = null
+    if (typeof expression === 'string' && cron.validate(expression)) {
+      try {
+        schedule = parseCronExpression(expression)
+      } catch (error) {
+        // Six-field (seconds) expressions pass cron.validate but are not supported
+      }
+    }
+    const valid = schedule !== null
+
+    if (!valid) {
+      this.logger.warn('Cron job disabled: invalid expression', { job: name, expression })
+    }
+
+    this.jobs.set(name, {
+      name,
+      expression,
+      handler,
+      enabled: valid,
+      schedule,
+      task: null,
+      running: false,
+      lastRun: null,
+      nextRun: null,
+      runCount: 0,
+      failureCount: 0
+    })
+  }
+
+  // ===========================================
+  // LIFECYCLE
+  // ===========================================
+
+  async start() {
+    if (this.started || !this.options.enabled) {
+      if (!this.options.enabled) {
+        this.logger.info('Cron scheduler disabled (CRON_ENABLED=false)')
+      }
+      return
+    }
+
+    this.started = true
+
+    await this.renewLeadership()
+    this.leaderTimer = setInterval(() => this.renewLeadership(), Math.floor(this.options.lockTtlMs / 3))
+    this.leaderTimer.unref()
+
+    for (const job of this.jobs.values()) {
+      if (!job.enabled) continue
+      job.nextRun = this.getNextRun(job)
+      job.task = cron.schedule(job.expression, () => {
+        job.nextRun = this.getNextRun(job)
+        return this.runJob(job.name)
+      }, { name: job.name })
+    }
+
+    this.logger.info('Cron scheduler started', {
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      jobs: [...this.jobs.values()].filter(job => job.enabled).map(job => job.name)
+    })
+  }
+
+  async stop() {
+    if (!this.started) return
+
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        job.task.stop()
+        job.task = null
+      }
+      job.nextRun = null
+    }
+
+    clearInterval(this.leaderTimer)
+    this.leaderTimer = null
+    this.started = false
+
+    if (this.isLeader) {
+      this.isLeader = false
+      try {
+        await JobLock.release(LEADER_LOCK, this.instanceId)
+      } catch (error) {
+        this.logger.warn('Failed to release scheduler leader lock', { error: error.message })
+      }
+    }
+
+    this.logger.info('Cron scheduler stopped', { instanceId: this.instanceId })
+  }
+
+  // ===========================================
+  // LEADER LOCK
+  // ===========================================
+
+  /**
+   * Take or renew the shared leader lock. Only the leader runs jobs; if it
+   * dies, another instance takes over once the lease (lockTtlMs) lapses.
+   */
+  async renewLeadership() {
+    const wasLeader = this.isLeader
+
+    try {
+      this.isLeader = await JobLock.acquire(LEADER_LOCK, this.instanceId, this.options.lockTtlMs)
+    } catch (error) {
+      this.isLeader = false
+      this.logger.error('Failed to renew scheduler leader lock', { error: error.message })
+    }
+
+    if (this.isLeader !== wasLeader) {
+      this.logger.info(this.isLeader ? 'Scheduler leadership acquired' : 'Scheduler leadership lost', {
+        instanceId: this.instanceId
+      })
+    }
+
+    return this.isLeader
+  }
+
+  // ===========================================
+  // JOB EXECUTION
+  // ===========================================
+
+  /**
+   * Run a job now if this instance is the leader and the job is not already
+   * running. Failures are recorded and logged, never thrown to node-cron.
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name)
+
+    if (!job) {
+      throw new Error(`Unknown cron job: ${name}`)
+    }
+
+    if (!this.isLeader) {
+      this.logger.debug('Cron job skipped: not the scheduler leader', { job: name })
+      return { skipped: true, reason: 'not_leader' }
+    }
+
+    if (job.running) {
+      this.logger.warn('Cron job skipped: previous run still in progress', { job: name })
+      return { skipped: true, reason: 'already_running' }
+    }
+
+    job.running = true
+    const startedAt = new Date()
+
+    try {
+      const result = await job.handler()
+
+      job.lastRun = {
+        status: 'success',
+        startedAt,
+        finishedAt: new Date(),
+        durationMs: Date.now() - startedAt.getTime(),
+        result
+      }
+      job.runCount++
+
+      this.logger.info('Cron job completed', { job: name, durationMs: job.lastRun.durationMs })
+
+    } catch (error) {
+      job.lastRun = {
+        status: 'failed',
+        startedAt,
+        finishedAt: new Date(),
+        durationMs: Date.now() - startedAt.getTime(),
+        error: error.message
+      }
+      job.runCount++
+      job.failureCount++
+
+      this.logger.error('Cron job failed', { job: name, error: error.message })
+
+    } finally {
+      job.running = false
+    }
+
+    return job.lastRun
+  }
+
+  // ===========================================
+  // STATUS
+  // ===========================================
+
+  /**
+   * Next time the expression matches, to the minute, in server local time
+   */
+  getNextRun(job, from = new Date()) {
+    return job.schedule ? nextCronRun(job.schedule, from) : null
+  }
+
+  // nextRun is stored when the job is scheduled and on every tick; it is only
+  // recomputed here if a tick was missed, so health checks stay cheap
+  getStatus() {
+    const now = new Date()
+    for (const job of this.jobs.values()) {
+      if (job.nextRun && job.nextRun <= now) {
+        job.nextRun = this.getNextRun(job, now)
+      }
+    }
+
+    return {
+      enabled: this.options.enabled,
+      started: this.started,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      jobs: [...this.jobs.values()].map(job => ({
+        name: job.name,
+        expression: job.expression,
+        enabled: job.enabled,
+        running: job.running,
+        runCount: job.runCount,
+        failureCount: job.failureCount,
+        lastRun: job.lastRun,
+        nextRun: job.nextRun
+      }))
+    }
+  }
+}
+
+module.exports = SchedulerService
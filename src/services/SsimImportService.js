@@ -0,0 +1,646 @@
+const mongoose = require('mongoose')
+const Flight = require('../models/Flight')
+const ScheduleTemplate = require('../models/ScheduleTemplate')
+const { toFlightDate } = require('../models/Flight')
+const { seasonPeriod, seasonFor, addDays } = require('../models/ScheduleTemplate')
+const { parseSsim } = require('../utils/ssimParser')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTES_PER_DAY = 24 * 60
+
+const IMPORT_TARGETS = ['templates', 'flights']
+
+// DEI 010: marketing flights sold on the operating flight
+const CODESHARE_DATA_ELEMENT = '010'
+
+// Fields compared between an imported leg and an existing template
+const TEMPLATE_DIFF_FIELDS = {
+  daysOfWeek: template => [...template.daysOfWeek].sort().join(''),
+  period: template => template.period && `${template.period.from}..${template.period.to}`,
+  departureTime: template => template.departureTime,
+  arrivalTime: template => template.arrivalTime,
+  arrivalDayOffset: template => template.arrivalDayOffset,
+  aircraftType: template => template.aircraftType,
+  origin: template => `${template.route.origin.airport}/${template.route.origin.terminal || ''}`,
+  destination: template => `${template.route.destination.airport}/${template.route.destination.terminal || ''}`,
+  codeshares: template => template.codeshares.map(codeshare => codeshare.flightNumber).join(',')
+}
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+// Fixed-offset IANA zone for a whole-hour UTC offset (Etc/GMT signs are inverted)
+const fixedOffsetZone = (offsetMinutes) => {
+  if (offsetMinutes === 0) return 'Etc/UTC'
+  if (offsetMinutes % 60 !== 0) return null
+  return `Etc/GMT${offsetMinutes > 0 ? '-' : '+'}${Math.abs(offsetMinutes / 60)}`
+}
+
+/**
+ * Imports IATA SSIM Chapter 7 files as schedule templates or as dated
+ * flight instances. Every import first builds a plan of adds, changes and
+ * cancellations against what is stored; a dry run returns only that report.
+ *
+ * A file is treated as the complete schedule of each carrier it contains:
+ * templates (or flights within the horizon) of those carriers and seasons
+ * that are not in the file are cancelled.
+ */
+class SsimImportService {
+  constructor(logger = null, flightService = null, scheduleTemplateService = null, options = {}) {
+    this.logger = logger || console
+    this.flightService = flightService
+    this.scheduleTemplateService = scheduleTemplateService
+    this.options = {
+      horizonDays: 14,
+      ...options
+    }
+  }
+
+  // ===========================================
+  // IMPORT
+  // ===========================================
+
+  /**
+   * @param {string} content - SSIM file contents
+   * @param {object} options - target ('templates' | 'flights'), dryRun
+   *   (default true), stations ({ CGK: { city, country, timezone } }) for
+   *   airports not known from existing schedules, actor, now
+   */
+  async importSchedule(content, options = {}) {
+    const {
+      target = 'templates',
+      dryRun = true,
+      stations = {},
+      actor = 'System',
+      now = new Date()
+    } = options
+
+    try {
+      if (!IMPORT_TARGETS.includes(target)) {
+        throw new FlightValidationError(`Import target must be one of: ${IMPORT_TARGETS.join(', ')}`, 'target', target)
+      }
+
+      this.logger.info('Importing SSIM schedule', { target, dryRun, actor })
+
+      const parsed = parseSsim(content)
+
+      if (parsed.legs.length === 0 && parsed.errors.length === 0) {
+        throw new FlightValidationError('SSIM file contains no flight leg records', 'content')
+      }
+
+      const { legs, rejected } = await this.normalizeLegs(parsed, stations)
+      const plan = target === 'flights'
+        ? await this.planFlights(legs, parsed.carriers, rejected, now)
+        : await this.planTemplates(legs, parsed.carriers, rejected)
+
+      const report = {
+        dryRun,
+        target,
+        carriers: parsed.carriers.map(({ line, airline, season, period, timeMode }) => ({ line, airline, season, period, timeMode })),
+        summary: {
+          legs: parsed.legs.length,
+          adds: plan.adds.length,
+          changes: plan.changes.length,
+          cancellations: plan.cancellations.length,
+          unchanged: plan.unchanged,
+          rejected: parsed.errors.length + rejected.length
+        },
+        adds: plan.adds.map(step => step.entry),
+        changes: plan.changes.map(step => step.entry),
+        cancellations: plan.cancellations.map(step => step.entry),
+        rejected: [...parsed.errors, ...rejected].sort((a, b) => a.line - b.line)
+      }
+
+      if (target === 'flights') {
+        report.window = plan.window
+      }
+
+      if (!dryRun) {
+        report.applied = await this.applyPlan(plan, target, actor)
+      }
+
+      this.logger.info('SSIM schedule import planned', { target, dryRun, ...report.summary })
+
+      return report
+
+    } catch (error) {
+      if (error instanceof FlightError) {
+        throw error
+      }
+
+      this.logger.error('Error importing SSIM schedule', { error: error.message, stack: error.stack })
+
+      throw new FlightDatabaseError('Failed to import SSIM schedule', 'IMPORT_SSIM', { originalError: error.message })
+    }
+  }
+
+  // ===========================================
+  // NORMALIZATION
+  // ===========================================
+
+  /**
+   * Turn parsed legs into unsaved ScheduleTemplate documents in local time,
+   * validated with FlightService's IATA rules and the template schema.
+   * Legs that fail are returned in `rejected` with their line number.
+   */
+  async normalizeLegs(parsed, stations = {}) {
+    const legs = []
+    const rejected = []
+    const lookups = { stations: new Map(), airlines: new Map() }
+
+    const legCounts = parsed.legs.reduce((counts, leg) => counts.set(leg.key, (counts.get(leg.key) || 0) + 1), new Map())
+
+    for (const leg of parsed.legs) {
+      const carrier = parsed.carriers[leg.carrier]
+      const flightNumber = `${leg.airline}${Number(leg.flightNumber)}`
+      const errors = []
+
+      if (!this.flightService.isValidIATACode(leg.airline, 'airline')) {
+        errors.push({ field: 'airline', message: 'Airline designator must be a valid IATA code', value: leg.airline })
+      }
+      if (!/^\d+$/.test(leg.flightNumber) || !this.flightService.isValidFlightNumber(flightNumber)) {
+        errors.push({ field: 'flightNumber', message: 'Flight number must follow IATA format (e.g., AA123, UA1234A)', value: flightNumber })
+      }
+      for (const [field, station] of [['departureStation', leg.departure.station], ['arrivalStation', leg.arrival.station]]) {
+        if (!this.flightService.isValidIATACode(station, 'airport')) {
+          errors.push({ field, message: 'Station must be a valid 3-letter IATA airport code', value: station })
+        }
+      }
+      if (legCounts.get(leg.key) > 1 || leg.legSequence > 1) {
+        errors.push({ field: 'legSequence', message: 'Multi-leg itineraries are not supported', value: leg.legSequence })
+      }
+
+      if (errors.length === 0) {
+        const template = await this.buildTemplate(leg, carrier, flightNumber, stations, lookups, errors)
+
+        if (template) {
+          try {
+            await template.validate()
+          } catch (error) {
+            if (!(error instanceof mongoose.Error.ValidationError)) throw error
+
+            errors.push(...Object.values(error.errors).map(fieldError => ({
+              field: fieldError.path,
+              message: fieldError.message,
+              value: fieldError.value
+            })))
+          }
+        }
+
+        if (errors.length === 0) {
+          legs.push({ line: leg.line, template })
+          continue
+        }
+      }
+
+      rejected.push({ line: leg.line, recordType: '3', flightNumber, message: errors[0].message, errors })
+    }
+
+    return { legs, rejected }
+  }
+
+  async buildTemplate(leg, carrier, flightNumber, stations, lookups, errors) {
+    const utcMode = carrier.timeMode === 'U'
+
+    // Local times; a UTC time plus its offset may fall on the previous or next day
+    const departureMinutes = leg.departure.time + (utcMode ? leg.departure.utcOffset : 0)
+    const arrivalMinutes = leg.arrival.time + (utcMode ? leg.arrival.utcOffset : 0)
+    const departureShift = leg.departure.dateVariation + Math.floor(departureMinutes / MINUTES_PER_DAY)
+    const arrivalShift = leg.arrival.dateVariation + Math.floor(arrivalMinutes / MINUTES_PER_DAY)
+
+    const validFrom = leg.period.from && addDays(leg.period.from, departureShift)
+    const validTo = (leg.period.to || carrier.period.to) && addDays(leg.period.to || carrier.period.to, departureShift)
+    const season = SsimImportService.resolveSeason(carrier.season, validFrom, validTo)
+
+    if (!validFrom) {
+      errors.push({ field: 'periodFrom', message: 'Period of operation must have a start date' })
+      return null
+    }
+
+    const [origin, destination] = await Promise.all([
+      this.resolveStation(leg.departure, stations, lookups),
+      this.resolveStation(leg.arrival, stations, lookups)
+    ])
+
+    for (const [field, station, resolved] of [['departureStation', leg.departure, origin], ['arrivalStation', leg.arrival, destination]]) {
+      if (!resolved.city || !resolved.country || !resolved.timezone) {
+        errors.push({
+          field,
+          message: `Station ${station.station} is not known; pass its city, country and timezone in stations`,
+          value: station.station
+        })
+      }
+    }
+
+    if (errors.length > 0) return null
+
+    return new ScheduleTemplate({
+      flightNumber,
+      operationalSuffix: leg.operationalSuffix,
+      airline: { code: leg.airline, name: await this.resolveAirlineName(leg.airline, lookups) },
+      route: {
+        origin: { airport: leg.departure.station, terminal: leg.departure.terminal || undefined, ...origin },
+        destination: { airport: leg.arrival.station, terminal: leg.arrival.terminal || undefined, ...destination }
+      },
+      daysOfWeek: leg.daysOfWeek.map(day => ((day - 1 + departureShift) % 7 + 7) % 7 + 1).sort(),
+      season,
+      validFrom,
+      validTo,
+      departureTime: formatTime(((departureMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY),
+      arrivalTime: formatTime(((arrivalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY),
+      arrivalDayOffset: arrivalShift - departureShift,
+      aircraftType: leg.aircraftType,
+      codeshares: SsimImportService.parseCodeshares(leg.segments)
+    })
+  }
+
+  /**
+   * City, country and time zone of a station: from `stations`, else from an
+   * existing template or flight serving it. The time zone falls back to the
+   * file's fixed UTC offset.
+   */
+  async resolveStation(point, stations, lookups) {
+    const code = point.station
+
+    if (!lookups.stations.has(code)) {
+      let known = null
+
+      const template = await ScheduleTemplate.findOne({
+        $or: [{ 'route.origin.airport': code }, { 'route.destination.airport': code }]
+      }).select('route').lean()
+
+      if (template) {
+        const side = template.route.origin.airport === code ? template.route.origin : template.route.destination
+        known = { city: side.city, country: side.country, timezone: side.timezone }
+      } else {
+        const flight = await Flight.findOne({
+          $or: [{ 'route.origin.airport': code }, { 'route.destination.airport': code }]
+        }).select('route').lean()
+
+        if (flight) {
+          const isOrigin = flight.route.origin.airport === code
+          const side = isOrigin ? flight.route.origin : flight.route.destination
+          known = {
+            city: side.city,
+            country: side.country,
+            timezone: isOrigin ? flight.route.timezone?.origin : flight.route.timezone?.destination
+          }
+        }
+      }
+
+      lookups.stations.set(code, known || {})
+    }
+
+    const resolved = { ...lookups.stations.get(code), ...(stations[code] || {}) }
+
+    return {
+      city: resolved.city,
+      country: resolved.country,
+      timezone: resolved.timezone || fixedOffsetZone(point.utcOffset)
+    }
+  }
+
+  async resolveAirlineName(code, lookups) {
+    if (!lookups.airlines.has(code)) {
+      const known = await ScheduleTemplate.findOne({ 'airline.code': code }).select('airline').lean() ||
+        await Flight.findOne({ 'airline.code': code }).select('airline').lean()
+
+      lookups.airlines.set(code, known?.airline?.name || code)
+    }
+
+    return lookups.airlines.get(code)
+  }
+
+  /**
+   * The carrier record's season when it covers the leg, else the season
+   * the leg starts in
+   */
+  static resolveSeason(carrierSeason, validFrom, validTo) {
+    const period = seasonPeriod(carrierSeason)
+
+    if (period && validFrom && validFrom >= period.from && (!validTo || validTo <= period.to)) {
+      return carrierSeason
+    }
+
+    return validFrom ? seasonFor(validFrom) : carrierSeason
+  }
+
+  // DEI 010 data lists marketing flights, e.g. "KL 3456/AF 1234"
+  static parseCodeshares(segments) {
+    return segments
+      .filter(segment => segment.dataElement === CODESHARE_DATA_ELEMENT)
+      .flatMap(segment => segment.data.split('/'))
+      .map(designator => /^([A-Z0-9]{2})([A-Z]?)\s*(\d{1,4})([A-Z]?)$/.exec(designator.trim()))
+      .filter(Boolean)
+      .map(([, airline, extra, number, suffix]) => ({
+        airline: `${airline}${extra}`,
+        flightNumber: `${airline}${extra}${Number(number)}${suffix}`
+      }))
+  }
+
+  // ===========================================
+  // PLANNING
+  // ===========================================
+
+  /**
+   * Match each leg to an active template of the same flight, suffix and
+   * season that shares an operating day. Unmatched legs are adds; templates
+   * of the file's carriers and seasons that no leg matched are cancelled.
+   */
+  async planTemplates(legs, carriers, rejected) {
+    const plan = { adds: [], changes: [], cancellations: [], unchanged: 0 }
+
+    const airlines = [...new Set(legs.map(leg => leg.template.airline.code).concat(carriers.map(carrier => carrier.airline)))]
+    const seasons = [...new Set(legs.map(leg => leg.template.season).concat(carriers.map(carrier => carrier.season)))]
+
+    const existing = await ScheduleTemplate.find({
+      'airline.code': { $in: airlines },
+      season: { $in: seasons },
+      isActive: true
+    })
+
+    const matched = new Set()
+    const accepted = []
+
+    for (const { line, template } of legs) {
+      const sameFlight = (other) => other.flightNumber === template.flightNumber &&
+        other.operationalSuffix === template.operationalSuffix &&
+        other.season === template.season
+
+      const duplicate = accepted.find(other => sameFlight(other.template) && other.template.overlaps(template))
+      if (duplicate) {
+        rejected.push({
+          line,
+          recordType: '3',
+          flightNumber: template.flightNumber,
+          message: `Flight ${template.flightNumber} operates on the same days as line ${duplicate.line}`
+        })
+        continue
+      }
+      accepted.push({ line, template })
+
+      const candidates = existing.filter(other => !matched.has(other.id) && sameFlight(other) && other.overlaps(template))
+      const match = candidates.find(other => Object.keys(this.diffTemplate(other, template)).every(field => !['daysOfWeek', 'period'].includes(field))) ||
+        candidates[0]
+
+      if (!match) {
+        plan.adds.push({ entry: this.describeLeg(line, template), data: this.templateData(template) })
+        continue
+      }
+
+      matched.add(match.id)
+      const changes = this.diffTemplate(match, template)
+
+      if (Object.keys(changes).length === 0) {
+        plan.unchanged++
+        continue
+      }
+
+      plan.changes.push({
+        entry: { ...this.describeLeg(line, template), templateId: match._id, changes },
+        templateId: match._id,
+        data: this.templateData(template)
+      })
+    }
+
+    for (const template of existing) {
+      if (matched.has(template.id)) continue
+
+      plan.cancellations.push({
+        entry: {
+          templateId: template._id,
+          flightNumber: template.flightNumber,
+          operationalSuffix: template.operationalSuffix,
+          season: template.season,
+          period: template.period,
+          daysOfWeek: template.daysOfWeek,
+          reason: 'Not in SSIM file'
+        },
+        templateId: template._id
+      })
+    }
+
+    return plan
+  }
+
+  /**
+   * Expand legs to dated instances departing within the horizon and compare
+   * them with stored flights of the same carriers. Flights that have
+   * operated are never changed or cancelled.
+   */
+  async planFlights(legs, carriers, rejected, now) {
+    const plan = { adds: [], changes: [], cancellations: [], unchanged: 0 }
+    const horizonEnd = new Date(now.getTime() + this.options.horizonDays * DAY_MS)
+    plan.window = { from: now, to: horizonEnd }
+
+    const desired = new Map()
+    const firstDate = addDays(toFlightDate(now), -1)
+    const lastDate = addDays(toFlightDate(horizonEnd), 1)
+
+    for (const { line, template } of legs) {
+      const { from, to } = template.period
+
+      for (let date = from > firstDate ? from : firstDate; date <= to && date <= lastDate; date = addDays(date, 1)) {
+        if (!template.operatesOn(date)) continue
+
+        const instance = template.buildInstance(date)
+        const departure = instance.schedule.departure.scheduled
+        if (departure <= now || departure > horizonEnd) continue
+
+        const key = `${template.flightNumber}/${date}/${template.operationalSuffix}`
+        if (desired.has(key)) {
+          rejected.push({
+            line,
+            recordType: '3',
+            flightNumber: template.flightNumber,
+            message: `Flight ${template.flightNumber} on ${date} is also scheduled on line ${desired.get(key).line}`
+          })
+          continue
+        }
+
+        desired.set(key, { line, template, instance })
+      }
+    }
+
+    const carrierPeriods = carriers.filter(carrier => carrier.period.from)
+
+    const existing = await Flight.find({
+      'airline.code': { $in: [...new Set(carriers.map(carrier => carrier.airline))] },
+      isActive: true,
+      'schedule.departure.scheduled': { $gt: now, $lte: horizonEnd }
+    })
+
+    for (const flight of existing) {
+      const key = `${flight.flightNumber}/${flight.flightDate}/${flight.operationalSuffix}`
+      const wanted = desired.get(key)
+      const unoperated = this.scheduleTemplateService.isUnoperated(flight, now)
+
+      if (wanted) {
+        desired.delete(key)
+        const changes = this.diffInstance(flight, wanted.instance)
+
+        if (Object.keys(changes).length === 0 || !unoperated) {
+          plan.unchanged++
+          continue
+        }
+
+        plan.changes.push({
+          entry: {
+            line: wanted.line,
+            flightId: flight._id,
+            flightNumber: flight.flightNumber,
+            flightDate: flight.flightDate,
+            operationalSuffix: flight.operationalSuffix,
+            changes
+          },
+          flight,
+          template: wanted.template
+        })
+        continue
+      }
+
+      const inFilePeriod = carrierPeriods.some(carrier =>
+        carrier.airline === flight.airline.code &&
+        flight.flightDate >= carrier.period.from &&
+        (!carrier.period.to || flight.flightDate <= carrier.period.to)
+      )
+
+      if (unoperated && inFilePeriod) {
+        plan.cancellations.push({
+          entry: {
+            flightId: flight._id,
+            flightNumber: flight.flightNumber,
+            flightDate: flight.flightDate,
+            operationalSuffix: flight.operationalSuffix,
+            reason: 'Not in SSIM file'
+          },
+          flight
+        })
+      }
+    }
+
+    for (const { line, template, instance } of desired.values()) {
+      plan.adds.push({
+        entry: { ...this.describeLeg(line, template), flightDate: instance.flightDate },
+        data: { ...instance, scheduleTemplate: null }
+      })
+    }
+
+    return plan
+  }
+
+  // ===========================================
+  // APPLY
+  // ===========================================
+
+  /**
+   * Cancellations first, then changes, then adds, so a re-timed or re-split
+   * schedule never overlaps what it replaces. Each step fails on its own.
+   */
+  async applyPlan(plan, target, actor = 'System') {
+    const applied = { created: 0, updated: 0, cancelled: 0, failed: 0, errors: [] }
+    const reason = 'Removed by SSIM schedule import'
+
+    const run = async (entry, action, step) => {
+      try {
+        await step()
+        applied[action]++
+      } catch (error) {
+        if (!(error instanceof FlightError)) throw error
+
+        applied.failed++
+        applied.errors.push({ ...entry, code: error.code, conflictType: error.conflictType, message: error.message })
+        this.logger.warn('SSIM import step failed', { ...entry, error: error.message })
+      }
+    }
+
+    if (target === 'flights') {
+      for (const { entry, flight } of plan.cancellations) {
+        await run(entry, 'cancelled', () => this.scheduleTemplateService.cancelInstance(flight, reason, actor))
+      }
+      for (const { entry, flight, template } of plan.changes) {
+        await run(entry, 'updated', () => this.scheduleTemplateService.syncInstance(template, flight, actor))
+      }
+      for (const { entry, data } of plan.adds) {
+        await run(entry, 'created', () => this.flightService.createFlight(data, actor))
+      }
+    } else {
+      for (const { entry, templateId } of plan.cancellations) {
+        await run(entry, 'cancelled', () => this.scheduleTemplateService.deactivateTemplate(templateId, actor))
+      }
+      for (const { entry, templateId, data } of plan.changes) {
+        await run(entry, 'updated', () => this.scheduleTemplateService.updateTemplate(templateId, data, actor))
+      }
+      for (const { entry, data } of plan.adds) {
+        await run(entry, 'created', () => this.scheduleTemplateService.createTemplate(data, actor))
+      }
+    }
+
+    this.logger.info('SSIM schedule import applied', { target, actor, ...applied, errors: applied.errors.length })
+
+    return applied
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  diffTemplate(existing, incoming) {
+    return Object.entries(TEMPLATE_DIFF_FIELDS).reduce((changes, [field, read]) => {
+      const from = read(existing)
+      const to = read(incoming)
+      if (from !== to) changes[field] = { from, to }
+      return changes
+    }, {})
+  }
+
+  diffInstance(flight, instance) {
+    const changes = {}
+    const pairs = {
+      departure: [flight.schedule.departure.scheduled, instance.schedule.departure.scheduled],
+      arrival: [flight.schedule.arrival.scheduled, instance.schedule.arrival.scheduled]
+    }
+
+    for (const [field, [from, to]] of Object.entries(pairs)) {
+      if (new Date(from).getTime() !== to.getTime()) {
+        changes[field] = { from, to }
+      }
+    }
+
+    if (flight.aircraft?.type !== instance.aircraft.type) {
+      changes.aircraftType = { from: flight.aircraft?.type, to: instance.aircraft.type }
+    }
+
+    return changes
+  }
+
+  templateData(template) {
+    return {
+      flightNumber: template.flightNumber,
+      ...this.scheduleTemplateService.pickEditableFields(template.toObject({ virtuals: false, versionKey: false }))
+    }
+  }
+
+  describeLeg(line, template) {
+    return {
+      line,
+      flightNumber: template.flightNumber,
+      operationalSuffix: template.operationalSuffix,
+      season: template.season,
+      period: template.period,
+      daysOfWeek: template.daysOfWeek,
+      route: `${template.route.origin.airport}-${template.route.destination.airport}`,
+      departureTime: template.departureTime,
+      arrivalTime: template.arrivalTime,
+      arrivalDayOffset: template.arrivalDayOffset,
+      aircraftType: template.aircraftType
+    }
+  }
+}
+
+module.exports = SsimImportService
+module.exports.IMPORT_TARGETS = IMPORT_TARGETS
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose')
+const StatusTransitionPolicy = require('../models/StatusTransitionPolicy')
+const { DEFAULT_STATUS_TRANSITIONS } = require('../models/StatusTransitionPolicy')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+const { StatusPolicyNotFoundError } = require('../errors/StatusPolicyErrors')
+
+/**
+ * Per-airline status transition policies. FlightService asks for the
+ * transitions of a flight's airline on every status change; lookups are
+ * cached for `cacheTtlMs`, so an edit reaches other instances within that
+ * time. Every change is written to the audit log.
+ */
+class StatusPolicyService {
+  constructor(logger = null, options = {}) {
+    this.logger = logger || console
+    this.options = {
+      cacheTtlMs: 60 * 1000,
+      ...options
+    }
+    this.cache = new Map()
+  }
+
+  // ===========================================
+  // CRUD OPERATIONS
+  // ===========================================
+
+  async getPolicies() {
+    try {
+      const policies = await StatusTransitionPolicy.find().sort({ airline: 1 })
+
+      return {
+        defaults: DEFAULT_STATUS_TRANSITIONS,
+        policies: policies.map(policy => this.formatPolicy(policy)),
+        totalCount: policies.length
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_STATUS_POLICIES', 'Failed to fetch status transition policies')
+    }
+  }
+
+  /**
+   * Policy of an airline; airlines without one get the defaults with
+   * `isDefault: true`
+   */
+  async getPolicy(airline) {
+    try {
+      const code = String(airline).toUpperCase()
+      const policy = await StatusTransitionPolicy.findOne({ airline: code })
+
+      return policy
+        ? this.formatPolicy(policy)
+        : { airline: code, transitions: DEFAULT_STATUS_TRANSITIONS, overrides: {}, isDefault: true }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_STATUS_POLICY', 'Failed to fetch status transition policy')
+    }
+  }
+
+  /**
+   * Create or replace the policy of an airline. `transitions` lists the
+   * statuses whose allowed next statuses differ from the defaults.
+   */
+  async setPolicy(airline, data, updatedBy = 'System') {
+    try {
+      const code = String(airline).toUpperCase()
+      const policy = await StatusTransitionPolicy.findOne({ airline: code }) ||
+        new StatusTransitionPolicy({ airline: code, createdBy: updatedBy })
+
+      policy.transitions = new Map(Object.entries(data.transitions || {}))
+      if (data.description !== undefined) policy.description = data.description
+      policy.updatedBy = updatedBy
+
+      await this.validatePolicy(policy)
+      await policy.save()
+      this.cache.delete(code)
+
+      this.logger.info('Status transition policy updated', {
+        audit: true,
+        airline: code,
+        overrides: Object.fromEntries(policy.transitions),
+        updatedBy
+      })
+
+      return this.formatPolicy(policy)
+
+    } catch (error) {
+      throw this.wrapError(error, 'SET_STATUS_POLICY', 'Failed to save status transition policy')
+    }
+  }
+
+  /**
+   * Remove an airline's policy so it falls back to the defaults
+   */
+  async deletePolicy(airline, updatedBy = 'System') {
+    try {
+      const code = String(airline).toUpperCase()
+      const policy = await StatusTransitionPolicy.findOneAndDelete({ airline: code })
+
+      if (!policy) {
+        throw new StatusPolicyNotFoundError(`No status transition policy for ${code}`, { airline: code })
+      }
+
+      this.cache.delete(code)
+
+      this.logger.info('Status transition policy removed', { audit: true, airline: code, updatedBy })
+
+      return { airline: code, transitions: DEFAULT_STATUS_TRANSITIONS, overrides: {}, isDefault: true }
+
+    } catch (error) {
+      throw this.wrapError(error, 'DELETE_STATUS_POLICY', 'Failed to remove status transition policy')
+    }
+  }
+
+  // ===========================================
+  // LOOKUP
+  // ===========================================
+
+  /**
+   * Full transition table of an airline
+   */
+  async transitionsFor(airline, now = Date.now()) {
+    const code = String(airline || '').toUpperCase()
+    const cached = this.cache.get(code)
+
+    if (cached && cached.expiresAt > now) {
+      return cached.transitions
+    }
+
+    const policy = code ? await StatusTransitionPolicy.findOne({ airline: code }) : null
+    const transitions = policy ? policy.effectiveTransitions() : DEFAULT_STATUS_TRANSITIONS
+
+    this.cache.set(code, { transitions, expiresAt: now + this.options.cacheTtlMs })
+
+    return transitions
+  }
+
+  // ===========================================
+  // HELPERS
+  // ===========================================
+
+  async validatePolicy(policy) {
+    try {
+      await policy.validate()
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.ValidationError)) throw error
+
+      const errors = Object.values(error.errors).map(fieldError => ({
+        field: fieldError.path,
+        message: fieldError.message,
+        value: fieldError.value
+      }))
+      throw new FlightValidationError('Status transition policy validation failed', errors[0]?.field, errors[0]?.value, { errors })
+    }
+  }
+
+  formatPolicy(policy) {
+    return {
+      id: policy._id,
+      airline: policy.airline,
+      transitions: policy.effectiveTransitions(),
+      overrides: Object.fromEntries(policy.transitions),
+      description: policy.description,
+      isDefault: false,
+      createdBy: policy.createdBy,
+      updatedBy: policy.updatedBy,
+      createdAt: policy.createdAt,
+      updatedAt: policy.updatedAt
+    }
+  }
+
+  wrapError(error, operation, message) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error(message, { error: error.message, stack: error.stack })
+
+    return new FlightDatabaseError(message, operation, { originalError: error.message })
+  }
+}
+
+module.exports = StatusPolicyService
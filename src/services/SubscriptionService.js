@@ -0,0 +1,408 @@
+const Subscription = require('../models/Subscription')
+const Flight = require('../models/Flight')
+const { toFlightDate } = require('../models/Flight')
+const { SUBSCRIPTION_STATUS, NOTIFICATION_TYPES } = require('../models/Subscription')
+const {
+  FlightError,
+  FlightValidationError,
+  FlightRateLimitError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+const {
+  SubscriptionNotFoundError,
+  SubscriptionTokenError,
+  SubscriptionStateError
+} = require('../errors/SubscriptionErrors')
+
+class SubscriptionService {
+  constructor(logger = null, notificationService = null, options = {}, reminderService = null) {
+    this.logger = logger || console
+    this.notificationService = notificationService
+    this.reminderService = reminderService
+    this.options = {
+      verificationResendIntervalMs: 5 * 60 * 1000, // 5 minutes
+      ...options
+    }
+  }
+
+  // ===========================================
+  // DOUBLE OPT-IN FLOW
+  // ===========================================
+
+  /**
+   * Create a pending subscription and send the verification email.
+   * Re-submitting an unverified subscription resends the verification link.
+   */
+  async createSubscription(data, context = {}) {
+    try {
+      this.logger.info('Creating subscription', {
+        email: data.email,
+        flightNumber: data.flightNumber,
+        flightDate: data.flightDate
+      })
+
+      const email = String(data.email).toLowerCase()
+      const flightNumber = String(data.flightNumber).toUpperCase()
+      const { start, end } = this.getDayRange(data.flightDate)
+
+      const existing = await Subscription.findOne({
+        email,
+        flightNumber,
+        flightDate: { $gte: start, $lte: end }
+      })
+
+      if (existing) {
+        return await this.handleExistingSubscription(existing)
+      }
+
+      // Link the operated instance for that date when it already exists
+      const flight = await Flight.findInstance(flightNumber, { date: toFlightDate(data.flightDate) })
+
+      const subscription = new Subscription({
+        email,
+        flightNumber,
+        flightDate: data.flightDate,
+        pnr: data.pnr,
+        passengerInfo: data.passengerInfo,
+        flight: flight ? flight._id : undefined,
+        notificationPreferences: data.notificationPreferences,
+        gdprCompliance: {
+          consentGiven: data.gdprCompliance?.consentGiven,
+          dataProcessingConsent: data.gdprCompliance?.dataProcessingConsent,
+          marketingConsent: data.gdprCompliance?.marketingConsent === true,
+          consentVersion: data.gdprCompliance?.consentVersion
+        },
+        metadata: {
+          source: 'api',
+          userAgent: context.userAgent,
+          ipAddress: context.ip,
+          referrer: context.referrer
+        }
+      })
+
+      await subscription.save()
+      const verification = await this.sendVerification(subscription)
+
+      this.logger.info('Subscription created, awaiting verification', {
+        subscriptionId: subscription._id,
+        flightNumber
+      })
+
+      return {
+        subscription: this.formatSubscription(subscription),
+        created: true,
+        verificationSent: verification.success === true
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'CREATE_SUBSCRIPTION')
+    }
+  }
+
+  async handleExistingSubscription(subscription) {
+    if (subscription.unsubscribe.isUnsubscribed) {
+      throw new SubscriptionStateError(
+        'This subscription was unsubscribed; use the reactivation link from a previous email',
+        subscription.status
+      )
+    }
+
+    if (subscription.verification.isVerified) {
+      throw new SubscriptionStateError(
+        'You are already subscribed to this flight',
+        subscription.status
+      )
+    }
+
+    const lastSentAt = subscription.verification.lastSentAt
+    const interval = this.options.verificationResendIntervalMs
+
+    if (lastSentAt && Date.now() - lastSentAt.getTime() < interval) {
+      const retryAfter = Math.ceil((interval - (Date.now() - lastSentAt.getTime())) / 1000)
+      throw new FlightRateLimitError(
+        'A verification email was sent recently, please check your inbox',
+        retryAfter
+      )
+    }
+
+    subscription.regenerateVerificationToken()
+    await subscription.save()
+    const verification = await this.sendVerification(subscription)
+
+    this.logger.info('Verification email resent', { subscriptionId: subscription._id })
+
+    return {
+      subscription: this.formatSubscription(subscription),
+      created: false,
+      verificationSent: verification.success === true
+    }
+  }
+
+  async sendVerification(subscription) {
+    const result = await this.notificationService.sendVerificationEmail(subscription)
+
+    if (!result.success) {
+      // The subscription stays pending; the user can re-submit to get a new link
+      this.logger.warn('Verification email could not be sent', {
+        subscriptionId: subscription._id,
+        error: result.error
+      })
+      return result
+    }
+
+    subscription.verification.lastSentAt = new Date()
+    await subscription.save()
+
+    return result
+  }
+
+  async verifySubscription(token) {
+    try {
+      const subscription = await Subscription.findOne({ 'verification.verificationToken': token })
+
+      if (!subscription) {
+        throw new SubscriptionTokenError('Verification link is invalid or has already been used', 'INVALID_TOKEN')
+      }
+
+      if (subscription.isVerificationExpired) {
+        throw new SubscriptionTokenError(
+          'Verification link has expired; subscribe again to receive a new one',
+          'TOKEN_EXPIRED'
+        )
+      }
+
+      if (subscription.unsubscribe.isUnsubscribed) {
+        throw new SubscriptionStateError('Subscription has been unsubscribed', subscription.status)
+      }
+
+      await subscription.verify(token)
+
+      this.logger.info('Subscription verified', {
+        subscriptionId: subscription._id,
+        flightNumber: subscription.flightNumber
+      })
+
+      await this.syncDepartureReminder(subscription)
+
+      return this.formatSubscription(subscription)
+
+    } catch (error) {
+      throw this.wrapError(error, 'VERIFY_SUBSCRIPTION')
+    }
+  }
+
+  // ===========================================
+  // SELF-SERVICE MANAGEMENT (unsubscribe token)
+  // ===========================================
+
+  async getByManagementToken(token) {
+    try {
+      const subscription = await this.findByManagementToken(token)
+
+      return this.formatSubscription(subscription)
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_SUBSCRIPTION')
+    }
+  }
+
+  /**
+   * Unsubscribe is idempotent so mail clients can safely retry one-click requests
+   */
+  async unsubscribe(token, { reason = 'user_request', feedback = '' } = {}) {
+    try {
+      const subscription = await this.findByManagementToken(token)
+
+      if (subscription.unsubscribe.isUnsubscribed) {
+        return {
+          subscription: this.formatSubscription(subscription),
+          alreadyUnsubscribed: true
+        }
+      }
+
+      await subscription.unsubscribeUser(token, reason, feedback)
+
+      this.logger.info('Subscription unsubscribed', {
+        subscriptionId: subscription._id,
+        reason
+      })
+
+      await this.syncDepartureReminder(subscription)
+
+      return {
+        subscription: this.formatSubscription(subscription),
+        alreadyUnsubscribed: false
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'UNSUBSCRIBE')
+    }
+  }
+
+  async reactivate(token) {
+    try {
+      const subscription = await this.findByManagementToken(token)
+
+      if (!subscription.unsubscribe.isUnsubscribed) {
+        throw new SubscriptionStateError('Subscription is not unsubscribed', subscription.status)
+      }
+
+      if (subscription.isExpired) {
+        throw new SubscriptionStateError('Cannot reactivate an expired subscription', SUBSCRIPTION_STATUS.EXPIRED)
+      }
+
+      await subscription.reactivate()
+
+      this.logger.info('Subscription reactivated', { subscriptionId: subscription._id })
+
+      await this.syncDepartureReminder(subscription)
+
+      return this.formatSubscription(subscription)
+
+    } catch (error) {
+      throw this.wrapError(error, 'REACTIVATE_SUBSCRIPTION')
+    }
+  }
+
+  async updatePreferences(token, updates = {}) {
+    try {
+      const subscription = await this.findByManagementToken(token)
+
+      if (subscription.unsubscribe.isUnsubscribed) {
+        throw new SubscriptionStateError(
+          'Reactivate the subscription before changing preferences',
+          subscription.status
+        )
+      }
+
+      const preferences = updates.notificationPreferences || {}
+      Object.entries(preferences).forEach(([type, settings]) => {
+        if (!Object.values(NOTIFICATION_TYPES).includes(type)) {
+          throw new FlightValidationError(`Unknown notification type: ${type}`, `notificationPreferences.${type}`, type)
+        }
+
+        Object.entries(settings).forEach(([field, value]) => {
+          subscription.set(`notificationPreferences.${type}.${field}`, value)
+        })
+      })
+
+      const passengerInfo = updates.passengerInfo || {}
+      Object.entries(passengerInfo).forEach(([field, value]) => {
+        subscription.set(`passengerInfo.${field}`, value)
+      })
+
+      if (updates.marketingConsent !== undefined) {
+        subscription.gdprCompliance.marketingConsent = updates.marketingConsent
+      }
+
+      await subscription.save()
+
+      this.logger.info('Subscription preferences updated', {
+        subscriptionId: subscription._id,
+        types: Object.keys(preferences)
+      })
+
+      await this.syncDepartureReminder(subscription)
+
+      return this.formatSubscription(subscription)
+
+    } catch (error) {
+      throw this.wrapError(error, 'UPDATE_PREFERENCES')
+    }
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  /**
+   * Plan, move or cancel the subscriber's departure reminder. Best effort:
+   * a failure is logged and never fails the subscription request itself.
+   */
+  async syncDepartureReminder(subscription) {
+    if (!this.reminderService) return
+
+    try {
+      await this.reminderService.planForSubscription(subscription)
+    } catch (error) {
+      this.logger.warn('Departure reminder could not be planned', {
+        subscriptionId: subscription._id,
+        error: error.message
+      })
+    }
+  }
+
+  async findByManagementToken(token) {
+    const subscription = await Subscription.findOne({ 'unsubscribe.token': token })
+
+    if (!subscription) {
+      throw new SubscriptionNotFoundError('No subscription matches this link')
+    }
+
+    return subscription
+  }
+
+  getDayRange(date) {
+    const start = new Date(date)
+    start.setHours(0, 0, 0, 0)
+    const end = new Date(date)
+    end.setHours(23, 59, 59, 999)
+
+    return { start, end }
+  }
+
+  formatSubscription(subscription) {
+    return {
+      id: subscription._id,
+      email: subscription.email,
+      flightNumber: subscription.flightNumber,
+      flightDate: subscription.flightDate,
+      status: subscription.status,
+      isVerified: subscription.verification.isVerified,
+      verifiedAt: subscription.verification.verifiedAt,
+      isUnsubscribed: subscription.unsubscribe.isUnsubscribed,
+      unsubscribedAt: subscription.unsubscribe.unsubscribedAt,
+      passengerInfo: {
+        firstName: subscription.passengerInfo?.firstName,
+        lastName: subscription.passengerInfo?.lastName,
+        language: subscription.passengerInfo?.language,
+        timezone: subscription.passengerInfo?.timezone
+      },
+      notificationPreferences: subscription.notificationPreferences,
+      marketingConsent: subscription.gdprCompliance?.marketingConsent,
+      expiresAt: subscription.expiresAt
+    }
+  }
+
+  wrapError(error, operation) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    if (error.name === 'ValidationError' && error.errors) {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+      return new FlightValidationError('Subscription validation failed', errors[0]?.field, null, { errors })
+    }
+
+    if (error.code === 11000) {
+      return new SubscriptionStateError('A subscription for this email and flight already exists')
+    }
+
+    this.logger.error('Subscription operation failed', {
+      operation,
+      error: error.message,
+      stack: error.stack
+    })
+
+    return new FlightDatabaseError(
+      'Subscription operation failed due to database error',
+      operation,
+      { originalError: error.message }
+    )
+  }
+}
+
+module.exports = SubscriptionService
@@ -0,0 +1,324 @@
+const Flight = require('../models/Flight')
+const WeatherReport = require('../models/WeatherReport')
+const { FLIGHT_STATUSES } = require('../models/Flight')
+const { parseWeatherReports } = require('../utils/metarParser')
+const {
+  FlightError,
+  FlightDatabaseError
+} = require('../errors/FlightErrors')
+const { WeatherReportNotFoundError } = require('../errors/WeatherErrors')
+
+const HOUR_MS = 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+
+// Flights still on the ground at their origin, and flights yet to reach their destination
+const AT_ORIGIN_STATUSES = [FLIGHT_STATUSES.SCHEDULED, FLIGHT_STATUSES.DELAYED, FLIGHT_STATUSES.BOARDING]
+const TO_DESTINATION_STATUSES = [...AT_ORIGIN_STATUSES, FLIGHT_STATUSES.DEPARTED, FLIGHT_STATUSES.IN_AIR]
+
+/**
+ * Ingests METAR/SPECI observations and TAF forecasts, posted as text or
+ * fetched from a WeatherProvider by poll(). The newest report of each kind
+ * is kept per station in WeatherReport for the API, and each observation is
+ * copied to Flight.weather.origin / .destination of the flights departing
+ * or arriving at its airport from `lookbackHours` ago to `windowHours`
+ * ahead. Stations map to airports through `stations` ({ IATA: ICAO });
+ * reports of other stations are stored but not attached to flights.
+ */
+class WeatherService {
+  constructor(logger = null, provider = null, options = {}) {
+    this.logger = logger || console
+    this.provider = provider
+    this.options = {
+      stations: {},
+      windowHours: 12,
+      lookbackHours: 6,
+      ...options
+    }
+    this.stationAirports = Object.fromEntries(
+      Object.entries(this.options.stations).map(([airport, station]) => [station, airport])
+    )
+  }
+
+  // ===========================================
+  // INGESTION
+  // ===========================================
+
+  /**
+   * Store every report in `text` that is newer than the one kept for its
+   * station. Returns the accepted reports, the ones skipped as outdated and
+   * the ones that could not be read; only database failures throw.
+   * `stations` limits ingestion to those ICAO stations.
+   */
+  async ingest(text, options = {}) {
+    const {
+      source = 'http',
+      receivedBy = 'System',
+      stations = null,
+      now = new Date()
+    } = options
+
+    try {
+      const entries = parseWeatherReports(text)
+        .filter(entry => !stations || !entry.report || stations.includes(entry.report.station))
+      const result = { received: entries.length, accepted: [], skipped: [], rejected: [] }
+
+      for (const entry of entries) {
+        if (entry.error) {
+          result.rejected.push({ raw: entry.raw, reason: entry.error })
+          continue
+        }
+
+        const applied = await this.applyReport(entry.report, { source, receivedBy, now })
+        if (applied) {
+          result.accepted.push(applied)
+        } else {
+          result.skipped.push({ station: entry.report.station, type: entry.report.type, reason: 'A newer report is stored' })
+        }
+      }
+
+      if (result.rejected.length > 0) {
+        this.logger.warn('Unreadable weather reports', { source, rejected: result.rejected })
+      }
+
+      this.logger.info('Weather reports ingested', {
+        source,
+        received: result.received,
+        accepted: result.accepted.length,
+        skipped: result.skipped.length,
+        rejected: result.rejected.length
+      })
+
+      return result
+
+    } catch (error) {
+      throw this.wrapError(error, 'INGEST_WEATHER', 'Failed to ingest weather reports')
+    }
+  }
+
+  /**
+   * Keep one parsed report as its station's latest and, for an observation
+   * at a configured airport, copy it to that airport's flights. Null when a
+   * report of the same kind issued at the same time or later is stored.
+   */
+  async applyReport(report, { source = 'http', receivedBy = 'System', now = new Date() } = {}) {
+    const kind = report.type === 'TAF' ? 'forecast' : 'observation'
+    const airport = this.stationAirports[report.station] || null
+    const decoded = this.decodeReport(report, { source, receivedBy, now })
+
+    const stored = await WeatherReport.recordLatest(report.station, airport, kind, decoded)
+    if (!stored) return null
+
+    const flightsUpdated = kind === 'observation' && airport
+      ? await this.attachToFlights(airport, { ...decoded, station: report.station }, now)
+      : 0
+
+    return {
+      station: report.station,
+      airport,
+      type: report.type,
+      issuedAt: decoded.issuedAt,
+      condition: decoded.condition,
+      flightsUpdated
+    }
+  }
+
+  /**
+   * Set the observation on flights departing from `airport` that have not
+   * left yet and on flights arriving there that have not landed, unless
+   * they carry a later one. Resolves to the number of flights updated.
+   */
+  async attachToFlights(airport, observation, now = new Date()) {
+    const from = new Date(now.getTime() - this.options.lookbackHours * HOUR_MS)
+    const to = new Date(now.getTime() + this.options.windowHours * HOUR_MS)
+    const weather = {
+      condition: observation.condition,
+      visibility: observation.visibility,
+      windSpeed: observation.windSpeed,
+      windDirection: observation.windDirection,
+      windGust: observation.windGust,
+      temperature: observation.temperature,
+      station: observation.station,
+      observedAt: observation.issuedAt
+    }
+
+    const update = (end, airportField, statuses, scheduledField) => Flight.updateMany(
+      {
+        isActive: true,
+        [airportField]: airport,
+        'status.current': { $in: statuses },
+        [scheduledField]: { $gte: from, $lte: to },
+        $or: [
+          { [`weather.${end}.observedAt`]: null },
+          { [`weather.${end}.observedAt`]: { $lt: observation.issuedAt } }
+        ]
+      },
+      { $set: { [`weather.${end}`]: weather } }
+    )
+
+    const [origin, destination] = await Promise.all([
+      update('origin', 'route.origin.airport', AT_ORIGIN_STATUSES, 'schedule.departure.scheduled'),
+      update('destination', 'route.destination.airport', TO_DESTINATION_STATUSES, 'schedule.arrival.scheduled')
+    ])
+
+    const updated = origin.modifiedCount + destination.modifiedCount
+    if (updated > 0) {
+      this.logger.info('Weather attached to flights', {
+        airport,
+        station: observation.station,
+        observedAt: observation.issuedAt,
+        departures: origin.modifiedCount,
+        arrivals: destination.modifiedCount
+      })
+    }
+
+    return updated
+  }
+
+  // ===========================================
+  // POLLING
+  // ===========================================
+
+  /**
+   * Fetch the reports of the configured stations from the provider and
+   * ingest them. Without configured stations a file feed is ingested whole;
+   * provider errors throw.
+   */
+  async poll(options = {}) {
+    const { now = new Date() } = options
+    const stations = Object.values(this.options.stations)
+
+    try {
+      const text = await this.provider.fetchReports(stations)
+      const result = await this.ingest(text, {
+        source: 'provider',
+        receivedBy: `WeatherProvider:${this.provider.name}`,
+        stations: stations.length > 0 ? stations : null,
+        now
+      })
+
+      return {
+        provider: this.provider.name,
+        received: result.received,
+        accepted: result.accepted.length,
+        skipped: result.skipped.length,
+        rejected: result.rejected.length,
+        flightsUpdated: result.accepted.reduce((sum, report) => sum + report.flightsUpdated, 0)
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'POLL_WEATHER', 'Failed to poll weather provider')
+    }
+  }
+
+  // ===========================================
+  // QUERIES
+  // ===========================================
+
+  /**
+   * Latest observation and forecast of every station, or of the given
+   * airports (IATA) only
+   */
+  async getLatestReports(filters = {}) {
+    try {
+      const query = {}
+      if (filters.airports?.length > 0) query.airport = { $in: filters.airports.map(code => code.toUpperCase()) }
+
+      const reports = await WeatherReport.find(query).sort({ airport: 1, station: 1 })
+
+      return {
+        reports: reports.map(report => this.formatReport(report)),
+        totalCount: reports.length
+      }
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_WEATHER_REPORTS', 'Failed to fetch weather reports')
+    }
+  }
+
+  // `code` is an IATA airport (3 letters) or an ICAO station (4 letters)
+  async getLatestReport(code) {
+    try {
+      const normalized = String(code).toUpperCase()
+      const query = normalized.length === 3 ? { airport: normalized } : { station: normalized }
+
+      const report = await WeatherReport.findOne(query)
+      if (!report) {
+        throw new WeatherReportNotFoundError(`No weather report for ${normalized}`, query)
+      }
+
+      return this.formatReport(report)
+
+    } catch (error) {
+      throw this.wrapError(error, 'GET_WEATHER_REPORT', 'Failed to fetch weather report')
+    }
+  }
+
+  // ===========================================
+  // UTILITY METHODS
+  // ===========================================
+
+  // Parsed report to the stored layout, times placed in the month closest to `now`
+  decodeReport(report, { source, receivedBy, now }) {
+    const issuedAt = this.resolveTime(report.issued, now)
+
+    return {
+      type: report.type,
+      issuedAt,
+      validFrom: report.valid ? this.resolveTime(report.valid.from, issuedAt) : undefined,
+      validTo: report.valid ? this.resolveTime(report.valid.to, issuedAt) : undefined,
+      condition: report.condition,
+      visibility: report.visibility,
+      windDirection: report.wind?.direction ?? null,
+      windSpeed: report.wind?.speed ?? null,
+      windGust: report.wind?.gust ?? null,
+      windVariable: report.wind?.variable || false,
+      temperature: report.temperature,
+      dewpoint: report.dewpoint,
+      pressure: report.pressure,
+      weather: report.weather,
+      clouds: report.clouds,
+      raw: report.raw,
+      source,
+      receivedBy,
+      receivedAt: now
+    }
+  }
+
+  /**
+   * Instant of a { day, hours, minutes } UTC time in the month before, of
+   * or after `reference`, whichever is closest. Hours may be 24 (TAF ends).
+   */
+  resolveTime({ day, hours, minutes = 0 }, reference) {
+    const base = new Date(reference)
+
+    return [-1, 0, 1]
+      .map(offset => new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + offset, day)))
+      .filter(date => date.getUTCDate() === day)
+      .map(date => new Date(date.getTime() + hours * HOUR_MS + minutes * MINUTE_MS))
+      .reduce((closest, date) => Math.abs(date - base) < Math.abs(closest - base) ? date : closest)
+  }
+
+  formatReport(report) {
+    const reportObj = report.toObject ? report.toObject() : report
+
+    return {
+      station: reportObj.station,
+      airport: reportObj.airport || null,
+      observation: reportObj.observation || null,
+      forecast: reportObj.forecast || null,
+      updatedAt: reportObj.updatedAt
+    }
+  }
+
+  wrapError(error, operation, message) {
+    if (error instanceof FlightError) {
+      return error
+    }
+
+    this.logger.error(message, { error: error.message, stack: error.stack })
+
+    return new FlightDatabaseError(message, operation, { originalError: error.message })
+  }
+}
+
+module.exports = WeatherService
@@ -0,0 +1,107 @@
+const logger = require('../config/logger')
+const { config } = require('../config/config')
+const FlightEventBus = require('../events/FlightEventBus')
+const registerAuditLogSubscriber = require('../events/auditLogSubscriber')
+const registerEventLogSubscriber = require('../events/eventLogSubscriber')
+const { createFlightDataProvider, createWeatherProvider } = require('../providers')
+const AuthService = require('./AuthService')
+const EtaPredictionService = require('./EtaPredictionService')
+const FlightDataPollerService = require('./FlightDataPollerService')
+const FlightService = require('./FlightService')
+const MaintenanceService = require('./MaintenanceService')
+const MovementMessageService = require('./MovementMessageService')
+const NotificationService = require('./NotificationService')
+const PerformanceService = require('./PerformanceService')
+const ReminderService = require('./ReminderService')
+const RotationService = require('./RotationService')
+const ScheduleTemplateService = require('./ScheduleTemplateService')
+const SchedulerService = require('./SchedulerService')
+const SsimImportService = require('./SsimImportService')
+const StatusPolicyService = require('./StatusPolicyService')
+const SubscriptionService = require('./SubscriptionService')
+const WeatherService = require('./WeatherService')
+
+const flightEventBus = new FlightEventBus(logger)
+const notificationService = new NotificationService(logger)
+const statusPolicyService = new StatusPolicyService(logger, {
+  cacheTtlMs: config.statusPolicies.cacheTtlMs
+})
+const flightService = new FlightService(logger, flightEventBus, {
+  rebookingWindowHours: config.rebooking.windowHours,
+  rebookingLimit: config.rebooking.limit
+}, statusPolicyService)
+const authService = new AuthService(logger)
+const reminderService = new ReminderService(logger, notificationService, {
+  defaultLeadMinutes: config.notifications.timing.advanceTime
+})
+const subscriptionService = new SubscriptionService(logger, notificationService, {}, reminderService)
+const maintenanceService = new MaintenanceService(logger, {
+  logging: config.logging,
+  backup: {
+    command: config.cron.databaseBackupCommand,
+    timeoutMs: config.cron.databaseBackupTimeoutMs
+  }
+})
+const rotationService = new RotationService(logger, flightService, notificationService, config.rotations)
+const etaPredictionService = new EtaPredictionService(logger, flightService, config.predictions)
+const performanceService = new PerformanceService(logger, flightService, config.analytics)
+const movementMessageService = new MovementMessageService(logger, flightService, config.movements)
+const scheduleTemplateService = new ScheduleTemplateService(logger, flightService, {
+  horizonDays: config.cron.scheduleHorizonDays
+})
+const ssimImportService = new SsimImportService(logger, flightService, scheduleTemplateService, {
+  horizonDays: config.cron.scheduleHorizonDays
+})
+const flightDataProvider = createFlightDataProvider(config, logger)
+const flightDataPoller = flightDataProvider
+  ? new FlightDataPollerService(logger, flightService, flightDataProvider, {
+    windowHours: config.apis.flight.pollWindowHours,
+    lookbackHours: config.apis.flight.pollLookbackHours,
+    airlines: config.apis.flight.airlines
+  })
+  : null
+const weatherProvider = createWeatherProvider(config, logger)
+const weatherService = new WeatherService(logger, weatherProvider, {
+  stations: config.apis.weather.stations,
+  windowHours: config.apis.weather.windowHours,
+  lookbackHours: config.apis.weather.lookbackHours
+})
+const schedulerService = new SchedulerService(
+  logger,
+  {
+    flightService,
+    notificationService,
+    maintenanceService,
+    scheduleTemplateService,
+    flightDataPoller,
+    weatherPoller: weatherProvider ? weatherService : null
+  },
+  config.cron
+)
+
+notificationService.registerEventHandlers(flightEventBus)
+reminderService.registerEventHandlers(flightEventBus)
+rotationService.registerEventHandlers(flightEventBus)
+etaPredictionService.registerEventHandlers(flightEventBus)
+registerAuditLogSubscriber(flightEventBus, logger)
+registerEventLogSubscriber(flightEventBus, { ttlMs: config.events.logTtlMs })
+
+module.exports = {
+  authService,
+  etaPredictionService,
+  flightDataPoller,
+  flightEventBus,
+  flightService,
+  maintenanceService,
+  movementMessageService,
+  notificationService,
+  performanceService,
+  reminderService,
+  rotationService,
+  scheduleTemplateService,
+  schedulerService,
+  ssimImportService,
+  statusPolicyService,
+  subscriptionService,
+  weatherService
+}
@@ -0,0 +1,33 @@
+/**
+ * Send a successful response using the envelope documented in /api/docs
+ */
+const sendSuccess = (req, res, data, statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    data,
+    timestamp: new Date().toISOString(),
+    requestId: req.requestId
+  })
+}
+
+/**
+ * Escape user input before it is used inside a RegExp
+ */
+const escapeRegExp = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Split a comma separated query parameter into a trimmed list
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return []
+  const values = Array.isArray(value) ? value : String(value).split(',')
+  return values.map(item => String(item).trim()).filter(Boolean)
+}
+
+module.exports = {
+  sendSuccess,
+  escapeRegExp,
+  parseList
+}
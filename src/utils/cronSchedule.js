@@ -0,0 +1,126 @@
+// Five-field cron expressions: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+]
+
+// How far ahead to look for the next run of an expression
+const NEXT_RUN_SEARCH_DAYS = 366
+
+const parseValue = function (value, field) {
+  const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1
+  if (named !== -1) {
+    return named + (field.name === 'month' ? 1 : 0)
+  }
+
+  const number = /^\d+$/.test(value) ? Number(value) : NaN
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value "${value}"`)
+  }
+
+  return number
+}
+
+/**
+ * Values one field matches, e.g. '*\/15' -> {0, 15, 30, 45}. Handles lists,
+ * ranges, steps and month or weekday names; weekday 7 is Sunday.
+ */
+const parseField = function (part, field) {
+  const values = new Set()
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step "${item}"`)
+    }
+
+    let from, to
+    if (range === '*') {
+      [from, to] = [field.min, field.max]
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-')
+      ;[from, to] = [parseValue(start, field), parseValue(end, field)]
+    } else {
+      from = parseValue(range, field)
+      to = stepText === undefined ? from : field.max
+    }
+
+    if (from > to) {
+      throw new Error(`Invalid ${field.name} range "${item}"`)
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Parse an expression into the set of values each field matches. A leading
+ * seconds field, as node-cron allows, must be absent.
+ */
+const parseCronExpression = function (expression) {
+  const parts = String(expression).trim().split(/\s+/)
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${CRON_FIELDS.length} fields`)
+  }
+
+  return Object.fromEntries(CRON_FIELDS.map((field, index) => [field.name, parseField(parts[index], field)]))
+}
+
+/**
+ * Whether a parsed expression fires at `date` (server local time). Like
+ * node-cron, the day-of-month and day-of-week fields must both match.
+ */
+const matchesCron = function (schedule, date) {
+  return schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.dayOfMonth.has(date.getDate()) &&
+    schedule.month.has(date.getMonth() + 1) &&
+    schedule.dayOfWeek.has(date.getDay())
+}
+
+/**
+ * First minute after `from` the parsed expression fires, or null when it
+ * never does within a year (e.g. 30 February). Skips whole days and hours
+ * that cannot match, so it takes at most a few thousand steps.
+ */
+const nextCronRun = function (schedule, from = new Date()) {
+  const candidate = new Date(from)
+  candidate.setSeconds(0, 0)
+  candidate.setMinutes(candidate.getMinutes() + 1)
+
+  const limit = new Date(candidate).setDate(candidate.getDate() + NEXT_RUN_SEARCH_DAYS)
+
+  while (candidate.getTime() <= limit) {
+    if (!schedule.month.has(candidate.getMonth() + 1) ||
+      !schedule.dayOfMonth.has(candidate.getDate()) ||
+      !schedule.dayOfWeek.has(candidate.getDay())) {
+      candidate.setDate(candidate.getDate() + 1)
+      candidate.setHours(0, 0, 0, 0)
+    } else if (!schedule.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0)
+    } else if (!schedule.minute.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0)
+    } else {
+      return new Date(candidate)
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  matchesCron,
+  nextCronRun,
+  parseCronExpression,
+  CRON_FIELDS
+}
@@ -0,0 +1,33 @@
+/**
+ * Quote a CSV field when it holds a separator, quote or line break (RFC 4180).
+ * Fields starting with =, +, - or @ are prefixed with ' so spreadsheets do
+ * not run them as formulas.
+ */
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV document with a header row; `columns` lists [header, key] pairs
+ * picked from each row
+ */
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(([header]) => escapeCsvField(header)).join(','),
+    ...rows.map(row => columns.map(([, key]) => escapeCsvField(row[key])).join(','))
+  ]
+
+  return `${lines.join('\r\n')}\r\n`
+}
+
+module.exports = {
+  escapeCsvField,
+  toCsv
+}
@@ -0,0 +1,194 @@
+// Passenger-facing delay reasons; IATA delay codes map onto these
+const DELAY_REASONS = {
+  WEATHER: 'Weather',
+  TECHNICAL: 'Technical',
+  CREW: 'Crew',
+  ATC: 'Air Traffic Control',
+  SECURITY: 'Security',
+  PASSENGER: 'Passenger',
+  AIRPORT: 'Airport Operations',
+  AIRCRAFT: 'Aircraft Change',
+  OTHER: 'Other'
+}
+
+/**
+ * IATA standard delay codes (AHM 730) grouped by the delay reasons flights
+ * carry. Codes are two digits; sub-codes (e.g. '93A') map like their parent.
+ */
+const DELAY_CODE_GROUPS = [
+  { from: 11, to: 19, reason: DELAY_REASONS.PASSENGER },
+  { from: 31, to: 39, reason: DELAY_REASONS.AIRPORT },
+  { from: 41, to: 58, reason: DELAY_REASONS.TECHNICAL },
+  { from: 61, to: 69, reason: DELAY_REASONS.CREW },
+  { from: 71, to: 79, reason: DELAY_REASONS.WEATHER },
+  { from: 81, to: 84, reason: DELAY_REASONS.ATC },
+  { from: 85, to: 86, reason: DELAY_REASONS.SECURITY },
+  { from: 87, to: 89, reason: DELAY_REASONS.AIRPORT },
+  { from: 93, to: 93, reason: DELAY_REASONS.AIRCRAFT },
+  { from: 94, to: 95, reason: DELAY_REASONS.CREW }
+]
+
+// AHM 730 numeric code -> [alpha code, description]
+const DELAY_CODES = Object.freeze({
+  '01': [null, 'Airline internal code'],
+  '02': [null, 'Airline internal code'],
+  '03': [null, 'Airline internal code'],
+  '04': [null, 'Airline internal code'],
+  '05': [null, 'Airline internal code'],
+  '06': ['OA', 'No gate or stand available due to own airline activity'],
+  '09': ['SG', 'Scheduled ground time less than declared minimum ground time'],
+  11: ['PD', 'Late check-in, acceptance after deadline'],
+  12: ['PL', 'Late check-in, congestion in check-in area'],
+  13: ['PE', 'Check-in error, passenger and baggage'],
+  14: ['PO', 'Oversales, booking errors'],
+  15: ['PH', 'Boarding, discrepancies and paging, missing checked-in passenger'],
+  16: ['PS', 'Commercial publicity, passenger convenience, VIP, press'],
+  17: ['PC', 'Catering order, late or incorrect order given to supplier'],
+  18: ['PB', 'Baggage processing, sorting'],
+  19: ['PW', 'Boarding or deboarding of passengers with reduced mobility'],
+  21: ['CD', 'Cargo documentation errors'],
+  22: ['CP', 'Late positioning of cargo'],
+  23: ['CC', 'Late acceptance of cargo'],
+  24: ['CI', 'Inadequate packing of cargo'],
+  25: ['CO', 'Cargo oversales, booking errors'],
+  26: ['CU', 'Late preparation of cargo in warehouse'],
+  27: ['CE', 'Mail documentation or packing'],
+  28: ['CL', 'Late positioning of mail'],
+  29: ['CA', 'Late acceptance of mail'],
+  31: ['GD', 'Aircraft documentation late or inaccurate, weight and balance'],
+  32: ['GL', 'Loading or unloading, bulky or special load, lack of loading staff'],
+  33: ['GE', 'Loading equipment lacking or broken down'],
+  34: ['GS', 'Servicing equipment lacking or broken down'],
+  35: ['GC', 'Aircraft cleaning'],
+  36: ['GF', 'Fuelling or defuelling, fuel supplier'],
+  37: ['GB', 'Catering, late delivery or loading'],
+  38: ['GU', 'ULD lacking or unserviceable'],
+  39: ['GT', 'Technical equipment lacking or broken down, e.g. pushback'],
+  41: ['TD', 'Aircraft defects'],
+  42: ['TM', 'Scheduled maintenance, late release'],
+  43: ['TN', 'Non-scheduled maintenance, special checks or additional work'],
+  44: ['TS', 'Spares and maintenance equipment lacking or broken down'],
+  45: ['TA', 'AOG spares to be carried to another station'],
+  46: ['TC', 'Aircraft change for technical reasons'],
+  47: ['TL', 'Standby aircraft lacking for technical reasons'],
+  48: ['TV', 'Scheduled cabin configuration or version adjustment'],
+  51: ['DF', 'Damage during flight operations, e.g. bird or lightning strike'],
+  52: ['DG', 'Damage during ground operations, e.g. collision or towing'],
+  55: ['ED', 'Departure control system failure'],
+  56: ['EC', 'Cargo preparation or documentation system failure'],
+  57: ['EF', 'Flight plan system failure'],
+  58: ['EO', 'Other automated system failure'],
+  61: ['FP', 'Flight plan, late completion or change of flight documentation'],
+  62: ['FF', 'Operational requirements, fuel or load alteration'],
+  63: ['FT', 'Late flight deck crew boarding or departure procedures'],
+  64: ['FS', 'Flight deck crew shortage, sickness or awaiting standby'],
+  65: ['FR', 'Flight deck crew special request'],
+  66: ['FL', 'Late cabin crew boarding or departure procedures'],
+  67: ['FC', 'Cabin crew shortage, sickness or awaiting standby'],
+  68: ['FA', 'Cabin crew error or special request'],
+  69: ['FB', 'Captain request for security check'],
+  71: ['WO', 'Weather at departure station'],
+  72: ['WT', 'Weather at destination station'],
+  73: ['WR', 'Weather en route or at alternate'],
+  75: ['WI', 'De-icing of aircraft'],
+  76: ['WS', 'Removal of snow, ice, water or sand from airport'],
+  77: ['WG', 'Ground handling impaired by adverse weather'],
+  81: ['AT', 'ATFM due to ATC en-route demand or capacity'],
+  82: ['AX', 'ATFM due to ATC staff or equipment en route'],
+  83: ['AE', 'ATFM due to restriction at destination airport'],
+  84: ['AW', 'ATFM due to weather at destination'],
+  85: ['AS', 'Mandatory security'],
+  86: ['AG', 'Immigration, customs, health'],
+  87: ['AF', 'Airport facilities, stands, ramp congestion, gate limitations'],
+  88: ['AD', 'Restrictions at airport of destination'],
+  89: ['AM', 'Restrictions at airport of departure, start-up and pushback'],
+  91: ['RL', 'Load connection, awaiting load from another flight'],
+  92: ['RT', 'Through check-in error, passenger and baggage'],
+  93: ['RA', 'Aircraft rotation, late arrival of aircraft from previous sector'],
+  94: ['RS', 'Cabin crew rotation, awaiting cabin crew from another flight'],
+  95: ['RC', 'Crew rotation, awaiting flight deck or entire crew from another flight'],
+  96: ['RO', 'Operations control, re-routing, diversion, aircraft change for non-technical reasons'],
+  97: ['MI', 'Industrial action within own airline'],
+  98: ['MO', 'Industrial action outside own airline, excluding ATS'],
+  99: ['MX', 'Other reason not matching any code']
+})
+
+const ALPHA_CODES = Object.fromEntries(
+  Object.entries(DELAY_CODES)
+    .filter(([, [alpha]]) => alpha)
+    .map(([code, [alpha]]) => [alpha, code])
+)
+
+/**
+ * Split a delay code as written in a message or request ('93', '93A' or the
+ * alpha form 'RA') into its numeric code and AHM 731 sub-code letter.
+ * Returns null for codes AHM 730 does not list.
+ */
+const parseDelayCode = (value) => {
+  const match = /^([0-9A-Z]{2})([A-Z])?$/.exec(String(value || '').trim().toUpperCase())
+  if (!match) return null
+
+  const code = ALPHA_CODES[match[1]] || match[1]
+  if (!DELAY_CODES[code]) return null
+
+  return { code, subCode: match[2] || null }
+}
+
+const delayReasonFor = (code) => {
+  const parsed = parseDelayCode(code)
+  const number = Number(parsed ? parsed.code : NaN)
+  const group = DELAY_CODE_GROUPS.find(({ from, to }) => number >= from && number <= to)
+
+  return group ? group.reason : DELAY_REASONS.OTHER
+}
+
+const describeDelayCode = (code) => {
+  const parsed = parseDelayCode(code)
+  return parsed ? DELAY_CODES[parsed.code][1] : null
+}
+
+/**
+ * Normalise one delay segment ({ code, subCode, minutes, description }); the
+ * reason comes from the code. Throws on unknown codes.
+ */
+const buildDelaySegment = ({ code, subCode = null, minutes = 0, description = null }) => {
+  const parsed = parseDelayCode(code)
+  if (!parsed) {
+    throw new Error(`Unknown IATA delay code: ${code}`)
+  }
+
+  const letter = subCode ? String(subCode).trim().toUpperCase() : parsed.subCode
+  if (letter && !/^[A-Z]$/.test(letter)) {
+    throw new Error(`Delay sub-code must be a single letter: ${subCode}`)
+  }
+
+  return {
+    code: parsed.code,
+    subCode: letter,
+    minutes: Math.max(0, Number(minutes) || 0),
+    reason: delayReasonFor(parsed.code),
+    description: description || null
+  }
+}
+
+/**
+ * Reason of the segment holding the most minutes; the first on a tie, as
+ * IATA lists the main cause first
+ */
+const primaryDelayReason = (segments = []) => {
+  const primary = segments.reduce((longest, segment) =>
+    !longest || segment.minutes > longest.minutes ? segment : longest, null)
+
+  return primary ? primary.reason : null
+}
+
+module.exports = {
+  buildDelaySegment,
+  delayReasonFor,
+  describeDelayCode,
+  parseDelayCode,
+  primaryDelayReason,
+  DELAY_CODE_GROUPS,
+  DELAY_CODES,
+  DELAY_REASONS
+}
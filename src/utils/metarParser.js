@@ -0,0 +1,307 @@
+/**
+ * Reader for METAR/SPECI observations and TAF forecasts (WMO FM 15/16/51),
+ * including the US variants (visibility in statute miles, altimeter in
+ * inHg). Only the main body is read: a METAR stops at its trend (NOSIG,
+ * BECMG, TEMPO) or remarks, a TAF at its first change group, so a TAF
+ * gives the base forecast. Units are normalised to knots, metres, degrees
+ * Celsius and hPa.
+ *
+ *   METAR WIII 260030Z 27005KT 9999 -RA FEW020CB SCT100 30/24 Q1009 NOSIG=
+ *   TAF WADD 260500Z 2606/2712 09010KT 9999 SCT020 BECMG 2610/2612 14015KT=
+ */
+
+const REPORT_TYPES = ['METAR', 'SPECI', 'TAF']
+
+// Reported visibility at or above 10 km (9999, CAVOK, P6SM) is stored as this
+const MAX_VISIBILITY_METRES = 10000
+const METRES_PER_STATUTE_MILE = 1609.344
+const KNOTS_PER_MPS = 1.943844
+const KMH_PER_KNOT = 1.852
+const HPA_PER_INHG = 33.8639
+
+const STATION_PATTERN = /^[A-Z][A-Z0-9]{3}$/
+const TIME_PATTERN = /^(\d{2})(\d{2})(\d{2})Z$/
+const VALIDITY_PATTERN = /^(\d{2})(\d{2})\/(\d{2})(\d{2})$/
+const WIND_PATTERN = /^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/
+const WIND_VARIATION_PATTERN = /^\d{3}V\d{3}$/
+const VISIBILITY_PATTERN = /^(\d{4})(?:NDV|[NSEW]{1,2})?$/
+const STATUTE_MILES_PATTERN = /^([PM])?(?:(\d{1,2})|(\d)\/(\d{1,2}))SM$/
+const WEATHER_PATTERN = /^(\+|-|VC)?(MI|PR|BC|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/
+const CLOUD_PATTERN = /^(FEW|SCT|BKN|OVC|VV)(\d{3}|\/{3})(CB|TCU|\/{3})?$/
+const TEMPERATURE_PATTERN = /^(M?\d{2})\/(M?\d{2})?$/
+const PRESSURE_PATTERN = /^([QA])(\d{4})$/
+
+// Tokens that end the main body: trend, change groups and remarks
+const END_OF_BODY_PATTERN = /^(RMK|NOSIG|BECMG|TEMPO|FM\d{6}|PROB\d{2})$/
+const CLEAR_SKY = ['SKC', 'CLR', 'NSC', 'NCD']
+
+// Most significant first; the first that matches a reported group names the condition
+const WEATHER_CONDITIONS = [
+  [/FC/, 'Funnel Cloud'],
+  [/TS/, 'Thunderstorm'],
+  [/SQ/, 'Squall'],
+  [/SS|DS/, 'Sandstorm'],
+  [/GR|GS/, 'Hail'],
+  [/FZ(RA|DZ)/, 'Freezing Rain'],
+  [/SN|SG|PL|IC/, 'Snow'],
+  [/SHRA/, 'Showers'],
+  [/RA/, 'Rain'],
+  [/DZ/, 'Drizzle'],
+  [/FG/, 'Fog'],
+  [/BR/, 'Mist'],
+  [/VA/, 'Volcanic Ash'],
+  [/FU|HZ|DU|SA|PY|PO/, 'Haze'],
+  [/UP/, 'Precipitation']
+]
+
+const CLOUD_CONDITIONS = {
+  FEW: 'Few Clouds',
+  SCT: 'Scattered Clouds',
+  BKN: 'Broken Clouds',
+  OVC: 'Overcast',
+  VV: 'Obscured'
+}
+
+const INTENSITIES = { '-': 'Light', '+': 'Heavy' }
+
+class WeatherParseError extends Error {}
+
+const parseTemperature = (value) => value ? Number(value.replace('M', '-')) : null
+
+const toKnots = (value, unit) => {
+  if (value === null) return null
+  if (unit === 'MPS') return Math.round(value * KNOTS_PER_MPS)
+  if (unit === 'KMH') return Math.round(value / KMH_PER_KNOT)
+  return value
+}
+
+const parseIssueTime = (token) => {
+  const match = TIME_PATTERN.exec(token || '')
+  if (!match) {
+    throw new WeatherParseError('Report time must be formatted as DDHHMMZ')
+  }
+
+  const [day, hours, minutes] = match.slice(1).map(Number)
+  if (day < 1 || day > 31 || hours > 23 || minutes > 59) {
+    throw new WeatherParseError('Report time is not a valid time')
+  }
+
+  return { day, hours, minutes }
+}
+
+const parseValidity = (token) => {
+  const match = VALIDITY_PATTERN.exec(token || '')
+  if (!match) {
+    throw new WeatherParseError('TAF validity must be formatted as DDHH/DDHH')
+  }
+
+  const [fromDay, fromHours, toDay, toHours] = match.slice(1).map(Number)
+  if ([fromDay, toDay].some(day => day < 1 || day > 31) || [fromHours, toHours].some(hours => hours > 24)) {
+    throw new WeatherParseError('TAF validity is not a valid period')
+  }
+
+  return {
+    from: { day: fromDay, hours: fromHours },
+    to: { day: toDay, hours: toHours }
+  }
+}
+
+// Statute miles ("10SM", "1/2SM", "P6SM", "M1/4SM"; `whole` for "1 1/2SM") to metres
+const parseStatuteMiles = (match, whole = 0) => {
+  const [, modifier, miles, numerator, denominator] = match
+  if (modifier === 'P') return MAX_VISIBILITY_METRES
+
+  const value = whole + (miles ? Number(miles) : Number(numerator) / Number(denominator))
+  return Math.min(Math.round(value * METRES_PER_STATUTE_MILE), MAX_VISIBILITY_METRES)
+}
+
+/**
+ * Plain-language condition: the most significant present weather (with its
+ * intensity), else the most covering cloud layer, else Clear when the sky
+ * is reported clear. Null when the report says nothing about either.
+ */
+const describeCondition = ({ weather, clouds, cavok, skyClear }) => {
+  const present = weather.filter(group => !group.startsWith('VC'))
+
+  for (const [pattern, label] of WEATHER_CONDITIONS) {
+    const group = present.find(candidate => pattern.test(candidate))
+    if (group) {
+      return INTENSITIES[group[0]] ? `${INTENSITIES[group[0]]} ${label}` : label
+    }
+  }
+
+  const covers = Object.keys(CLOUD_CONDITIONS)
+  const densest = clouds.reduce((most, layer) =>
+    covers.indexOf(layer.cover) > covers.indexOf(most) ? layer.cover : most, null)
+
+  if (densest) return CLOUD_CONDITIONS[densest]
+  if (cavok || skyClear) return 'Clear'
+  return null
+}
+
+/**
+ * Parse one report. The type keyword may be left out, in which case the
+ * report is read as a METAR. Times are returned as { day, hours, minutes }
+ * (UTC) for the caller to place in a month. Throws WeatherParseError.
+ */
+const parseWeatherReport = (raw) => {
+  const tokens = String(raw).toUpperCase().replace(/=/g, ' ').trim().split(/\s+/).filter(Boolean)
+  let index = 0
+
+  const type = REPORT_TYPES.includes(tokens[0]) ? tokens[index++] : 'METAR'
+  const amendments = []
+  while (['AMD', 'COR'].includes(tokens[index])) {
+    amendments.push(tokens[index++])
+  }
+
+  const station = tokens[index++]
+  if (!STATION_PATTERN.test(station || '')) {
+    throw new WeatherParseError('Report must start with a 4-letter ICAO station code')
+  }
+
+  const issued = parseIssueTime(tokens[index++])
+
+  if (tokens[index] === 'NIL') {
+    throw new WeatherParseError(`${type} for ${station} is NIL`)
+  }
+
+  const report = {
+    type,
+    station,
+    issued,
+    valid: type === 'TAF' ? parseValidity(tokens[index++]) : null,
+    amended: amendments.includes('AMD'),
+    corrected: amendments.includes('COR'),
+    automated: false,
+    wind: null,
+    visibility: null,
+    cavok: false,
+    weather: [],
+    clouds: [],
+    temperature: null,
+    dewpoint: null,
+    pressure: null,
+    condition: null,
+    raw: tokens.join(' ')
+  }
+  let skyClear = false
+
+  for (; index < tokens.length; index++) {
+    const token = tokens[index]
+    let match
+
+    if (END_OF_BODY_PATTERN.test(token)) {
+      break
+    } else if (token === 'AUTO') {
+      report.automated = true
+    } else if (token === 'COR') {
+      report.corrected = true
+    } else if ((match = WIND_PATTERN.exec(token))) {
+      const [, direction, speed, gust, unit] = match
+      report.wind = {
+        direction: direction === 'VRB' ? null : Number(direction),
+        speed: toKnots(Number(speed), unit),
+        gust: toKnots(gust ? Number(gust) : null, unit),
+        variable: direction === 'VRB'
+      }
+    } else if (WIND_VARIATION_PATTERN.test(token)) {
+      if (report.wind) report.wind.variable = true
+    } else if (token === 'CAVOK') {
+      report.cavok = true
+      report.visibility = MAX_VISIBILITY_METRES
+    } else if ((match = VISIBILITY_PATTERN.exec(token))) {
+      // Later groups give the minimum visibility in one direction
+      if (report.visibility === null) {
+        report.visibility = match[1] === '9999' ? MAX_VISIBILITY_METRES : Number(match[1])
+      }
+    } else if (/^\d{1,2}$/.test(token) && (match = STATUTE_MILES_PATTERN.exec(tokens[index + 1] || '')) && match[3]) {
+      report.visibility = parseStatuteMiles(match, Number(token))
+      index++
+    } else if ((match = STATUTE_MILES_PATTERN.exec(token))) {
+      report.visibility = parseStatuteMiles(match)
+    } else if ((match = CLOUD_PATTERN.exec(token))) {
+      const [, cover, base, cloudType] = match
+      report.clouds.push({
+        cover,
+        base: /^\d+$/.test(base) ? Number(base) * 100 : null,
+        type: cloudType && cloudType !== '///' ? cloudType : null
+      })
+    } else if (CLEAR_SKY.includes(token)) {
+      skyClear = true
+    } else if (token === 'NSW') {
+      report.weather = []
+    } else if ((match = TEMPERATURE_PATTERN.exec(token)) && type !== 'TAF') {
+      report.temperature = parseTemperature(match[1])
+      report.dewpoint = parseTemperature(match[2])
+    } else if ((match = PRESSURE_PATTERN.exec(token))) {
+      report.pressure = match[1] === 'Q'
+        ? Number(match[2])
+        : Math.round(Number(match[2]) / 100 * HPA_PER_INHG)
+    } else if ((match = WEATHER_PATTERN.exec(token)) && (match[2] || match[3])) {
+      report.weather.push(token)
+    }
+    // Other groups (RVR, recent weather, wind shear, TAF TX/TN, ...) are not used
+  }
+
+  report.condition = describeCondition({ ...report, skyClear })
+
+  return report
+}
+
+const isHeader = (line) => /^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}$/.test(line)
+
+/**
+ * Split a feed into reports and parse each. Reports end at '=', at a blank
+ * line or where the next one starts (a type keyword or a station code and
+ * time); TAF change groups may continue on the following lines. NOAA
+ * timestamp header lines and text before the first report are skipped.
+ * Every entry keeps its raw text; entries that cannot be read carry `error`
+ * instead of `report`.
+ */
+const parseWeatherReports = (text) => {
+  const blocks = []
+  let current = null
+
+  String(text).replace(/=/g, '\n=\n').split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim().toUpperCase()
+    const [first, second] = trimmed.split(/\s+/)
+
+    if (!trimmed || trimmed === '=' || isHeader(trimmed)) {
+      current = null
+      return
+    }
+
+    // A bare type keyword line is followed by the station line of the same report
+    const keywordOnly = current && /^(METAR|SPECI|TAF)( AMD| COR)*$/.test(current.join(' '))
+    const startsReport = REPORT_TYPES.includes(first) ||
+      (STATION_PATTERN.test(first) && TIME_PATTERN.test(second || '') && !keywordOnly)
+
+    if (startsReport) {
+      current = [trimmed]
+      blocks.push(current)
+    } else if (current) {
+      current.push(trimmed)
+    }
+  })
+
+  return blocks.map((lines) => {
+    const raw = lines.join('\n')
+
+    try {
+      return { raw, report: parseWeatherReport(raw) }
+    } catch (error) {
+      if (!(error instanceof WeatherParseError)) throw error
+
+      return { raw, error: error.message }
+    }
+  })
+}
+
+module.exports = {
+  parseWeatherReport,
+  parseWeatherReports,
+  describeCondition,
+  WeatherParseError,
+  REPORT_TYPES,
+  MAX_VISIBILITY_METRES
+}
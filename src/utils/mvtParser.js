@@ -0,0 +1,173 @@
+/**
+ * Reader for IATA AHM 780 aircraft movement messages (MVT, and MVA which
+ * uses the same layout). A message starts with a line holding only MVT or
+ * MVA; anything before the first one (SITA/Type B envelope, addresses) is
+ * skipped. All times are UTC, as HHMM or DDHHMM.
+ *
+ *   MVT
+ *   GA402/26.PKGQE.CGK
+ *   AD0752/0805 EA1035 DPS
+ *   DL93/15/0010/0012
+ *   SI LATE INBOUND
+ */
+
+const MESSAGE_TYPES = ['MVT', 'MVA']
+
+const IDENTIFICATION_PATTERN = /^([A-Z0-9]{2}[A-Z]?)(\d{1,4})([A-Z]?)\/(\d{2})\.([A-Z0-9-]{2,10})\.([A-Z]{3})$/
+const TIME = '(\\d{6}|\\d{4})'
+
+const MOVEMENT_PATTERNS = {
+  AD: new RegExp(`^AD\\s?${TIME}(?:\\/${TIME})?(?:\\s+EA\\s?${TIME}\\s+([A-Z]{3}))?$`),
+  AA: new RegExp(`^AA\\s?${TIME}(?:\\/${TIME})?$`),
+  ED: new RegExp(`^ED\\s?${TIME}$`),
+  EA: new RegExp(`^EA\\s?${TIME}\\s+([A-Z]{3})$`),
+  NI: new RegExp(`^NI\\s?${TIME}$`)
+}
+
+const DELAY_PATTERN = /^DL\s?([0-9A-Z]{2}[A-Z]?)(?:\/([0-9A-Z]{2}[A-Z]?))?(?:\/(\d{4}))?(?:\/(\d{4}))?$/
+
+class MovementParseError extends Error {}
+
+// HHMM or DDHHMM to { day, hours, minutes }; day is null when not given
+const parseTime = (value, field) => {
+  const day = value.length === 6 ? Number(value.slice(0, 2)) : null
+  const hours = Number(value.slice(-4, -2))
+  const minutes = Number(value.slice(-2))
+
+  if (hours > 23 || minutes > 59 || (day !== null && (day < 1 || day > 31))) {
+    throw new MovementParseError(`${field} is not a valid time`)
+  }
+
+  return { day, hours, minutes }
+}
+
+const parseDuration = (value) => value ? Number(value.slice(0, 2)) * 60 + Number(value.slice(2)) : null
+
+const parseIdentification = (line) => {
+  const match = IDENTIFICATION_PATTERN.exec(line || '')
+  if (!match) {
+    throw new MovementParseError('Flight identification must be formatted as FLIGHT/DAY.REGISTRATION.STATION')
+  }
+
+  const [, airline, number, operationalSuffix, day, registration, station] = match
+
+  if (Number(day) < 1 || Number(day) > 31) {
+    throw new MovementParseError('Flight identification day must be 01-31')
+  }
+
+  return {
+    airline,
+    flightNumber: `${airline}${Number(number)}`,
+    operationalSuffix,
+    day: Number(day),
+    registration: registration.replace(/-/g, ''),
+    station
+  }
+}
+
+/**
+ * Parse one message (from its MVT/MVA line). Throws MovementParseError.
+ */
+const parseMovementMessage = (raw) => {
+  const lines = String(raw).split(/\r?\n/).map(line => line.trim().toUpperCase()).filter(Boolean)
+  const type = lines[0]
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw new MovementParseError('Message must start with MVT or MVA')
+  }
+
+  const message = {
+    type,
+    flight: parseIdentification(lines[1]),
+    departure: null,
+    arrival: null,
+    estimatedDeparture: null,
+    estimatedArrival: null,
+    nextInformation: null,
+    delays: [],
+    supplementary: []
+  }
+
+  for (let index = 2; index < lines.length; index++) {
+    const line = lines[index]
+    let match
+
+    if (line.startsWith('SI')) {
+      // Supplementary information runs to the end of the message
+      message.supplementary = [line.replace(/^SI\s*/, ''), ...lines.slice(index + 1)].filter(Boolean)
+      break
+    } else if ((match = MOVEMENT_PATTERNS.AD.exec(line))) {
+      message.departure = {
+        offBlock: parseTime(match[1], 'Off-block time'),
+        airborne: match[2] ? parseTime(match[2], 'Airborne time') : null
+      }
+      if (match[3]) {
+        message.estimatedArrival = { time: parseTime(match[3], 'Estimated arrival'), station: match[4] }
+      }
+    } else if ((match = MOVEMENT_PATTERNS.AA.exec(line))) {
+      message.arrival = {
+        touchdown: parseTime(match[1], 'Touchdown time'),
+        onBlock: match[2] ? parseTime(match[2], 'On-block time') : null
+      }
+    } else if ((match = MOVEMENT_PATTERNS.ED.exec(line))) {
+      message.estimatedDeparture = parseTime(match[1], 'Estimated departure')
+    } else if ((match = MOVEMENT_PATTERNS.EA.exec(line))) {
+      message.estimatedArrival = { time: parseTime(match[1], 'Estimated arrival'), station: match[2] }
+    } else if ((match = MOVEMENT_PATTERNS.NI.exec(line))) {
+      message.nextInformation = parseTime(match[1], 'Next information')
+    } else if ((match = DELAY_PATTERN.exec(line))) {
+      const [, firstCode, secondCode, firstDuration, secondDuration] = match
+      message.delays.push({ code: firstCode, duration: parseDuration(firstDuration) })
+      if (secondCode) {
+        message.delays.push({ code: secondCode, duration: parseDuration(secondDuration) })
+      }
+    } else if (/^(AD|AA|ED|EA|NI|DL)/.test(line)) {
+      throw new MovementParseError(`Cannot read line '${line}'`)
+    }
+    // Other lines (PX passengers, EDL extended delays, ...) are not used
+  }
+
+  if (!message.departure && !message.arrival && !message.estimatedDeparture &&
+      !message.estimatedArrival && !message.nextInformation) {
+    throw new MovementParseError('Message has no movement line (AD, AA, ED, EA or NI)')
+  }
+
+  return message
+}
+
+/**
+ * Split text into messages and parse each. Every entry keeps its raw text;
+ * entries that cannot be read carry `error` instead of `message`.
+ */
+const parseMovementMessages = (text) => {
+  const blocks = []
+  let current = null
+
+  String(text).split(/\r?\n/).forEach((line) => {
+    if (MESSAGE_TYPES.includes(line.trim().toUpperCase())) {
+      current = [line.trim()]
+      blocks.push(current)
+    } else if (current) {
+      current.push(line)
+    }
+  })
+
+  return blocks.map((lines) => {
+    const raw = lines.join('\n').trim()
+
+    try {
+      return { raw, message: parseMovementMessage(raw) }
+    } catch (error) {
+      if (!(error instanceof MovementParseError)) throw error
+
+      return { raw, type: lines[0].toUpperCase(), error: error.message }
+    }
+  })
+}
+
+module.exports = {
+  parseMovementMessage,
+  parseMovementMessages,
+  MovementParseError,
+  MESSAGE_TYPES
+}
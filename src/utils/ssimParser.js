@@ -0,0 +1,266 @@
+/**
+ * Reader for IATA SSIM Chapter 7 schedule files: fixed-width 200 byte
+ * records, one per line. Only the fields the importer uses are extracted;
+ * values are returned as found (times as HHMM, offsets as +HHMM) and the
+ * importer decides what they mean.
+ *
+ * Record types: 1 header, 2 carrier, 3 flight leg, 4 segment data,
+ * 5 trailer, 0 filler.
+ */
+
+const RECORD_LENGTH = 200
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+// 1-based, inclusive byte positions from SSIM Chapter 7
+const CARRIER_FIELDS = {
+  timeMode: [2, 2],
+  airline: [3, 5],
+  season: [11, 13],
+  periodFrom: [15, 21],
+  periodTo: [22, 28],
+  creationDate: [29, 35],
+  title: [36, 64],
+  scheduleStatus: [72, 72]
+}
+
+const LEG_FIELDS = {
+  operationalSuffix: [2, 2],
+  airline: [3, 5],
+  flightNumber: [6, 9],
+  itineraryVariation: [10, 11],
+  legSequence: [12, 13],
+  serviceType: [14, 14],
+  periodFrom: [15, 21],
+  periodTo: [22, 28],
+  daysOfOperation: [29, 35],
+  departureStation: [37, 39],
+  passengerDepartureTime: [40, 43],
+  aircraftDepartureTime: [44, 47],
+  departureUtcOffset: [48, 52],
+  departureTerminal: [53, 54],
+  arrivalStation: [55, 57],
+  aircraftArrivalTime: [58, 61],
+  passengerArrivalTime: [62, 65],
+  arrivalUtcOffset: [66, 70],
+  arrivalTerminal: [71, 72],
+  aircraftType: [73, 75],
+  departureDateVariation: [193, 193],
+  arrivalDateVariation: [194, 194]
+}
+
+const SEGMENT_FIELDS = {
+  operationalSuffix: [2, 2],
+  airline: [3, 5],
+  flightNumber: [6, 9],
+  itineraryVariation: [10, 11],
+  legSequence: [12, 13],
+  dataElement: [31, 33],
+  boardPoint: [34, 36],
+  offPoint: [37, 39],
+  data: [40, 194]
+}
+
+class SsimParseError extends Error {}
+
+const readFields = (record, fields) => Object.entries(fields).reduce((values, [name, [start, end]]) => {
+  values[name] = record.slice(start - 1, end).trim()
+  return values
+}, {})
+
+/**
+ * DDMMMYY to YYYY-MM-DD. 00XXX00 (open ended) and blanks give null.
+ */
+const parseSsimDate = (value, field) => {
+  if (!value || /^00XXX00$/i.test(value)) return null
+
+  const match = /^(\d{2})([A-Z]{3})(\d{2})$/i.exec(value)
+  const month = match ? MONTHS.indexOf(match[2].toUpperCase()) : -1
+
+  if (!match || month < 0) {
+    throw new SsimParseError(`${field} must be a date formatted as DDMMMYY`)
+  }
+
+  const date = new Date(Date.UTC(2000 + Number(match[3]), month, Number(match[1])))
+  if (date.getUTCDate() !== Number(match[1])) {
+    throw new SsimParseError(`${field} is not a calendar date`)
+  }
+
+  return date.toISOString().slice(0, 10)
+}
+
+const parseTime = (value, field) => {
+  if (!/^([01]\d|2[0-3])[0-5]\d$/.test(value)) {
+    throw new SsimParseError(`${field} must be a time formatted as HHMM`)
+  }
+  return Number(value.slice(0, 2)) * 60 + Number(value.slice(2))
+}
+
+// +0700 / -0330 to minutes east of UTC
+const parseUtcOffset = (value, field) => {
+  const match = /^([+-])(\d{2})(\d{2})$/.exec(value)
+  if (!match) {
+    throw new SsimParseError(`${field} must be a UTC offset formatted as +HHMM`)
+  }
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]))
+}
+
+// Date variation: 0-9 days later, A one day earlier
+const parseDateVariation = (value) => {
+  if (!value) return 0
+  if (value === 'A') return -1
+  if (/^\d$/.test(value)) return Number(value)
+  throw new SsimParseError('Date variation must be 0-9 or A')
+}
+
+const parseDaysOfOperation = (value) => {
+  const days = [...value.padEnd(7)].map((day, index) => {
+    if (day === ' ') return null
+    if (Number(day) !== index + 1) {
+      throw new SsimParseError('Days of operation must hold each day 1-7 in its own position')
+    }
+    return index + 1
+  }).filter(Boolean)
+
+  if (days.length === 0) {
+    throw new SsimParseError('Days of operation must list at least one day')
+  }
+  return days
+}
+
+const legKey = (values) => [
+  values.airline,
+  values.flightNumber,
+  values.operationalSuffix,
+  values.itineraryVariation
+].join('/')
+
+const parseCarrier = (record) => {
+  const values = readFields(record, CARRIER_FIELDS)
+
+  if (!['U', 'L'].includes(values.timeMode)) {
+    throw new SsimParseError('Time mode must be U (UTC) or L (local)')
+  }
+
+  return {
+    timeMode: values.timeMode,
+    airline: values.airline,
+    season: values.season,
+    period: {
+      from: parseSsimDate(values.periodFrom, 'Schedule validity start'),
+      to: parseSsimDate(values.periodTo, 'Schedule validity end')
+    },
+    creationDate: parseSsimDate(values.creationDate, 'Creation date'),
+    title: values.title,
+    scheduleStatus: values.scheduleStatus
+  }
+}
+
+const parseLeg = (record) => {
+  const values = readFields(record, LEG_FIELDS)
+
+  return {
+    key: legKey(values),
+    airline: values.airline,
+    flightNumber: values.flightNumber,
+    operationalSuffix: values.operationalSuffix,
+    itineraryVariation: values.itineraryVariation,
+    legSequence: Number(values.legSequence) || 1,
+    serviceType: values.serviceType,
+    period: {
+      from: parseSsimDate(values.periodFrom, 'Period of operation start'),
+      to: parseSsimDate(values.periodTo, 'Period of operation end')
+    },
+    daysOfWeek: parseDaysOfOperation(record.slice(28, 35)),
+    departure: {
+      station: values.departureStation,
+      time: parseTime(values.passengerDepartureTime || values.aircraftDepartureTime, 'Departure time'),
+      utcOffset: parseUtcOffset(values.departureUtcOffset, 'Departure UTC offset'),
+      terminal: values.departureTerminal,
+      dateVariation: parseDateVariation(values.departureDateVariation)
+    },
+    arrival: {
+      station: values.arrivalStation,
+      time: parseTime(values.passengerArrivalTime || values.aircraftArrivalTime, 'Arrival time'),
+      utcOffset: parseUtcOffset(values.arrivalUtcOffset, 'Arrival UTC offset'),
+      terminal: values.arrivalTerminal,
+      dateVariation: parseDateVariation(values.arrivalDateVariation)
+    },
+    aircraftType: values.aircraftType,
+    segments: []
+  }
+}
+
+const parseSegment = (record) => {
+  const values = readFields(record, SEGMENT_FIELDS)
+
+  return [legKey(values), {
+    legSequence: Number(values.legSequence) || 1,
+    dataElement: values.dataElement,
+    boardPoint: values.boardPoint,
+    offPoint: values.offPoint,
+    data: values.data
+  }]
+}
+
+/**
+ * Parse a SSIM file. Records that cannot be read are reported in `errors`
+ * with their line number; the rest of the file is still returned.
+ */
+const parseSsim = (content) => {
+  const result = { carriers: [], legs: [], errors: [] }
+  let carrier = null
+  let lastLeg = null
+
+  String(content).split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1
+    const record = rawLine.replace(/\s+$/, '').padEnd(RECORD_LENGTH)
+    const recordType = record[0]
+
+    if (!rawLine.trim() || recordType === '0' || recordType === '1' || recordType === '5') {
+      return
+    }
+
+    try {
+      switch (recordType) {
+        case '2':
+          carrier = { line, ...parseCarrier(record) }
+          lastLeg = null
+          result.carriers.push(carrier)
+          break
+
+        case '3':
+          if (!carrier) {
+            throw new SsimParseError('Flight leg record before any carrier record')
+          }
+          lastLeg = { line, carrier: result.carriers.length - 1, ...parseLeg(record) }
+          result.legs.push(lastLeg)
+          break
+
+        case '4': {
+          const [key, segment] = parseSegment(record)
+          if (!lastLeg || lastLeg.key !== key) {
+            throw new SsimParseError('Segment data record does not follow its flight leg record')
+          }
+          lastLeg.segments.push({ line, ...segment })
+          break
+        }
+
+        default:
+          throw new SsimParseError(`Unknown record type '${recordType}'`)
+      }
+    } catch (error) {
+      if (!(error instanceof SsimParseError)) throw error
+
+      result.errors.push({ line, recordType, message: error.message })
+    }
+  })
+
+  return result
+}
+
+module.exports = {
+  parseSsim,
+  parseSsimDate,
+  RECORD_LENGTH
+}